@@ -13,6 +13,7 @@ const CONFIG = {
     USER: 'vote_system_user',
     VOTED_POLLS: 'vote_system_voted_polls',
     FINGERPRINT: 'vote_system_fingerprint',
+    INVITES: 'vote_system_invites',
   },
   FIREBASE: {
     apiKey: window.ENV?.FIREBASE_API_KEY || 'YOUR_API_KEY',
@@ -30,11 +31,21 @@ const state = {
   firebaseUser: null,
   polls: [],
   myPolls: [],
+  pollSort: 'votes',
+  searchQuery: '',
+  tagFilter: null,
+  pollsCursor: null, // next_cursor of the last loaded page, null when done
+  pollsLoading: false,
+  pollsRequestId: 0, // Bumped on reload so stale pages are dropped
   currentPoll: null,
   currentSection: 'poll-dashboard',
   currentTab: 'all',
+  workspaces: [], // Workspaces the user belongs to, with their role in each
+  currentWorkspace: null, // Workspace shown on the My Polls tab, null for your own polls
   authInitialized: false,
   pollToDelete: null,
+  changingVote: false,
+  detailTab: 'results', // 'results', 'timeline' or 'flagged' (owners) on the poll view
   theme: 'light',
 };
 
@@ -51,11 +62,14 @@ const router = {
   handleRoute() {
     const hash = window.location.hash;
 
-    // Check for poll route: #poll/{pollId}
-    const pollMatch = hash.match(/^#poll\/([a-zA-Z0-9_-]+)$/);
+    // Check for poll route: #poll/{pollId}, with ?invite={token} for private polls
+    const pollMatch = hash.match(/^#poll\/([a-zA-Z0-9_-]+)(?:\?invite=([A-Za-z0-9._-]+))?$/);
 
     if (pollMatch) {
-      const pollId = pollMatch[1];
+      const [, pollId, inviteToken] = pollMatch;
+      if (inviteToken) {
+        storage.setInviteToken(pollId, inviteToken);
+      }
       polls.loadPollDetail(pollId);
     }
   },
@@ -80,10 +94,12 @@ const router = {
     window.history.pushState(null, '', window.location.pathname);
   },
 
-  // Get the shareable URL for a poll
-  getPollUrl(pollId) {
+  // Get the shareable URL for a poll. Private polls only open with an
+  // invite token, so the one this browser holds goes into the link.
+  getPollUrl(pollId, inviteToken = storage.getInviteToken(pollId)) {
     const baseUrl = window.location.origin + window.location.pathname;
-    return `${baseUrl}#poll/${pollId}`;
+    const invite = inviteToken ? `?invite=${encodeURIComponent(inviteToken)}` : '';
+    return `${baseUrl}#poll/${pollId}${invite}`;
   },
 };
 
@@ -156,13 +172,23 @@ const firebaseAuth = {
       if (firebaseUser) {
         state.firebaseUser = firebaseUser;
         await this.syncWithBackend(firebaseUser);
+        if (state.user) {
+          await workspaces.load();
+        }
       } else {
         state.firebaseUser = null;
         state.user = null;
+        state.workspaces = [];
+        state.currentWorkspace = null;
         storage.remove(CONFIG.STORAGE_KEYS.USER);
       }
 
       ui.updateNav();
+
+      // Sign-in-only polls swap between the ballot and the sign-in prompt
+      if (state.currentSection === 'poll-view' && state.currentPoll) {
+        polls.renderPollDetail(state.currentPoll);
+      }
     });
   },
 
@@ -242,6 +268,17 @@ const firebaseAuth = {
 
 const api = {
   async request(endpoint, options = {}) {
+    const response = await api.fetch(endpoint, options);
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw api.toError(data);
+    }
+
+    return data;
+  },
+
+  async fetch(endpoint, options = {}) {
     const url = `${CONFIG.API_BASE_URL}${endpoint}`;
     const headers = {
       'Content-Type': 'application/json',
@@ -255,31 +292,184 @@ const api = {
       }
     }
 
-    const response = await fetch(url, {
+    // Lets the server show "after vote" results to browsers that voted
+    const fingerprint = storage.getFingerprint();
+    if (fingerprint) {
+      headers['X-Fingerprint'] = fingerprint;
+    }
+
+    return fetch(url, {
       ...options,
       headers,
     });
+  },
 
-    const data = await response.json();
+  toError(data) {
+    const error = new Error(data.error || 'Request failed');
+    error.code = data.code || null;
+    error.fields = data.fields || [];
+    return error;
+  },
+
+  // Save a file response through a temporary link, named by the server
+  async download(endpoint, fallbackName) {
+    const response = await api.fetch(endpoint);
 
     if (!response.ok) {
-      throw new Error(data.error || 'Request failed');
+      throw api.toError(await response.json().catch(() => ({})));
     }
 
-    return data;
+    const disposition = response.headers.get('Content-Disposition') || '';
+    const filename = disposition.match(/filename="([^"]+)"/)?.[1] || fallbackName;
+    const url = URL.createObjectURL(await response.blob());
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
   },
 
-  polls: {
+  // Private polls need their invite token on every request about them
+  inviteHeaders(pollId) {
+    const token = storage.getInviteToken(pollId);
+    return token ? { 'X-Invite-Token': token } : {};
+  },
+
+  // Skips empty values so callers can pass optional params as-is
+  queryString(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== '') {
+        query.set(key, value);
+      }
+    });
+    const text = query.toString();
+    return text ? `?${text}` : '';
+  },
+
+  tags: {
+    async list() {
+      return api.request('/tags');
+    },
+  },
+
+  keys: {
+    async list() {
+      return api.request('/keys');
+    },
+
+    async create(keyData) {
+      return api.request('/keys', {
+        method: 'POST',
+        body: JSON.stringify(keyData),
+      });
+    },
+
+    async revoke(id) {
+      return api.request(`/keys/${id}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+
+  workspaces: {
     async list() {
-      return api.request('/polls');
+      return api.request('/workspaces');
+    },
+
+    async create(name) {
+      return api.request('/workspaces', {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
+    },
+
+    async members(id) {
+      return api.request(`/workspaces/${id}/members`);
+    },
+
+    async addMember(id, email, role) {
+      return api.request(`/workspaces/${id}/members`, {
+        method: 'POST',
+        body: JSON.stringify({ email, role }),
+      });
+    },
+
+    async updateMember(id, memberId, role) {
+      return api.request(`/workspaces/${id}/members/${memberId}`, {
+        method: 'PUT',
+        body: JSON.stringify({ role }),
+      });
+    },
+
+    async removeMember(id, memberId) {
+      return api.request(`/workspaces/${id}/members/${memberId}`, {
+        method: 'DELETE',
+      });
+    },
+  },
+
+  polls: {
+    async list(params = {}) {
+      return api.request(`/polls${api.queryString(params)}`);
+    },
+
+    async listMine(params = {}) {
+      return api.request(`/polls/me${api.queryString(params)}`);
     },
 
-    async listMine() {
-      return api.request('/polls/me');
+    async search(params) {
+      return api.request(`/polls/search${api.queryString(params)}`);
     },
 
     async get(id) {
-      return api.request(`/polls/${id}`);
+      return api.request(`/polls/${id}`, { headers: api.inviteHeaders(id) });
+    },
+
+    async analytics(id, params = {}) {
+      return api.request(`/polls/${id}/analytics${api.queryString(params)}`, {
+        headers: api.inviteHeaders(id),
+      });
+    },
+
+    async flagged(id, params = {}) {
+      return api.request(`/polls/${id}/flagged${api.queryString(params)}`);
+    },
+
+    // decision is 'discard' or 'accept'
+    async reviewFlagged(id, decision, ballotIds) {
+      return api.request(`/polls/${id}/flagged/${decision}`, {
+        method: 'POST',
+        body: JSON.stringify({ ballot_ids: ballotIds }),
+      });
+    },
+
+    invites: {
+      async list(id) {
+        return api.request(`/polls/${id}/invites`);
+      },
+
+      async create(id) {
+        return api.request(`/polls/${id}/invites`, { method: 'POST' });
+      },
+
+      async rotate(id, inviteId) {
+        return api.request(`/polls/${id}/invites/${inviteId}/rotate`, { method: 'POST' });
+      },
+
+      async revoke(id, inviteId) {
+        return api.request(`/polls/${id}/invites/${inviteId}`, { method: 'DELETE' });
+      },
+    },
+
+    async export(id, type, format) {
+      return api.download(
+        `/polls/${id}/export${api.queryString({ type, format })}`,
+        `poll-${id}-${type}.${format}`
+      );
     },
 
     async create(pollData) {
@@ -302,10 +492,33 @@ const api = {
       });
     },
 
-    async vote(pollId, optionId, fingerprint) {
+    async close(id) {
+      return api.request(`/polls/${id}/close`, {
+        method: 'POST',
+      });
+    },
+
+    async vote(pollId, optionIds, fingerprint) {
       return api.request(`/polls/${pollId}/vote`, {
         method: 'POST',
-        body: JSON.stringify({ option_id: optionId, fingerprint }),
+        headers: api.inviteHeaders(pollId),
+        body: JSON.stringify({ option_ids: optionIds, fingerprint }),
+      });
+    },
+
+    async changeVote(pollId, optionIds, fingerprint) {
+      return api.request(`/polls/${pollId}/vote`, {
+        method: 'PUT',
+        headers: api.inviteHeaders(pollId),
+        body: JSON.stringify({ option_ids: optionIds, fingerprint }),
+      });
+    },
+
+    async retractVote(pollId, fingerprint) {
+      return api.request(`/polls/${pollId}/vote`, {
+        method: 'DELETE',
+        headers: api.inviteHeaders(pollId),
+        body: JSON.stringify({ fingerprint }),
       });
     },
   },
@@ -345,9 +558,15 @@ const storage = {
     return this.get(CONFIG.STORAGE_KEYS.VOTED_POLLS) || {};
   },
 
-  setVotedPoll(pollId, optionId) {
+  setVotedPoll(pollId, optionIds) {
+    const votedPolls = this.getVotedPolls();
+    votedPolls[pollId] = optionIds;
+    this.set(CONFIG.STORAGE_KEYS.VOTED_POLLS, votedPolls);
+  },
+
+  clearVotedPoll(pollId) {
     const votedPolls = this.getVotedPolls();
-    votedPolls[pollId] = optionId;
+    delete votedPolls[pollId];
     this.set(CONFIG.STORAGE_KEYS.VOTED_POLLS, votedPolls);
   },
 
@@ -356,9 +575,12 @@ const storage = {
     return pollId in votedPolls;
   },
 
-  getVotedOptionId(pollId) {
+  // Older entries store a single option id rather than an array
+  getVotedOptionIds(pollId) {
     const votedPolls = this.getVotedPolls();
-    return votedPolls[pollId] || null;
+    const voted = votedPolls[pollId];
+    if (!voted) return [];
+    return Array.isArray(voted) ? voted : [voted];
   },
 
   getFingerprint() {
@@ -368,6 +590,22 @@ const storage = {
   setFingerprint(fingerprint) {
     this.set(CONFIG.STORAGE_KEYS.FINGERPRINT, fingerprint);
   },
+
+  // Invite tokens for private polls, so they keep opening after the
+  // token has left the address bar
+  getInviteToken(pollId) {
+    return (this.get(CONFIG.STORAGE_KEYS.INVITES) || {})[pollId] || null;
+  },
+
+  setInviteToken(pollId, token) {
+    const invites = this.get(CONFIG.STORAGE_KEYS.INVITES) || {};
+    if (token) {
+      invites[pollId] = token;
+    } else {
+      delete invites[pollId];
+    }
+    this.set(CONFIG.STORAGE_KEYS.INVITES, invites);
+  },
 };
 
 // =============================================================================
@@ -390,6 +628,7 @@ const ui = {
       'poll-view',
       'create-poll-section',
       'edit-poll-section',
+      'settings-section',
     ];
 
     sections.forEach((id) => {
@@ -399,6 +638,11 @@ const ui = {
       }
     });
 
+    // Live updates only matter while a poll is on screen
+    if (sectionId !== 'poll-view') {
+      live.disconnect();
+    }
+
     // Show/hide hero based on section
     const hero = this.$('hero-section');
     if (hero) {
@@ -419,6 +663,7 @@ const ui = {
       authNav.classList.add('hidden');
       userNav.classList.remove('hidden');
       navMyPolls.classList.remove('hidden');
+      this.$('workspace-switcher').classList.remove('hidden');
 
       if (state.user.photoUrl || state.firebaseUser.photoURL) {
         userPhoto.src = state.user.photoUrl || state.firebaseUser.photoURL;
@@ -432,6 +677,7 @@ const ui = {
       authNav.classList.remove('hidden');
       userNav.classList.add('hidden');
       navMyPolls.classList.add('hidden');
+      this.$('workspace-switcher').classList.add('hidden');
 
       // Reset to all polls tab if logged out
       state.currentTab = 'all';
@@ -448,7 +694,13 @@ const ui = {
     allTab.classList.toggle('active', state.currentTab === 'all');
     myTab.classList.toggle('active', state.currentTab === 'my');
 
-    if (state.currentTab === 'my') {
+    const workspace = workspaces.current();
+    this.$('btn-workspace-members').classList.toggle('hidden', !(state.currentTab === 'my' && workspace));
+
+    if (state.currentTab === 'my' && workspace) {
+      sectionTitle.textContent = workspace.name;
+      sectionSubtitle.textContent = `Polls shared with this workspace, where you are ${workspace.role === 'owner' ? 'an owner' : `a ${workspace.role}`}`;
+    } else if (state.currentTab === 'my') {
       sectionTitle.textContent = 'My Polls';
       sectionSubtitle.textContent = 'Manage polls you have created';
     } else {
@@ -457,11 +709,11 @@ const ui = {
     }
   },
 
-  updateStats(pollsData) {
+  updateStats(total) {
     const statPolls = this.$('stat-polls');
 
     if (statPolls) {
-      statPolls.textContent = pollsData.length;
+      statPolls.textContent = total;
     }
   },
 
@@ -507,7 +759,7 @@ const ui = {
     if (btnText) btnText.classList.toggle('hidden', isLoading);
     if (btnLoading) btnLoading.classList.toggle('hidden', !isLoading);
 
-    form.querySelectorAll('input, textarea, button').forEach((el) => {
+    form.querySelectorAll('input, textarea, select, button').forEach((el) => {
       el.disabled = isLoading;
     });
   },
@@ -602,23 +854,38 @@ const toast = {
 // =============================================================================
 
 const polls = {
+  // Load the first page of the current tab; later pages come from loadMorePolls
   async loadPolls() {
+    const requestId = ++state.pollsRequestId;
+    const isMine = state.currentTab === 'my';
+    state.pollsCursor = null;
+    state.pollsLoading = true;
+    ui.$('poll-list-more').classList.add('hidden');
+    ui.$('poll-sort').disabled = Boolean(state.searchQuery);
+    this.setEmptyMessage(Boolean(state.searchQuery || state.tagFilter));
     ui.showLoading('polls');
+    tagFilter.load();
+
+    if (state.searchQuery) {
+      return this.loadSearchResults(requestId, isMine);
+    }
 
     try {
-      let response;
-      if (state.currentTab === 'my') {
-        response = await api.polls.listMine();
-        state.myPolls = response.data || [];
-        this.renderPollList(state.myPolls, true);
+      const params = { sort: state.pollSort, tag: state.tagFilter };
+      const response = isMine
+        ? await api.polls.listMine({ ...params, workspace: state.currentWorkspace })
+        : await api.polls.list(params);
+      if (requestId !== state.pollsRequestId) return;
+
+      const pollsData = response.data || [];
+      if (isMine) {
+        state.myPolls = pollsData;
       } else {
-        response = await api.polls.list();
-        state.polls = response.data || [];
-        ui.updateStats(state.polls);
-        this.renderPollList(state.polls, false);
+        state.polls = pollsData;
+        ui.updateStats(response.pagination?.total ?? pollsData.length);
       }
-
-      const pollsData = state.currentTab === 'my' ? state.myPolls : state.polls;
+      state.pollsCursor = response.pagination?.next_cursor || null;
+      this.renderPollList(pollsData);
 
       if (pollsData.length === 0) {
         ui.showEmpty('polls');
@@ -627,78 +894,223 @@ const polls = {
         ui.hideLoading('polls');
       }
     } catch (error) {
+      if (requestId !== state.pollsRequestId) return;
       console.error('Failed to load polls:', error);
       ui.showError('polls');
+    } finally {
+      if (requestId === state.pollsRequestId) {
+        state.pollsLoading = false;
+        this.updateLoadMore();
+      }
     }
   },
 
-  renderPollList(pollsData, isOwner = false) {
-    const container = ui.$('poll-list');
-    container.innerHTML = pollsData.map((poll) => this.createPollCard(poll, isOwner)).join('');
+  // Search results come back ranked in one page, so there's nothing to scroll
+  async loadSearchResults(requestId, isMine) {
+    try {
+      const response = await api.polls.search({ q: state.searchQuery });
+      if (requestId !== state.pollsRequestId) return;
+
+      // Search covers every poll; narrow it to the tab and tag in view
+      const results = (response.data || []).filter((poll) =>
+        (!isMine || this.isInMyList(poll)) &&
+        (!state.tagFilter || (poll.tags || []).includes(state.tagFilter))
+      );
+      if (isMine) {
+        state.myPolls = results;
+      } else {
+        state.polls = results;
+      }
+      this.renderPollList(results);
+
+      if (results.length === 0) {
+        ui.showEmpty('polls');
+      } else {
+        ui.$('poll-list').classList.remove('hidden');
+        ui.hideLoading('polls');
+      }
+    } catch (error) {
+      if (requestId !== state.pollsRequestId) return;
+      console.error('Failed to search polls:', error);
+      ui.showError('polls');
+    } finally {
+      if (requestId === state.pollsRequestId) {
+        state.pollsLoading = false;
+        this.updateLoadMore();
+      }
+    }
+  },
 
-    // Add click handlers for poll cards
-    container.querySelectorAll('.poll-card').forEach((card) => {
-      card.addEventListener('click', (e) => {
-        // Don't navigate if clicking on action buttons
-        if (e.target.closest('.poll-card-action')) return;
+  // Whether a poll belongs on the My Polls tab as currently scoped
+  isInMyList(poll) {
+    if (state.currentWorkspace) {
+      return poll.workspace_id === state.currentWorkspace;
+    }
+    return Boolean(state.user) && poll.user_id === state.user.id;
+  },
 
-        const pollId = card.dataset.pollId;
-        this.loadPollDetail(pollId);
-      });
+  setEmptyMessage(isFiltered) {
+    ui.$('polls-empty-title').textContent = isFiltered ? 'No matching polls' : 'No polls yet';
+    ui.$('polls-empty-message').textContent = isFiltered
+      ? 'Try different words or another tag, or clear the filters to browse every poll.'
+      : 'Be the first to create a poll and start gathering opinions!';
+  },
+
+  setupSearch() {
+    const input = ui.$('poll-search');
+    let timer = null;
+
+    input.addEventListener('input', () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        const query = input.value.trim();
+        if (query === state.searchQuery) return;
+        state.searchQuery = query;
+        this.loadPolls();
+      }, 300);
     });
+  },
+
+  async loadMorePolls() {
+    if (state.pollsLoading || !state.pollsCursor) return;
+
+    const requestId = state.pollsRequestId;
+    const isMine = state.currentTab === 'my';
+    state.pollsLoading = true;
+    this.updateLoadMore();
+
+    try {
+      const params = { sort: state.pollSort, tag: state.tagFilter, cursor: state.pollsCursor };
+      const response = isMine
+        ? await api.polls.listMine({ ...params, workspace: state.currentWorkspace })
+        : await api.polls.list(params);
+      if (requestId !== state.pollsRequestId) return;
+
+      // A poll can move between pages while paging by votes, so skip repeats
+      const loaded = isMine ? state.myPolls : state.polls;
+      const known = new Set(loaded.map((poll) => poll.id));
+      const pollsData = (response.data || []).filter((poll) => !known.has(poll.id));
+      loaded.push(...pollsData);
+
+      state.pollsCursor = response.pagination?.next_cursor || null;
+      this.renderPollList(pollsData, true);
+    } catch (error) {
+      if (requestId !== state.pollsRequestId) return;
+      console.error('Failed to load more polls:', error);
+      toast.error('Failed to load more polls');
+    } finally {
+      if (requestId === state.pollsRequestId) {
+        state.pollsLoading = false;
+        this.updateLoadMore();
+      }
+    }
+  },
+
+  // The footer below the list doubles as the infinite-scroll trigger
+  updateLoadMore() {
+    ui.$('poll-list-more').classList.toggle('hidden', !state.pollsCursor);
+    ui.$('poll-list-more-spinner').classList.toggle('hidden', !state.pollsLoading);
+  },
+
+  setupInfiniteScroll() {
+    const footer = ui.$('poll-list-more');
+    if (!('IntersectionObserver' in window)) {
+      footer.addEventListener('click', () => this.loadMorePolls());
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        this.loadMorePolls();
+      }
+    }, { rootMargin: '400px' });
+    observer.observe(footer);
+  },
+
+  renderPollList(pollsData, append = false) {
+    const container = ui.$('poll-list');
+    const html = pollsData.map((poll) => this.createPollCard(poll)).join('');
+    if (append) {
+      container.insertAdjacentHTML('beforeend', html);
+    } else {
+      container.innerHTML = html;
+    }
+  },
+
+  // Delegated so cards appended by later pages need no extra binding
+  setupPollListHandlers() {
+    ui.$('poll-list').addEventListener('click', (e) => {
+      const card = e.target.closest('.poll-card');
+      if (!card) return;
 
-    // Add edit button handlers
-    container.querySelectorAll('.poll-card-action.edit').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-chip');
+      if (chip) {
         e.stopPropagation();
-        const pollId = btn.closest('.poll-card').dataset.pollId;
+        tagFilter.select(chip.dataset.tag);
+        return;
+      }
+
+      const pollId = card.dataset.pollId;
+      const action = e.target.closest('.poll-card-action');
+      if (!action) {
+        this.loadPollDetail(pollId);
+        return;
+      }
+
+      e.stopPropagation();
+      if (action.classList.contains('edit')) {
         const poll = (state.currentTab === 'my' ? state.myPolls : state.polls).find(p => p.id === pollId);
         if (poll) {
           editPoll.show(poll);
         }
-      });
-    });
-
-    // Add delete button handlers
-    container.querySelectorAll('.poll-card-action.danger').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const pollId = btn.closest('.poll-card').dataset.pollId;
+      } else if (action.classList.contains('danger')) {
         deleteModal.show(pollId);
-      });
-    });
-
-    // Add share button handlers
-    container.querySelectorAll('.poll-card-action.share').forEach((btn) => {
-      btn.addEventListener('click', (e) => {
-        e.stopPropagation();
-        const pollId = btn.closest('.poll-card').dataset.pollId;
+      } else if (action.classList.contains('share')) {
         this.copyPollUrl(pollId);
-      });
+      }
     });
   },
 
-  createPollCard(poll, showActions = false) {
+  createPollCard(poll) {
     const date = new Date(poll.created_at * 1000).toLocaleDateString();
     const isOwner = state.user && poll.user_id === state.user.id;
-    const shouldShowActions = showActions || isOwner;
+    const canEdit = permissions.can(poll, 'manage');
+    const canDelete = permissions.can(poll, 'delete');
     const totalVotes = poll.total_votes || 0;
 
-    // Sort options by vote count (descending) and take top options for display
-    const sortedOptions = [...(poll.options || [])].sort((a, b) => b.vote_count - a.vote_count);
+    // Sort options by vote count (descending) and take top options for display.
+    // Hidden results keep the creation order so the ranking doesn't leak.
+    const sortedOptions = poll.results_hidden
+      ? [...(poll.options || [])]
+      : [...(poll.options || [])].sort((a, b) => b.vote_count - a.vote_count);
     const displayOptions = sortedOptions.slice(0, 4); // Show top 4 options
 
     return `
       <article class="poll-card" data-poll-id="${poll.id}">
         <div class="poll-card-header">
           <h3 class="poll-card-title">
-            ${this.escapeHtml(poll.title)}
+            ${poll.match ? poll.match.title : this.escapeHtml(poll.title)}
             ${isOwner && state.currentTab === 'all' ? '<span class="owner-badge">Your Poll</span>' : ''}
           </h3>
-          ${poll.description ? `<p class="poll-card-description">${this.escapeHtml(poll.description)}</p>` : ''}
+          ${poll.match?.description
+            ? `<p class="poll-card-description">${poll.match.description}</p>`
+            : poll.description ? `<p class="poll-card-description">${this.escapeHtml(poll.description)}</p>` : ''}
+          ${poll.match?.options ? `<p class="poll-card-match">Options: ${poll.match.options.replace(/\n/g, ' · ')}</p>` : ''}
+          ${poll.tags && poll.tags.length > 0 ? `
+            <div class="poll-card-tags">
+              ${poll.tags.map((tag) => `<button type="button" class="tag-chip" data-tag="${this.escapeHtml(tag)}">#${this.escapeHtml(tag)}</button>`).join('')}
+            </div>
+          ` : ''}
         </div>
         <div class="poll-card-stats">
-          ${displayOptions.map((option) => {
+          ${poll.results_hidden ? `
+            ${displayOptions.map((option) => `
+              <div class="poll-card-stat-item">
+                <span class="poll-card-stat-label">${this.escapeHtml(option.text)}</span>
+              </div>
+            `).join('')}
+            <div class="results-hidden-note">${this.getResultsHiddenMessage(poll)}</div>
+          ` : displayOptions.map((option) => {
             const percentage = totalVotes > 0 ? Math.round((option.vote_count / totalVotes) * 100) : 0;
             return `
               <div class="poll-card-stat-item">
@@ -724,6 +1136,9 @@ const polls = {
               ${totalVotes} votes
             </span>
             <span class="poll-card-date">${date}</span>
+            ${poll.require_auth ? '<span class="status-badge auth" title="Sign in to vote">Sign-in</span>' : ''}
+            ${this.renderVisibilityBadge(poll)}
+            ${pollSchedule.renderBadge(poll)}
           </div>
           <div class="poll-card-actions">
             <button class="poll-card-action share" title="Copy link to share">
@@ -735,13 +1150,15 @@ const polls = {
                 <line x1="15.41" y1="6.51" x2="8.59" y2="10.49"/>
               </svg>
             </button>
-            ${shouldShowActions ? `
+            ${canEdit ? `
               <button class="poll-card-action edit" title="Edit poll">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
                   <path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/>
                 </svg>
               </button>
+            ` : ''}
+            ${canDelete ? `
               <button class="poll-card-action danger" title="Delete poll">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <polyline points="3 6 5 6 21 6"/>
@@ -762,6 +1179,8 @@ const polls = {
     try {
       const response = await api.polls.get(pollId);
       state.currentPoll = response.data;
+      state.changingVote = false;
+      state.detailTab = 'results';
       this.renderPollDetail(state.currentPoll);
       ui.$('poll-view-content').classList.remove('hidden');
       ui.hideLoading('poll-view');
@@ -770,19 +1189,64 @@ const polls = {
       router.navigateToPoll(pollId);
     } catch (error) {
       console.error('Failed to load poll:', error);
+      const invalidInvite = error.code === 'INVITE_INVALID';
+      if (invalidInvite) {
+        // Let a fresh link for this poll replace the dead one
+        storage.setInviteToken(pollId, null);
+      }
+      ui.$('poll-view-error-title').textContent = invalidInvite ? 'Invite link not valid' : 'Poll not found';
+      ui.$('poll-view-error-message').textContent = invalidInvite
+        ? 'This invite link has been revoked or replaced. Ask the poll owner for a new one.'
+        : "This poll may have been deleted or doesn't exist.";
       ui.showError('poll-view');
     }
   },
 
+  // Re-fetch the open poll in place, e.g. after its owner edits the options
+  async refreshPollDetail(pollId) {
+    if (!state.currentPoll || state.currentPoll.id !== pollId || state.currentSection !== 'poll-view') return;
+
+    try {
+      const response = await api.polls.get(pollId);
+      state.currentPoll = response.data;
+      this.renderPollDetail(state.currentPoll);
+    } catch (error) {
+      console.error('Failed to refresh poll:', error);
+    }
+  },
+
+  // Sign-in-only polls remember votes per account, not per browser
+  getVoteKey(poll) {
+    return poll.require_auth && state.user ? `${poll.id}:${state.user.id}` : poll.id;
+  },
+
   renderPollDetail(poll) {
     const container = ui.$('poll-view-content');
     const totalVotes = poll.total_votes || 0;
-    const hasVoted = storage.hasVotedOnPoll(poll.id);
-    const votedOptionId = storage.getVotedOptionId(poll.id);
-    const isOwner = state.user && poll.user_id === state.user.id;
+    const voteKey = this.getVoteKey(poll);
+    // A ballot whose options were all removed was refunded, so it no longer counts
+    const votedOptionIds = storage.getVotedOptionIds(voteKey)
+      .filter((id) => poll.options.some((option) => option.id === id));
+    const hasVoted = votedOptionIds.length > 0;
+    const isApproval = poll.voting_mode === 'approval';
+    const isRanked = poll.voting_mode === 'ranked';
+    const canView = permissions.can(poll, 'view');
+    const canManage = permissions.can(poll, 'manage');
+    const canDelete = permissions.can(poll, 'delete');
+    const status = pollSchedule.getStatus(poll);
+    const needsSignIn = poll.require_auth && !state.user;
+    const isChanging = state.changingVote && hasVoted;
+    const canVote = (!hasVoted || isChanging) && status === 'open' && !needsSignIn;
+    const canChangeVote = hasVoted && !isChanging && poll.allow_vote_changes && status === 'open' && !needsSignIn;
+    const resultsHidden = !!poll.results_hidden;
+    const hasTimeline = !resultsHidden && totalVotes > 0;
+    const hasReview = canManage && totalVotes > 0;
+    const showTimeline = hasTimeline && state.detailTab === 'timeline';
+    const showReview = hasReview && state.detailTab === 'flagged';
+    const showResults = !showTimeline && !showReview;
 
     container.innerHTML = `
-      <div class="poll-detail">
+      <div class="poll-detail" data-poll-id="${poll.id}">
         <div class="poll-detail-header">
           <h1 class="poll-detail-title">${this.escapeHtml(poll.title)}</h1>
           <div class="poll-detail-actions">
@@ -796,7 +1260,34 @@ const polls = {
               </svg>
               Share
             </button>
-            ${isOwner ? `
+            ${canManage && status !== 'closed' ? `
+              <button class="poll-detail-action" id="btn-close-poll" title="Stop accepting votes">
+                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"/>
+                  <path d="M7 11V7a5 5 0 0 1 10 0v4"/>
+                </svg>
+                Close now
+              </button>
+            ` : ''}
+            ${canView ? `
+              <div class="export-menu-wrapper">
+                <button class="poll-detail-action" id="btn-export-poll" aria-haspopup="true" aria-expanded="false">
+                  <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                    <path d="M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4"/>
+                    <polyline points="7 10 12 15 17 10"/>
+                    <line x1="12" y1="15" x2="12" y2="3"/>
+                  </svg>
+                  Export
+                </button>
+                <div id="export-menu" class="export-menu hidden" role="menu">
+                  <button class="export-menu-item" role="menuitem" data-type="results" data-format="csv">Results (CSV)</button>
+                  <button class="export-menu-item" role="menuitem" data-type="results" data-format="json">Results (JSON)</button>
+                  <button class="export-menu-item" role="menuitem" data-type="votes" data-format="csv">Vote log (CSV)</button>
+                  <button class="export-menu-item" role="menuitem" data-type="votes" data-format="json">Vote log (JSON)</button>
+                </div>
+              </div>
+            ` : ''}
+            ${canManage ? `
               <button class="poll-detail-action" id="btn-edit-poll">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/>
@@ -804,6 +1295,8 @@ const polls = {
                 </svg>
                 Edit
               </button>
+            ` : ''}
+            ${canDelete ? `
               <button class="poll-detail-action danger" id="btn-delete-poll">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <polyline points="3 6 5 6 21 6"/>
@@ -815,21 +1308,76 @@ const polls = {
           </div>
         </div>
         ${poll.description ? `<p class="poll-detail-description">${this.escapeHtml(poll.description)}</p>` : ''}
+        ${status !== 'open' || poll.closes_at || this.isRestricted(poll) ? `
+          <div class="poll-detail-status">${this.renderVisibilityBadge(poll)}${pollSchedule.renderBadge(poll)}</div>
+        ` : ''}
+
+        ${canManage && poll.visibility === 'private' ? '<div id="poll-invites" class="poll-invites"></div>' : ''}
+
+        ${hasTimeline || hasReview ? `
+          <div class="detail-tabs" role="tablist">
+            <button class="detail-tab ${showResults ? 'active' : ''}" role="tab" data-tab="results" aria-selected="${showResults}">Results</button>
+            ${hasTimeline ? `<button class="detail-tab ${showTimeline ? 'active' : ''}" role="tab" data-tab="timeline" aria-selected="${showTimeline}">Timeline</button>` : ''}
+            ${hasReview ? `<button class="detail-tab ${showReview ? 'active' : ''}" role="tab" data-tab="flagged" aria-selected="${showReview}">Flagged</button>` : ''}
+          </div>
+        ` : ''}
+
+        <div id="poll-timeline-pane" class="poll-timeline ${showTimeline ? '' : 'hidden'}"></div>
 
-        <div class="poll-options-list">
-          ${poll.options.map((option) => this.createOptionElement(option, totalVotes, hasVoted, votedOptionId)).join('')}
+        <div id="poll-flagged-pane" class="flagged-review ${showReview ? '' : 'hidden'}"></div>
+
+        <div id="poll-results-pane" class="${showResults ? '' : 'hidden'}">
+        ${isApproval && canVote ? `<p class="poll-selection-hint">${this.getSelectionHint(poll)}</p>` : ''}
+
+        ${isRanked && canVote ? `
+          <p class="poll-selection-hint">Drag the options into your order of preference, most preferred first</p>
+          <ol class="ranked-ballot" id="ranked-ballot">
+            ${this.orderForBallot(poll.options, isChanging ? votedOptionIds : []).map((option) => this.createRankedBallotItem(option)).join('')}
+          </ol>
+        ` : `
+          <div class="poll-options-list">
+            ${poll.options.map((option) => this.createOptionElement(option, totalVotes, !canVote, canVote ? [] : votedOptionIds, isApproval, isRanked, resultsHidden)).join('')}
+          </div>
+        `}
+
+        ${resultsHidden ? `<p class="results-hidden-note">${this.getResultsHiddenMessage(poll)}</p>` : ''}
+
+        ${isRanked && !resultsHidden ? `<div id="ranked-results">${this.renderRankedResults(poll)}</div>` : ''}
         </div>
 
         <div class="poll-detail-footer">
-          <span class="poll-total-votes">${totalVotes} total votes</span>
-          ${hasVoted
+          <span class="poll-total-votes">${this.formatTotals(poll)}</span>
+          ${isChanging && canVote
+            ? `<div class="vote-change-actions">
+                <button id="btn-cancel-change" class="btn btn-secondary">Cancel</button>
+                <button id="btn-vote" class="btn btn-primary" disabled>
+                  <span class="btn-text">Update vote</span>
+                  <span class="btn-loading hidden">
+                    <span class="spinner-small"></span>
+                    Saving...
+                  </span>
+                </button>
+              </div>`
+            : hasVoted
             ? `<span class="voted-message">
                 <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                   <path d="M22 11.08V12a10 10 0 1 1-5.93-9.14"/>
                   <polyline points="22 4 12 14.01 9 11.01"/>
                 </svg>
                 You voted on this poll
-              </span>`
+              </span>
+              ${canChangeVote ? `
+                <div class="vote-change-actions">
+                  <button id="btn-change-vote" class="btn btn-secondary">Change vote</button>
+                  <button id="btn-retract-vote" class="btn btn-danger">Retract</button>
+                </div>
+              ` : ''}`
+            : status === 'closed'
+            ? '<span class="closed-message">Voting has ended</span>'
+            : status === 'scheduled'
+            ? '<span class="closed-message">Voting has not started yet</span>'
+            : needsSignIn
+            ? `<button id="btn-signin-to-vote" class="btn btn-primary">Sign in with Google to vote</button>`
             : `<button id="btn-vote" class="btn btn-primary" disabled>
                 <span class="btn-text">Vote</span>
                 <span class="btn-loading hidden">
@@ -842,8 +1390,58 @@ const polls = {
       </div>
     `;
 
-    if (!hasVoted) {
-      this.setupOptionHandlers();
+    if (canVote && isRanked) {
+      this.setupRankedBallot();
+    } else if (canVote) {
+      this.setupOptionHandlers(isChanging ? votedOptionIds : []);
+    }
+
+    const changeBtn = document.getElementById('btn-change-vote');
+    if (changeBtn) {
+      changeBtn.addEventListener('click', () => {
+        state.changingVote = true;
+        this.renderPollDetail(poll);
+      });
+    }
+
+    const cancelChangeBtn = document.getElementById('btn-cancel-change');
+    if (cancelChangeBtn) {
+      cancelChangeBtn.addEventListener('click', () => {
+        state.changingVote = false;
+        this.renderPollDetail(poll);
+      });
+    }
+
+    const retractBtn = document.getElementById('btn-retract-vote');
+    if (retractBtn) {
+      retractBtn.addEventListener('click', () => this.retractVote(poll.id));
+    }
+
+    const signInBtn = document.getElementById('btn-signin-to-vote');
+    if (signInBtn) {
+      signInBtn.addEventListener('click', () => firebaseAuth.signInWithGoogle());
+    }
+
+    // Keep the bars moving while the poll is on screen
+    live.connect(poll.id);
+
+    container.querySelectorAll('.detail-tab').forEach((tab) => {
+      tab.addEventListener('click', () => {
+        state.detailTab = tab.dataset.tab;
+        this.renderPollDetail(poll);
+      });
+    });
+
+    if (showTimeline) {
+      timeline.show(poll);
+    }
+
+    if (showReview) {
+      flaggedVotes.show(poll);
+    }
+
+    if (canManage && poll.visibility === 'private') {
+      invitePanel.show(poll);
     }
 
     // Setup share button handler
@@ -854,8 +1452,9 @@ const polls = {
       });
     }
 
-    // Setup edit/delete handlers for owner
-    if (isOwner) {
+    // Setup edit/delete/close/export handlers for the people who manage the poll
+    if (canView) {
+      const closeBtn = document.getElementById('btn-close-poll');
       const editBtn = document.getElementById('btn-edit-poll');
       const deleteBtn = document.getElementById('btn-delete-poll');
 
@@ -870,17 +1469,70 @@ const polls = {
           deleteModal.show(poll.id);
         });
       }
+
+      if (closeBtn) {
+        closeBtn.addEventListener('click', () => {
+          this.closePoll(poll.id);
+        });
+      }
+
+      this.setupExportMenu(poll.id);
     }
   },
 
-  async copyPollUrl(pollId) {
-    const url = router.getPollUrl(pollId);
+  setupExportMenu(pollId) {
+    const button = document.getElementById('btn-export-poll');
+    const menu = document.getElementById('export-menu');
+    if (!button || !menu) return;
+
+    const setOpen = (open) => {
+      menu.classList.toggle('hidden', !open);
+      button.setAttribute('aria-expanded', String(open));
+    };
+
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      const opening = menu.classList.contains('hidden');
+      setOpen(opening);
+      if (opening) {
+        document.addEventListener('click', () => setOpen(false), { once: true });
+      }
+    });
+
+    menu.addEventListener('click', async (e) => {
+      const item = e.target.closest('.export-menu-item');
+      if (!item) return;
+
+      setOpen(false);
+      try {
+        await api.polls.export(pollId, item.dataset.type, item.dataset.format);
+      } catch (error) {
+        toast.error(error.message || 'Failed to export poll');
+      }
+    });
+  },
+
+  async closePoll(pollId) {
+    if (!confirm('Close this poll now? No further votes will be accepted.')) return;
 
     try {
-      await navigator.clipboard.writeText(url);
-      toast.success('Link copied to clipboard!');
+      const response = await api.polls.close(pollId);
+      state.currentPoll = response.data;
+      toast.success('Poll closed');
+      this.renderPollDetail(state.currentPoll);
     } catch (error) {
-      // Fallback for browsers that don't support clipboard API
+      toast.error(error.message || 'Failed to close poll');
+    }
+  },
+
+  async copyPollUrl(pollId, inviteToken) {
+    const url = router.getPollUrl(pollId, inviteToken);
+
+    try {
+      await navigator.clipboard.writeText(url);
+      toast.success('Link copied to clipboard!');
+    } catch (error) {
+      // Fallback for browsers that don't support clipboard API
       const textArea = document.createElement('textarea');
       textArea.value = url;
       textArea.style.position = 'fixed';
@@ -897,9 +1549,53 @@ const polls = {
     }
   },
 
-  createOptionElement(option, totalVotes, hasVoted = false, votedOptionId = null) {
+  isRestricted(poll) {
+    return poll.visibility === 'unlisted' || poll.visibility === 'private';
+  },
+
+  renderVisibilityBadge(poll) {
+    if (poll.visibility === 'unlisted') {
+      return '<span class="status-badge visibility" title="Hidden from listings, open to anyone with the link">Unlisted</span>';
+    }
+    if (poll.visibility === 'private') {
+      return '<span class="status-badge visibility" title="Only people with an invite link can open it">Private</span>';
+    }
+    return '';
+  },
+
+  getResultsHiddenMessage(poll) {
+    switch (poll.results_visibility) {
+      case 'after_vote':
+        return 'Results are hidden until you vote';
+      case 'after_close':
+        return 'Results are hidden until voting ends';
+      default:
+        return 'Results are only visible to the poll creator';
+    }
+  },
+
+  getSelectionHint(poll) {
+    const min = poll.min_selections || 1;
+    const max = poll.max_selections || poll.options.length;
+    if (min === max) return `Select ${min} option${min === 1 ? '' : 's'}`;
+    return `Select ${min} to ${max} options`;
+  },
+
+  // Approval polls count ballots and selections separately
+  formatTotals(poll) {
+    const totalVotes = poll.total_votes || 0;
+    if (poll.voting_mode !== 'approval') {
+      return `${totalVotes} total votes`;
+    }
+    return `${totalVotes} voters &middot; ${poll.total_selections || 0} selections`;
+  },
+
+  createOptionElement(option, totalVotes, hasVoted = false, votedOptionIds = [], isApproval = false, isRanked = false, resultsHidden = false) {
+    // For approval polls this is the share of voters who picked the option,
+    // for ranked polls the share of first preferences
     const percentage = totalVotes > 0 ? Math.round((option.vote_count / totalVotes) * 100) : 0;
-    const isVotedOption = option.id === votedOptionId;
+    const isVotedOption = votedOptionIds.includes(option.id);
+    const voteBadge = isRanked ? `Your #${votedOptionIds.indexOf(option.id) + 1}` : 'Your vote';
     const classes = ['poll-option'];
 
     if (hasVoted) {
@@ -911,43 +1607,216 @@ const polls = {
 
     return `
       <div class="${classes.join(' ')}" data-option-id="${option.id}">
-        <div class="poll-option-radio">${isVotedOption ? '<span class="checkmark"></span>' : ''}</div>
+        <div class="poll-option-radio${isApproval ? ' checkbox' : ''}">${isVotedOption ? '<span class="checkmark"></span>' : ''}</div>
         <div class="poll-option-content">
           <div class="poll-option-text">
             ${this.escapeHtml(option.text)}
-            ${isVotedOption ? '<span class="your-vote-badge">Your vote</span>' : ''}
-          </div>
-          <div class="poll-option-bar">
-            <div class="poll-option-bar-fill" style="width: ${percentage}%"></div>
+            ${isVotedOption ? `<span class="your-vote-badge">${voteBadge}</span>` : ''}
           </div>
+          ${resultsHidden ? '' : `
+            <div class="poll-option-bar">
+              <div class="poll-option-bar-fill" style="width: ${percentage}%"></div>
+            </div>
+          `}
+        </div>
+        ${resultsHidden ? '' : `<div class="poll-option-count">${option.vote_count} (${percentage}%)</div>`}
+      </div>
+    `;
+  },
+
+  // Put an existing ranking first so a changed ballot starts from the old one
+  orderForBallot(options, ranking) {
+    const ranked = ranking
+      .map((id) => options.find((o) => o.id === id))
+      .filter(Boolean);
+    return [...ranked, ...options.filter((o) => !ranking.includes(o.id))];
+  },
+
+  createRankedBallotItem(option) {
+    return `
+      <li class="ranked-ballot-item" draggable="true" data-option-id="${option.id}">
+        <span class="ranked-ballot-rank"></span>
+        <span class="ranked-ballot-text">${this.escapeHtml(option.text)}</span>
+        <span class="ranked-ballot-moves">
+          <button type="button" class="ranked-ballot-move" data-move="-1" aria-label="Move up">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="18 15 12 9 6 15"/></svg>
+          </button>
+          <button type="button" class="ranked-ballot-move" data-move="1" aria-label="Move down">
+            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><polyline points="6 9 12 15 18 9"/></svg>
+          </button>
+        </span>
+      </li>
+    `;
+  },
+
+  // Round-by-round instant-runoff table for ranked polls
+  renderRankedResults(poll) {
+    const results = poll.ranked_results;
+    if (!results || results.rounds.length === 0) {
+      return '<p class="ranked-results-empty">No ballots yet</p>';
+    }
+
+    const optionText = (id) => {
+      const option = poll.options.find((o) => o.id === id);
+      return option ? this.escapeHtml(option.text) : 'Unknown option';
+    };
+
+    let outcome;
+    if (results.winner) {
+      outcome = `Winner: <strong>${optionText(results.winner)}</strong>`;
+    } else if (results.tied.length > 0) {
+      outcome = `Tie between ${results.tied.map(optionText).join(', ')}`;
+    } else {
+      outcome = 'No winner';
+    }
+
+    return `
+      <div class="ranked-results">
+        <div class="ranked-results-outcome">${outcome}</div>
+        <div class="ranked-results-table-wrap">
+          <table class="ranked-results-table">
+            <thead>
+              <tr>
+                <th>Option</th>
+                ${results.rounds.map((round) => `<th>Round ${round.round}</th>`).join('')}
+              </tr>
+            </thead>
+            <tbody>
+              ${poll.options.map((option) => `
+                <tr class="${option.id === results.winner ? 'winner' : ''}">
+                  <td>${this.escapeHtml(option.text)}</td>
+                  ${results.rounds.map((round) => {
+                    if (!(option.id in round.tallies)) return '<td class="out">&mdash;</td>';
+                    const eliminated = round.eliminated.includes(option.id);
+                    return `<td class="${eliminated ? 'eliminated' : ''}">${round.tallies[option.id]}</td>`;
+                  }).join('')}
+                </tr>
+              `).join('')}
+              <tr class="exhausted">
+                <td>Exhausted</td>
+                ${results.rounds.map((round) => `<td>${round.exhausted}</td>`).join('')}
+              </tr>
+            </tbody>
+          </table>
         </div>
-        <div class="poll-option-count">${option.vote_count} (${percentage}%)</div>
       </div>
     `;
   },
 
-  setupOptionHandlers() {
+  setupRankedBallot() {
+    const list = document.getElementById('ranked-ballot');
+    const voteBtn = document.getElementById('btn-vote');
+    let dragged = null;
+
+    const renumber = () => {
+      list.querySelectorAll('.ranked-ballot-item').forEach((item, index) => {
+        item.querySelector('.ranked-ballot-rank').textContent = index + 1;
+      });
+    };
+
+    list.addEventListener('dragstart', (e) => {
+      dragged = e.target.closest('.ranked-ballot-item');
+      if (!dragged) return;
+      dragged.classList.add('dragging');
+      e.dataTransfer.effectAllowed = 'move';
+    });
+
+    list.addEventListener('dragover', (e) => {
+      if (!dragged) return;
+      e.preventDefault();
+
+      // Insert before the first item whose midpoint is below the pointer
+      const after = [...list.querySelectorAll('.ranked-ballot-item:not(.dragging)')].find((item) => {
+        const box = item.getBoundingClientRect();
+        return e.clientY < box.top + box.height / 2;
+      });
+      list.insertBefore(dragged, after || null);
+      renumber();
+    });
+
+    list.addEventListener('dragend', () => {
+      if (dragged) dragged.classList.remove('dragging');
+      dragged = null;
+    });
+
+    // Buttons for keyboard and touch users, where drag and drop isn't available
+    list.addEventListener('click', (e) => {
+      const btn = e.target.closest('.ranked-ballot-move');
+      if (!btn) return;
+
+      const item = btn.closest('.ranked-ballot-item');
+      if (btn.dataset.move === '-1' && item.previousElementSibling) {
+        list.insertBefore(item, item.previousElementSibling);
+      } else if (btn.dataset.move === '1' && item.nextElementSibling) {
+        list.insertBefore(item.nextElementSibling, item);
+      }
+      renumber();
+    });
+
+    renumber();
+    voteBtn.disabled = false;
+
+    voteBtn.addEventListener('click', async () => {
+      const ranking = [...list.querySelectorAll('.ranked-ballot-item')].map((item) => item.dataset.optionId);
+      if (state.changingVote) {
+        await this.changeVote(state.currentPoll.id, ranking);
+      } else {
+        await this.submitVote(state.currentPoll.id, ranking);
+      }
+    });
+  },
+
+  setupOptionHandlers(initialSelection = []) {
+    const poll = state.currentPoll;
     const options = document.querySelectorAll('.poll-option');
-    const voteBtn = ui.$('btn-vote');
-    let selectedOption = null;
+    const voteBtn = document.getElementById('btn-vote');
+    const isApproval = poll.voting_mode === 'approval';
+    const min = isApproval ? poll.min_selections || 1 : 1;
+    const max = isApproval ? poll.max_selections || poll.options.length : 1;
+    let selectedOptions = [...initialSelection];
+
+    options.forEach((option) => {
+      option.classList.toggle('selected', selectedOptions.includes(option.dataset.optionId));
+    });
+    voteBtn.disabled = selectedOptions.length < min;
 
     options.forEach((option) => {
       option.addEventListener('click', () => {
-        options.forEach((o) => o.classList.remove('selected'));
-        option.classList.add('selected');
-        selectedOption = option.dataset.optionId;
-        voteBtn.disabled = false;
+        const optionId = option.dataset.optionId;
+
+        if (!isApproval) {
+          // Radio behaviour: the new pick replaces the old one
+          options.forEach((o) => o.classList.remove('selected'));
+          selectedOptions = [optionId];
+          option.classList.add('selected');
+        } else if (selectedOptions.includes(optionId)) {
+          // Checkbox behaviour: toggle, up to the poll's maximum
+          selectedOptions = selectedOptions.filter((id) => id !== optionId);
+          option.classList.remove('selected');
+        } else if (selectedOptions.length >= max) {
+          toast.warning(`You can select at most ${max} options`);
+          return;
+        } else {
+          selectedOptions.push(optionId);
+          option.classList.add('selected');
+        }
+
+        voteBtn.disabled = selectedOptions.length < min;
       });
     });
 
     voteBtn.addEventListener('click', async () => {
-      if (!selectedOption) return;
-      await this.submitVote(state.currentPoll.id, selectedOption);
+      if (selectedOptions.length < min) return;
+      if (state.changingVote) {
+        await this.changeVote(poll.id, [...selectedOptions]);
+      } else {
+        await this.submitVote(poll.id, [...selectedOptions]);
+      }
     });
   },
 
-  async submitVote(pollId, optionId) {
-    const voteBtn = ui.$('btn-vote');
+  async submitVote(pollId, optionIds) {
+    const voteBtn = document.getElementById('btn-vote');
     const btnText = voteBtn.querySelector('.btn-text');
     const btnLoading = voteBtn.querySelector('.btn-loading');
 
@@ -961,26 +1830,34 @@ const polls = {
     try {
       const fingerprint = await this.getFingerprint();
 
-      this.updateVoteCountOptimistic(optionId, 1);
+      // Only the first preference moves a ranked poll's bars
+      const counted = state.currentPoll.voting_mode === 'ranked' ? optionIds.slice(0, 1) : optionIds;
+      this.updateVoteCountOptimistic(counted, 1);
 
-      const response = await api.polls.vote(pollId, optionId, fingerprint);
+      const response = await api.polls.vote(pollId, optionIds, fingerprint);
 
-      storage.setVotedPoll(pollId, optionId);
-
-      this.updateVoteCountFromResponse(optionId, response.data);
+      storage.setVotedPoll(this.getVoteKey(state.currentPoll), optionIds);
 
       toast.success('Your vote has been recorded!');
 
-      this.renderPollDetail(state.currentPoll);
+      this.showUpdatedResults(pollId, response.data);
     } catch (error) {
       console.error('Failed to vote:', error);
 
-      this.updateVoteCountOptimistic(optionId, -1);
+      const counted = state.currentPoll.voting_mode === 'ranked' ? optionIds.slice(0, 1) : optionIds;
+      this.updateVoteCountOptimistic(counted, -1);
 
       if (error.message && error.message.includes('already voted')) {
-        storage.setVotedPoll(pollId, optionId);
+        storage.setVotedPoll(this.getVoteKey(state.currentPoll), optionIds);
         toast.warning('You have already voted on this poll');
         this.renderPollDetail(state.currentPoll);
+      } else if (error.code === 'AUTH_REQUIRED') {
+        toast.warning('Please sign in to vote on this poll');
+        this.renderPollDetail(state.currentPoll);
+      } else if (error.code === 'POLL_CLOSED' || error.code === 'POLL_NOT_OPEN') {
+        // Our copy of the window is stale, so reload it from the server
+        toast.warning(error.message);
+        this.loadPollDetail(pollId);
       } else {
         toast.error(error.message || 'Failed to submit vote');
         voteBtn.disabled = false;
@@ -991,45 +1868,158 @@ const polls = {
     }
   },
 
-  updateVoteCountOptimistic(optionId, delta) {
-    if (!state.currentPoll) return;
+  async changeVote(pollId, optionIds) {
+    const voteBtn = document.getElementById('btn-vote');
+    const btnText = voteBtn.querySelector('.btn-text');
+    const btnLoading = voteBtn.querySelector('.btn-loading');
 
-    const option = state.currentPoll.options.find((o) => o.id === optionId);
-    if (option) {
-      option.vote_count += delta;
-      state.currentPoll.total_votes += delta;
+    voteBtn.disabled = true;
+    btnText.classList.add('hidden');
+    btnLoading.classList.remove('hidden');
+
+    try {
+      const fingerprint = await this.getFingerprint();
+      const response = await api.polls.changeVote(pollId, optionIds, fingerprint);
+
+      storage.setVotedPoll(this.getVoteKey(state.currentPoll), optionIds);
+      state.changingVote = false;
+
+      toast.success('Your vote has been updated');
+      this.showUpdatedResults(pollId, response.data);
+    } catch (error) {
+      console.error('Failed to change vote:', error);
+      this.handleVoteChangeError(pollId, error, 'Failed to change vote');
+
+      if (state.changingVote) {
+        voteBtn.disabled = false;
+        btnText.classList.remove('hidden');
+        btnLoading.classList.add('hidden');
+      }
     }
+  },
 
-    const optionEl = document.querySelector(`.poll-option[data-option-id="${optionId}"]`);
-    if (optionEl) {
-      const totalVotes = state.currentPoll.total_votes;
+  async retractVote(pollId) {
+    if (!confirm('Retract your vote? You can vote again while the poll is open.')) return;
 
-      state.currentPoll.options.forEach((opt) => {
-        const el = document.querySelector(`.poll-option[data-option-id="${opt.id}"]`);
-        if (el) {
-          const pct = totalVotes > 0 ? Math.round((opt.vote_count / totalVotes) * 100) : 0;
-          const cEl = el.querySelector('.poll-option-count');
-          const bEl = el.querySelector('.poll-option-bar-fill');
-          if (cEl) cEl.textContent = `${opt.vote_count} (${pct}%)`;
-          if (bEl) bEl.style.width = `${pct}%`;
-        }
-      });
+    try {
+      const fingerprint = await this.getFingerprint();
+      const response = await api.polls.retractVote(pollId, fingerprint);
+
+      storage.clearVotedPoll(this.getVoteKey(state.currentPoll));
 
-      const totalEl = document.querySelector('.poll-total-votes');
-      if (totalEl) totalEl.textContent = `${totalVotes} total votes`;
+      toast.success('Your vote has been retracted');
+      this.showUpdatedResults(pollId, response.data);
+    } catch (error) {
+      console.error('Failed to retract vote:', error);
+      this.handleVoteChangeError(pollId, error, 'Failed to retract vote');
     }
   },
 
-  updateVoteCountFromResponse(optionId, data) {
-    if (!state.currentPoll || !data) return;
+  // Voting can change whether results are visible, so hidden or newly
+  // hidden polls are reloaded (and the live feed re-checks access)
+  showUpdatedResults(pollId, data) {
+    if (state.currentPoll.results_hidden || !data.new_vote_counts) {
+      live.disconnect();
+      this.loadPollDetail(pollId);
+      return;
+    }
 
-    const option = state.currentPoll.options.find((o) => o.id === optionId);
-    if (option) {
-      option.vote_count = data.new_vote_count;
-      state.currentPoll.total_votes = data.new_total_votes;
+    this.updateVoteCountFromResponse(data);
+    this.renderPollDetail(state.currentPoll);
+  },
+
+  handleVoteChangeError(pollId, error, fallback) {
+    if (error.code === 'NOT_VOTED') {
+      // The server has no vote from us, so our local record is stale
+      storage.clearVotedPoll(this.getVoteKey(state.currentPoll));
+      state.changingVote = false;
+      toast.warning(error.message);
+      this.renderPollDetail(state.currentPoll);
+    } else if (['POLL_CLOSED', 'POLL_NOT_OPEN', 'VOTE_CHANGES_DISABLED'].includes(error.code)) {
+      toast.warning(error.message);
+      this.loadPollDetail(pollId);
+    } else {
+      toast.error(error.message || fallback);
     }
   },
 
+  updateVoteCountOptimistic(optionIds, delta) {
+    if (!state.currentPoll || state.currentPoll.results_hidden) return;
+
+    const options = state.currentPoll.options.filter((o) => optionIds.includes(o.id));
+    if (options.length === 0) return;
+
+    options.forEach((option) => {
+      option.vote_count += delta;
+    });
+    state.currentPoll.total_votes += delta;
+    state.currentPoll.total_selections = (state.currentPoll.total_selections || 0) + delta * options.length;
+
+    this.refreshVoteBars();
+  },
+
+  // Re-draw counts and bar widths in place so the CSS transition animates them
+  refreshVoteBars() {
+    const totalVotes = state.currentPoll.total_votes;
+
+    state.currentPoll.options.forEach((opt) => {
+      const el = document.querySelector(`.poll-option[data-option-id="${opt.id}"]`);
+      if (el) {
+        const pct = totalVotes > 0 ? Math.round((opt.vote_count / totalVotes) * 100) : 0;
+        const cEl = el.querySelector('.poll-option-count');
+        const bEl = el.querySelector('.poll-option-bar-fill');
+        if (cEl) cEl.textContent = `${opt.vote_count} (${pct}%)`;
+        if (bEl) bEl.style.width = `${pct}%`;
+      }
+    });
+
+    const totalEl = document.querySelector('.poll-total-votes');
+    if (totalEl) totalEl.innerHTML = this.formatTotals(state.currentPoll);
+  },
+
+  applyLiveVote(message) {
+    if (!state.currentPoll || state.currentPoll.id !== live.pollId) return;
+
+    // Counts from the server are absolute, so replaying our own vote is harmless
+    message.options.forEach(({ id, vote_count }) => {
+      const option = state.currentPoll.options.find((o) => o.id === id);
+      if (option) option.vote_count = vote_count;
+    });
+    state.currentPoll.total_votes = message.totalVotes;
+    state.currentPoll.total_selections = message.totalSelections;
+    this.refreshVoteBars();
+
+    if (message.rankedResults) {
+      state.currentPoll.ranked_results = message.rankedResults;
+      const resultsEl = document.getElementById('ranked-results');
+      if (resultsEl) resultsEl.innerHTML = this.renderRankedResults(state.currentPoll);
+    }
+
+    message.options.forEach(({ id }) => {
+      const optionEl = document.querySelector(`.poll-option[data-option-id="${id}"]`);
+      if (optionEl) {
+        optionEl.classList.remove('live-updated');
+        // Force a reflow so the highlight animation restarts
+        void optionEl.offsetWidth;
+        optionEl.classList.add('live-updated');
+      }
+    });
+  },
+
+  updateVoteCountFromResponse(data) {
+    if (!state.currentPoll || !data) return;
+
+    const counts = data.new_vote_counts || {};
+    Object.entries(counts).forEach(([optionId, voteCount]) => {
+      const option = state.currentPoll.options.find((o) => o.id === optionId);
+      if (option) {
+        option.vote_count = voteCount;
+      }
+    });
+    state.currentPoll.total_votes = data.new_total_votes;
+    state.currentPoll.total_selections = data.new_total_selections;
+  },
+
   async getFingerprint() {
     const cached = storage.getFingerprint();
     if (cached) {
@@ -1051,45 +2041,756 @@ const polls = {
       fingerprint = await this.generateSimpleFingerprint();
     }
 
-    storage.setFingerprint(fingerprint);
-    return fingerprint;
+    storage.setFingerprint(fingerprint);
+    return fingerprint;
+  },
+
+  async generateSimpleFingerprint() {
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    ctx.textBaseline = 'top';
+    ctx.font = '14px Arial';
+    ctx.fillText('fingerprint', 0, 0);
+
+    const components = [
+      navigator.userAgent,
+      navigator.language,
+      screen.width + 'x' + screen.height,
+      screen.colorDepth,
+      new Date().getTimezoneOffset(),
+      canvas.toDataURL(),
+      navigator.hardwareConcurrency || 'unknown',
+      navigator.platform,
+    ];
+
+    const str = components.join('|');
+
+    let hash = 0;
+    for (let i = 0; i < str.length; i++) {
+      const char = str.charCodeAt(i);
+      hash = ((hash << 5) - hash) + char;
+      hash = hash & hash;
+    }
+
+    return 'fp_' + Math.abs(hash).toString(16);
+  },
+
+  escapeHtml(str) {
+    if (!str) return '';
+    const div = document.createElement('div');
+    div.textContent = str;
+    return div.innerHTML;
+  },
+};
+
+// =============================================================================
+// Poll Schedule Module (open/close windows and countdowns)
+// =============================================================================
+
+const pollSchedule = {
+  timer: null,
+
+  init() {
+    this.timer = setInterval(() => this.tick(), 1000);
+  },
+
+  nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+  },
+
+  // Mirrors getPollStatus() on the server
+  getStatus(poll) {
+    const now = this.nowSeconds();
+    if (poll.closed_at || (poll.closes_at && now >= poll.closes_at)) {
+      return 'closed';
+    }
+    if (poll.opens_at && now < poll.opens_at) {
+      return 'scheduled';
+    }
+    return 'open';
+  },
+
+  renderBadge(poll) {
+    const status = this.getStatus(poll);
+
+    if (status === 'closed') {
+      return '<span class="status-badge closed">Closed</span>';
+    }
+
+    const target = status === 'scheduled' ? poll.opens_at : poll.closes_at;
+    if (!target) return '';
+
+    const label = status === 'scheduled' ? 'Opens in' : 'Closes in';
+    return `
+      <span class="status-badge ${status}" data-countdown-to="${target}" data-countdown-label="${label}">
+        ${label} ${this.formatRemaining(target - this.nowSeconds())}
+      </span>
+    `;
+  },
+
+  formatRemaining(seconds) {
+    const s = Math.max(0, seconds);
+    const days = Math.floor(s / 86400);
+    const hours = Math.floor((s % 86400) / 3600);
+    const minutes = Math.floor((s % 3600) / 60);
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    if (minutes > 0) return `${minutes}m ${s % 60}s`;
+    return `${s}s`;
+  },
+
+  tick() {
+    const now = this.nowSeconds();
+
+    document.querySelectorAll('[data-countdown-to]').forEach((el) => {
+      const remaining = Number(el.dataset.countdownTo) - now;
+      if (remaining > 0) {
+        el.textContent = `${el.dataset.countdownLabel} ${this.formatRemaining(remaining)}`;
+        return;
+      }
+
+      // The window just opened or closed: re-render whatever shows this poll
+      el.removeAttribute('data-countdown-to');
+      const holder = el.closest('[data-poll-id]');
+      if (!holder) return;
+
+      if (holder.classList.contains('poll-detail') && state.currentPoll) {
+        polls.renderPollDetail(state.currentPoll);
+        return;
+      }
+
+      const poll = [...state.polls, ...state.myPolls].find((p) => p.id === holder.dataset.pollId);
+      if (poll) {
+        el.outerHTML = this.renderBadge(poll);
+      }
+    });
+  },
+
+  // Unix seconds -> value for <input type="datetime-local"> in local time
+  toInputValue(timestamp) {
+    if (!timestamp) return '';
+    const date = new Date(timestamp * 1000);
+    const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+    return local.toISOString().slice(0, 16);
+  },
+
+  fromInputValue(value) {
+    return value ? Math.floor(new Date(value).getTime() / 1000) : null;
+  },
+};
+
+// =============================================================================
+// Live Updates Module (WebSocket subscription for the open poll)
+// =============================================================================
+
+const live = {
+  socket: null,
+  pollId: null,
+  retryTimer: null,
+  pingTimer: null,
+  retryDelay: 1000,
+
+  connect(pollId) {
+    if (this.pollId === pollId && this.socket) return;
+
+    this.disconnect();
+    this.pollId = pollId;
+    this.open();
+  },
+
+  async open() {
+    const pollId = this.pollId;
+    const wsBase = CONFIG.API_BASE_URL.replace(/^http/, 'ws');
+
+    // WebSockets can't carry headers, so identify the viewer in the query
+    // string; the server uses it to decide whether to send vote counts
+    const params = new URLSearchParams();
+    const fingerprint = storage.getFingerprint();
+    if (fingerprint) params.set('fingerprint', fingerprint);
+    const invite = storage.getInviteToken(pollId);
+    if (invite) params.set('invite', invite);
+    if (state.firebaseUser) {
+      const idToken = await firebaseAuth.getIdToken();
+      if (idToken) params.set('token', idToken);
+    }
+
+    // Switched polls, or another open() won the race, while fetching the token
+    if (this.pollId !== pollId || this.socket) return;
+
+    const query = params.toString();
+    const socket = new WebSocket(`${wsBase}/polls/${pollId}/live${query ? `?${query}` : ''}`);
+    this.socket = socket;
+
+    socket.addEventListener('open', () => {
+      this.retryDelay = 1000;
+      // Keep-alive, answered by the server without waking the poll engine
+      this.pingTimer = setInterval(() => socket.send('ping'), 30000);
+    });
+
+    socket.addEventListener('message', (event) => this.handleMessage(event.data));
+
+    socket.addEventListener('close', () => {
+      clearInterval(this.pingTimer);
+      if (this.socket !== socket) return;
+
+      // Reconnect with exponential backoff while the poll is still open
+      this.socket = null;
+      this.retryTimer = setTimeout(() => this.open(), this.retryDelay);
+      this.retryDelay = Math.min(this.retryDelay * 2, 30000);
+    });
+  },
+
+  disconnect() {
+    clearTimeout(this.retryTimer);
+    clearInterval(this.pingTimer);
+
+    const socket = this.socket;
+    this.socket = null;
+    this.pollId = null;
+    this.retryDelay = 1000;
+
+    if (socket) {
+      socket.close();
+    }
+  },
+
+  handleMessage(raw) {
+    if (raw === 'pong') return;
+
+    let message;
+    try {
+      message = JSON.parse(raw);
+    } catch {
+      return;
+    }
+
+    if (message.type === 'vote') {
+      polls.applyLiveVote(message);
+    } else if (message.type === 'options') {
+      polls.refreshPollDetail(this.pollId);
+    }
+  },
+};
+
+// =============================================================================
+// Timeline Module (vote timeline chart on the poll view)
+// =============================================================================
+
+const timeline = {
+  pollId: null,
+  interval: '', // '' lets the server pick
+  data: null,
+  fetchedAt: 0,
+  maxAge: 30000, // Re-renders within this window reuse the last response
+
+  async show(poll) {
+    const fresh = this.pollId === poll.id && this.data && Date.now() - this.fetchedAt < this.maxAge;
+    if (fresh) {
+      this.render(poll);
+      return;
+    }
+
+    if (this.pollId !== poll.id) {
+      this.interval = '';
+    }
+    this.pollId = poll.id;
+    this.data = null;
+    this.render(poll);
+
+    try {
+      const response = await api.polls.analytics(poll.id, { interval: this.interval });
+      if (this.pollId !== poll.id) return;
+      this.data = response.data;
+      this.fetchedAt = Date.now();
+      this.render(poll);
+    } catch (error) {
+      const pane = ui.$('poll-timeline-pane');
+      if (pane && this.pollId === poll.id) {
+        pane.innerHTML = `<p class="timeline-message">${polls.escapeHtml(error.message || 'Failed to load the timeline')}</p>`;
+      }
+    }
+  },
+
+  render(poll) {
+    const pane = ui.$('poll-timeline-pane');
+    if (!pane) return;
+
+    const intervals = [['', 'Auto'], ['minute', 'By minute'], ['hour', 'By hour'], ['day', 'By day']];
+    pane.innerHTML = `
+      <div class="timeline-controls">
+        <span class="timeline-caption">${poll.voting_mode === 'ranked' ? 'First preferences over time' : 'Votes over time'}</span>
+        <select id="timeline-interval" aria-label="Timeline interval">
+          ${intervals.map(([value, label]) => `<option value="${value}" ${value === this.interval ? 'selected' : ''}>${label}</option>`).join('')}
+        </select>
+      </div>
+      ${this.data ? this.renderChart(poll, this.data) : '<div class="timeline-message"><span class="spinner-small"></span></div>'}
+    `;
+
+    ui.$('timeline-interval').addEventListener('change', (e) => {
+      this.interval = e.target.value;
+      this.data = null;
+      this.fetchedAt = 0;
+      this.show(poll);
+    });
+  },
+
+  // Cumulative line per option as inline SVG; x is time, y is running total
+  renderChart(poll, data) {
+    const buckets = data.buckets;
+    if (buckets.length === 0) {
+      return '<p class="timeline-message">No votes recorded yet</p>';
+    }
+
+    const width = 600;
+    const height = 240;
+    const pad = { top: 12, right: 12, bottom: 28, left: 40 };
+    const start = buckets[0].start;
+    const end = buckets[buckets.length - 1].start + data.bucket_seconds;
+    const last = buckets[buckets.length - 1].totals;
+    const maxY = Math.max(1, ...Object.values(last));
+
+    const x = (t) => pad.left + ((t - start) / (end - start)) * (width - pad.left - pad.right);
+    const y = (v) => height - pad.bottom - (v / maxY) * (height - pad.top - pad.bottom);
+
+    const lines = poll.options.map((option, i) => {
+      const points = [[start, 0], ...buckets.map((b) => [b.start + data.bucket_seconds, b.totals[option.id] ?? 0])];
+      return `<polyline class="timeline-line series-${i % 6}" points="${points.map(([t, v]) => `${x(t).toFixed(1)},${y(v).toFixed(1)}`).join(' ')}"/>`;
+    }).join('');
+
+    const grid = [0, Math.round(maxY / 2), maxY].map((v) => `
+      <line class="timeline-grid" x1="${pad.left}" x2="${width - pad.right}" y1="${y(v)}" y2="${y(v)}"/>
+      <text class="timeline-axis" x="${pad.left - 6}" y="${y(v) + 4}" text-anchor="end">${v}</text>
+    `).join('');
+
+    const format = (t) => {
+      const date = new Date(t * 1000);
+      return data.interval === 'day'
+        ? date.toLocaleDateString()
+        : date.toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    };
+
+    return `
+      <svg class="timeline-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="Cumulative votes per option over time">
+        ${grid}
+        ${lines}
+        <text class="timeline-axis" x="${pad.left}" y="${height - 8}">${format(start)}</text>
+        <text class="timeline-axis" x="${width - pad.right}" y="${height - 8}" text-anchor="end">${format(end)}</text>
+      </svg>
+      <ul class="timeline-legend">
+        ${poll.options.map((option, i) => `
+          <li><span class="timeline-swatch series-${i % 6}"></span>${polls.escapeHtml(option.text)} <strong>${last[option.id] ?? 0}</strong></li>
+        `).join('')}
+      </ul>
+    `;
+  },
+};
+
+// =============================================================================
+// Flagged Votes Module (owner review queue on the poll view)
+// =============================================================================
+
+const flaggedVotes = {
+  pollId: null,
+  data: null,
+  selected: new Set(),
+  reviewing: false,
+
+  reasonLabels: {
+    ip_burst: 'Burst from one IP',
+    subnet_burst: 'Burst from one network',
+    fingerprint_rotation: 'Many devices on one IP',
+    rapid_repeat: 'Seconds after another vote',
+    regular_interval: 'Machine-regular timing',
+  },
+
+  async show(poll) {
+    if (this.pollId !== poll.id) {
+      this.selected.clear();
+    }
+    this.pollId = poll.id;
+    this.data = null;
+    this.render(poll);
+
+    try {
+      const response = await api.polls.flagged(poll.id);
+      if (this.pollId !== poll.id) return;
+      this.data = response;
+      // Drop selections for ballots someone else already reviewed
+      const listed = new Set(response.data.map((ballot) => ballot.ballot_id));
+      this.selected.forEach((id) => listed.has(id) || this.selected.delete(id));
+      this.render(poll);
+    } catch (error) {
+      const pane = ui.$('poll-flagged-pane');
+      if (pane && this.pollId === poll.id) {
+        pane.innerHTML = `<p class="timeline-message">${polls.escapeHtml(error.message || 'Failed to load flagged votes')}</p>`;
+      }
+    }
+  },
+
+  render(poll) {
+    const pane = ui.$('poll-flagged-pane');
+    if (!pane) return;
+
+    if (!this.data) {
+      pane.innerHTML = '<div class="timeline-message"><span class="spinner-small"></span></div>';
+      return;
+    }
+
+    const ballots = this.data.data;
+    if (ballots.length === 0) {
+      pane.innerHTML = '<p class="timeline-message">No flagged votes. Votes that look automated are held here for you to review.</p>';
+      return;
+    }
+
+    const optionText = new Map(poll.options.map((option) => [option.id, option.text]));
+    const allSelected = ballots.every((ballot) => this.selected.has(ballot.ballot_id));
+
+    pane.innerHTML = `
+      <div class="timeline-controls">
+        <span class="timeline-caption">
+          ${this.data.total} flagged ${this.data.total === 1 ? 'vote' : 'votes'} still counted in the results${this.data.total > ballots.length ? `, oldest ${ballots.length} shown` : ''}
+        </span>
+        <div class="flagged-actions">
+          <button id="btn-accept-flagged" class="btn btn-secondary" ${this.selected.size === 0 || this.reviewing ? 'disabled' : ''}>Accept</button>
+          <button id="btn-discard-flagged" class="btn btn-danger" ${this.selected.size === 0 || this.reviewing ? 'disabled' : ''}>Discard</button>
+        </div>
+      </div>
+      <table class="flagged-table">
+        <thead>
+          <tr>
+            <th><input type="checkbox" id="flagged-select-all" aria-label="Select all" ${allSelected ? 'checked' : ''}></th>
+            <th>Voted</th>
+            <th>Choice</th>
+            <th>Score</th>
+            <th>Signals</th>
+            <th>Source</th>
+          </tr>
+        </thead>
+        <tbody>
+          ${ballots.map((ballot) => `
+            <tr>
+              <td><input type="checkbox" class="flagged-select" data-ballot-id="${ballot.ballot_id}" aria-label="Select vote" ${this.selected.has(ballot.ballot_id) ? 'checked' : ''}></td>
+              <td>${new Date(ballot.voted_at * 1000).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', second: '2-digit' })}</td>
+              <td>${ballot.option_ids.map((id) => polls.escapeHtml(optionText.get(id) || 'Removed option')).join(poll.voting_mode === 'ranked' ? ' &gt; ' : ', ')}</td>
+              <td><span class="flagged-score">${ballot.suspicion_score}</span></td>
+              <td>${ballot.reasons.map((reason) => this.reasonLabels[reason] || reason).join('<br>')}</td>
+              <td class="flagged-source" title="Pseudonyms: matching values mean the same source">
+                IP ${ballot.ip.slice(0, 6)} · net ${ballot.subnet.slice(0, 6)}<br>
+                device ${ballot.fingerprint.slice(0, 6)}${ballot.signed_in ? ' · signed in' : ''}
+              </td>
+            </tr>
+          `).join('')}
+        </tbody>
+      </table>
+    `;
+
+    pane.querySelector('.flagged-table').addEventListener('change', (e) => {
+      const ids = e.target.id === 'flagged-select-all'
+        ? ballots.map((ballot) => ballot.ballot_id)
+        : [e.target.dataset.ballotId];
+      ids.forEach((id) => {
+        if (e.target.checked) {
+          this.selected.add(id);
+        } else {
+          this.selected.delete(id);
+        }
+      });
+      this.render(poll);
+    });
+
+    ui.$('btn-accept-flagged').addEventListener('click', () => this.review(poll, 'accept'));
+    ui.$('btn-discard-flagged').addEventListener('click', () => this.review(poll, 'discard'));
+  },
+
+  async review(poll, decision) {
+    const ballotIds = Array.from(this.selected);
+    if (ballotIds.length === 0 || this.reviewing) return;
+
+    const count = `${ballotIds.length} ${ballotIds.length === 1 ? 'vote' : 'votes'}`;
+    if (decision === 'discard' && !confirm(`Discard ${count}? They will be removed from the results.`)) return;
+
+    this.reviewing = true;
+    this.render(poll);
+    try {
+      const response = await api.polls.reviewFlagged(poll.id, decision, ballotIds);
+      this.selected.clear();
+      toast.success(`${response.data.reviewed} ${response.data.reviewed === 1 ? 'vote' : 'votes'} ${decision === 'discard' ? 'discarded' : 'accepted'}`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to review votes');
+    } finally {
+      this.reviewing = false;
+    }
+
+    // Re-renders the poll with the adjusted counts, which reloads this queue
+    await polls.refreshPollDetail(poll.id);
+  },
+};
+
+// =============================================================================
+// Invite Panel Module (owner's invite links for a private poll)
+// =============================================================================
+
+const invitePanel = {
+  pollId: null,
+  invites: null,
+  busy: false,
+
+  // The poll view re-renders on every live update, so the list is only
+  // fetched when a different poll is opened
+  async show(poll) {
+    if (this.pollId === poll.id && this.invites) {
+      this.render(poll);
+      return;
+    }
+
+    this.pollId = poll.id;
+    this.invites = null;
+    this.render(poll);
+
+    try {
+      const response = await api.polls.invites.list(poll.id);
+      if (this.pollId !== poll.id) return;
+      this.invites = response.data;
+      this.remember();
+      this.render(poll);
+    } catch (error) {
+      const container = ui.$('poll-invites');
+      if (container && this.pollId === poll.id) {
+        container.innerHTML = `<p class="timeline-message">${polls.escapeHtml(error.message || 'Failed to load invite links')}</p>`;
+      }
+    }
+  },
+
+  // The share button copies the oldest link still active
+  remember() {
+    storage.setInviteToken(this.pollId, this.invites[0]?.token || null);
+  },
+
+  render(poll) {
+    const container = ui.$('poll-invites');
+    if (!container) return;
+
+    if (!this.invites) {
+      container.innerHTML = '<div class="timeline-message"><span class="spinner-small"></span></div>';
+      return;
+    }
+
+    container.innerHTML = `
+      <div class="timeline-controls">
+        <span class="timeline-caption">
+          ${this.invites.length === 0
+            ? 'No active invite links. Only you can open this poll.'
+            : 'Anyone with one of these links can open and vote on this poll.'}
+        </span>
+        <button class="btn btn-secondary" data-action="create" ${this.busy ? 'disabled' : ''}>New link</button>
+      </div>
+      ${this.invites.length > 0 ? `
+        <ul class="invite-list">
+          ${this.invites.map((invite) => `
+            <li class="invite-item">
+              <code class="invite-token" title="${polls.escapeHtml(router.getPollUrl(poll.id, invite.token))}">…${polls.escapeHtml(invite.token.slice(-10))}</code>
+              <span class="invite-date">Created ${new Date(invite.created_at * 1000).toLocaleDateString()}</span>
+              <div class="invite-actions">
+                <button class="btn btn-secondary" data-action="copy" data-invite-id="${invite.id}">Copy</button>
+                <button class="btn btn-secondary" data-action="rotate" data-invite-id="${invite.id}" ${this.busy ? 'disabled' : ''}>Rotate</button>
+                <button class="btn btn-danger" data-action="revoke" data-invite-id="${invite.id}" ${this.busy ? 'disabled' : ''}>Revoke</button>
+              </div>
+            </li>
+          `).join('')}
+        </ul>
+      ` : ''}
+    `;
+
+    container.querySelectorAll('[data-action]').forEach((button) => {
+      button.addEventListener('click', () => this.handleAction(poll, button.dataset.action, button.dataset.inviteId));
+    });
+  },
+
+  async handleAction(poll, action, inviteId) {
+    if (action === 'copy') {
+      const invite = this.invites.find((item) => item.id === inviteId);
+      if (invite) polls.copyPollUrl(poll.id, invite.token);
+      return;
+    }
+
+    if (this.busy) return;
+    if (action === 'rotate' && !confirm('Replace this link? Anyone using the old one will lose access.')) return;
+    if (action === 'revoke' && !confirm('Revoke this link? Anyone using it will lose access.')) return;
+
+    this.busy = true;
+    this.render(poll);
+    try {
+      if (action === 'create') {
+        const response = await api.polls.invites.create(poll.id);
+        this.invites.push(response.data);
+        toast.success('Invite link created');
+      } else if (action === 'rotate') {
+        const response = await api.polls.invites.rotate(poll.id, inviteId);
+        this.invites = [...this.invites.filter((item) => item.id !== inviteId), response.data];
+        toast.success('Invite link replaced');
+      } else if (action === 'revoke') {
+        await api.polls.invites.revoke(poll.id, inviteId);
+        this.invites = this.invites.filter((item) => item.id !== inviteId);
+        toast.success('Invite link revoked');
+      }
+      this.remember();
+    } catch (error) {
+      toast.error(error.message || 'Failed to update invite links');
+    } finally {
+      this.busy = false;
+    }
+
+    if (this.pollId === poll.id) {
+      this.render(poll);
+    }
+  },
+};
+
+// =============================================================================
+// Tag Filter Module (chip bar above the poll list)
+// =============================================================================
+
+const tagFilter = {
+  tags: [],
+
+  async load() {
+    try {
+      const response = await api.tags.list();
+      this.tags = response.data || [];
+    } catch (error) {
+      console.error('Failed to load tags:', error);
+      this.tags = [];
+    }
+    this.render();
+  },
+
+  render() {
+    const bar = ui.$('tag-filter-bar');
+    const tags = [...this.tags];
+
+    // Keep the active tag visible even if it fell out of the top list
+    if (state.tagFilter && !tags.some((t) => t.tag === state.tagFilter)) {
+      tags.unshift({ tag: state.tagFilter, poll_count: null });
+    }
+
+    bar.classList.toggle('hidden', tags.length === 0);
+    bar.innerHTML = `
+      <button type="button" class="tag-chip ${state.tagFilter ? '' : 'active'}" data-tag="">All tags</button>
+      ${tags.map(({ tag, poll_count }) => `
+        <button type="button" class="tag-chip ${tag === state.tagFilter ? 'active' : ''}" data-tag="${polls.escapeHtml(tag)}">
+          #${polls.escapeHtml(tag)}${poll_count !== null ? ` <span class="tag-chip-count">${poll_count}</span>` : ''}
+        </button>
+      `).join('')}
+    `;
+  },
+
+  // Selecting the active tag again clears the filter
+  select(tag) {
+    state.tagFilter = tag && tag !== state.tagFilter ? tag : null;
+    if (state.currentSection !== 'poll-dashboard') {
+      router.navigateToDashboard();
+      ui.showSection('poll-dashboard');
+    }
+    polls.loadPolls();
+  },
+
+  // "Sprint Planning, team" -> ['Sprint Planning', 'team']; the API normalizes
+  parseInput(value) {
+    return [...new Set(value.split(',').map((tag) => tag.trim()).filter(Boolean))];
+  },
+
+  init() {
+    ui.$('tag-filter-bar').addEventListener('click', (e) => {
+      const chip = e.target.closest('.tag-chip');
+      if (chip) {
+        this.select(chip.dataset.tag);
+      }
+    });
+  },
+};
+
+// =============================================================================
+// Option List Module (option inputs shared by the create and edit forms)
+// =============================================================================
+
+const optionList = {
+  MIN_OPTIONS: 2,
+  MAX_OPTIONS: 10,
+
+  // Existing options keep their id on the row so edits can be matched up
+  createRow(option = {}) {
+    const row = document.createElement('div');
+    row.className = 'option-input';
+    if (option.id) {
+      row.dataset.optionId = option.id;
+    }
+    row.innerHTML = `
+      <span class="option-number"></span>
+      <input type="text" name="options[]" required maxlength="100" placeholder="Enter option">
+      <button type="button" class="btn-remove" aria-label="Remove option">
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+          <line x1="18" y1="6" x2="6" y2="18"/>
+          <line x1="6" y1="6" x2="18" y2="18"/>
+        </svg>
+      </button>
+    `;
+    row.querySelector('input').value = option.text || '';
+    return row;
+  },
+
+  render(container, options) {
+    container.innerHTML = '';
+    options.forEach((option) => container.appendChild(this.createRow(option)));
+    this.bindRemoveButtons(container);
   },
 
-  async generateSimpleFingerprint() {
-    const canvas = document.createElement('canvas');
-    const ctx = canvas.getContext('2d');
-    ctx.textBaseline = 'top';
-    ctx.font = '14px Arial';
-    ctx.fillText('fingerprint', 0, 0);
+  addRow(container) {
+    const optionCount = container.querySelectorAll('.option-input').length;
+    if (optionCount >= this.MAX_OPTIONS) {
+      toast.warning(`Maximum ${this.MAX_OPTIONS} options allowed`);
+      return;
+    }
 
-    const components = [
-      navigator.userAgent,
-      navigator.language,
-      screen.width + 'x' + screen.height,
-      screen.colorDepth,
-      new Date().getTimezoneOffset(),
-      canvas.toDataURL(),
-      navigator.hardwareConcurrency || 'unknown',
-      navigator.platform,
-    ];
+    const row = this.createRow();
+    container.appendChild(row);
+    this.bindRemoveButton(container, row.querySelector('.btn-remove'));
+    this.renumber(container);
+    row.querySelector('input').focus();
+  },
 
-    const str = components.join('|');
+  bindRemoveButtons(container) {
+    container.querySelectorAll('.btn-remove').forEach((btn) => this.bindRemoveButton(container, btn));
+    this.renumber(container);
+  },
 
-    let hash = 0;
-    for (let i = 0; i < str.length; i++) {
-      const char = str.charCodeAt(i);
-      hash = ((hash << 5) - hash) + char;
-      hash = hash & hash;
-    }
+  bindRemoveButton(container, removeBtn) {
+    removeBtn.addEventListener('click', () => {
+      const currentCount = container.querySelectorAll('.option-input').length;
+      if (currentCount > this.MIN_OPTIONS) {
+        removeBtn.closest('.option-input').remove();
+        this.renumber(container);
+      } else {
+        toast.warning(`Minimum ${this.MIN_OPTIONS} options required`);
+      }
+    });
+  },
 
-    return 'fp_' + Math.abs(hash).toString(16);
+  renumber(container) {
+    container.querySelectorAll('.option-input').forEach((row, index) => {
+      const numberSpan = row.querySelector('.option-number');
+      if (numberSpan) {
+        numberSpan.textContent = index + 1;
+      }
+    });
   },
 
-  escapeHtml(str) {
-    if (!str) return '';
-    const div = document.createElement('div');
-    div.textContent = str;
-    return div.innerHTML;
+  // [{ id?, text }] in display order; rows without an id are new options
+  read(container) {
+    return Array.from(container.querySelectorAll('.option-input')).map((row) => {
+      const text = row.querySelector('input').value.trim();
+      return row.dataset.optionId ? { id: row.dataset.optionId, text } : { text };
+    });
   },
 };
 
@@ -1101,71 +2802,23 @@ const createPoll = {
   init() {
     this.setupAddOptionButton();
     this.setupInitialRemoveButtons();
+    this.setupVotingModeSelect();
   },
 
-  setupInitialRemoveButtons() {
-    const optionsContainer = ui.$('poll-options');
-    const removeButtons = optionsContainer.querySelectorAll('.btn-remove');
-
-    removeButtons.forEach((removeBtn) => {
-      removeBtn.addEventListener('click', () => {
-        const currentCount = optionsContainer.querySelectorAll('.option-input').length;
-        if (currentCount > 2) {
-          removeBtn.closest('.option-input').remove();
-          this.updatePlaceholders();
-        } else {
-          toast.warning('Minimum 2 options required');
-        }
-      });
+  setupVotingModeSelect() {
+    const select = ui.$('poll-voting-mode');
+    select.addEventListener('change', () => {
+      ui.$('poll-selection-limits').classList.toggle('hidden', select.value !== 'approval');
     });
   },
 
-  setupAddOptionButton() {
-    const addBtn = ui.$('btn-add-option');
-    const optionsContainer = ui.$('poll-options');
-
-    addBtn.addEventListener('click', () => {
-      const optionCount = optionsContainer.querySelectorAll('.option-input').length;
-      if (optionCount >= 10) {
-        toast.warning('Maximum 10 options allowed');
-        return;
-      }
-
-      const optionDiv = document.createElement('div');
-      optionDiv.className = 'option-input';
-      optionDiv.innerHTML = `
-        <span class="option-number">${optionCount + 1}</span>
-        <input type="text" name="options[]" required maxlength="100" placeholder="Enter option">
-        <button type="button" class="btn-remove" aria-label="Remove option">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <line x1="18" y1="6" x2="6" y2="18"/>
-            <line x1="6" y1="6" x2="18" y2="18"/>
-          </svg>
-        </button>
-      `;
-
-      optionsContainer.appendChild(optionDiv);
-
-      const removeBtn = optionDiv.querySelector('.btn-remove');
-      removeBtn.addEventListener('click', () => {
-        const currentCount = optionsContainer.querySelectorAll('.option-input').length;
-        if (currentCount > 2) {
-          optionDiv.remove();
-          this.updatePlaceholders();
-        } else {
-          toast.warning('Minimum 2 options required');
-        }
-      });
-    });
+  setupInitialRemoveButtons() {
+    optionList.bindRemoveButtons(ui.$('poll-options'));
   },
 
-  updatePlaceholders() {
-    const inputs = document.querySelectorAll('#poll-options .option-input');
-    inputs.forEach((input, index) => {
-      const numberSpan = input.querySelector('.option-number');
-      if (numberSpan) {
-        numberSpan.textContent = index + 1;
-      }
+  setupAddOptionButton() {
+    ui.$('btn-add-option').addEventListener('click', () => {
+      optionList.addRow(ui.$('poll-options'));
     });
   },
 
@@ -1177,6 +2830,7 @@ const createPoll = {
 
     const title = form.title.value.trim();
     const description = form.description.value.trim();
+    const tags = tagFilter.parseInput(form.tags.value);
     const optionInputs = form.querySelectorAll('input[name="options[]"]');
     const options = Array.from(optionInputs)
       .map((input) => input.value.trim())
@@ -1187,38 +2841,53 @@ const createPoll = {
       return;
     }
 
+    const opensAt = pollSchedule.fromInputValue(form.opens_at.value);
+    const closesAt = pollSchedule.fromInputValue(form.closes_at.value);
+
+    if (opensAt && closesAt && closesAt <= opensAt) {
+      ui.showFormError('create-poll', 'Closing time must be after opening time');
+      return;
+    }
+
+    const votingMode = form.voting_mode.value;
+    const selectionLimits = {};
+
+    if (votingMode === 'approval') {
+      const min = parseInt(form.min_selections.value, 10) || 1;
+      const max = parseInt(form.max_selections.value, 10) || options.length;
+
+      if (min > max || max > options.length) {
+        ui.showFormError('create-poll', `Picks must be between 1 and ${options.length}, with minimum not above maximum`);
+        return;
+      }
+
+      selectionLimits.min_selections = min;
+      selectionLimits.max_selections = max;
+    }
+
     ui.setFormLoading(form, true);
 
     try {
-      const response = await api.polls.create({ title, description, options });
+      const response = await api.polls.create({
+        title,
+        description,
+        options,
+        opens_at: opensAt,
+        closes_at: closesAt,
+        voting_mode: votingMode,
+        ...selectionLimits,
+        require_auth: form.require_auth.checked,
+        allow_vote_changes: form.allow_vote_changes.checked,
+        results_visibility: form.results_visibility.value,
+        visibility: form.visibility.value,
+        workspace_id: form.workspace_id.value || null,
+        tags,
+      });
       toast.success('Poll created successfully!');
       form.reset();
+      ui.$('poll-selection-limits').classList.add('hidden');
 
-      const optionsContainer = ui.$('poll-options');
-      optionsContainer.innerHTML = `
-        <div class="option-input">
-          <span class="option-number">1</span>
-          <input type="text" name="options[]" required maxlength="100" placeholder="Enter option">
-          <button type="button" class="btn-remove" aria-label="Remove option">
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <line x1="18" y1="6" x2="6" y2="18"/>
-              <line x1="6" y1="6" x2="18" y2="18"/>
-            </svg>
-          </button>
-        </div>
-        <div class="option-input">
-          <span class="option-number">2</span>
-          <input type="text" name="options[]" required maxlength="100" placeholder="Enter option">
-          <button type="button" class="btn-remove" aria-label="Remove option">
-            <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-              <line x1="18" y1="6" x2="6" y2="18"/>
-              <line x1="6" y1="6" x2="18" y2="18"/>
-            </svg>
-          </button>
-        </div>
-      `;
-
-      this.setupInitialRemoveButtons();
+      optionList.render(ui.$('poll-options'), [{ text: '' }, { text: '' }]);
 
       const newPollId = response.data.id;
       await polls.loadPollDetail(newPollId);
@@ -1239,10 +2908,22 @@ const createPoll = {
 // =============================================================================
 
 const editPoll = {
+  poll: null,
+
   show(poll) {
     ui.$('edit-poll-id').value = poll.id;
     ui.$('edit-poll-title').value = poll.title;
     ui.$('edit-poll-description').value = poll.description || '';
+    ui.$('edit-poll-tags').value = (poll.tags || []).join(', ');
+    ui.$('edit-poll-opens-at').value = pollSchedule.toInputValue(poll.opens_at);
+    ui.$('edit-poll-closes-at').value = pollSchedule.toInputValue(poll.closes_at);
+    ui.$('edit-poll-allow-vote-changes').checked = !!poll.allow_vote_changes;
+    ui.$('edit-poll-results-visibility').value = poll.results_visibility || 'always';
+    ui.$('edit-poll-visibility').value = poll.visibility || 'public';
+    workspaces.fillPicker('edit-poll', poll.workspace_id);
+    ui.$('edit-poll-workspace').disabled = !permissions.can(poll, 'delete');
+    optionList.render(ui.$('edit-poll-options'), poll.options || []);
+    this.poll = poll;
     ui.hideFormError('edit-poll');
     ui.showSection('edit-poll-section');
   },
@@ -1262,12 +2943,54 @@ const editPoll = {
       return;
     }
 
+    const update = {
+      title,
+      description,
+      allow_vote_changes: form.allow_vote_changes.checked,
+      results_visibility: form.results_visibility.value,
+      visibility: form.visibility.value,
+    };
+
+    // Only send the window if it was touched, the inputs drop the seconds
+    const original = this.poll || {};
+    if (form.opens_at.value !== pollSchedule.toInputValue(original.opens_at)) {
+      update.opens_at = pollSchedule.fromInputValue(form.opens_at.value);
+    }
+    if (form.closes_at.value !== pollSchedule.toInputValue(original.closes_at)) {
+      update.closes_at = pollSchedule.fromInputValue(form.closes_at.value);
+    }
+
+    const options = optionList.read(ui.$('edit-poll-options'));
+    if (options.some((option) => !option.text)) {
+      ui.showFormError('edit-poll', 'Options cannot be empty');
+      return;
+    }
+    if (this.optionsChanged(original.options || [], options)) {
+      update.options = options;
+    }
+
+    const tags = tagFilter.parseInput(form.tags.value);
+    if (tags.join(',') !== (original.tags || []).join(',')) {
+      update.tags = tags;
+    }
+
+    // Moving needs more rights than editing, so only send a real move
+    const workspaceId = form.workspace_id.value || null;
+    if (workspaceId !== (original.workspace_id || null)) {
+      update.workspace_id = workspaceId;
+    }
+
     ui.setFormLoading(form, true);
 
     try {
-      await api.polls.update(pollId, { title, description });
+      await this.save(pollId, update);
       toast.success('Poll updated successfully!');
 
+      // Making the poll private may have issued its first invite link
+      if (update.visibility !== original.visibility) {
+        invitePanel.pollId = null;
+      }
+
       // Reload the poll detail
       await polls.loadPollDetail(pollId);
     } catch (error) {
@@ -1276,6 +2999,23 @@ const editPoll = {
     }
   },
 
+  // Removing options that have votes needs an explicit go-ahead
+  async save(pollId, update) {
+    try {
+      await api.polls.update(pollId, update);
+    } catch (error) {
+      if (error.code !== 'OPTION_HAS_VOTES' || !confirm(error.message)) {
+        throw error;
+      }
+      await api.polls.update(pollId, { ...update, confirm_remove_voted: true });
+    }
+  },
+
+  optionsChanged(original, edited) {
+    if (original.length !== edited.length) return true;
+    return edited.some((option, i) => option.id !== original[i].id || option.text !== original[i].text);
+  },
+
   cancel() {
     if (state.currentPoll) {
       polls.loadPollDetail(state.currentPoll.id);
@@ -1285,6 +3025,351 @@ const editPoll = {
   },
 };
 
+// =============================================================================
+// Permissions Module (mirrors src/utils/permissions.ts to show the right controls)
+// =============================================================================
+
+const permissions = {
+  pollPermissions: {
+    creator: ['view', 'manage', 'delete'],
+    owner: ['view', 'manage', 'delete'],
+    editor: ['view', 'manage'],
+    viewer: ['view'],
+  },
+
+  // 'creator', the user's role in the poll's workspace, or null
+  roleFor(poll) {
+    if (!state.user) return null;
+    if (poll.user_id === state.user.id) return 'creator';
+    const workspace = state.workspaces.find((ws) => ws.id === poll.workspace_id);
+    return workspace ? workspace.role : null;
+  },
+
+  can(poll, permission) {
+    const role = this.roleFor(poll);
+    return role !== null && this.pollPermissions[role].includes(permission);
+  },
+};
+
+// =============================================================================
+// Workspaces Module (switcher next to the My Polls tab)
+// =============================================================================
+
+const workspaces = {
+  async load() {
+    try {
+      const response = await api.workspaces.list();
+      state.workspaces = response.data || [];
+    } catch (error) {
+      console.error('Failed to load workspaces:', error);
+      state.workspaces = [];
+    }
+
+    if (!this.current()) {
+      state.currentWorkspace = null;
+    }
+    this.renderSwitcher();
+  },
+
+  current() {
+    return state.workspaces.find((ws) => ws.id === state.currentWorkspace) || null;
+  },
+
+  renderSwitcher() {
+    const switcher = ui.$('workspace-switcher');
+    switcher.innerHTML = `
+      <option value="">My own polls</option>
+      ${state.workspaces.map((ws) => `<option value="${ws.id}">${polls.escapeHtml(ws.name)}</option>`).join('')}
+      <option value="new">New workspace…</option>
+    `;
+    switcher.value = state.currentWorkspace || '';
+  },
+
+  async select(value) {
+    if (value === 'new') {
+      await this.create();
+      return;
+    }
+
+    state.currentWorkspace = value || null;
+    state.currentTab = 'my';
+    ui.updateTabState();
+    ui.showSection('poll-dashboard');
+    polls.loadPolls();
+  },
+
+  async create() {
+    const name = prompt('Name the new workspace')?.trim();
+    if (!name) {
+      this.renderSwitcher();
+      return;
+    }
+
+    try {
+      const response = await api.workspaces.create(name);
+      toast.success('Workspace created');
+      await this.load();
+      ui.$('workspace-switcher').value = response.data.id;
+      await this.select(response.data.id);
+    } catch (error) {
+      toast.error(error.message || 'Failed to create workspace');
+      this.renderSwitcher();
+    }
+  },
+
+  // Fill a poll form's workspace picker with the workspaces the user can
+  // add polls to, keeping the poll's current one even if they can't
+  fillPicker(prefix, selectedId) {
+    const choices = state.workspaces.filter((ws) => ws.role !== 'viewer' || ws.id === selectedId);
+    const unknown = selectedId && !choices.some((ws) => ws.id === selectedId);
+    const select = ui.$(`${prefix}-workspace`);
+
+    select.innerHTML = `
+      <option value="">None, a personal poll</option>
+      ${choices.map((ws) => `<option value="${ws.id}">${polls.escapeHtml(ws.name)}</option>`).join('')}
+      ${unknown ? `<option value="${selectedId}">A workspace you are not in</option>` : ''}
+    `;
+    select.value = selectedId || '';
+    ui.$(`${prefix}-workspace-group`).classList.toggle('hidden', choices.length === 0 && !unknown);
+  },
+};
+
+// =============================================================================
+// Workspace Members Modal Module
+// =============================================================================
+
+const workspaceMembers = {
+  members: [],
+  roles: ['owner', 'editor', 'viewer'],
+
+  async show() {
+    const workspace = workspaces.current();
+    if (!workspace) return;
+
+    ui.$('workspace-modal-title').textContent = `${workspace.name} members`;
+    ui.$('workspace-member-form').classList.toggle('hidden', workspace.role !== 'owner');
+    ui.$('workspace-member-list').innerHTML = '<li class="timeline-message"><span class="spinner-small"></span></li>';
+    ui.$('workspace-modal').classList.remove('hidden');
+    await this.load(workspace);
+  },
+
+  hide() {
+    ui.$('workspace-modal').classList.add('hidden');
+  },
+
+  async load(workspace) {
+    try {
+      const response = await api.workspaces.members(workspace.id);
+      this.members = response.data || [];
+      this.render(workspace);
+    } catch (error) {
+      ui.$('workspace-member-list').innerHTML =
+        `<li class="timeline-message">${polls.escapeHtml(error.message || 'Failed to load members')}</li>`;
+    }
+  },
+
+  isMe(member) {
+    return Boolean(state.user) && member.email === (state.user.email || '').toLowerCase();
+  },
+
+  render(workspace) {
+    const isOwner = workspace.role === 'owner';
+    const list = ui.$('workspace-member-list');
+
+    list.innerHTML = this.members.map((member) => `
+      <li class="workspace-member" data-member-id="${member.id}">
+        <span class="workspace-member-name">
+          ${polls.escapeHtml(member.display_name || member.email)}
+          <small>${member.display_name ? polls.escapeHtml(member.email) : ''}${member.user_id ? '' : 'Not signed in yet'}</small>
+        </span>
+        ${isOwner ? `
+          <select class="workspace-member-role" aria-label="Role">
+            ${this.roles.map((role) => `<option value="${role}" ${role === member.role ? 'selected' : ''}>${role}</option>`).join('')}
+          </select>
+        ` : `<span class="workspace-member-role-label">${member.role}</span>`}
+        ${isOwner || this.isMe(member) ? `
+          <button class="btn btn-secondary workspace-member-remove">${this.isMe(member) ? 'Leave' : 'Remove'}</button>
+        ` : ''}
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.workspace-member').forEach((item) => {
+      const member = this.members.find((m) => m.id === item.dataset.memberId);
+      item.querySelector('.workspace-member-role')?.addEventListener('change', (e) => this.changeRole(workspace, member, e.target.value));
+      item.querySelector('.workspace-member-remove')?.addEventListener('click', () => this.remove(workspace, member));
+    });
+  },
+
+  async changeRole(workspace, member, role) {
+    try {
+      await api.workspaces.updateMember(workspace.id, member.id, role);
+      toast.success('Role updated');
+      if (this.isMe(member)) {
+        await workspaces.load();
+        ui.updateTabState();
+        this.show();
+        return;
+      }
+    } catch (error) {
+      toast.error(error.message || 'Failed to update role');
+    }
+    await this.load(workspace);
+  },
+
+  async remove(workspace, member) {
+    const leaving = this.isMe(member);
+    const question = leaving
+      ? `Leave ${workspace.name}? You will lose access to its polls.`
+      : `Remove ${member.email} from ${workspace.name}?`;
+    if (!confirm(question)) return;
+
+    try {
+      await api.workspaces.removeMember(workspace.id, member.id);
+      toast.success(leaving ? 'You left the workspace' : 'Member removed');
+    } catch (error) {
+      toast.error(error.message || 'Failed to remove member');
+      return;
+    }
+
+    if (leaving) {
+      this.hide();
+      await workspaces.load();
+      workspaces.select('');
+    } else {
+      await this.load(workspace);
+    }
+  },
+
+  async add(event) {
+    event.preventDefault();
+    const workspace = workspaces.current();
+    const form = event.target;
+    if (!workspace) return;
+
+    try {
+      await api.workspaces.addMember(workspace.id, form.email.value.trim(), form.role.value);
+      toast.success('Member added');
+      form.reset();
+      await this.load(workspace);
+    } catch (error) {
+      toast.error(error.message || 'Failed to add member');
+    }
+  },
+};
+
+// =============================================================================
+// API Keys Module (settings screen)
+// =============================================================================
+
+const apiKeys = {
+  keys: [],
+
+  async show() {
+    ui.$('api-key-created').classList.add('hidden');
+    ui.$('api-key-error').classList.add('hidden');
+    ui.showSection('settings-section');
+    await this.load();
+  },
+
+  async load() {
+    const list = ui.$('api-key-list');
+    list.innerHTML = '<li class="timeline-message"><span class="spinner-small"></span></li>';
+
+    try {
+      const response = await api.keys.list();
+      this.keys = response.data || [];
+      this.render();
+    } catch (error) {
+      list.innerHTML = `<li class="timeline-message">${polls.escapeHtml(error.message || 'Failed to load API keys')}</li>`;
+    }
+  },
+
+  describe(key) {
+    const date = (seconds) => new Date(seconds * 1000).toLocaleDateString();
+    const parts = [`Created ${date(key.created_at)}`];
+    parts.push(key.last_used_at ? `last used ${date(key.last_used_at)}` : 'never used');
+    if (key.expires_at) {
+      parts.push(`${key.expires_at * 1000 <= Date.now() ? 'expired' : 'expires'} ${date(key.expires_at)}`);
+    }
+    return parts.join(', ');
+  },
+
+  render() {
+    const list = ui.$('api-key-list');
+
+    if (this.keys.length === 0) {
+      list.innerHTML = '<li class="timeline-message">No API keys yet</li>';
+      return;
+    }
+
+    list.innerHTML = this.keys.map((key) => `
+      <li class="api-key-item" data-key-id="${key.id}">
+        <span class="api-key-name">
+          ${polls.escapeHtml(key.name)} <code>${polls.escapeHtml(key.prefix)}…</code>
+          <small>${key.scopes.join(', ')}</small>
+          <small>${this.describe(key)}</small>
+        </span>
+        <button class="btn btn-secondary api-key-revoke">Revoke</button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.api-key-item').forEach((item) => {
+      const key = this.keys.find((k) => k.id === item.dataset.keyId);
+      item.querySelector('.api-key-revoke').addEventListener('click', () => this.revoke(key));
+    });
+  },
+
+  async create(event) {
+    event.preventDefault();
+    const form = event.target;
+    const errorDiv = ui.$('api-key-error');
+    const scopes = Array.from(form.querySelectorAll('input[name="scopes"]:checked'), (input) => input.value);
+
+    if (scopes.length === 0) {
+      errorDiv.textContent = 'Pick at least one scope';
+      errorDiv.classList.remove('hidden');
+      return;
+    }
+
+    try {
+      const response = await api.keys.create({
+        name: form.name.value.trim(),
+        scopes,
+        expires_in_days: form.expires_in_days.value ? Number(form.expires_in_days.value) : null,
+      });
+      errorDiv.classList.add('hidden');
+      form.name.value = '';
+      ui.$('api-key-created-value').textContent = response.data.key;
+      ui.$('api-key-created').classList.remove('hidden');
+      await this.load();
+    } catch (error) {
+      errorDiv.textContent = error.message || 'Failed to create API key';
+      errorDiv.classList.remove('hidden');
+    }
+  },
+
+  async copy() {
+    try {
+      await navigator.clipboard.writeText(ui.$('api-key-created-value').textContent);
+      toast.success('API key copied');
+    } catch (error) {
+      toast.error('Failed to copy, select the key and copy it instead');
+    }
+  },
+
+  async revoke(key) {
+    if (!confirm(`Revoke "${key.name}"? Anything using it will stop working.`)) return;
+
+    try {
+      await api.keys.revoke(key.id);
+      toast.success('API key revoked');
+    } catch (error) {
+      toast.error(error.message || 'Failed to revoke API key');
+    }
+    await this.load();
+  },
+};
+
 // =============================================================================
 // Delete Modal Module
 // =============================================================================
@@ -1359,6 +3444,24 @@ const userMenu = {
 // =============================================================================
 
 function setupEventHandlers() {
+  // Poll list
+  polls.setupPollListHandlers();
+  polls.setupInfiniteScroll();
+  polls.setupSearch();
+  tagFilter.init();
+  ui.$('poll-sort').value = state.pollSort;
+  ui.$('poll-sort').addEventListener('change', (e) => {
+    state.pollSort = e.target.value;
+    polls.loadPolls();
+  });
+
+  // Workspaces
+  ui.$('workspace-switcher').addEventListener('change', (e) => workspaces.select(e.target.value));
+  ui.$('btn-workspace-members').addEventListener('click', () => workspaceMembers.show());
+  ui.$('btn-close-workspace-modal').addEventListener('click', () => workspaceMembers.hide());
+  ui.$('workspace-modal').querySelector('.modal-backdrop').addEventListener('click', () => workspaceMembers.hide());
+  ui.$('workspace-member-form').addEventListener('submit', (e) => workspaceMembers.add(e));
+
   // Tab navigation
   ui.$('nav-all-polls').addEventListener('click', () => {
     state.currentTab = 'all';
@@ -1388,12 +3491,19 @@ function setupEventHandlers() {
     firebaseAuth.signOut();
   });
 
+  // API keys
+  ui.$('btn-api-keys').addEventListener('click', () => apiKeys.show());
+  ui.$('btn-back-from-settings').addEventListener('click', () => ui.showSection('poll-dashboard'));
+  ui.$('api-key-form').addEventListener('submit', (e) => apiKeys.create(e));
+  ui.$('btn-copy-api-key').addEventListener('click', () => apiKeys.copy());
+
   // Create poll
   ui.$('btn-create-poll').addEventListener('click', () => {
     if (!state.user) {
       toast.warning('Please sign in to create a poll');
       return;
     }
+    workspaces.fillPicker('poll', state.currentTab === 'my' ? state.currentWorkspace : null);
     ui.showSection('create-poll-section');
   });
 
@@ -1426,6 +3536,7 @@ function setupEventHandlers() {
 
   ui.$('edit-poll-form').addEventListener('submit', (e) => editPoll.handleSubmit(e));
   ui.$('btn-cancel-edit').addEventListener('click', () => editPoll.cancel());
+  ui.$('btn-edit-add-option').addEventListener('click', () => optionList.addRow(ui.$('edit-poll-options')));
 
   // Delete modal
   ui.$('btn-cancel-delete').addEventListener('click', () => deleteModal.hide());
@@ -1445,6 +3556,7 @@ async function init() {
   toast.init();
   firebaseAuth.init();
   createPoll.init();
+  pollSchedule.init();
   userMenu.init();
   router.init();
 
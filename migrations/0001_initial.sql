@@ -1,4 +1,8 @@
--- Vote System Database Schema
+-- Vote System Database Schema, as first deployed from schema.sql
+--
+-- Kept exactly as it was, so a database created from schema.sql already
+-- matches it: every statement is IF NOT EXISTS and changes nothing there.
+-- Each change since is a later migration.
 
 -- Users table (Firebase Google OAuth)
 CREATE TABLE IF NOT EXISTS users (
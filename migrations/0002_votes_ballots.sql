@@ -0,0 +1,47 @@
+-- Votes become ballots: one row per selected option, rows from the same
+-- ballot sharing ballot_id, with a rank on ranked polls and the suspicion
+-- score VoteEngine gave the ballot.
+--
+-- The first schema's table-level UNIQUE(poll_id, ip_address, fingerprint)
+-- would reject every ballot with more than one option, and SQLite can't
+-- drop a table constraint, so the table is rebuilt without it. Duplicates
+-- are prevented by the partial unique indexes below instead. Existing rows
+-- keep ballot_id NULL: each was a single-option ballot of its own.
+
+CREATE TABLE votes_new (
+  id TEXT PRIMARY KEY,
+  ballot_id TEXT,
+  poll_id TEXT NOT NULL,
+  option_id TEXT NOT NULL,
+  rank INTEGER, -- preference position for ranked polls, NULL otherwise
+  user_id TEXT,
+  ip_address TEXT NOT NULL,
+  fingerprint TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  suspicion_score INTEGER NOT NULL DEFAULT 0, -- 0-100, scored by VoteEngine when cast
+  flag_reasons TEXT, -- comma-separated signals behind the score
+  flagged INTEGER NOT NULL DEFAULT 0, -- 1 = awaiting owner review
+  FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE,
+  FOREIGN KEY (option_id) REFERENCES options(id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(id)
+);
+
+INSERT INTO votes_new (id, poll_id, option_id, user_id, ip_address, fingerprint, created_at)
+SELECT id, poll_id, option_id, user_id, ip_address, fingerprint, created_at FROM votes;
+
+DROP TABLE votes;
+ALTER TABLE votes_new RENAME TO votes;
+
+-- Indexes went with the old table
+CREATE INDEX idx_votes_poll_id ON votes(poll_id);
+CREATE INDEX idx_votes_poll_created ON votes(poll_id, created_at);
+CREATE INDEX idx_votes_option_id ON votes(option_id);
+CREATE INDEX idx_votes_ballot_id ON votes(ballot_id);
+-- Owner review queue of flagged votes
+CREATE INDEX idx_votes_flagged ON votes(poll_id, created_at) WHERE flagged = 1;
+
+-- Signed-in votes are unique per account, anonymous ones per ip + fingerprint
+CREATE UNIQUE INDEX idx_votes_unique_user
+  ON votes(poll_id, user_id, option_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_votes_unique_anonymous
+  ON votes(poll_id, ip_address, fingerprint, option_id) WHERE user_id IS NULL;
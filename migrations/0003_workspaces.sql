@@ -0,0 +1,25 @@
+-- Team workspaces. Members manage the workspace's polls according to
+-- their role, alongside each poll's creator.
+CREATE TABLE workspaces (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  FOREIGN KEY (created_by) REFERENCES users(id)
+);
+
+-- Members are kept by lowercased email, so people can be added before
+-- they first sign in; their account is matched on email.
+CREATE TABLE workspace_members (
+  id TEXT PRIMARY KEY,
+  workspace_id TEXT NOT NULL,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL, -- 'owner', 'editor' or 'viewer'
+  invited_by TEXT,
+  created_at INTEGER NOT NULL,
+  UNIQUE (workspace_id, email),
+  FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+  FOREIGN KEY (invited_by) REFERENCES users(id)
+);
+
+CREATE INDEX idx_workspace_members_email ON workspace_members(email);
@@ -0,0 +1,25 @@
+-- Poll columns added since the first schema: voting modes, sign-in-only
+-- and changeable votes, result and poll visibility, the open/close window
+-- and the workspace a poll belongs to
+ALTER TABLE polls ADD COLUMN total_selections INTEGER DEFAULT 0;
+ALTER TABLE polls ADD COLUMN voting_mode TEXT NOT NULL DEFAULT 'single';
+ALTER TABLE polls ADD COLUMN min_selections INTEGER;
+ALTER TABLE polls ADD COLUMN max_selections INTEGER;
+ALTER TABLE polls ADD COLUMN require_auth INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE polls ADD COLUMN allow_vote_changes INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE polls ADD COLUMN results_visibility TEXT NOT NULL DEFAULT 'always';
+ALTER TABLE polls ADD COLUMN visibility TEXT NOT NULL DEFAULT 'public'; -- 'public', 'unlisted' or 'private'
+ALTER TABLE polls ADD COLUMN opens_at INTEGER;
+ALTER TABLE polls ADD COLUMN closes_at INTEGER;
+ALTER TABLE polls ADD COLUMN closed_at INTEGER;
+ALTER TABLE polls ADD COLUMN workspace_id TEXT REFERENCES workspaces(id); -- shared with the workspace's members when set
+
+-- Existing polls are single-choice, one selection per ballot
+UPDATE polls SET total_selections = total_votes;
+
+CREATE INDEX idx_polls_closes_at ON polls(closes_at);
+-- Keyset pagination orders for poll listings
+CREATE INDEX idx_polls_votes_page ON polls(total_votes DESC, created_at DESC, id DESC);
+CREATE INDEX idx_polls_newest_page ON polls(created_at DESC, id DESC);
+CREATE INDEX idx_polls_user_newest_page ON polls(user_id, created_at DESC, id DESC);
+CREATE INDEX idx_polls_workspace_newest_page ON polls(workspace_id, created_at DESC, id DESC);
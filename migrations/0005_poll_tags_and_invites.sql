@@ -0,0 +1,20 @@
+-- Poll tags, stored normalized (lowercase, hyphens for spaces)
+CREATE TABLE poll_tags (
+  poll_id TEXT NOT NULL,
+  tag TEXT NOT NULL,
+  PRIMARY KEY (poll_id, tag),
+  FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+);
+
+-- Invite links for private polls. The token handed out is the invite id
+-- signed with INVITE_SECRET; revoking sets revoked_at.
+CREATE TABLE poll_invites (
+  id TEXT PRIMARY KEY,
+  poll_id TEXT NOT NULL,
+  created_at INTEGER NOT NULL,
+  revoked_at INTEGER,
+  FOREIGN KEY (poll_id) REFERENCES polls(id) ON DELETE CASCADE
+);
+
+CREATE INDEX idx_poll_tags_tag ON poll_tags(tag);
+CREATE INDEX idx_poll_invites_poll_id ON poll_invites(poll_id);
@@ -0,0 +1,15 @@
+-- Full-text search over polls, one row per poll. Kept in sync by the
+-- poll write functions in src/utils/db.ts; options are newline-joined.
+CREATE VIRTUAL TABLE polls_fts USING fts5(
+  poll_id UNINDEXED,
+  title,
+  description,
+  options,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+-- Index the polls created before search existed
+INSERT INTO polls_fts (poll_id, title, description, options)
+SELECT id, title, COALESCE(description, ''),
+  COALESCE((SELECT group_concat(text, char(10)) FROM options WHERE poll_id = polls.id), '')
+FROM polls;
@@ -0,0 +1,195 @@
+/**
+ * Benchmark the cost of a vote as a poll's voter count grows
+ *
+ *   npm run bench:votes
+ *   VOTERS=20000 npm run bench:votes
+ *
+ * Runs the VoteEngine in Miniflare (the local workerd runtime wrangler
+ * uses, with real Durable Object storage and a local D1), casts VOTERS
+ * ballots (default 100000) from distinct voters on a single-choice poll
+ * and then on a ranked one, and prints the average time per vote for each
+ * tenth of them. Voters are separate storage entries and a ranked vote
+ * doesn't recount the runoff, so the last tenth should cost about what
+ * the first did. The ranked run then times a read of the runoff, counted
+ * from every voter's entry. The engine's alarm writes the audit rows to
+ * the local D1 behind the votes; each run waits for it to catch up and
+ * fails unless every ballot's rows are there.
+ * Miniflare and esbuild are installed with wrangler.
+ */
+
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import { Miniflare } from 'miniflare';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const voters = Number(process.env.VOTERS || 100_000);
+const STEPS = 10;
+const VOTES_PER_REQUEST = 500;
+const DRAIN_TIMEOUT_MS = 5 * 60_000;
+
+if (!Number.isInteger(voters) || voters < STEPS * VOTES_PER_REQUEST) {
+  console.error(`Set VOTERS to a whole number of at least ${STEPS * VOTES_PER_REQUEST}`);
+  process.exit(1);
+}
+
+// Sets up the schema once, then a poll per run, and casts a range of
+// ballots per request so the timings are the engine's rather than the
+// harness's. Ranked voters rank all three options, in one of six orders.
+const worker = `
+import { VoteEngine } from './src/durable-objects/VoteEngine';
+import { applyMigrations } from './src/utils/migrations';
+
+export { VoteEngine };
+
+const options = ['a', 'b', 'c'].map((id) => ({ id, text: id.toUpperCase() }));
+const rankings = [[0, 1, 2], [0, 2, 1], [1, 0, 2], [1, 2, 0], [2, 0, 1], [2, 1, 0]];
+
+async function call(env, pollId, body) {
+  const stub = env.VOTE_ENGINE.get(env.VOTE_ENGINE.idFromName(pollId));
+  const response = await stub.fetch('http://do/', { method: 'POST', body: JSON.stringify({ pollId, ...body }) });
+  return response.json();
+}
+
+function ballot(pollId, mode, i) {
+  const voter = { ipAddress: '10.' + ((i >> 16) & 255) + '.' + ((i >> 8) & 255) + '.' + (i & 255), fingerprint: 'bench-' + i };
+  if (mode === 'ranked') {
+    return { action: 'vote', optionIds: rankings[i % rankings.length].map((n) => pollId + '-' + options[n].id), ...voter };
+  }
+  return { action: 'vote', optionId: pollId + '-' + options[i % 2].id, ...voter };
+}
+
+export default {
+  async fetch(request, env) {
+    const url = new URL(request.url);
+    const pollId = url.searchParams.get('poll');
+    const mode = url.searchParams.get('mode');
+    if (url.pathname === '/migrate') {
+      const migrated = await applyMigrations(env.DB);
+      if (!migrated.ok) return Response.json(migrated, { status: 500 });
+      const now = Math.floor(Date.now() / 1000);
+      await env.DB.prepare("INSERT INTO users (id, email, google_uid, created_at, updated_at) VALUES ('bench', 'bench@example.com', 'bench', ?, ?)").bind(now, now).run();
+      return Response.json({ success: true });
+    }
+    if (url.pathname === '/setup') {
+      const pollOptions = options.map((o) => ({ id: pollId + '-' + o.id, text: o.text }));
+      await env.DB.batch([
+        env.DB.prepare("INSERT INTO polls (id, user_id, title, voting_mode, created_at) VALUES (?, 'bench', 'Benchmark', ?, ?)")
+          .bind(pollId, mode, Math.floor(Date.now() / 1000)),
+        ...pollOptions.map((o) => env.DB.prepare('INSERT INTO options (id, poll_id, text) VALUES (?, ?, ?)').bind(o.id, pollId, o.text)),
+      ]);
+      return Response.json(await call(env, pollId, { action: 'init', votingMode: mode, options: pollOptions.map((o) => ({ ...o, vote_count: 0 })) }));
+    }
+    if (url.pathname === '/vote') {
+      const from = Number(url.searchParams.get('from'));
+      const count = Number(url.searchParams.get('count'));
+      for (let i = from; i < from + count; i++) {
+        const result = await call(env, pollId, ballot(pollId, mode, i));
+        if (!result.success) return Response.json(result, { status: 500 });
+      }
+      return Response.json({ success: true });
+    }
+    if (url.pathname === '/rows') {
+      return Response.json(await env.DB.prepare('SELECT COUNT(DISTINCT ballot_id) AS count FROM votes WHERE poll_id = ?').bind(pollId).first());
+    }
+    if (url.pathname === '/revote') {
+      return Response.json(await call(env, pollId, ballot(pollId, mode, 0)));
+    }
+    return Response.json(await call(env, pollId, { action: 'getState' }));
+  },
+};
+`;
+
+const bundle = await build({
+  stdin: { contents: worker, resolveDir: root, sourcefile: 'bench-worker.js' },
+  bundle: true,
+  format: 'esm',
+  platform: 'browser',
+  loader: { '.sql': 'text' },
+  write: false,
+  logLevel: 'error',
+});
+
+const mf = new Miniflare({
+  modules: true,
+  script: bundle.outputFiles[0].text,
+  compatibilityDate: '2025-01-01',
+  durableObjects: { VOTE_ENGINE: 'VoteEngine' },
+  d1Databases: ['DB'],
+});
+
+async function request(path) {
+  const response = await mf.dispatchFetch(`http://bench${path}`);
+  const body = await response.json();
+  if (!response.ok || body.success === false) {
+    throw new Error(`${path}: ${JSON.stringify(body)}`);
+  }
+  return body;
+}
+
+async function run(mode) {
+  const poll = `bench-${mode}`;
+  const query = `poll=${poll}&mode=${mode}`;
+  await request(`/setup?${query}`);
+  console.log(`\nCasting ${voters} votes on a ${mode} poll\n`);
+  console.log('  voters so far     ms/vote');
+
+  const step = Math.floor(voters / STEPS);
+  const perVote = [];
+  for (let s = 0; s < STEPS; s++) {
+    const from = s * step;
+    const to = s === STEPS - 1 ? voters : from + step;
+    const started = performance.now();
+    for (let i = from; i < to; i += VOTES_PER_REQUEST) {
+      await request(`/vote?${query}&from=${i}&count=${Math.min(VOTES_PER_REQUEST, to - i)}`);
+    }
+    perVote.push((performance.now() - started) / (to - from));
+    console.log(`  ${`${from}-${to}`.padEnd(16)}  ${perVote[s].toFixed(3)}`);
+  }
+
+  const stateStarted = performance.now();
+  const state = await request(`/state?${query}`);
+  const stateMs = performance.now() - stateStarted;
+  if (state.data.totalVotes !== voters) {
+    throw new Error(`expected ${voters} votes, the engine has ${state.data.totalVotes}`);
+  }
+  if (mode === 'ranked') {
+    const [firstRound] = state.data.rankedResults?.rounds ?? [];
+    const counted = firstRound ? Object.values(firstRound.tallies).reduce((sum, n) => sum + n, 0) : 0;
+    if (counted !== voters) {
+      throw new Error(`expected ${voters} ballots in the runoff's first round, found ${counted}`);
+    }
+  }
+  const revote = await mf.dispatchFetch(`http://bench/revote?${query}`).then((r) => r.json());
+  if (!revote.data?.alreadyVoted) {
+    throw new Error('the first voter was allowed to vote again');
+  }
+
+  // The alarm flushes the outbox a batch at a time
+  const drainStarted = performance.now();
+  let outbox = state.data.auditOutbox;
+  while (outbox.depth + outbox.retrying > 0 && performance.now() - drainStarted < DRAIN_TIMEOUT_MS) {
+    await new Promise((resolve) => setTimeout(resolve, 1000));
+    outbox = (await request(`/state?${query}`)).data.auditOutbox;
+  }
+  const { depth, retrying, deadLetters } = outbox;
+  const rows = await request(`/rows?${query}`);
+  if (depth + retrying > 0 || deadLetters > 0 || rows.count !== voters) {
+    throw new Error(
+      `expected ${voters} ballots' votes rows in D1, found ${rows.count} (${depth} queued, ${retrying} retrying, ${deadLetters} dead letters)`
+    );
+  }
+
+  console.log(`\nLast tenth vs first: ${(perVote[STEPS - 1] / perVote[0]).toFixed(2)}x per vote`);
+  if (mode === 'ranked') {
+    console.log(`Reading the state with the runoff: ${stateMs.toFixed(0)}ms`);
+  }
+  console.log(`Ballots in D1: ${rows.count}, ${((performance.now() - drainStarted) / 1000).toFixed(1)}s after the last vote`);
+}
+
+try {
+  await request('/migrate');
+  await run('single');
+  await run('ranked');
+} finally {
+  await mf.dispose();
+}
@@ -0,0 +1,272 @@
+/**
+ * Checks that the migrations run, and the row types in src/types.ts
+ * against the schema they build
+ *
+ *   npm run db:check
+ *
+ * The migrations are applied with the worker's own runner to two local D1
+ * databases in Miniflare: an empty one, and one created from the baseline
+ * schema (0001 run directly, as the old schema.sql was) holding a few rows.
+ * Both must migrate cleanly, keep those rows and end up with the same
+ * tables, columns and indexes. Every *Row interface is then compared with
+ * PRAGMA table_info for its table: the same columns, number for INTEGER and
+ * string for TEXT, and null allowed exactly where the column allows it.
+ * Exits 1 listing each problem. Miniflare and esbuild are installed with
+ * wrangler.
+ */
+
+import { readdirSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { build } from 'esbuild';
+import { Miniflare } from 'miniflare';
+import ts from 'typescript';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const migrationsDir = `${root}migrations/`;
+const typesFile = `${root}src/types.ts`;
+
+// Row interface -> table it's read from. New row types must be added here.
+const ROW_TABLES = {
+  UserRow: 'users',
+  PollRow: 'polls',
+  PollInviteRow: 'poll_invites',
+  OptionRow: 'options',
+  VoteRow: 'votes',
+  ApiKeyRow: 'api_keys',
+  WebhookRow: 'webhooks',
+  WebhookDeliveryRow: 'webhook_deliveries',
+  WorkspaceRow: 'workspaces',
+  WorkspaceMemberRow: 'workspace_members',
+};
+
+// Rows written to the baseline database before migrating, as a deployment
+// created from schema.sql would have them
+const BASELINE_ROWS = [
+  "INSERT INTO users (id, email, google_uid, created_at, updated_at) VALUES ('u1', 'a@example.com', 'g1', 1, 1)",
+  "INSERT INTO polls (id, user_id, title, created_at, total_votes) VALUES ('p1', 'u1', 'Lunch', 1, 1)",
+  "INSERT INTO options (id, poll_id, text, vote_count) VALUES ('o1', 'p1', 'Soup', 1)",
+  "INSERT INTO options (id, poll_id, text, vote_count) VALUES ('o2', 'p1', 'Salad', 0)",
+  "INSERT INTO votes (id, poll_id, option_id, ip_address, fingerprint, created_at) VALUES ('v1', 'p1', 'o1', '192.0.2.1', 'fp', 1)",
+];
+
+const problems = [];
+
+// The worker's migration list and runner, bundled for Node
+async function loadMigrationsModule() {
+  const bundle = await build({
+    entryPoints: [`${root}src/utils/migrations.ts`],
+    bundle: true,
+    format: 'esm',
+    platform: 'neutral',
+    loader: { '.sql': 'text' },
+    write: false,
+    logLevel: 'error',
+  });
+  const source = Buffer.from(bundle.outputFiles[0].text).toString('base64');
+  return import(`data:text/javascript;base64,${source}`);
+}
+
+function checkMigrationFiles(migrations) {
+  const files = readdirSync(migrationsDir).filter((file) => file.endsWith('.sql')).sort();
+  const listed = new Map(migrations.map((m) => [m.version, m.name]));
+
+  files.forEach((file, i) => {
+    const match = file.match(/^(\d{4})_([a-z0-9_]+)\.sql$/);
+    if (!match) {
+      problems.push(`migrations/${file}: name it NNNN_description.sql`);
+      return;
+    }
+    const version = Number(match[1]);
+    if (version !== i + 1) {
+      problems.push(`migrations/${file}: expected version ${i + 1}, numbers must run on without gaps`);
+    }
+    if (listed.get(version) !== match[2]) {
+      problems.push(`migrations/${file}: not listed as { version: ${version}, name: '${match[2]}' } in src/utils/migrations.ts`);
+    }
+  });
+
+  for (const version of listed.keys()) {
+    if (!files.some((file) => file.startsWith(`${String(version).padStart(4, '0')}_`))) {
+      problems.push(`src/utils/migrations.ts: version ${version} has no file in migrations/`);
+    }
+  }
+}
+
+async function migrate(label, db, applyMigrations) {
+  const run = await applyMigrations(db);
+  if (!run.ok) {
+    problems.push(`${label}: migration ${run.failed.version} (${run.failed.name}) failed: ${run.error}`);
+  }
+  return run.ok;
+}
+
+// Tables -> column name -> PRAGMA table_info row, and index name -> SQL
+async function readSchema(db) {
+  const { results: objects } = await db
+    .prepare("SELECT type, name, sql FROM sqlite_master WHERE name NOT LIKE 'sqlite_%' AND name NOT LIKE '\\_cf\\_%' ESCAPE '\\' ORDER BY name")
+    .all();
+  const tables = new Map();
+  const indexes = new Map();
+  for (const object of objects) {
+    if (object.type === 'table') {
+      const { results } = await db.prepare(`PRAGMA table_info("${object.name}")`).all();
+      tables.set(object.name, new Map(results.map((column) => [column.name, column])));
+    } else if (object.type === 'index') {
+      indexes.set(object.name, object.sql);
+    }
+  }
+  return { tables, indexes };
+}
+
+const describeColumn = (c) => `${c.type}${c.notnull ? ' NOT NULL' : ''}${c.dflt_value !== null ? ` DEFAULT ${c.dflt_value}` : ''}${c.pk ? ' PRIMARY KEY' : ''}`;
+
+function compareSchemas(expected, actual, label) {
+  for (const [name, columns] of expected.tables) {
+    const other = actual.tables.get(name);
+    if (!other) {
+      problems.push(`${label}: no ${name} table`);
+      continue;
+    }
+    for (const [column, info] of columns) {
+      const found = other.get(column);
+      if (!found) {
+        problems.push(`${label}: ${name} has no ${column} column`);
+      } else if (describeColumn(found) !== describeColumn(info)) {
+        problems.push(`${label}: ${name}.${column} is ${describeColumn(found)}, ${describeColumn(info)} on a new database`);
+      }
+    }
+    for (const column of other.keys()) {
+      if (!columns.has(column)) {
+        problems.push(`${label}: ${name}.${column} isn't on a new database`);
+      }
+    }
+  }
+  for (const name of actual.tables.keys()) {
+    if (!expected.tables.has(name)) {
+      problems.push(`${label}: ${name} table isn't on a new database`);
+    }
+  }
+  for (const [name, sql] of expected.indexes) {
+    if (!actual.indexes.has(name)) {
+      problems.push(`${label}: no ${name} index`);
+    } else if (actual.indexes.get(name) !== sql) {
+      problems.push(`${label}: ${name} is defined differently than on a new database`);
+    }
+  }
+  for (const name of actual.indexes.keys()) {
+    if (!expected.indexes.has(name)) {
+      problems.push(`${label}: ${name} index isn't on a new database`);
+    }
+  }
+}
+
+async function checkBaselineRows(db) {
+  for (const [table, expected] of [['polls', 1], ['options', 2], ['votes', 1]]) {
+    const row = await db.prepare(`SELECT COUNT(*) AS count FROM ${table}`).first();
+    if (row.count !== expected) {
+      problems.push(`baseline database: ${table} has ${row.count} rows after migrating, expected ${expected}`);
+    }
+  }
+}
+
+// What a property's type allows: number, string, boolean and/or null
+function describeType(checker, type) {
+  const kinds = new Set();
+  for (const part of type.isUnion() ? type.types : [type]) {
+    if (part.flags & ts.TypeFlags.Null) kinds.add('null');
+    else if (part.flags & ts.TypeFlags.NumberLike) kinds.add('number');
+    else if (part.flags & ts.TypeFlags.StringLike) kinds.add('string');
+    else if (part.flags & ts.TypeFlags.BooleanLike) kinds.add('boolean');
+    else kinds.add(checker.typeToString(part));
+  }
+  return kinds;
+}
+
+function checkRowTypes(tables) {
+  const program = ts.createProgram([typesFile], { strict: true, noEmit: true });
+  const checker = program.getTypeChecker();
+  const source = program.getSourceFile(typesFile);
+
+  ts.forEachChild(source, (node) => {
+    if (!ts.isInterfaceDeclaration(node) || !node.name.text.endsWith('Row')) {
+      return;
+    }
+    const rowName = node.name.text;
+    const tableName = ROW_TABLES[rowName];
+    if (!tableName) {
+      problems.push(`${rowName}: add it to ROW_TABLES in scripts/check-schema.js`);
+      return;
+    }
+    const columns = tables.get(tableName);
+    if (!columns) {
+      problems.push(`${rowName}: the migrations create no ${tableName} table`);
+      return;
+    }
+
+    const fields = new Set();
+    for (const property of checker.getPropertiesOfType(checker.getTypeAtLocation(node))) {
+      const field = property.getName();
+      fields.add(field);
+      const column = columns.get(field);
+      if (!column) {
+        problems.push(`${rowName}.${field}: ${tableName} has no such column`);
+        continue;
+      }
+
+      const kinds = describeType(checker, checker.getTypeOfSymbolAtLocation(property, node));
+      const nullable = !column.notnull && !column.pk && column.dflt_value === null;
+      if (kinds.has('null') !== nullable) {
+        problems.push(`${rowName}.${field}: ${tableName}.${field} is ${nullable ? 'nullable' : 'NOT NULL'}, the type ${nullable ? 'lacks' : 'allows'} null`);
+      }
+      kinds.delete('null');
+      const type = /INT|REAL|FLOA|DOUB|NUM/i.test(column.type) ? 'number' : 'string';
+      if (kinds.size !== 1 || !kinds.has(type)) {
+        problems.push(`${rowName}.${field}: expected ${type} for ${tableName}.${field}, found ${[...kinds].join(' | ')}`);
+      }
+    }
+
+    for (const column of columns.keys()) {
+      if (!fields.has(column)) {
+        problems.push(`${rowName}: missing ${tableName}.${column}`);
+      }
+    }
+  });
+}
+
+const { migrations, splitStatements, applyMigrations } = await loadMigrationsModule();
+checkMigrationFiles(migrations);
+
+const mf = new Miniflare({
+  modules: true,
+  script: 'export default { fetch() { return new Response(null, { status: 404 }); } }',
+  d1Databases: ['EMPTY', 'BASELINE'],
+});
+
+try {
+  const empty = await mf.getD1Database('EMPTY');
+  const baseline = await mf.getD1Database('BASELINE');
+
+  for (const sql of [...splitStatements(migrations[0].sql), ...BASELINE_ROWS]) {
+    await baseline.prepare(sql).run();
+  }
+
+  const emptyMigrated = await migrate('new database', empty, applyMigrations);
+  const baselineMigrated = await migrate('baseline database', baseline, applyMigrations);
+
+  if (emptyMigrated) {
+    const schema = await readSchema(empty);
+    checkRowTypes(schema.tables);
+    if (baselineMigrated) {
+      compareSchemas(schema, await readSchema(baseline), 'baseline database');
+      await checkBaselineRows(baseline);
+    }
+  }
+} finally {
+  await mf.dispose();
+}
+
+if (problems.length > 0) {
+  console.error(`Schema problems:\n${problems.map((p) => `  ${p}`).join('\n')}`);
+  process.exit(1);
+}
+console.log(`${migrations.length} migration(s) apply to new and baseline databases, and the row types match`);
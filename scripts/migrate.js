@@ -0,0 +1,47 @@
+/**
+ * Apply pending D1 migrations through a running worker
+ *
+ *   ADMIN_TOKEN=... npm run db:migrate
+ *   ADMIN_TOKEN=... API_URL=https://vote-system.example.workers.dev npm run db:migrate
+ *
+ * API_URL defaults to `wrangler dev` on http://localhost:8787. Pass
+ * --status to list applied and pending migrations without applying any.
+ */
+
+const apiUrl = (process.env.API_URL || 'http://localhost:8787').replace(/\/+$/, '');
+const token = process.env.ADMIN_TOKEN;
+const statusOnly = process.argv.includes('--status');
+
+if (!token) {
+  console.error('Set ADMIN_TOKEN to the worker\'s ADMIN_TOKEN secret');
+  process.exit(1);
+}
+
+const response = await fetch(`${apiUrl}/api/admin/migrations`, {
+  method: statusOnly ? 'GET' : 'POST',
+  headers: { Authorization: `Bearer ${token}` },
+});
+const body = await response.json().catch(() => ({ error: `HTTP ${response.status}` }));
+
+if (!response.ok) {
+  console.error(body.error);
+  for (const { version, name } of body.applied ?? []) {
+    console.error(`  applied ${version} ${name} before failing`);
+  }
+  process.exit(1);
+}
+
+const { version, applied, pending } = body.data;
+if (statusOnly) {
+  for (const m of applied) {
+    console.log(`  applied  ${m.version} ${m.name} (${new Date(m.applied_at * 1000).toISOString()})`);
+  }
+  for (const m of pending) {
+    console.log(`  pending  ${m.version} ${m.name}`);
+  }
+} else {
+  for (const m of applied) {
+    console.log(`  applied  ${m.version} ${m.name}`);
+  }
+}
+console.log(`Schema version ${version}`);
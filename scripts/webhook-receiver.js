@@ -0,0 +1,59 @@
+/**
+ * Local webhook receiver for trying out deliveries against `wrangler dev`
+ *
+ *   WEBHOOK_SECRET=whsec_... npm run webhook:receiver
+ *
+ * Register http://localhost:8788/ as a webhook, then vote or edit the poll.
+ * Each delivery is printed with whether its signature checks out. Set
+ * WEBHOOK_FAIL=<n> to answer the first n deliveries with a 500 and watch
+ * the retries arrive; PORT changes the port.
+ */
+
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const port = Number(process.env.PORT || 8788);
+const secret = process.env.WEBHOOK_SECRET;
+let failuresLeft = Number(process.env.WEBHOOK_FAIL || 0);
+
+function checkSignature(timestamp, body, signature) {
+  if (!secret) {
+    return 'not checked (WEBHOOK_SECRET unset)';
+  }
+  const expected = `sha256=${createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+  const valid =
+    typeof signature === 'string' &&
+    signature.length === expected.length &&
+    timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  return valid ? 'valid' : 'INVALID';
+}
+
+createServer((req, res) => {
+  let body = '';
+  req.setEncoding('utf8');
+  req.on('data', (chunk) => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    const timestamp = req.headers['x-webhook-timestamp'];
+    const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+
+    console.log(`\n${req.headers['x-webhook-event']} (delivery ${req.headers['x-webhook-id']})`);
+    console.log(`  signature: ${checkSignature(timestamp, body, req.headers['x-webhook-signature'])}, sent ${age}s ago`);
+    try {
+      console.log(JSON.stringify(JSON.parse(body), null, 2));
+    } catch {
+      console.log(body);
+    }
+
+    if (failuresLeft > 0) {
+      failuresLeft -= 1;
+      console.log(`  answering 500 (${failuresLeft} more to fail)`);
+      res.writeHead(500).end();
+      return;
+    }
+    res.writeHead(204).end();
+  });
+}).listen(port, () => {
+  console.log(`Listening for webhooks on http://localhost:${port}/`);
+});
@@ -0,0 +1,98 @@
+/**
+ * RateLimiter Durable Object
+ *
+ * One instance per rate limit key (route class + caller), so every hit for
+ * a key is counted in one place. Uses a sliding window counter: the previous
+ * fixed window's count is weighted by how much of it the sliding window
+ * still overlaps. Counts are kept in memory only - an instance that goes
+ * idle long enough to be evicted has nothing left worth limiting.
+ */
+
+interface RateLimitRequest {
+  limit: number;
+  windowSeconds: number;
+}
+
+export interface RateLimitResult {
+  allowed: boolean;
+  limit: number;
+  remaining: number;
+  reset: number; // Unix seconds when the current fixed window ends
+  retryAfter: number; // Seconds until a denied request would be allowed, 0 if allowed
+}
+
+export class RateLimiter implements DurableObject {
+  private windowStart = 0; // Start of the current fixed window, in ms
+  private current = 0; // Hits counted in the current window
+  private previous = 0; // Hits counted in the window before it
+
+  async fetch(request: Request): Promise<Response> {
+    try {
+      const body = await request.json() as RateLimitRequest;
+      return new Response(JSON.stringify(this.hit(body)), {
+        headers: { 'Content-Type': 'application/json' },
+      });
+    } catch (error) {
+      const message = error instanceof Error ? error.message : 'Internal error';
+      return new Response(JSON.stringify({ error: message }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' },
+      });
+    }
+  }
+
+  /**
+   * Count one request against the limit, unless it would go over
+   */
+  private hit({ limit, windowSeconds }: RateLimitRequest): RateLimitResult {
+    const windowMs = windowSeconds * 1000;
+    const nowMs = Date.now();
+    const windowStart = Math.floor(nowMs / windowMs) * windowMs;
+
+    if (windowStart !== this.windowStart) {
+      // Only the window directly before this one overlaps the sliding window
+      this.previous = windowStart - this.windowStart === windowMs ? this.current : 0;
+      this.current = 0;
+      this.windowStart = windowStart;
+    }
+
+    const elapsed = (nowMs - windowStart) / windowMs;
+    const estimate = this.previous * (1 - elapsed) + this.current;
+    const reset = Math.ceil((windowStart + windowMs) / 1000);
+
+    if (estimate + 1 > limit) {
+      return {
+        allowed: false,
+        limit,
+        remaining: 0,
+        reset,
+        retryAfter: Math.max(1, Math.ceil(this.waitFraction(limit, elapsed) * windowSeconds)),
+      };
+    }
+
+    this.current += 1;
+    return {
+      allowed: true,
+      limit,
+      remaining: Math.max(0, Math.floor(limit - estimate - 1)),
+      reset,
+      retryAfter: 0,
+    };
+  }
+
+  /**
+   * How far (as a fraction of the window) the sliding window has to move
+   * before one more request fits under the limit
+   */
+  private waitFraction(limit: number, elapsed: number): number {
+    // Room opens up in this window as the previous one slides out
+    if (this.current + 1 <= limit && this.previous > 0) {
+      const target = 1 - (limit - this.current - 1) / this.previous;
+      return target - elapsed;
+    }
+
+    // Otherwise wait for the next window, where this one's hits fade out in turn
+    const target = this.current > 0 ? Math.max(0, 1 - (limit - 1) / this.current) : 0;
+    return 1 - elapsed + target;
+  }
+}
@@ -3,31 +3,274 @@
  *
  * Handles real-time vote counting with in-memory state.
  * Each poll gets its own Durable Object instance.
+ * Voters are kept as separate storage entries rather than in memory, so
+ * a vote costs the same however many voters a poll has.
  * Syncs to D1 for persistence and backup.
  */
 
-import type { OptionRow } from '../types';
+import type {
+  FlaggedReviewDecision,
+  OptionReconcileCount,
+  OptionRow,
+  PollReconciliation,
+  RankedResults,
+  ReconcileCount,
+  ReconcileDirection,
+  SuspicionReason,
+  VoteRow,
+  VotingMode,
+  WebhookEvent,
+} from '../types';
+import { tallyInstantRunoff } from '../utils/ranked';
+import { getVoterKey, getWebhooksForEvent, createWebhookDeliveries, recordWebhookAttempt, generateId } from '../utils/db';
+import { VoteSignals } from '../utils/suspicion';
+import { MAX_DELIVERY_ATTEMPTS, retryDelayMs, signWebhookPayload } from '../utils/webhooks';
+
+interface Suspicion {
+  score: number;
+  reasons: SuspicionReason[];
+}
 
 interface VoteState {
   pollId: string;
   options: Map<string, { text: string; voteCount: number }>;
-  totalVotes: number;
-  voters: Set<string>; // Set of "ip:fingerprint" combinations
+  totalVotes: number; // Ballots cast
+  totalSelections: number; // Options chosen across all ballots
+  votingMode: VotingMode;
+  minSelections: number;
+  maxSelections: number;
+  requireAuth: boolean; // Dedupe on account instead of ip:fingerprint
+  allowVoteChanges: boolean; // Voters may change or retract their ballot
+  opensAt: number | null; // Unix seconds, null = open immediately
+  closesAt: number | null; // Unix seconds, null = never auto-closes
+  closed: boolean;
   initialized: boolean;
   dirty: boolean; // Whether there are unsaved changes
 }
 
 interface VoteRequest {
-  action: 'vote' | 'getState' | 'init' | 'sync';
+  action:
+    | 'vote'
+    | 'changeVote'
+    | 'retractVote'
+    | 'getState'
+    | 'init'
+    | 'sync'
+    | 'schedule'
+    | 'settings'
+    | 'options'
+    | 'close'
+    | 'reviewFlagged'
+    | 'webhook'
+    | 'reconcile'
+    | 'hasVoted'
+    | 'flushAudit';
   pollId?: string;
   optionId?: string;
+  optionIds?: string[];
   ipAddress?: string;
   fingerprint?: string;
   userId?: string;
   // For initialization
   options?: Array<{ id: string; text: string; vote_count: number }>;
   totalVotes?: number;
-  existingVoters?: string[];
+  totalSelections?: number;
+  votingMode?: VotingMode;
+  minSelections?: number | null;
+  maxSelections?: number | null;
+  requireAuth?: boolean;
+  // For initialization and 'settings'
+  allowVoteChanges?: boolean;
+  // For 'settings'
+  resetLiveViewers?: boolean;
+  // For 'options' (maxSelections is also accepted)
+  optionTexts?: Array<{ id: string; text: string }>;
+  removedOptionIds?: string[];
+  // For initialization and 'schedule'
+  opensAt?: number | null;
+  closesAt?: number | null;
+  closed?: boolean;
+  // For 'reviewFlagged'
+  ballotIds?: string[];
+  decision?: FlaggedReviewDecision;
+  // For 'webhook'
+  event?: WebhookEvent;
+  eventData?: Record<string, unknown>;
+  // For 'reconcile'
+  direction?: ReconcileDirection;
+  dryRun?: boolean;
+}
+
+// Webhook events and deliveries live under their own storage keys, so
+// queueing one never rewrites another
+const WEBHOOK_EVENT_PREFIX = 'webhookEvent:';
+const WEBHOOK_DELIVERY_PREFIX = 'webhookDelivery:';
+const WEBHOOK_TIMEOUT_MS = 10_000;
+
+// An event waiting to be matched against the poll's webhooks
+interface QueuedWebhookEvent {
+  id: string;
+  pollId: string;
+  event: WebhookEvent;
+  createdAt: number; // Unix seconds
+  data: Record<string, unknown>;
+}
+
+// A signed request still to be sent, with the webhook's url and secret
+// copied in so it survives the webhook (or poll) being deleted
+interface PendingDelivery {
+  id: string; // webhook_deliveries row
+  webhookId: string;
+  event: WebhookEvent;
+  url: string;
+  secret: string;
+  body: string;
+  attempts: number;
+  nextAttemptAt: number; // Unix ms
+}
+
+// Storage layout: the poll's settings and option texts under POLL_KEY, its
+// counts under COUNTS_KEY and an entry per voter under VOTER_PREFIX, so a
+// vote writes a few small keys however many voters there are
+const POLL_KEY = 'poll';
+const COUNTS_KEY = 'counts';
+const VOTER_PREFIX = 'voter:';
+const VOTER_LOAD_KEY = 'voterLoad'; // Last votes rowid init has loaded from D1
+const LEGACY_STATE_KEY = 'voteState'; // Everything in one value, as first stored
+const VOTER_PAGE_SIZE = 1000; // Voter entries or votes rows read at a time
+const STORAGE_BATCH_KEYS = 128; // Most keys one storage get, put or delete takes
+const RANKED_TALLY_INTERVAL_MS = 5_000; // Most a read waits for ballots to join the runoff
+
+// A voter's entry, keyed by getVoterKey(). choices is in rank order for
+// ranked polls, and null when the ballot can't be changed: it was cast
+// before choices were kept per voter, or discarded in review.
+interface VoterEntry {
+  choices: string[] | null;
+  flagged?: Suspicion; // Awaiting the owner's review
+}
+
+interface StoredPoll {
+  pollId: string;
+  options: [string, string][]; // Option id -> text
+  votingMode: VotingMode;
+  minSelections: number;
+  maxSelections: number;
+  requireAuth: boolean;
+  allowVoteChanges: boolean;
+  opensAt: number | null;
+  closesAt: number | null;
+  closed: boolean;
+  initialized: boolean;
+}
+
+interface StoredCounts {
+  totalVotes: number;
+  totalSelections: number;
+  options: [string, number][]; // Option id -> vote count
+}
+
+interface LegacyVoteState {
+  pollId: string;
+  options: [string, { text: string; voteCount: number }][];
+  totalVotes: number;
+  totalSelections?: number;
+  votingMode?: VotingMode;
+  minSelections?: number;
+  maxSelections?: number;
+  ballots?: string[][];
+  requireAuth?: boolean;
+  allowVoteChanges?: boolean;
+  voters: string[];
+  choices?: [string, string[]][];
+  flagged?: [string, Suspicion][];
+  opensAt?: number | null;
+  closesAt?: number | null;
+  closed?: boolean;
+  initialized: boolean;
+}
+
+// What saveToStorage writes besides the counts
+interface StorageChanges {
+  settings?: boolean; // The poll's settings or option texts changed
+  voters?: Array<[string, VoterEntry | null]>; // null removes the voter
+  audit?: AuditWrite;
+}
+
+// Audit writes waiting for D1, keyed in the order they were made so a
+// change or retraction never lands ahead of the vote it replaces. A write
+// D1 rejects moves to its voter's retry slot, so it holds up no other
+// voter; later writes for that voter join it there, unless they replace
+// the voter's rows anyway. Writes that fail AUDIT_MAX_ATTEMPTS times
+// become dead letters.
+const AUDIT_OUTBOX_PREFIX = 'auditOutbox:';
+const AUDIT_RETRY_PREFIX = 'auditRetry:'; // + voter key
+const AUDIT_DEAD_LETTER_PREFIX = 'auditDeadLetter:';
+const AUDIT_STATE_KEY = 'auditState';
+const AUDIT_BATCH_STATEMENTS = 100; // Per D1 batch when flushing
+const AUDIT_FLUSH_BATCHES = 10; // Per flush; the rest waits for the next alarm
+const AUDIT_RETRY_BASE_MS = 5_000;
+const AUDIT_RETRY_MAX_MS = 5 * 60_000;
+const AUDIT_MAX_ATTEMPTS = 10; // About 20 minutes of retries
+
+// The outbox's counters, stored with every write that changes them so
+// loading doesn't have to list the outbox
+interface StoredAuditState {
+  next: number; // Sequence number of the next queued write
+  depth: number; // Writes queued
+  retrying: number; // Retry slots in use
+  deadLetters: number; // Writes given up on
+}
+
+interface AuditOutboxStats {
+  depth: number;
+  retrying: number;
+  oldestAgeMs: number | null;
+  deadLetters: number;
+}
+
+// One votes row, as it will be inserted
+interface AuditRow {
+  id: string;
+  ballotId: string;
+  optionId: string;
+  rank: number | null;
+  userId: string | null;
+  ipAddress: string;
+  fingerprint: string;
+  createdAt: number; // Unix seconds
+  suspicionScore: number;
+  flagReasons: string | null;
+  flagged: boolean;
+}
+
+// A vote, change or retraction, written to D1 as one batch: the voter's
+// existing rows are deleted (matched as voters are deduped), then the new
+// ones inserted
+interface AuditWrite {
+  pollId: string;
+  voterKey: string;
+  deleteVoter: { userId: string | null; ipAddress: string; fingerprint: string } | null;
+  inserts: AuditRow[];
+  queuedAt: number; // Unix ms
+  attempts: number; // Failed flushes so far
+  retryAt?: number; // Unix ms; set in a retry slot
+  lastError?: string; // Set on dead letters
+}
+
+// A votes row's voter, keyed as getVoterKey() keys them; binds require_auth
+const VOTER_KEY_SQL =
+  "CASE WHEN ? = 1 AND user_id IS NOT NULL THEN 'user:' || user_id ELSE ip_address || ':' || fingerprint END";
+
+// Tags set on live sockets when they are accepted
+const RESULTS_TAG = 'results';
+const TOTALS_ONLY_TAG = 'totals';
+
+interface LiveVoteMessage {
+  type: 'vote';
+  options: Array<{ id: string; vote_count: number }>;
+  totalVotes: number;
+  totalSelections: number;
+  rankedResults?: RankedResults;
 }
 
 interface VoteResponse {
@@ -35,9 +278,25 @@ interface VoteResponse {
   error?: string;
   data?: {
     optionVoteCount?: number;
+    optionVoteCounts?: Record<string, number>;
     totalVotes?: number;
+    totalSelections?: number;
     options?: Array<{ id: string; text: string; vote_count: number }>;
+    rankedResults?: RankedResults;
     alreadyVoted?: boolean;
+    pollClosed?: boolean;
+    pollNotOpen?: boolean;
+    invalidSelection?: boolean;
+    authRequired?: boolean;
+    notVoted?: boolean;
+    changesNotAllowed?: boolean;
+    refundedVotes?: number;
+    reviewedBallots?: number;
+    closed?: boolean;
+    reconciliation?: PollReconciliation;
+    auditPending?: boolean;
+    auditOutbox?: AuditOutboxStats;
+    voted?: boolean;
   };
 }
 
@@ -46,6 +305,18 @@ export class VoteEngine implements DurableObject {
   private env: Env;
   private voteState: VoteState;
   private syncAlarm: boolean = false;
+  private signals = new VoteSignals();
+  private webhookFanOut: Promise<void> = Promise.resolve();
+  private auditFlush: Promise<unknown> = Promise.resolve();
+  private audit: StoredAuditState = { next: 0, depth: 0, retrying: 0, deadLetters: 0 };
+  private auditOutages = 0; // Flushes in a row that found D1 unreachable
+  private auditRetryAt = 0; // Unix ms; the outbox waits until then after an outage
+  // A ranked poll's last instant-runoff tally. Counting it reads every
+  // voter's entry, so it's redone when read with ballots changed since, at
+  // most every RANKED_TALLY_INTERVAL_MS, and by the alarm for live viewers.
+  private rankedTally: { results: RankedResults; at: number } | null = null;
+  private rankedStale = false; // Ballots changed since the tally
+  private rankedTallying: Promise<RankedResults> | null = null;
 
   constructor(state: DurableObjectState, env: Env) {
     this.state = state;
@@ -54,7 +325,15 @@ export class VoteEngine implements DurableObject {
       pollId: '',
       options: new Map(),
       totalVotes: 0,
-      voters: new Set(),
+      totalSelections: 0,
+      votingMode: 'single',
+      minSelections: 1,
+      maxSelections: 1,
+      requireAuth: false,
+      allowVoteChanges: false,
+      opensAt: null,
+      closesAt: null,
+      closed: false,
       initialized: false,
       dirty: false,
     };
@@ -63,102 +342,611 @@ export class VoteEngine implements DurableObject {
     this.state.blockConcurrencyWhile(async () => {
       await this.loadFromStorage();
     });
+
+    // Answer client keep-alives without waking the object from hibernation
+    this.state.setWebSocketAutoResponse(
+      new WebSocketRequestResponsePair('ping', 'pong')
+    );
   }
 
   /**
-   * Load persisted state from Durable Object storage
+   * Load persisted state from Durable Object storage. Voter entries stay
+   * in storage.
    */
   private async loadFromStorage(): Promise<void> {
-    const stored = await this.state.storage.get<{
-      pollId: string;
-      options: [string, { text: string; voteCount: number }][];
-      totalVotes: number;
-      voters: string[];
-      initialized: boolean;
-    }>('voteState');
-
-    if (stored) {
+    const stored = await this.state.storage.get([POLL_KEY, COUNTS_KEY, LEGACY_STATE_KEY, AUDIT_STATE_KEY]);
+    const poll = stored.get(POLL_KEY) as StoredPoll | undefined;
+    const counts = stored.get(COUNTS_KEY) as StoredCounts | undefined;
+    const legacy = stored.get(LEGACY_STATE_KEY) as LegacyVoteState | undefined;
+    const audit = stored.get(AUDIT_STATE_KEY) as StoredAuditState | undefined;
+    if (audit) {
+      this.audit = audit;
+    }
+
+    if (poll) {
+      const voteCounts = new Map(counts?.options ?? []);
       this.voteState = {
-        pollId: stored.pollId,
-        options: new Map(stored.options),
-        totalVotes: stored.totalVotes,
-        voters: new Set(stored.voters),
-        initialized: stored.initialized,
+        pollId: poll.pollId,
+        options: new Map(
+          poll.options.map(([id, text]) => [id, { text, voteCount: voteCounts.get(id) ?? 0 }])
+        ),
+        totalVotes: counts?.totalVotes ?? 0,
+        totalSelections: counts?.totalSelections ?? 0,
+        votingMode: poll.votingMode,
+        minSelections: poll.minSelections,
+        maxSelections: poll.maxSelections,
+        requireAuth: poll.requireAuth,
+        allowVoteChanges: poll.allowVoteChanges,
+          opensAt: poll.opensAt,
+        closesAt: poll.closesAt,
+        closed: poll.closed,
+        initialized: poll.initialized,
         dirty: false,
       };
+    } else if (legacy) {
+      await this.migrateLegacyState(legacy);
     }
   }
 
   /**
-   * Persist state to Durable Object storage
+   * Move state stored as one value, every voter included, to the current
+   * layout. Only polls small enough to fit in one value were stored so.
    */
-  private async saveToStorage(): Promise<void> {
-    await this.state.storage.put('voteState', {
-      pollId: this.voteState.pollId,
-      options: Array.from(this.voteState.options.entries()),
-      totalVotes: this.voteState.totalVotes,
-      voters: Array.from(this.voteState.voters),
-      initialized: this.voteState.initialized,
-    });
+  private async migrateLegacyState(stored: LegacyVoteState): Promise<void> {
+    this.voteState = {
+      pollId: stored.pollId,
+      options: new Map(stored.options),
+      totalVotes: stored.totalVotes,
+      totalSelections: stored.totalSelections ?? stored.totalVotes,
+      votingMode: stored.votingMode ?? 'single',
+      minSelections: stored.minSelections ?? 1,
+      maxSelections: stored.maxSelections ?? 1,
+      requireAuth: stored.requireAuth ?? false,
+      allowVoteChanges: stored.allowVoteChanges ?? false,
+      opensAt: stored.opensAt ?? null,
+      closesAt: stored.closesAt ?? null,
+      closed: stored.closed ?? false,
+      initialized: stored.initialized,
+      dirty: false,
+    };
+
+    // Older state kept ranked ballots without their voter, so those still
+    // count in the tally but can't be changed or retracted
+    const choices = new Map(
+      stored.choices ??
+        (stored.ballots ?? []).map((ballot, i): [string, string[]] => [`ballot:${i}`, ballot])
+    );
+    const flagged = new Map(stored.flagged ?? []);
+    const voters = Array.from(
+      new Set([...stored.voters, ...choices.keys()]),
+      (voterKey): [string, VoterEntry] => [
+        voterKey,
+        { choices: choices.get(voterKey) ?? null, flagged: flagged.get(voterKey) },
+      ]
+    );
+
+    // Issued before saveToStorage's writes are awaited, so committed with them
+    const removal = this.state.storage.delete(LEGACY_STATE_KEY);
+    await Promise.all([removal, this.saveToStorage({ settings: true, voters })]);
+  }
+
+  /**
+   * Persist the counts, along with the poll's settings when they changed,
+   * voter entries and an audit write for D1 when the change is a vote.
+   * Every write is issued before any is awaited, so storage commits them
+   * together and none is stored without the others.
+   */
+  private async saveToStorage(changes: StorageChanges = {}): Promise<void> {
+    const entries: Record<string, unknown> = {
+      [COUNTS_KEY]: {
+        totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
+        options: Array.from(this.voteState.options, ([id, option]) => [id, option.voteCount]),
+      } satisfies StoredCounts,
+    };
+    if (changes.settings) {
+      entries[POLL_KEY] = {
+        pollId: this.voteState.pollId,
+        options: Array.from(this.voteState.options, ([id, option]) => [id, option.text]),
+        votingMode: this.voteState.votingMode,
+        minSelections: this.voteState.minSelections,
+        maxSelections: this.voteState.maxSelections,
+        requireAuth: this.voteState.requireAuth,
+        allowVoteChanges: this.voteState.allowVoteChanges,
+        opensAt: this.voteState.opensAt,
+        closesAt: this.voteState.closesAt,
+        closed: this.voteState.closed,
+        initialized: this.voteState.initialized,
+      } satisfies StoredPoll;
+    }
+    if (changes.audit) {
+      entries[`${AUDIT_OUTBOX_PREFIX}${String(this.audit.next).padStart(12, '0')}`] = changes.audit;
+      this.audit = { ...this.audit, next: this.audit.next + 1, depth: this.audit.depth + 1 };
+      entries[AUDIT_STATE_KEY] = this.audit;
+    }
+
+    await Promise.all([this.state.storage.put(entries), ...this.storeVoters(changes.voters ?? [])]);
     this.voteState.dirty = false;
   }
 
+  /**
+   * Issue the puts and deletes for voter entries (null removes one), a
+   * storage call's worth of keys at a time, and mark the ranked tally out
+   * of date. The caller awaits the writes.
+   */
+  private storeVoters(voters: Array<[string, VoterEntry | null]>): Promise<unknown>[] {
+    const puts: Array<[string, VoterEntry]> = [];
+    const deletes: string[] = [];
+    for (const [voterKey, entry] of voters) {
+      if (entry) {
+        puts.push([`${VOTER_PREFIX}${voterKey}`, entry]);
+      } else {
+        deletes.push(`${VOTER_PREFIX}${voterKey}`);
+      }
+    }
+    this.rankedStale = true;
+
+    const writes: Promise<unknown>[] = [];
+    for (let i = 0; i < puts.length; i += STORAGE_BATCH_KEYS) {
+      writes.push(this.state.storage.put(Object.fromEntries(puts.slice(i, i + STORAGE_BATCH_KEYS))));
+    }
+    for (let i = 0; i < deletes.length; i += STORAGE_BATCH_KEYS) {
+      writes.push(this.state.storage.delete(deletes.slice(i, i + STORAGE_BATCH_KEYS)));
+    }
+    return writes;
+  }
+
+  private async getVoter(voterKey: string): Promise<VoterEntry | null> {
+    return (await this.state.storage.get<VoterEntry>(`${VOTER_PREFIX}${voterKey}`)) ?? null;
+  }
+
+  /**
+   * Entries of the given voters that have one, by voter key
+   */
+  private async getVoters(voterKeys: string[]): Promise<Map<string, VoterEntry>> {
+    const found = new Map<string, VoterEntry>();
+    for (let i = 0; i < voterKeys.length; i += STORAGE_BATCH_KEYS) {
+      const keys = voterKeys.slice(i, i + STORAGE_BATCH_KEYS).map((voterKey) => `${VOTER_PREFIX}${voterKey}`);
+      for (const [key, entry] of await this.state.storage.get<VoterEntry>(keys)) {
+        found.set(key.slice(VOTER_PREFIX.length), entry);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Visit every voter's entry, reading a page of them at a time
+   */
+  private async forEachVoter(visit: (voterKey: string, entry: VoterEntry) => void): Promise<void> {
+    let startAfter: string | undefined;
+    for (;;) {
+      const page = await this.state.storage.list<VoterEntry>({
+        prefix: VOTER_PREFIX,
+        startAfter,
+        limit: VOTER_PAGE_SIZE,
+      });
+      for (const [key, entry] of page) {
+        visit(key.slice(VOTER_PREFIX.length), entry);
+        startAfter = key;
+      }
+      if (page.size < VOTER_PAGE_SIZE) {
+        return;
+      }
+    }
+  }
+
+  /**
+   * Arm the alarm for the given time unless an earlier one is already set.
+   * A Durable Object has a single alarm, shared by D1 syncs and auto-close.
+   */
+  private async scheduleAlarm(at: number): Promise<void> {
+    const current = await this.state.storage.getAlarm();
+    if (current === null || at < current) {
+      await this.state.storage.setAlarm(at);
+    }
+  }
+
   /**
    * Schedule a sync to D1 database
    */
   private async scheduleD1Sync(): Promise<void> {
     if (!this.syncAlarm) {
       // Schedule alarm for 5 seconds from now to batch syncs
-      await this.state.storage.setAlarm(Date.now() + 5000);
+      await this.scheduleAlarm(Date.now() + 5000);
       this.syncAlarm = true;
     }
   }
 
   /**
-   * Handle alarm - sync to D1
+   * Schedule the alarm that closes the poll when its window ends
+   */
+  private async scheduleCloseAlarm(): Promise<void> {
+    if (this.voteState.closed || this.voteState.closesAt === null) {
+      return;
+    }
+    const closesAtMs = this.voteState.closesAt * 1000;
+    if (closesAtMs > Date.now()) {
+      await this.scheduleAlarm(closesAtMs);
+    }
+  }
+
+  /**
+   * Handle alarm - close the poll if its window has ended, write queued
+   * audit rows and sync to D1, send live viewers a changed runoff, then
+   * send any webhook deliveries that are due
    */
   async alarm(): Promise<void> {
     this.syncAlarm = false;
+
+    const nowSec = Math.floor(Date.now() / 1000);
+    if (
+      !this.voteState.closed &&
+      this.voteState.closesAt !== null &&
+      nowSec >= this.voteState.closesAt
+    ) {
+      await this.closeVoting(this.voteState.closesAt);
+    }
+
+    await this.flushAuditOutbox();
     await this.syncToD1();
+    await this.broadcastRankedResults();
+    await this.scheduleCloseAlarm();
+    await this.fanOutWebhookEvents();
+    await this.deliverWebhooks();
   }
 
   /**
-   * Sync current state to D1 database
+   * Queue a webhook event. Votes wait for the batched sync alarm; other
+   * events are sent as soon as they are fanned out.
    */
-  private async syncToD1(): Promise<void> {
-    if (!this.voteState.initialized || !this.voteState.pollId) {
+  private async queueWebhookEvent(
+    pollId: string,
+    event: WebhookEvent,
+    data: Record<string, unknown>
+  ): Promise<void> {
+    const queued: QueuedWebhookEvent = {
+      id: generateId(),
+      pollId,
+      event,
+      createdAt: Math.floor(Date.now() / 1000),
+      data,
+    };
+    await this.state.storage.put(`${WEBHOOK_EVENT_PREFIX}${queued.id}`, queued);
+  }
+
+  /**
+   * Turn queued events into one delivery per matching webhook, logged in
+   * D1. Runs one at a time so an event can't be fanned out twice.
+   */
+  private fanOutWebhookEvents(): Promise<void> {
+    const run = this.webhookFanOut.then(async () => {
+      const queued = await this.state.storage.list<QueuedWebhookEvent>({ prefix: WEBHOOK_EVENT_PREFIX });
+      for (const [key, item] of queued) {
+        try {
+          await this.fanOutWebhookEvent(item);
+          await this.state.storage.delete(key);
+        } catch (error) {
+          // Left queued, the next alarm tries again
+          console.error('Failed to queue webhook deliveries:', error);
+        }
+      }
+    });
+    this.webhookFanOut = run.catch(() => undefined);
+    return run;
+  }
+
+  private async fanOutWebhookEvent(item: QueuedWebhookEvent): Promise<void> {
+    const webhooks = await getWebhooksForEvent(this.env.DB, item.pollId, item.event);
+    if (webhooks.length === 0) {
+      return;
+    }
+
+    const body = JSON.stringify({
+      id: item.id,
+      event: item.event,
+      created_at: item.createdAt,
+      data: item.data,
+    });
+    const deliveries = webhooks.map((webhook) => ({
+      id: generateId(),
+      webhook_id: webhook.id,
+      poll_id: item.pollId,
+      event: item.event,
+      created_at: item.createdAt,
+    }));
+    await createWebhookDeliveries(this.env.DB, deliveries);
+
+    const pending: Record<string, PendingDelivery> = {};
+    deliveries.forEach((delivery, i) => {
+      pending[`${WEBHOOK_DELIVERY_PREFIX}${delivery.id}`] = {
+        id: delivery.id,
+        webhookId: delivery.webhook_id,
+        event: item.event,
+        url: webhooks[i].url,
+        secret: webhooks[i].secret,
+        body,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+      };
+    });
+    await this.state.storage.put(pending);
+  }
+
+  /**
+   * Send every delivery that is due, then arm the alarm for the next retry
+   */
+  private async deliverWebhooks(): Promise<void> {
+    const pending = await this.state.storage.list<PendingDelivery>({ prefix: WEBHOOK_DELIVERY_PREFIX });
+    let nextAttemptAt: number | null = null;
+
+    for (const [key, delivery] of pending) {
+      if (delivery.nextAttemptAt <= Date.now()) {
+        const retry = await this.attemptDelivery(key, delivery);
+        if (retry === null) {
+          continue;
+        }
+        delivery.nextAttemptAt = retry;
+      }
+      nextAttemptAt = Math.min(nextAttemptAt ?? Infinity, delivery.nextAttemptAt);
+    }
+
+    if (nextAttemptAt !== null) {
+      await this.scheduleAlarm(nextAttemptAt);
+    }
+  }
+
+  /**
+   * POST one signed delivery. Returns when to try again, or null once it
+   * has been delivered or has used up its attempts.
+   */
+  private async attemptDelivery(key: string, delivery: PendingDelivery): Promise<number | null> {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus: number | null = null;
+    let error: string | null = null;
+
+    try {
+      const response = await fetch(delivery.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'vote-system-webhooks',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': await signWebhookPayload(delivery.secret, timestamp, delivery.body),
+        },
+        body: delivery.body,
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        error = `Receiver responded with ${response.status}`;
+      }
+    } catch (fetchError) {
+      error = fetchError instanceof Error ? fetchError.message : 'Request failed';
+    }
+
+    const attempts = delivery.attempts + 1;
+    const delivered = error === null;
+    const retryAt = delivered || attempts >= MAX_DELIVERY_ATTEMPTS ? null : Date.now() + retryDelayMs(attempts);
+
+    if (retryAt === null) {
+      await this.state.storage.delete(key);
+    } else {
+      await this.state.storage.put(key, { ...delivery, attempts, nextAttemptAt: retryAt });
+    }
+
+    try {
+      await recordWebhookAttempt(this.env.DB, delivery.id, {
+        status: delivered ? 'delivered' : retryAt === null ? 'failed' : 'pending',
+        attempts,
+        responseStatus,
+        error,
+        nextAttemptAt: retryAt === null ? null : Math.floor(retryAt / 1000),
+      });
+    } catch (logError) {
+      console.error('Failed to log webhook delivery:', logError);
+    }
+
+    return retryAt;
+  }
+
+  /**
+   * Queue an event from the worker and fan it out straight away, so the
+   * matching webhooks are captured before a deleted poll's rows are gone
+   */
+  private async handleWebhook(body: VoteRequest): Promise<VoteResponse> {
+    const pollId = this.voteState.pollId || body.pollId;
+    if (!pollId || !body.event) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    await this.queueWebhookEvent(pollId, body.event, body.eventData ?? {});
+    await this.fanOutWebhookEvents();
+    await this.scheduleAlarm(Date.now());
+
+    return { success: true };
+  }
+
+  /**
+   * Flip the poll to closed and record it in D1
+   */
+  private async closeVoting(closedAt: number): Promise<void> {
+    this.voteState.closed = true;
+    await this.saveToStorage({ settings: true });
+
+    if (this.voteState.pollId) {
+      await this.queueWebhookEvent(this.voteState.pollId, 'poll.closed', {
+        poll_id: this.voteState.pollId,
+        closed_at: closedAt,
+        total_votes: this.voteState.totalVotes,
+        total_selections: this.voteState.totalSelections,
+        options: Array.from(this.voteState.options, ([id, option]) => ({
+          id,
+          text: option.text,
+          vote_count: option.voteCount,
+        })),
+      });
+    }
+
+    // Closing can reveal results, so viewers held to totals reconnect
+    for (const ws of this.state.getWebSockets(TOTALS_ONLY_TAG)) {
+      ws.close(1012, 'Poll closed');
+    }
+
+    if (!this.voteState.pollId) {
       return;
     }
 
     try {
-      // Update poll total votes
       await this.env.DB.prepare(
-        'UPDATE polls SET total_votes = ? WHERE id = ?'
+        'UPDATE polls SET closed_at = ? WHERE id = ? AND closed_at IS NULL'
       )
-        .bind(this.voteState.totalVotes, this.voteState.pollId)
+        .bind(closedAt, this.voteState.pollId)
         .run();
+    } catch (error) {
+      console.error('Failed to mark poll closed in D1:', error);
+    }
+  }
 
-      // Update each option's vote count
-      const batch = [];
-      for (const [optionId, data] of this.voteState.options) {
-        batch.push(
-          this.env.DB.prepare('UPDATE options SET vote_count = ? WHERE id = ?')
-            .bind(data.voteCount, optionId)
-        );
-      }
+  /**
+   * Return an error response if the poll isn't accepting votes right now
+   */
+  private checkVotingWindow(): VoteResponse | null {
+    const nowSec = Math.floor(Date.now() / 1000);
 
-      if (batch.length > 0) {
-        await this.env.DB.batch(batch);
-      }
+    if (
+      this.voteState.closed ||
+      (this.voteState.closesAt !== null && nowSec >= this.voteState.closesAt)
+    ) {
+      return {
+        success: false,
+        error: 'This poll is closed',
+        data: { pollClosed: true },
+      };
+    }
+
+    if (this.voteState.opensAt !== null && nowSec < this.voteState.opensAt) {
+      return {
+        success: false,
+        error: 'This poll is not open for voting yet',
+        data: { pollNotOpen: true },
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Sync current state to D1 database
+   */
+  private async syncToD1(): Promise<void> {
+    if (!this.voteState.initialized || !this.voteState.pollId) {
+      return;
+    }
+
+    try {
+      await this.writeCountersToD1();
     } catch (error) {
       console.error('Failed to sync to D1:', error);
     }
   }
 
+  /**
+   * Overwrite the poll's totals and option counts in D1 with the engine's
+   */
+  private async writeCountersToD1(): Promise<void> {
+    // Update poll totals
+    await this.env.DB.prepare(
+      'UPDATE polls SET total_votes = ?, total_selections = ? WHERE id = ?'
+    )
+      .bind(this.voteState.totalVotes, this.voteState.totalSelections, this.voteState.pollId)
+      .run();
+
+    // Update each option's vote count
+    const batch = [];
+    for (const [optionId, data] of this.voteState.options) {
+      batch.push(
+        this.env.DB.prepare('UPDATE options SET vote_count = ? WHERE id = ?')
+          .bind(data.voteCount, optionId)
+      );
+    }
+
+    if (batch.length > 0) {
+      await this.env.DB.batch(batch);
+    }
+  }
+
+  /**
+   * Accept a live-update WebSocket using the hibernation API,
+   * so idle viewers don't keep the object in memory. The worker has
+   * already decided whether this viewer may see results.
+   */
+  private handleLiveConnect(request: Request): Response {
+    const pair = new WebSocketPair();
+    const [client, server] = Object.values(pair);
+
+    const resultsHidden = request.headers.get('X-Results-Hidden') === '1';
+    this.state.acceptWebSocket(server, [resultsHidden ? TOTALS_ONLY_TAG : RESULTS_TAG]);
+
+    return new Response(null, { status: 101, webSocket: client });
+  }
+
+  /**
+   * Send a vote delta to every connected live viewer, with the
+   * per-option counts stripped for viewers who can't see results
+   */
+  private broadcast(message: LiveVoteMessage): void {
+    const payload = JSON.stringify(message);
+    const totalsPayload = JSON.stringify({
+      type: message.type,
+      options: [],
+      totalVotes: message.totalVotes,
+      totalSelections: message.totalSelections,
+    });
+
+    for (const ws of this.state.getWebSockets()) {
+      try {
+        ws.send(this.state.getTags(ws).includes(TOTALS_ONLY_TAG) ? totalsPayload : payload);
+      } catch (error) {
+        // Socket is already closing, the runtime will clean it up
+        console.error('Failed to send live update:', error);
+      }
+    }
+  }
+
+  /**
+   * Tell live viewers the option list changed so they reload the poll
+   */
+  private broadcastOptionsChanged(): void {
+    const payload = JSON.stringify({ type: 'options' });
+    for (const ws of this.state.getWebSockets()) {
+      try {
+        ws.send(payload);
+      } catch (error) {
+        console.error('Failed to send live update:', error);
+      }
+    }
+  }
+
+  /**
+   * Live viewers are read-only, ignore anything they send
+   */
+  async webSocketMessage(): Promise<void> {}
+
+  async webSocketClose(ws: WebSocket, code: number, reason: string): Promise<void> {
+    // 1005/1006 are reserved and cannot be echoed back to the client
+    ws.close(code === 1005 || code === 1006 ? 1000 : code, reason);
+  }
+
   /**
    * Handle incoming requests
    */
   async fetch(request: Request): Promise<Response> {
+    if (request.headers.get('Upgrade') === 'websocket') {
+      return this.handleLiveConnect(request);
+    }
+
     try {
       const body = await request.json() as VoteRequest;
       let response: VoteResponse;
@@ -170,13 +958,46 @@ export class VoteEngine implements DurableObject {
         case 'vote':
           response = await this.handleVote(body);
           break;
+        case 'changeVote':
+          response = await this.handleChangeVote(body);
+          break;
+        case 'retractVote':
+          response = await this.handleRetractVote(body);
+          break;
         case 'getState':
-          response = this.handleGetState();
+          response = await this.handleGetState();
           break;
         case 'sync':
           await this.syncToD1();
           response = { success: true };
           break;
+        case 'schedule':
+          response = await this.handleSchedule(body);
+          break;
+        case 'settings':
+          response = await this.handleSettings(body);
+          break;
+        case 'options':
+          response = await this.handleOptions(body);
+          break;
+        case 'close':
+          response = await this.handleClose();
+          break;
+        case 'reviewFlagged':
+          response = await this.handleReviewFlagged(body);
+          break;
+        case 'webhook':
+          response = await this.handleWebhook(body);
+          break;
+        case 'reconcile':
+          response = await this.handleReconcile(body);
+          break;
+        case 'hasVoted':
+          response = await this.handleHasVoted(body);
+          break;
+        case 'flushAudit':
+          response = await this.handleFlushAudit();
+          break;
         default:
           response = { success: false, error: 'Unknown action' };
       }
@@ -205,9 +1026,23 @@ export class VoteEngine implements DurableObject {
       return { success: false, error: 'pollId is required for initialization' };
     }
 
-    this.voteState.pollId = body.pollId;
+    // Hold votes until every existing voter is known
+    const pollId = body.pollId;
+    return this.state.blockConcurrencyWhile(() => this.initialize(pollId, body));
+  }
+
+  private async initialize(pollId: string, body: VoteRequest): Promise<VoteResponse> {
+    this.voteState.pollId = pollId;
     this.voteState.totalVotes = body.totalVotes || 0;
-    this.voteState.initialized = true;
+    this.voteState.totalSelections = body.totalSelections ?? this.voteState.totalVotes;
+    this.voteState.votingMode = body.votingMode ?? 'single';
+    this.voteState.minSelections = body.minSelections ?? 1;
+    this.voteState.maxSelections = body.maxSelections ?? (body.options?.length || 1);
+    this.voteState.requireAuth = body.requireAuth ?? false;
+    this.voteState.allowVoteChanges = body.allowVoteChanges ?? false;
+    this.voteState.opensAt = body.opensAt ?? null;
+    this.voteState.closesAt = body.closesAt ?? null;
+    this.voteState.closed = body.closed ?? false;
 
     if (body.options) {
       for (const opt of body.options) {
@@ -218,37 +1053,698 @@ export class VoteEngine implements DurableObject {
       }
     }
 
-    if (body.existingVoters) {
-      for (const voter of body.existingVoters) {
-        this.voteState.voters.add(voter);
-      }
-    }
+    await this.loadVotersFromD1();
+    this.rankedTally = null;
 
-    await this.saveToStorage();
+    this.voteState.initialized = true;
+    await this.saveToStorage({ settings: true });
+    await this.scheduleCloseAlarm();
 
     return { success: true, data: { totalVotes: this.voteState.totalVotes } };
   }
 
   /**
-   * Handle a vote submission
+   * Record the voters already in the poll's votes rows, a page at a time.
+   * The last rowid read is stored with each page, so a load cut short by
+   * a restart carries on where it stopped.
    */
-  private async handleVote(body: VoteRequest): Promise<VoteResponse> {
-    if (!body.optionId || !body.ipAddress || !body.fingerprint) {
-      return { success: false, error: 'Missing required fields' };
-    }
+  private async loadVotersFromD1(): Promise<void> {
+    let after = (await this.state.storage.get<number>(VOTER_LOAD_KEY)) ?? 0;
 
-    // Ensure pollId is set (use from request if state doesn't have it)
-    if (!this.voteState.pollId && body.pollId) {
-      this.voteState.pollId = body.pollId;
+    for (;;) {
+      const { results } = await this.env.DB.prepare(
+        'SELECT rowid, option_id, user_id, ip_address, fingerprint, suspicion_score, flag_reasons, flagged FROM votes WHERE poll_id = ? AND rowid > ? ORDER BY rowid LIMIT ?'
+      )
+        .bind(this.voteState.pollId, after, VOTER_PAGE_SIZE)
+        .all<{ rowid: number } & Pick<VoteRow, 'option_id' | 'user_id' | 'ip_address' | 'fingerprint' | 'suspicion_score' | 'flag_reasons' | 'flagged'>>();
+      if (results.length === 0) {
+        break;
+      }
+
+      // A ballot's rows can straddle two pages, so add to what's stored.
+      // Options are never repeated on a ballot, which makes a page read
+      // twice harmless.
+      const voterKeys = results.map((row) =>
+        getVoterKey(this.voteState.requireAuth ? row.user_id : null, row.ip_address, row.fingerprint)
+      );
+      const voters = await this.getVoters(Array.from(new Set(voterKeys)));
+      results.forEach((row, i) => {
+        const entry = voters.get(voterKeys[i]) ?? { choices: [] };
+        if (!entry.choices!.includes(row.option_id)) {
+          entry.choices!.push(row.option_id);
+        }
+        if (row.flagged) {
+          entry.flagged = {
+            score: row.suspicion_score,
+            reasons: row.flag_reasons ? (row.flag_reasons.split(',') as SuspicionReason[]) : [],
+          };
+        }
+        voters.set(voterKeys[i], entry);
+      });
+
+      after = results[results.length - 1].rowid;
+      // Issued before either is awaited, so committed together
+      await Promise.all([
+        this.state.storage.put(VOTER_LOAD_KEY, after),
+        ...this.storeVoters(Array.from(voters)),
+      ]);
+      if (results.length < VOTER_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    await this.state.storage.delete(VOTER_LOAD_KEY);
+  }
+
+  /**
+   * Update the open/close window after the owner edits it
+   */
+  private async handleSchedule(body: VoteRequest): Promise<VoteResponse> {
+    if (!this.voteState.initialized) {
+      // Nothing to update - init will pick the window up from D1
+      return { success: true };
+    }
+
+    this.voteState.opensAt = body.opensAt ?? null;
+    this.voteState.closesAt = body.closesAt ?? null;
+    await this.saveToStorage({ settings: true });
+    await this.scheduleCloseAlarm();
+
+    return { success: true, data: { closed: this.voteState.closed } };
+  }
+
+  /**
+   * Update voter-facing settings after the owner edits the poll
+   */
+  private async handleSettings(body: VoteRequest): Promise<VoteResponse> {
+    if (body.resetLiveViewers) {
+      // 1012 (service restart) makes clients reconnect, re-checking their access
+      for (const ws of this.state.getWebSockets()) {
+        ws.close(1012, 'Poll settings changed');
+      }
+    }
+
+    if (!this.voteState.initialized) {
+      return { success: true };
+    }
+
+    if (body.allowVoteChanges !== undefined) {
+      this.voteState.allowVoteChanges = body.allowVoteChanges;
+    }
+    await this.saveToStorage({ settings: true });
+
+    return { success: true };
+  }
+
+  /**
+   * Apply the owner's option edits. Removed options are stripped from
+   * every ballot, and a ballot left empty is refunded so its voter can
+   * vote again.
+   */
+  private async handleOptions(body: VoteRequest): Promise<VoteResponse> {
+    if (!this.voteState.initialized) {
+      return { success: false, error: 'Not initialized' };
+    }
+
+    const removed = new Set(body.removedOptionIds ?? []);
+    const changed: Array<[string, VoterEntry | null]> = [];
+    let refundedVotes = 0;
+
+    if (removed.size > 0) {
+      await this.forEachVoter((voterKey, entry) => {
+        const optionIds = entry.choices;
+        if (!optionIds || !optionIds.some((id) => removed.has(id))) {
+          return;
+        }
+
+        // Take the whole ballot out, then put back whatever survives
+        this.applyBallot(optionIds, -1);
+        const remaining = optionIds.filter((id) => !removed.has(id));
+        if (remaining.length > 0) {
+          changed.push([voterKey, { ...entry, choices: remaining }]);
+          this.applyBallot(remaining, 1);
+        } else {
+          changed.push([voterKey, null]);
+          this.voteState.totalVotes = Math.max(0, this.voteState.totalVotes - 1);
+          refundedVotes += 1;
+        }
+      });
+    }
+
+    for (const optionId of removed) {
+      // Anything still counted here is from ballots cast before choices
+      // were tracked per voter, which can only be dropped from the tallies
+      const option = this.voteState.options.get(optionId);
+      if (option && this.voteState.votingMode !== 'ranked') {
+        this.voteState.totalSelections = Math.max(
+          0,
+          this.voteState.totalSelections - option.voteCount
+        );
+      }
+      this.voteState.options.delete(optionId);
+    }
+
+    for (const option of body.optionTexts ?? []) {
+      const existing = this.voteState.options.get(option.id);
+      if (existing) {
+        existing.text = option.text;
+      } else {
+        this.voteState.options.set(option.id, { text: option.text, voteCount: 0 });
+      }
+    }
+
+    if (body.maxSelections != null) {
+      this.voteState.maxSelections = body.maxSelections;
+    }
+
+    // The runoff is recounted over the new options on the next read
+    this.rankedTally = null;
+    this.rankedStale = true;
+    this.voteState.dirty = true;
+    await this.saveToStorage({ settings: true, voters: changed });
+
+    // Write the refunded counts now so D1 agrees with the removed rows
+    await this.syncToD1();
+    this.broadcastOptionsChanged();
+
+    return {
+      success: true,
+      data: {
+        refundedVotes,
+        totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
+      },
+    };
+  }
+
+  /**
+   * Close the poll immediately (owner "close now")
+   */
+  private async handleClose(): Promise<VoteResponse> {
+    if (!this.voteState.initialized) {
+      return { success: true, data: { closed: true } };
+    }
+
+    if (!this.voteState.closed) {
+      await this.closeVoting(Math.floor(Date.now() / 1000));
+      await this.syncToD1();
+      await this.scheduleAlarm(Date.now());
+    }
+
+    return { success: true, data: { closed: true } };
+  }
+
+  /**
+   * Check a ballot's selections against the poll's voting mode
+   */
+  private validateSelections(optionIds: string[]): string | null {
+    if (new Set(optionIds).size !== optionIds.length) {
+      return 'Each option can only be selected once';
+    }
+
+    if (this.voteState.votingMode === 'single') {
+      return optionIds.length === 1 ? null : 'Exactly one option must be selected';
+    }
+
+    if (this.voteState.votingMode === 'ranked') {
+      // Partial rankings are allowed, unranked options are simply never reached
+      return null;
+    }
+
+    const { minSelections, maxSelections } = this.voteState;
+    if (optionIds.length < minSelections || optionIds.length > maxSelections) {
+      return minSelections === maxSelections
+        ? `Select exactly ${minSelections} options`
+        : `Select between ${minSelections} and ${maxSelections} options`;
+    }
+
+    return null;
+  }
+
+  /**
+   * Check the poll is accepting votes and the caller is allowed to vote
+   */
+  private checkVoter(body: VoteRequest): VoteResponse | null {
+    // Ensure pollId is set (use from request if state doesn't have it)
+    if (!this.voteState.pollId && body.pollId) {
+      this.voteState.pollId = body.pollId;
     }
 
     if (!this.voteState.pollId) {
       return { success: false, error: 'Poll ID not set - DO not initialized' };
     }
 
+    const windowError = this.checkVotingWindow();
+    if (windowError) {
+      return windowError;
+    }
+
+    if (this.voteState.requireAuth && !body.userId) {
+      return {
+        success: false,
+        error: 'Sign in to vote on this poll',
+        data: { authRequired: true },
+      };
+    }
+
+    return null;
+  }
+
+  private getVoterKeyFor(body: VoteRequest): string {
+    return getVoterKey(
+      this.voteState.requireAuth ? body.userId : null,
+      body.ipAddress!,
+      body.fingerprint!
+    );
+  }
+
+  /**
+   * Check a ballot against the voting mode and the poll's options
+   */
+  private checkBallot(optionIds: string[]): VoteResponse | null {
+    const selectionError = this.validateSelections(optionIds);
+    if (selectionError) {
+      return { success: false, error: selectionError, data: { invalidSelection: true } };
+    }
+
+    for (const optionId of optionIds) {
+      if (!this.voteState.options.has(optionId)) {
+        return { success: false, error: 'Option not found' };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Check an existing voter may change or retract their ballot
+   */
+  private checkCanChange(voter: VoterEntry | null): VoteResponse | null {
+    if (!this.voteState.allowVoteChanges) {
+      return {
+        success: false,
+        error: 'This poll does not allow changing votes',
+        data: { changesNotAllowed: true },
+      };
+    }
+
+    if (!voter) {
+      return {
+        success: false,
+        error: 'You have not voted on this poll',
+        data: { notVoted: true },
+      };
+    }
+
+    if (!voter.choices) {
+      return {
+        success: false,
+        error: 'This vote was cast before vote changes were supported and cannot be changed',
+        data: { changesNotAllowed: true },
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Add (delta 1) or remove (delta -1) a ballot from the counts. Ranked
+   * polls count first preferences only; later rounds come from the choices.
+   */
+  private applyBallot(optionIds: string[], delta: 1 | -1): void {
+    const counted = this.voteState.votingMode === 'ranked' ? optionIds.slice(0, 1) : optionIds;
+    for (const optionId of counted) {
+      const option = this.voteState.options.get(optionId);
+      if (option) {
+        option.voteCount = Math.max(0, option.voteCount + delta);
+      }
+    }
+    this.voteState.totalSelections = Math.max(
+      0,
+      this.voteState.totalSelections + delta * optionIds.length
+    );
+  }
+
+  private getVoteCounts(optionIds: string[]): Record<string, number> {
+    const counts: Record<string, number> = {};
+    for (const optionId of optionIds) {
+      const option = this.voteState.options.get(optionId);
+      if (option) {
+        counts[optionId] = option.voteCount;
+      }
+    }
+    return counts;
+  }
+
+  /**
+   * One audit row per selection, sharing a ballot id. Every row carries
+   * the ballot's suspicion score and flag.
+   */
+  private ballotRows(
+    optionIds: string[],
+    body: VoteRequest,
+    suspicion: Suspicion | null,
+    flagged: boolean
+  ): AuditRow[] {
+    const ballotId = crypto.randomUUID();
+    const timestamp = Math.floor(Date.now() / 1000);
+    const isRanked = this.voteState.votingMode === 'ranked';
+    const reasons = suspicion && suspicion.reasons.length > 0 ? suspicion.reasons.join(',') : null;
+    return optionIds.map((optionId, i) => ({
+      id: crypto.randomUUID(),
+      ballotId,
+      optionId,
+      rank: isRanked ? i + 1 : null,
+      userId: body.userId || null,
+      ipAddress: body.ipAddress!,
+      fingerprint: body.fingerprint!,
+      createdAt: timestamp,
+      suspicionScore: suspicion?.score ?? 0,
+      flagReasons: reasons,
+      flagged,
+    }));
+  }
+
+  private auditWrite(body: VoteRequest, inserts: AuditRow[], replacesBallot: boolean): AuditWrite {
+    return {
+      pollId: this.voteState.pollId,
+      voterKey: this.getVoterKeyFor(body),
+      deleteVoter: replacesBallot
+        ? {
+            userId: this.voteState.requireAuth ? body.userId || null : null,
+            ipAddress: body.ipAddress!,
+            fingerprint: body.fingerprint!,
+          }
+        : null,
+      inserts,
+      queuedAt: Date.now(),
+      attempts: 0,
+    };
+  }
+
+  /**
+   * Statements applying one audit write. Inserts are keyed by row id, so
+   * a batch retried after D1 applied it changes nothing, and skip options
+   * deleted since the vote (their rows would have gone with them).
+   */
+  private auditStatements(write: AuditWrite): D1PreparedStatement[] {
+    const statements: D1PreparedStatement[] = [];
+    const voter = write.deleteVoter;
+    if (voter?.userId) {
+      statements.push(
+        this.env.DB.prepare('DELETE FROM votes WHERE poll_id = ? AND user_id = ?').bind(write.pollId, voter.userId)
+      );
+    } else if (voter) {
+      statements.push(
+        this.env.DB.prepare('DELETE FROM votes WHERE poll_id = ? AND ip_address = ? AND fingerprint = ?')
+          .bind(write.pollId, voter.ipAddress, voter.fingerprint)
+      );
+    }
+
+    for (const row of write.inserts) {
+      statements.push(
+        this.env.DB.prepare(
+          `INSERT INTO votes (id, ballot_id, poll_id, option_id, rank, user_id, ip_address, fingerprint, created_at, suspicion_score, flag_reasons, flagged)
+           SELECT ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ? WHERE EXISTS (SELECT 1 FROM options WHERE id = ?)
+           ON CONFLICT (id) DO NOTHING`
+        ).bind(row.id, row.ballotId, write.pollId, row.optionId, row.rank, row.userId, row.ipAddress, row.fingerprint, row.createdAt, row.suspicionScore, row.flagReasons, row.flagged ? 1 : 0, row.optionId)
+      );
+    }
+    return statements;
+  }
+
+  /**
+   * Write queued audit writes to D1 in order, several per batch, then
+   * retry the writes in retry slots that are due. Runs one at a time so no
+   * write is replayed after a later one. While D1 can't be reached at all
+   * nothing moves; the flush is tried again after a backoff. Returns how
+   * many writes are still waiting, queued or in a retry slot.
+   */
+  private flushAuditOutbox(): Promise<number> {
+    const run = this.auditFlush.then(() => this.writeAuditOutbox());
+    this.auditFlush = run.catch(() => undefined);
+    return run;
+  }
+
+  private async writeAuditOutbox(): Promise<number> {
+    if (Date.now() >= this.auditRetryAt) {
+      const reached = (await this.writeQueuedAudit()) && (await this.retryAuditSlots());
+      if (reached) {
+        this.auditOutages = 0;
+        this.auditRetryAt = 0;
+      } else {
+        this.auditOutages++;
+        this.auditRetryAt = Date.now() + this.auditBackoff(this.auditOutages);
+        await this.scheduleAlarm(this.auditRetryAt);
+      }
+    }
+    return this.audit.depth + this.audit.retrying;
+  }
+
+  /**
+   * Write the queue a batch at a time. A batch D1 rejects is written again
+   * one write at a time, and each write it still rejects moves to its
+   * voter's retry slot. Returns false if D1 couldn't be reached, keeping
+   * what's left queued.
+   */
+  private async writeQueuedAudit(): Promise<boolean> {
+    for (let round = 0; round < AUDIT_FLUSH_BATCHES && this.audit.depth > 0; round++) {
+      const queued = await this.state.storage.list<AuditWrite>({
+        prefix: AUDIT_OUTBOX_PREFIX,
+        limit: AUDIT_BATCH_STATEMENTS,
+      });
+      if (queued.size === 0) {
+        this.audit = { ...this.audit, depth: 0 };
+        await this.state.storage.put(AUDIT_STATE_KEY, this.audit);
+        break;
+      }
+
+      const batch: Array<[string, AuditWrite]> = [];
+      let statementCount = 0;
+      for (const [key, write] of queued) {
+        const count = (write.deleteVoter ? 1 : 0) + write.inserts.length;
+        if (batch.length > 0 && statementCount + count > AUDIT_BATCH_STATEMENTS) {
+          break;
+        }
+        batch.push([key, write]);
+        statementCount += count;
+      }
+
+      // Retry slots of the batch's voters by voter key; null once cleared
+      const stored = await this.state.storage.get<AuditWrite>(
+        [...new Set(batch.map(([, write]) => `${AUDIT_RETRY_PREFIX}${write.voterKey}`))]
+      );
+      const before = new Map<string, AuditWrite>();
+      for (const [key, slot] of stored) {
+        before.set(key.slice(AUDIT_RETRY_PREFIX.length), slot);
+      }
+
+      let slots = new Map<string, AuditWrite | null>(before);
+      let written = batch.map(([key]) => key);
+      let reached = true;
+      const planned = new Map(slots);
+      const toWrite = batch.filter(([, write]) => this.routeAuditWrite(write, planned));
+      try {
+        if (toWrite.length > 0) {
+          await this.env.DB.batch(toWrite.flatMap(([, write]) => this.auditStatements(write)));
+        }
+        slots = planned;
+      } catch {
+        written = [];
+        for (const [key, write] of batch) {
+          if (this.routeAuditWrite(write, slots)) {
+            try {
+              await this.env.DB.batch(this.auditStatements(write));
+            } catch (error) {
+              if (!(await this.isD1Reachable())) {
+                reached = false;
+                break;
+              }
+              console.error('Failed to write votes to D1, moving them to a retry slot:', error);
+              slots.set(write.voterKey, { ...write, attempts: 1, retryAt: Date.now() + this.auditBackoff(1) });
+            }
+          }
+          written.push(key);
+        }
+      }
+
+      // Issued together so the counters commit with the outbox and slots
+      const entries: Record<string, unknown> = {};
+      const removed = [...written];
+      let retrying = this.audit.retrying;
+      for (const [voterKey, slot] of slots) {
+        if (slot === before.get(voterKey)) {
+          continue;
+        }
+        if (slot) {
+          entries[`${AUDIT_RETRY_PREFIX}${voterKey}`] = slot;
+          if (!before.has(voterKey)) retrying++;
+        } else if (before.has(voterKey)) {
+          removed.push(`${AUDIT_RETRY_PREFIX}${voterKey}`);
+          retrying--;
+        }
+      }
+      this.audit = { ...this.audit, depth: this.audit.depth - written.length, retrying };
+      entries[AUDIT_STATE_KEY] = this.audit;
+      const writes: Promise<unknown>[] = [this.state.storage.put(entries)];
+      for (let i = 0; i < removed.length; i += STORAGE_BATCH_KEYS) {
+        writes.push(this.state.storage.delete(removed.slice(i, i + STORAGE_BATCH_KEYS)));
+      }
+      await Promise.all(writes);
+
+      if (!reached) {
+        return false;
+      }
+    }
+
+    if (this.audit.depth > 0) {
+      // More than one flush's worth; carry on straight away
+      await this.scheduleAlarm(Date.now());
+    }
+    return true;
+  }
+
+  /**
+   * Whether a queued write goes to D1 now. A write for a voter with a
+   * retry slot joins the slot instead, so it can't land ahead of it,
+   * unless it replaces the voter's rows, which makes the slot moot.
+   */
+  private routeAuditWrite(write: AuditWrite, slots: Map<string, AuditWrite | null>): boolean {
+    const slot = slots.get(write.voterKey);
+    if (slot && !write.deleteVoter) {
+      slots.set(write.voterKey, { ...slot, inserts: [...slot.inserts, ...write.inserts] });
+      return false;
+    }
+    if (slot) {
+      slots.set(write.voterKey, null);
+    }
+    return true;
+  }
+
+  /**
+   * Retry the writes in retry slots that are due, one at a time. One that
+   * fails again waits longer, and becomes a dead letter once it has failed
+   * AUDIT_MAX_ATTEMPTS times. Returns false if D1 couldn't be reached.
+   */
+  private async retryAuditSlots(): Promise<boolean> {
+    if (this.audit.retrying === 0) {
+      return true;
+    }
+
+    const now = Date.now();
+    let nextRetryAt: number | null = null;
+    let startAfter: string | undefined;
+    for (;;) {
+      const page = await this.state.storage.list<AuditWrite>({
+        prefix: AUDIT_RETRY_PREFIX,
+        startAfter,
+        limit: AUDIT_BATCH_STATEMENTS,
+      });
+      for (const [key, write] of page) {
+        startAfter = key;
+        if ((write.retryAt ?? 0) > now) {
+          nextRetryAt = Math.min(nextRetryAt ?? Infinity, write.retryAt!);
+          continue;
+        }
+
+        try {
+          await this.env.DB.batch(this.auditStatements(write));
+          this.audit = { ...this.audit, retrying: this.audit.retrying - 1 };
+          await Promise.all([this.state.storage.delete(key), this.state.storage.put(AUDIT_STATE_KEY, this.audit)]);
+          continue;
+        } catch (error) {
+          if (!(await this.isD1Reachable())) {
+            return false;
+          }
+          const attempts = write.attempts + 1;
+          if (attempts >= AUDIT_MAX_ATTEMPTS) {
+            console.error(`Gave up writing votes to D1 after ${attempts} attempts:`, error);
+            const lastError = error instanceof Error ? error.message : String(error);
+            this.audit = {
+              ...this.audit,
+              retrying: this.audit.retrying - 1,
+              deadLetters: this.audit.deadLetters + 1,
+            };
+            await Promise.all([
+              this.state.storage.delete(key),
+              this.state.storage.put({
+                [`${AUDIT_DEAD_LETTER_PREFIX}${write.queuedAt}:${write.voterKey}`]: { ...write, attempts, lastError },
+                [AUDIT_STATE_KEY]: this.audit,
+              }),
+            ]);
+          } else {
+            console.error(`Failed to write votes to D1 (attempt ${attempts}):`, error);
+            const retryAt = Date.now() + this.auditBackoff(attempts);
+            await this.state.storage.put(key, { ...write, attempts, retryAt });
+            nextRetryAt = Math.min(nextRetryAt ?? Infinity, retryAt);
+          }
+        }
+      }
+      if (page.size < AUDIT_BATCH_STATEMENTS) {
+        break;
+      }
+    }
+
+    if (nextRetryAt !== null) {
+      await this.scheduleAlarm(nextRetryAt);
+    }
+    return true;
+  }
+
+  private auditBackoff(attempts: number): number {
+    return Math.min(AUDIT_RETRY_BASE_MS * 2 ** (attempts - 1), AUDIT_RETRY_MAX_MS);
+  }
+
+  // Whether D1 answers at all, telling an outage from a write it rejects
+  private async isD1Reachable(): Promise<boolean> {
+    try {
+      await this.env.DB.prepare('SELECT 1').first();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Outbox depth, how long its oldest write has waited, how many writes
+   * wait in retry slots, and how many were given up on
+   */
+  private async getAuditOutboxStats(): Promise<AuditOutboxStats> {
+    const { depth, retrying, deadLetters } = this.audit;
+    if (depth === 0) {
+      return { depth, retrying, oldestAgeMs: null, deadLetters };
+    }
+    const [oldest] = (await this.state.storage.list<AuditWrite>({ prefix: AUDIT_OUTBOX_PREFIX, limit: 1 })).values();
+    return { depth, retrying, oldestAgeMs: oldest ? Date.now() - oldest.queuedAt : null, deadLetters };
+  }
+
+  private broadcastCounts(optionVoteCounts: Record<string, number>): void {
+    this.broadcast({
+      type: 'vote',
+      options: Object.entries(optionVoteCounts).map(([id, vote_count]) => ({ id, vote_count })),
+      totalVotes: this.voteState.totalVotes,
+      totalSelections: this.voteState.totalSelections,
+    });
+  }
+
+  /**
+   * Handle a vote submission
+   */
+  private async handleVote(body: VoteRequest): Promise<VoteResponse> {
+    const optionIds = body.optionIds ?? (body.optionId ? [body.optionId] : []);
+
+    if (optionIds.length === 0 || !body.ipAddress || !body.fingerprint) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    const voterError = this.checkVoter(body);
+    if (voterError) {
+      return voterError;
+    }
+
     // Check for duplicate vote
-    const voterKey = `${body.ipAddress}:${body.fingerprint}`;
-    if (this.voteState.voters.has(voterKey)) {
+    const voterKey = this.getVoterKeyFor(body);
+    if (await this.getVoter(voterKey)) {
       return {
         success: false,
         error: 'You have already voted on this poll',
@@ -256,51 +1752,586 @@ export class VoteEngine implements DurableObject {
       };
     }
 
-    // Check if option exists
-    const option = this.voteState.options.get(body.optionId);
-    if (!option) {
-      return { success: false, error: 'Option not found' };
+    // Check every option exists before touching any counts
+    const ballotError = this.checkBallot(optionIds);
+    if (ballotError) {
+      return ballotError;
     }
 
-    // Record the vote
-    option.voteCount += 1;
+    // Flagged ballots still count until the owner discards them, so a
+    // scripted voter gets no signal that it has been noticed
+    const suspicion = this.signals.record(body.ipAddress, body.fingerprint);
+
+    // Record the whole ballot at once
+    this.applyBallot(optionIds, 1);
     this.voteState.totalVotes += 1;
-    this.voteState.voters.add(voterKey);
+    const voter: VoterEntry = {
+      choices: optionIds,
+      flagged: suspicion.flagged ? { score: suspicion.score, reasons: suspicion.reasons } : undefined,
+    };
     this.voteState.dirty = true;
 
-    // Save to Durable Object storage immediately
-    await this.saveToStorage();
+    // Save to Durable Object storage immediately, with the ballot's audit
+    // rows queued for D1 in the same write
+    await this.saveToStorage({
+      voters: [[voterKey, voter]],
+      audit: this.auditWrite(body, this.ballotRows(optionIds, body, suspicion, suspicion.flagged), false),
+    });
 
-    // Schedule D1 sync
+    // Schedule D1 sync, which also flushes the audit rows
     await this.scheduleD1Sync();
 
-    // Also insert vote record into D1 for audit trail
-    try {
-      const voteId = crypto.randomUUID();
-      const timestamp = Math.floor(Date.now() / 1000);
+    const optionVoteCounts = this.getVoteCounts(
+      this.voteState.votingMode === 'ranked' ? optionIds.slice(0, 1) : optionIds
+    );
+    this.broadcastCounts(optionVoteCounts);
+
+    // Sent with the batched D1 sync scheduled above
+    await this.queueWebhookEvent(this.voteState.pollId, 'vote.created', {
+      poll_id: this.voteState.pollId,
+      option_ids: optionIds,
+      option_vote_counts: optionVoteCounts,
+      total_votes: this.voteState.totalVotes,
+      total_selections: this.voteState.totalSelections,
+    });
+
+    return {
+      success: true,
+      data: {
+        optionVoteCount: optionVoteCounts[optionIds[0]],
+        optionVoteCounts,
+        totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
+      },
+    };
+  }
+
+  /**
+   * Replace a voter's ballot with a new selection
+   */
+  private async handleChangeVote(body: VoteRequest): Promise<VoteResponse> {
+    const optionIds = body.optionIds ?? [];
+
+    if (optionIds.length === 0 || !body.ipAddress || !body.fingerprint) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    const voterError = this.checkVoter(body);
+    if (voterError) {
+      return voterError;
+    }
+
+    const voterKey = this.getVoterKeyFor(body);
+    const voter = await this.getVoter(voterKey);
+    const changeError = this.checkCanChange(voter) ?? this.checkBallot(optionIds);
+    if (changeError) {
+      return changeError;
+    }
+
+    const previous = voter!.choices!;
+    this.applyBallot(previous, -1);
+    this.applyBallot(optionIds, 1);
+    this.voteState.dirty = true;
+
+    // The audit write swaps the rows in one batch so D1 never holds both
+    // ballots. A flagged ballot stays flagged, changing it doesn't clear
+    // the review.
+    const flagged = voter!.flagged ?? null;
+    await this.saveToStorage({
+      voters: [[voterKey, { ...voter!, choices: optionIds }]],
+      audit: this.auditWrite(body, this.ballotRows(optionIds, body, flagged, flagged !== null), true),
+    });
+    await this.scheduleD1Sync();
+
+    const optionVoteCounts = this.getVoteCounts([...new Set([...previous, ...optionIds])]);
+    this.broadcastCounts(optionVoteCounts);
+
+    return {
+      success: true,
+      data: {
+        optionVoteCounts,
+        totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
+      },
+    };
+  }
+
+  /**
+   * Withdraw a voter's ballot entirely, letting them vote again later
+   */
+  private async handleRetractVote(body: VoteRequest): Promise<VoteResponse> {
+    if (!body.ipAddress || !body.fingerprint) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    const voterError = this.checkVoter(body);
+    if (voterError) {
+      return voterError;
+    }
+
+    const voterKey = this.getVoterKeyFor(body);
+    const voter = await this.getVoter(voterKey);
+    const changeError = this.checkCanChange(voter);
+    if (changeError) {
+      return changeError;
+    }
+
+    const previous = voter!.choices!;
+    this.applyBallot(previous, -1);
+    this.voteState.totalVotes = Math.max(0, this.voteState.totalVotes - 1);
+    this.voteState.dirty = true;
+
+    await this.saveToStorage({ voters: [[voterKey, null]], audit: this.auditWrite(body, [], true) });
+    await this.scheduleD1Sync();
+
+    const optionVoteCounts = this.getVoteCounts(previous);
+    this.broadcastCounts(optionVoteCounts);
+
+    return {
+      success: true,
+      data: {
+        optionVoteCounts,
+        totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
+      },
+    };
+  }
+
+  /**
+   * Resolve ballots from the owner's review queue. Discarded ballots come
+   * out of the counts and their rows are deleted; accepted ones stay
+   * counted and lose the flag. Either way the voter stays recorded, so a
+   * discarded ballot can't just be cast again.
+   */
+  private async handleReviewFlagged(body: VoteRequest): Promise<VoteResponse> {
+    if (!this.voteState.initialized) {
+      return { success: false, error: 'Not initialized' };
+    }
+
+    const ballotIds = body.ballotIds ?? [];
+    const decision = body.decision;
+    if (ballotIds.length === 0 || (decision !== 'discard' && decision !== 'accept')) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    // Hold other requests until the counts and the rows agree again
+    return this.state.blockConcurrencyWhile(() => this.reviewFlagged(ballotIds, decision));
+  }
+
+  private async reviewFlagged(
+    ballotIds: string[],
+    decision: FlaggedReviewDecision
+  ): Promise<VoteResponse> {
+    // The review works on the votes rows, so they must all be in D1
+    if ((await this.flushAuditOutbox()) > 0) {
+      return {
+        success: false,
+        error: 'Recent votes are still being written, try again shortly',
+        data: { auditPending: true },
+      };
+    }
+
+    const match = 'poll_id = ? AND flagged = 1 AND ballot_id IN (SELECT value FROM json_each(?))';
+    const { results } = await this.env.DB.prepare(
+      `SELECT ballot_id, option_id, user_id, ip_address, fingerprint FROM votes WHERE ${match} ORDER BY ballot_id, rank`
+    )
+      .bind(this.voteState.pollId, JSON.stringify(ballotIds))
+      .all<{ ballot_id: string; option_id: string; user_id: string | null; ip_address: string; fingerprint: string }>();
+
+    const ballots = new Map<string, { voterKey: string; optionIds: string[] }>();
+    for (const row of results) {
+      const ballot = ballots.get(row.ballot_id) ?? {
+        voterKey: getVoterKey(
+          this.voteState.requireAuth ? row.user_id : null,
+          row.ip_address,
+          row.fingerprint
+        ),
+        optionIds: [],
+      };
+      ballot.optionIds.push(row.option_id);
+      ballots.set(row.ballot_id, ballot);
+    }
+
+    if (ballots.size > 0) {
+      // D1 first: if it fails the engine is untouched and the review can be retried
       await this.env.DB.prepare(
-        'INSERT INTO votes (id, poll_id, option_id, user_id, ip_address, fingerprint, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)'
+        `${decision === 'discard' ? 'DELETE FROM votes' : 'UPDATE votes SET flagged = 0'} WHERE ${match}`
       )
-        .bind(voteId, this.voteState.pollId, body.optionId, body.userId || null, body.ipAddress, body.fingerprint, timestamp)
+        .bind(this.voteState.pollId, JSON.stringify(Array.from(ballots.keys())))
         .run();
-    } catch (error) {
-      // Vote is already recorded in DO, D1 insert is for audit
-      console.error('Failed to insert vote into D1:', error);
+    }
+
+    const voters = await this.getVoters(Array.from(ballots.values(), (ballot) => ballot.voterKey));
+    const reviewed: Array<[string, VoterEntry]> = [];
+    const changed = new Set<string>();
+    for (const { voterKey, optionIds } of ballots.values()) {
+      const voter = voters.get(voterKey);
+      if (decision === 'discard') {
+        const counted = voter?.choices ?? optionIds;
+        this.applyBallot(counted, -1);
+        this.voteState.totalVotes = Math.max(0, this.voteState.totalVotes - 1);
+        counted.forEach((optionId) => changed.add(optionId));
+      }
+      if (voter) {
+        reviewed.push([voterKey, { choices: decision === 'discard' ? null : voter.choices }]);
+      }
+    }
+
+    this.voteState.dirty = true;
+    await this.saveToStorage({ voters: reviewed });
+
+    if (changed.size > 0) {
+      await this.syncToD1();
+      this.broadcastCounts(this.getVoteCounts(Array.from(changed)));
     }
 
     return {
       success: true,
       data: {
-        optionVoteCount: option.voteCount,
+        reviewedBallots: ballots.size,
         totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
       },
     };
   }
 
   /**
-   * Get current poll state
+   * Check the engine's counts against a recount of the poll's votes rows
+   * and against the D1 counters, and repair them from the side direction
+   * trusts unless this is a dry run. Counts are reported as found.
+   */
+  private async handleReconcile(body: VoteRequest): Promise<VoteResponse> {
+    const pollId = this.voteState.pollId || body.pollId;
+    const direction = body.direction;
+    if (!pollId || (direction !== 'audit' && direction !== 'engine')) {
+      return { success: false, error: 'Missing required fields' };
+    }
+
+    // Hold votes until the stores have been compared and repaired
+    return this.state.blockConcurrencyWhile(() =>
+      this.reconcile(pollId, direction, body.dryRun !== false)
+    );
+  }
+
+  private async reconcile(
+    pollId: string,
+    direction: ReconcileDirection,
+    dryRun: boolean
+  ): Promise<VoteResponse> {
+    // Queued rows would show up as drift, so write them first
+    if ((await this.flushAuditOutbox()) > 0) {
+      return {
+        success: false,
+        error: 'Audit rows are still queued for D1, try again shortly',
+        data: { auditPending: true },
+      };
+    }
+
+    const poll = await this.env.DB.prepare(
+      'SELECT total_votes, total_selections, require_auth FROM polls WHERE id = ?'
+    )
+      .bind(pollId)
+      .first<{ total_votes: number; total_selections: number; require_auth: number }>();
+    if (!poll) {
+      return { success: false, error: 'Poll not found' };
+    }
+
+    // One ballot per voter, as the engine counts them
+    const [totals, auditCounts, counterCounts] = await this.env.DB.batch<Record<string, unknown>>([
+      this.env.DB.prepare(
+        `SELECT COUNT(DISTINCT ${VOTER_KEY_SQL}) AS ballots, COUNT(*) AS selections FROM votes WHERE poll_id = ?`
+      ).bind(poll.require_auth, pollId),
+      // Ranked ballots count toward their first preference only
+      this.env.DB.prepare(
+        'SELECT option_id AS id, SUM(CASE WHEN rank IS NULL OR rank = 1 THEN 1 ELSE 0 END) AS vote_count FROM votes WHERE poll_id = ? GROUP BY option_id'
+      ).bind(pollId),
+      this.env.DB.prepare('SELECT id, vote_count FROM options WHERE poll_id = ?').bind(pollId),
+    ]);
+
+    const audit = totals.results[0] as { ballots: number; selections: number };
+    const auditByOption = new Map(
+      (auditCounts.results as Array<{ id: string; vote_count: number }>).map((r) => [r.id, r.vote_count])
+    );
+    const counterByOption = new Map(
+      (counterCounts.results as Array<{ id: string; vote_count: number | null }>).map((r) => [r.id, r.vote_count ?? 0])
+    );
+
+    const engine = this.voteState.initialized ? this.voteState : null;
+    // A queued sync will overwrite the counters, so they aren't held to the engine until it runs
+    const syncPending = engine !== null && this.syncAlarm;
+    const agrees = (count: ReconcileCount) =>
+      (count.engine === null || count.engine === count.audit) &&
+      (syncPending || count.counter === (count.engine ?? count.audit));
+
+    const ballots: ReconcileCount = {
+      audit: audit.ballots,
+      engine: engine && engine.totalVotes,
+      counter: poll.total_votes ?? 0,
+    };
+    const selections: ReconcileCount = {
+      audit: audit.selections,
+      engine: engine && engine.totalSelections,
+      counter: poll.total_selections ?? 0,
+    };
+    const optionIds = new Set([
+      ...counterByOption.keys(),
+      ...auditByOption.keys(),
+      ...(engine ? engine.options.keys() : []),
+    ]);
+    const options: OptionReconcileCount[] = Array.from(optionIds, (id) => ({
+      id,
+      audit: auditByOption.get(id) ?? 0,
+      engine: engine && (engine.options.get(id)?.voteCount ?? 0),
+      counter: counterByOption.get(id) ?? 0,
+    })).filter((count) => !agrees(count));
+
+    // Dead letters are votes the rows will never have, so rebuilding from
+    // the rows would drop them
+    const deadLetters = this.audit.deadLetters;
+    const consistent = agrees(ballots) && agrees(selections) && options.length === 0 && deadLetters === 0;
+    let repair: PollReconciliation['repair'] = 'none';
+    if (!consistent) {
+      if ((direction === 'engine' && !engine) || (direction === 'audit' && deadLetters > 0)) {
+        repair = 'unavailable';
+      } else if (dryRun) {
+        repair = 'dry_run';
+      } else {
+        await this.repair(pollId, direction, poll.require_auth === 1);
+        repair = 'applied';
+      }
+    }
+
+    return {
+      success: true,
+      data: {
+        reconciliation: {
+          poll_id: pollId,
+          consistent,
+          sync_pending: syncPending,
+          audit_dead_letters: deadLetters,
+          ballots,
+          selections,
+          options,
+          repair,
+        },
+      },
+    };
+  }
+
+  private async repair(
+    pollId: string,
+    direction: ReconcileDirection,
+    requireAuth: boolean
+  ): Promise<void> {
+    if (direction === 'engine') {
+      await this.writeCountersToD1();
+      return;
+    }
+
+    if (!this.voteState.initialized) {
+      // Nothing in the engine yet: init will read the corrected counters
+      await this.env.DB.batch([
+        this.env.DB.prepare(
+          `UPDATE polls SET
+             total_votes = (SELECT COUNT(DISTINCT ${VOTER_KEY_SQL}) FROM votes WHERE poll_id = ?),
+             total_selections = (SELECT COUNT(*) FROM votes WHERE poll_id = ?)
+           WHERE id = ?`
+        ).bind(requireAuth ? 1 : 0, pollId, pollId, pollId),
+        this.env.DB.prepare(
+          `UPDATE options SET vote_count = (SELECT COUNT(*) FROM votes
+             WHERE votes.option_id = options.id AND (rank IS NULL OR rank = 1))
+           WHERE poll_id = ?`
+        ).bind(pollId),
+      ]);
+      return;
+    }
+
+    await this.rebuildFromAudit();
+    await this.writeCountersToD1();
+    this.broadcastCounts(this.getVoteCounts(Array.from(this.voteState.options.keys())));
+  }
+
+  /**
+   * Replace the engine's ballots and counts with those in the votes rows,
+   * read a page at a time. Voters the engine knows of are kept, so one
+   * whose row never landed (or whose ballot was discarded in review) still
+   * can't vote twice. Only the keys of the voters rebuilt are held in
+   * memory; the counts are taken from their stored entries at the end.
+   */
+  private async rebuildFromAudit(): Promise<void> {
+    const rebuilt = new Set<string>();
+    let after = 0;
+
+    for (;;) {
+      const { results } = await this.env.DB.prepare(
+        'SELECT rowid, option_id, user_id, ip_address, fingerprint, suspicion_score, flag_reasons, flagged FROM votes WHERE poll_id = ? AND rowid > ? ORDER BY rowid LIMIT ?'
+      )
+        .bind(this.voteState.pollId, after, VOTER_PAGE_SIZE)
+        .all<{ rowid: number } & Pick<VoteRow, 'option_id' | 'user_id' | 'ip_address' | 'fingerprint' | 'suspicion_score' | 'flag_reasons' | 'flagged'>>();
+      if (results.length === 0) {
+        break;
+      }
+
+      // A voter first seen on this page starts afresh; one whose ballot
+      // straddles the previous page adds to what was stored for it then
+      const voterKeys = results.map((row) =>
+        getVoterKey(this.voteState.requireAuth ? row.user_id : null, row.ip_address, row.fingerprint)
+      );
+      const voters = await this.getVoters(Array.from(new Set(voterKeys.filter((key) => rebuilt.has(key)))));
+      results.forEach((row, i) => {
+        const entry = voters.get(voterKeys[i]) ?? { choices: [] };
+        entry.choices!.push(row.option_id);
+        if (row.flagged) {
+          entry.flagged = {
+            score: row.suspicion_score,
+            reasons: row.flag_reasons ? (row.flag_reasons.split(',') as SuspicionReason[]) : [],
+          };
+        }
+        voters.set(voterKeys[i], entry);
+        rebuilt.add(voterKeys[i]);
+      });
+      await Promise.all(this.storeVoters(Array.from(voters)));
+
+      after = results[results.length - 1].rowid;
+      if (results.length < VOTER_PAGE_SIZE) {
+        break;
+      }
+    }
+
+    for (const option of this.voteState.options.values()) {
+      option.voteCount = 0;
+    }
+    this.voteState.totalSelections = 0;
+    const forgotten: Array<[string, VoterEntry]> = [];
+    await this.forEachVoter((voterKey, entry) => {
+      if (rebuilt.has(voterKey)) {
+        this.applyBallot(entry.choices!, 1);
+      } else if (entry.choices || entry.flagged) {
+        forgotten.push([voterKey, { choices: null }]);
+      }
+    });
+    this.voteState.totalVotes = rebuilt.size;
+
+    this.voteState.dirty = true;
+    await this.saveToStorage({ voters: forgotten });
+  }
+
+  /**
+   * Instant-runoff breakdown for ranked polls, undefined otherwise. Comes
+   * from the cached tally while that's recent, so ballots can take up to
+   * RANKED_TALLY_INTERVAL_MS to show.
+   */
+  private async getRankedResults(): Promise<RankedResults | undefined> {
+    if (this.voteState.votingMode !== 'ranked') {
+      return undefined;
+    }
+    const cached = this.rankedTally;
+    if (cached && (!this.rankedStale || Date.now() - cached.at < RANKED_TALLY_INTERVAL_MS)) {
+      return cached.results;
+    }
+    return this.tallyRankedBallots();
+  }
+
+  /**
+   * Recount the runoff from the voter entries, sharing a count already
+   * under way. Identical rankings are tallied once, with their voter count.
+   */
+  private tallyRankedBallots(): Promise<RankedResults> {
+    this.rankedTallying ??= this.countRankedBallots().finally(() => {
+      this.rankedTallying = null;
+    });
+    return this.rankedTallying;
+  }
+
+  private async countRankedBallots(): Promise<RankedResults> {
+    // Cleared first, so ballots cast during the scan mark it again
+    this.rankedStale = false;
+    const rankings = new Map<string, { choices: string[]; voters: number }>();
+    await this.forEachVoter((_, entry) => {
+      if (!entry.choices) {
+        return;
+      }
+      const key = entry.choices.join(' ');
+      const ranking = rankings.get(key);
+      if (ranking) {
+        ranking.voters++;
+      } else {
+        rankings.set(key, { choices: entry.choices, voters: 1 });
+      }
+    });
+
+    const counted = Array.from(rankings.values());
+    const results = tallyInstantRunoff(
+      Array.from(this.voteState.options.keys()),
+      counted.map((ranking) => ranking.choices),
+      counted.map((ranking) => ranking.voters)
+    );
+    this.rankedTally = { results, at: Date.now() };
+    return results;
+  }
+
+  /**
+   * Send live viewers the runoff when ballots have changed since the last
+   * tally. Called from the alarm, as each vote carries first preferences
+   * only; ballots cast while it counts get the next alarm.
+   */
+  private async broadcastRankedResults(): Promise<void> {
+    if (
+      this.voteState.votingMode !== 'ranked' ||
+      !this.rankedStale ||
+      this.state.getWebSockets(RESULTS_TAG).length === 0
+    ) {
+      return;
+    }
+    const rankedResults = await this.tallyRankedBallots();
+    this.broadcast({
+      type: 'vote',
+      options: Array.from(this.voteState.options, ([id, option]) => ({ id, vote_count: option.voteCount })),
+      totalVotes: this.voteState.totalVotes,
+      totalSelections: this.voteState.totalSelections,
+      rankedResults,
+    });
+    if (this.rankedStale) {
+      await this.scheduleD1Sync();
+    }
+  }
+
+  /**
+   * Whether a voter has a ballot counted, for results shown only to those
+   * who voted. Asked here, as the votes rows reach D1 after the vote.
+   */
+  private async handleHasVoted(body: VoteRequest): Promise<VoteResponse> {
+    if (!this.voteState.initialized) {
+      return { success: false, error: 'Not initialized' };
+    }
+
+    const identified = this.voteState.requireAuth ? Boolean(body.userId) : Boolean(body.ipAddress && body.fingerprint);
+    if (!identified) {
+      return { success: true, data: { voted: false } };
+    }
+    const voter = await this.getVoter(this.getVoterKeyFor(body));
+    return { success: true, data: { voted: Boolean(voter?.choices) } };
+  }
+
+  /**
+   * Write the audit outbox to D1 now, for work on the votes rows that
+   * can't wait for the alarm
+   */
+  private async handleFlushAudit(): Promise<VoteResponse> {
+    if ((await this.flushAuditOutbox()) > 0) {
+      return {
+        success: false,
+        error: 'Recent votes are still being written, try again shortly',
+        data: { auditPending: true },
+      };
+    }
+    return { success: true };
+  }
+
+  /**
+   * Get current poll state, with the audit outbox's backlog
    */
-  private handleGetState(): VoteResponse {
+  private async handleGetState(): Promise<VoteResponse> {
     if (!this.voteState.initialized) {
       return { success: false, error: 'Not initialized' };
     }
@@ -317,7 +2348,10 @@ export class VoteEngine implements DurableObject {
       success: true,
       data: {
         totalVotes: this.voteState.totalVotes,
+        totalSelections: this.voteState.totalSelections,
         options,
+        rankedResults: await this.getRankedResults(),
+        auditOutbox: await this.getAuditOutboxStats(),
       },
     };
   }
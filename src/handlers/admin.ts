@@ -0,0 +1,77 @@
+import { jsonResponse } from '../utils/response';
+import { applyMigrations, getAppliedMigrations, pendingMigrations, schemaVersion, type Migration } from '../utils/migrations';
+import { getPollsToReconcile, reconcilePolls } from '../utils/reconcile';
+import { invalidField } from '../utils/validation';
+import type { ReconcileInput } from '../types';
+import type { Env } from '../index';
+
+const summarize = ({ version, name }: Migration) => ({ version, name });
+
+/**
+ * Schema version of the database and the migrations not yet applied
+ * GET /api/admin/migrations
+ */
+export async function handleGetMigrations(db: D1Database): Promise<Response> {
+  const applied = await getAppliedMigrations(db);
+  return jsonResponse({
+    data: {
+      version: schemaVersion(applied),
+      applied,
+      pending: pendingMigrations(applied).map(summarize),
+    },
+  });
+}
+
+/**
+ * Apply pending migrations in order
+ * POST /api/admin/migrations
+ *
+ * Safe to repeat: with nothing pending it applies nothing. A failed
+ * migration is rolled back and stops the run; those before it stay.
+ */
+export async function handleApplyMigrations(db: D1Database): Promise<Response> {
+  const run = await applyMigrations(db);
+  if (!run.ok) {
+    return jsonResponse(
+      {
+        error: `Migration ${run.failed.version} (${run.failed.name}) failed: ${run.error}`,
+        code: 'MIGRATION_FAILED',
+        applied: run.applied.map(summarize),
+      },
+      500
+    );
+  }
+
+  const applied = await getAppliedMigrations(db);
+  return jsonResponse({
+    data: {
+      version: schemaVersion(applied),
+      applied: run.applied.map(summarize),
+    },
+  });
+}
+
+/**
+ * Compare each poll's vote engine, votes rows and D1 counters, and repair
+ * the ones that disagree unless dry_run
+ * POST /api/admin/reconcile
+ */
+export async function handleReconcile(env: Env, body: ReconcileInput): Promise<Response> {
+  let pollIds = body.poll_ids;
+  if (pollIds) {
+    const placeholders = pollIds.map(() => '?').join(',');
+    const found = await env.DB.prepare(`SELECT id FROM polls WHERE id IN (${placeholders})`)
+      .bind(...pollIds)
+      .all<{ id: string }>();
+    const known = new Set(found.results.map((row) => row.id));
+    const missing = pollIds.findIndex((pollId) => !known.has(pollId));
+    if (missing !== -1) {
+      return invalidField(`poll_ids[${missing}]`, 'is not a poll');
+    }
+  } else {
+    pollIds = await getPollsToReconcile(env.DB);
+  }
+
+  const report = await reconcilePolls(env, [...new Set(pollIds)], body.direction ?? 'audit', body.dry_run !== false);
+  return jsonResponse({ data: report });
+}
@@ -0,0 +1,99 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { getPollWithOptions, getVoteTimeRange, getVoteTimeline } from '../utils/db';
+import { canSeeResults } from '../utils/visibility';
+import { checkPollAccess } from '../middleware/pollAccess';
+import { getResultsViewer } from './polls';
+import type { TimelineBucket, TimelineInterval, VoteTimeline } from '../types';
+import type { Env } from '../index';
+
+const INTERVAL_SECONDS: Record<TimelineInterval, number> = {
+  minute: 60,
+  hour: 60 * 60,
+  day: 24 * 60 * 60,
+};
+
+// Keeps minute buckets on a months-long poll from producing huge responses
+const MAX_BUCKETS = 1500;
+
+/**
+ * Pick the finest interval that keeps the timeline under MAX_BUCKETS
+ */
+function defaultInterval(span: number): TimelineInterval {
+  if (span / INTERVAL_SECONDS.minute < MAX_BUCKETS) return 'minute';
+  if (span / INTERVAL_SECONDS.hour < MAX_BUCKETS) return 'hour';
+  return 'day';
+}
+
+/**
+ * When votes came in, per option, with cumulative totals
+ * GET /api/polls/:id/analytics?interval=minute|hour|day
+ *
+ * Follows the poll's results visibility, since the timeline reveals
+ * per-option counts. Ranked polls chart first preferences.
+ */
+export async function handleGetPollAnalytics(
+  env: Env,
+  request: Request,
+  pollId: string
+): Promise<Response> {
+  const poll = await getPollWithOptions(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const viewer = await getResultsViewer(env, request);
+  const accessError = await checkPollAccess(env, request, poll, viewer.userId);
+  if (accessError) {
+    return accessError;
+  }
+
+  if (!(await canSeeResults(env, poll, viewer))) {
+    return errorResponse('Results for this poll are hidden', 403, 'RESULTS_HIDDEN');
+  }
+
+  const intervalParam = new URL(request.url).searchParams.get('interval') as TimelineInterval | null;
+  if (intervalParam !== null && !(intervalParam in INTERVAL_SECONDS)) {
+    return errorResponse(`interval must be one of: ${Object.keys(INTERVAL_SECONDS).join(', ')}`);
+  }
+
+  const range = await getVoteTimeRange(env.DB, pollId);
+  const span = range ? range.last - range.first : 0;
+  const interval = intervalParam ?? defaultInterval(span);
+  const bucketSeconds = INTERVAL_SECONDS[interval];
+
+  if (span / bucketSeconds >= MAX_BUCKETS) {
+    return errorResponse(`Too many ${interval} intervals for this poll, use a coarser interval`);
+  }
+
+  const timeline: VoteTimeline = { interval, bucket_seconds: bucketSeconds, buckets: [] };
+  if (!range) {
+    return jsonResponse({ data: timeline });
+  }
+
+  const rows = await getVoteTimeline(env.DB, pollId, bucketSeconds);
+  const buckets = new Map<number, TimelineBucket>();
+  for (const row of rows.ballots) {
+    buckets.set(row.bucket, { start: row.bucket, ballots: row.ballots, total_ballots: 0, votes: {}, totals: {} });
+  }
+  for (const row of rows.options) {
+    const bucket = buckets.get(row.bucket);
+    if (bucket) {
+      bucket.votes[row.option_id] = row.votes;
+    }
+  }
+
+  // Running totals, with every current option present in each bucket
+  let totalBallots = 0;
+  const totals: Record<string, number> = Object.fromEntries(poll.options.map((o) => [o.id, 0]));
+  for (const bucket of buckets.values()) {
+    totalBallots += bucket.ballots;
+    bucket.total_ballots = totalBallots;
+    for (const id of Object.keys(totals)) {
+      totals[id] += bucket.votes[id] ?? 0;
+    }
+    bucket.totals = { ...totals };
+    timeline.buckets.push(bucket);
+  }
+
+  return jsonResponse({ data: timeline });
+}
@@ -0,0 +1,71 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { listUserApiKeys, countUserApiKeys, createApiKey, revokeApiKey, generateId, now } from '../utils/db';
+import { generateApiKey, getApiKeyPrefix, hashApiKey } from '../utils/apiKeys';
+import type { ApiKey, ApiKeyRow, ApiKeyScope, CreateApiKeyInput } from '../types';
+import type { Env } from '../index';
+
+const MAX_KEYS_PER_USER = 10;
+
+function toApiKey(row: ApiKeyRow): ApiKey {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes) as ApiKeyScope[],
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    expires_at: row.expires_at,
+  };
+}
+
+// GET /api/keys - The caller's API keys, newest first
+export async function handleGetApiKeys(
+  env: Env,
+  userId: string
+): Promise<Response> {
+  const keys = await listUserApiKeys(env.DB, userId);
+  return jsonResponse({ data: keys.map(toApiKey) });
+}
+
+// POST /api/keys - Mint an API key
+// Body: { name, scopes, expires_in_days? }. The key is only returned here.
+export async function handleCreateApiKey(
+  env: Env,
+  body: CreateApiKeyInput,
+  userId: string
+): Promise<Response> {
+  const name = body.name.trim();
+  const scopes = [...new Set(body.scopes)];
+  const days = body.expires_in_days ?? null;
+  const expiresAt = days === null ? null : now() + days * 24 * 60 * 60;
+
+  if ((await countUserApiKeys(env.DB, userId)) >= MAX_KEYS_PER_USER) {
+    return errorResponse(`You can have at most ${MAX_KEYS_PER_USER} API keys; revoke one first`, 409, 'API_KEY_LIMIT');
+  }
+
+  const key = generateApiKey();
+  const row = await createApiKey(env.DB, {
+    id: generateId(),
+    user_id: userId,
+    name,
+    prefix: getApiKeyPrefix(key),
+    key_hash: await hashApiKey(key),
+    scopes: JSON.stringify(scopes),
+    created_at: now(),
+    expires_at: expiresAt,
+  });
+
+  return jsonResponse({ data: { ...toApiKey(row), key } }, 201);
+}
+
+// DELETE /api/keys/:id - Revoke an API key; it stops working at once
+export async function handleRevokeApiKey(
+  env: Env,
+  keyId: string,
+  userId: string
+): Promise<Response> {
+  if (!(await revokeApiKey(env.DB, userId, keyId))) {
+    return notFound('API key not found');
+  }
+  return jsonResponse({ data: { id: keyId, revoked: true } });
+}
@@ -1,20 +1,7 @@
 import { jsonResponse, errorResponse } from '../utils/response';
 import { verifyFirebaseToken } from '../utils/firebase';
 import { generateId, now } from '../utils/db';
-
-interface GoogleAuthInput {
-  idToken: string;
-}
-
-interface UserRow {
-  id: string;
-  email: string;
-  google_uid: string;
-  display_name: string | null;
-  photo_url: string | null;
-  created_at: number;
-  updated_at: number;
-}
+import type { GoogleAuthInput, UserRow } from '../types';
 
 /**
  * Handle Google OAuth authentication
@@ -28,22 +15,9 @@ interface UserRow {
  */
 export async function handleGoogleAuth(
   db: D1Database,
-  request: Request,
+  body: GoogleAuthInput,
   projectId: string
 ): Promise<Response> {
-  let body: GoogleAuthInput;
-
-  try {
-    body = (await request.json()) as GoogleAuthInput;
-  } catch {
-    return errorResponse('Invalid JSON body');
-  }
-
-  // Validate idToken is provided
-  if (!body.idToken || typeof body.idToken !== 'string') {
-    return errorResponse('idToken is required');
-  }
-
   // Verify the Firebase ID token
   const payload = await verifyFirebaseToken(body.idToken, projectId);
 
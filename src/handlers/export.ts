@@ -0,0 +1,166 @@
+import { errorResponse, notFound, fileResponse } from '../utils/response';
+import { getPollWithOptions, getVotesPage, now } from '../utils/db';
+import { csvRow, createPseudonymizer, streamText } from '../utils/export';
+import { checkPollPermission } from '../utils/permissions';
+import { getPollResults } from './polls';
+import type { PollWithOptions, VoteRow } from '../types';
+import type { Env } from '../index';
+
+type ExportFormat = 'csv' | 'json';
+type ExportType = 'results' | 'votes';
+
+const EXPORT_FORMATS: ExportFormat[] = ['csv', 'json'];
+const EXPORT_TYPES: ExportType[] = ['results', 'votes'];
+const VOTE_PAGE_SIZE = 500;
+
+const CONTENT_TYPES: Record<ExportFormat, string> = {
+  csv: 'text/csv; charset=utf-8',
+  json: 'application/json; charset=utf-8',
+};
+
+/**
+ * Export a poll's results or its vote log
+ * GET /api/polls/:id/export?format=csv|json&type=results|votes
+ *
+ * For the poll's creator and its workspace's members. Voter IPs, fingerprints and accounts are replaced with
+ * pseudonyms that are only consistent within one export.
+ */
+export async function handleExportPoll(
+  env: Env,
+  request: Request,
+  pollId: string,
+  userId: string
+): Promise<Response> {
+  const params = new URL(request.url).searchParams;
+
+  const format = (params.get('format') ?? 'csv') as ExportFormat;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return errorResponse(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+  }
+
+  const type = (params.get('type') ?? 'results') as ExportType;
+  if (!EXPORT_TYPES.includes(type)) {
+    return errorResponse(`type must be one of: ${EXPORT_TYPES.join(', ')}`);
+  }
+
+  const poll = await getPollWithOptions(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const denied = await checkPollPermission(env.DB, poll, userId, 'view', 'You can only export polls you own or that are shared with you');
+  if (denied) {
+    return denied;
+  }
+
+  const filename = `poll-${poll.id}-${type}.${format}`;
+  const body = type === 'results'
+    ? await exportResults(env, poll, format)
+    : streamText((write) => exportVotes(env.DB, poll, format, write));
+
+  return fileResponse(body, CONTENT_TYPES[format], filename);
+}
+
+/**
+ * Per-option counts, plus one column per runoff round for ranked polls
+ */
+async function exportResults(
+  env: Env,
+  poll: PollWithOptions,
+  format: ExportFormat
+): Promise<string> {
+  const results = await getPollResults(env, poll);
+
+  if (format === 'json') {
+    return JSON.stringify({ exported_at: now(), data: results });
+  }
+
+  const rounds = results.ranked_results?.rounds ?? [];
+  let csv = csvRow([
+    'option_id',
+    'option',
+    'votes',
+    'percent',
+    ...rounds.map((round) => `round_${round.round}`),
+  ]);
+
+  for (const option of results.options) {
+    const percent = results.total_votes > 0
+      ? Math.round((option.vote_count / results.total_votes) * 1000) / 10
+      : 0;
+    csv += csvRow([
+      option.id,
+      option.text,
+      option.vote_count,
+      percent,
+      // Blank once the option has been eliminated
+      ...rounds.map((round) => round.tallies[option.id] ?? null),
+    ]);
+  }
+
+  return csv;
+}
+
+/**
+ * Every vote row in the order it was cast, paged from D1 so memory use
+ * doesn't grow with the size of the poll
+ */
+async function exportVotes(
+  db: D1Database,
+  poll: PollWithOptions,
+  format: ExportFormat,
+  write: (chunk: string) => Promise<void>
+): Promise<void> {
+  const pseudonym = await createPseudonymizer();
+  const optionText = new Map(poll.options.map((option) => [option.id, option.text]));
+
+  const toRecord = async (vote: VoteRow) => ({
+    vote_id: vote.id,
+    ballot_id: vote.ballot_id,
+    option_id: vote.option_id,
+    option: optionText.get(vote.option_id) ?? null,
+    rank: vote.rank,
+    voted_at: new Date(vote.created_at * 1000).toISOString(),
+    user: vote.user_id ? await pseudonym(`user:${vote.user_id}`) : null,
+    ip: await pseudonym(`ip:${vote.ip_address}`),
+    fingerprint: await pseudonym(`fp:${vote.fingerprint}`),
+    suspicion_score: vote.suspicion_score,
+    flagged: vote.flagged,
+  });
+
+  if (format === 'json') {
+    await write(`{"poll_id":${JSON.stringify(poll.id)},"exported_at":${now()},"votes":[`);
+  } else {
+    await write(csvRow(['vote_id', 'ballot_id', 'option_id', 'option', 'rank', 'voted_at', 'user', 'ip', 'fingerprint', 'suspicion_score', 'flagged']));
+  }
+
+  let after: VoteRow | null = null;
+  let first = true;
+  for (;;) {
+    const votes = await getVotesPage(db, poll.id, after, VOTE_PAGE_SIZE);
+    if (votes.length === 0) {
+      break;
+    }
+
+    let chunk = '';
+    for (const vote of votes) {
+      const record = await toRecord(vote);
+      if (format === 'json') {
+        chunk += `${first ? '' : ','}${JSON.stringify(record)}`;
+      } else {
+        chunk += csvRow(Object.values(record));
+      }
+      first = false;
+    }
+    await write(chunk);
+
+    after = votes[votes.length - 1];
+    if (votes.length < VOTE_PAGE_SIZE) {
+      break;
+    }
+  }
+
+  if (format === 'json') {
+    await write(']}');
+  }
+}
@@ -0,0 +1,142 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { getPollById, getFlaggedVotes } from '../utils/db';
+import { createPseudonymizer } from '../utils/export';
+import { getSubnet } from '../utils/suspicion';
+import { checkPollPermission, type PollPermission } from '../utils/permissions';
+import { getVoteEngine, initializeVoteEngine } from './votes';
+import type { FlaggedBallot, FlaggedReviewDecision, PollRow, ReviewFlaggedInput, SuspicionReason } from '../types';
+import type { Env } from '../index';
+
+const DEFAULT_QUEUE_SIZE = 100;
+const MAX_QUEUE_SIZE = 500;
+
+type OwnedPollResult =
+  | { ok: true; poll: PollRow }
+  | { ok: false; response: Response };
+
+async function getOwnedPoll(
+  env: Env,
+  pollId: string,
+  userId: string,
+  permission: PollPermission
+): Promise<OwnedPollResult> {
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return { ok: false, response: notFound('Poll not found') };
+  }
+
+  const denied = await checkPollPermission(env.DB, poll, userId, permission, 'You can only review votes on polls you manage');
+  if (denied) {
+    return { ok: false, response: denied };
+  }
+
+  return { ok: true, poll };
+}
+
+/**
+ * The poll's flagged ballots, oldest first
+ * GET /api/polls/:id/flagged?limit=
+ *
+ * For the poll's creator and its workspace's members. Addresses and
+ * fingerprints are pseudonyms that are only consistent within one
+ * response, enough to spot ballots from one source.
+ */
+export async function handleGetFlaggedVotes(
+  env: Env,
+  request: Request,
+  pollId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedPoll(env, pollId, userId, 'view');
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  const limitParam = new URL(request.url).searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_QUEUE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_QUEUE_SIZE) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_QUEUE_SIZE}`);
+  }
+
+  const { rows, total } = await getFlaggedVotes(env.DB, pollId, limit);
+  const pseudonym = await createPseudonymizer();
+
+  const ballots = new Map<string, FlaggedBallot>();
+  for (const row of rows) {
+    const ballotId = row.ballot_id!;
+    const existing = ballots.get(ballotId);
+    if (existing) {
+      existing.option_ids.push(row.option_id);
+      continue;
+    }
+
+    ballots.set(ballotId, {
+      ballot_id: ballotId,
+      option_ids: [row.option_id],
+      voted_at: row.created_at,
+      suspicion_score: row.suspicion_score,
+      reasons: (row.flag_reasons ? row.flag_reasons.split(',') : []) as SuspicionReason[],
+      signed_in: row.user_id !== null,
+      ip: await pseudonym(`ip:${row.ip_address}`),
+      subnet: await pseudonym(`subnet:${getSubnet(row.ip_address)}`),
+      fingerprint: await pseudonym(`fp:${row.fingerprint}`),
+    });
+  }
+
+  return jsonResponse({ data: Array.from(ballots.values()), total });
+}
+
+/**
+ * Discard or accept flagged ballots
+ * POST /api/polls/:id/flagged/discard
+ * POST /api/polls/:id/flagged/accept
+ * Body: { ballot_ids: string[] }
+ *
+ * Discarding takes the ballots out of the counts; accepting keeps them
+ * counted and clears the flag. Ballot ids that aren't flagged are ignored.
+ */
+export async function handleReviewFlaggedVotes(
+  env: Env,
+  body: ReviewFlaggedInput,
+  pollId: string,
+  userId: string,
+  decision: FlaggedReviewDecision
+): Promise<Response> {
+  const ballotIds = body.ballot_ids;
+
+  const owned = await getOwnedPoll(env, pollId, userId, 'manage');
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  const stub = await getVoteEngine(env, pollId);
+  await initializeVoteEngine(env, stub, pollId);
+
+  const doResponse = await stub.fetch('http://do/reviewFlagged', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'reviewFlagged', pollId, ballotIds, decision }),
+  });
+  const result = (await doResponse.json()) as {
+    success: boolean;
+    error?: string;
+    data?: { reviewedBallots?: number; totalVotes?: number; totalSelections?: number; auditPending?: boolean };
+  };
+
+  if (!result.success && result.data?.auditPending) {
+    // The review needs every ballot's audit rows in D1
+    return errorResponse(result.error || 'Recent votes are still being written', 503, 'AUDIT_PENDING');
+  }
+  if (!result.success) {
+    return errorResponse(result.error || 'Failed to review flagged votes', 500);
+  }
+
+  return jsonResponse({
+    data: {
+      decision,
+      reviewed: result.data?.reviewedBallots ?? 0,
+      total_votes: result.data?.totalVotes,
+      total_selections: result.data?.totalSelections,
+    },
+  });
+}
@@ -0,0 +1,131 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { getPollById, getActivePollInvites, createPollInvite, revokePollInvite } from '../utils/db';
+import { signInviteToken } from '../utils/invites';
+import { checkPollPermission } from '../utils/permissions';
+import { sendToVoteEngine } from './polls';
+import type { PollInvite, PollInviteRow, PollRow } from '../types';
+import type { Env } from '../index';
+
+type OwnedPollResult =
+  | { ok: true; poll: PollRow; secret: string }
+  | { ok: false; response: Response };
+
+/**
+ * Load a private poll for someone who manages it, along with the signing secret
+ */
+async function getOwnedPrivatePoll(env: Env, pollId: string, userId: string): Promise<OwnedPollResult> {
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return { ok: false, response: notFound('Poll not found') };
+  }
+
+  const denied = await checkPollPermission(env.DB, poll, userId, 'manage', 'You can only manage invites for polls you manage');
+  if (denied) {
+    return { ok: false, response: denied };
+  }
+
+  if (poll.visibility !== 'private') {
+    return {
+      ok: false,
+      response: errorResponse('Only private polls use invite links', 409, 'POLL_NOT_PRIVATE'),
+    };
+  }
+
+  if (!env.INVITE_SECRET) {
+    return { ok: false, response: errorResponse('Invite links are not configured on this server', 500) };
+  }
+
+  return { ok: true, poll, secret: env.INVITE_SECRET };
+}
+
+async function toInvite(secret: string, invite: PollInviteRow): Promise<PollInvite> {
+  return {
+    id: invite.id,
+    token: await signInviteToken(secret, invite.poll_id, invite.id),
+    created_at: invite.created_at,
+  };
+}
+
+/**
+ * Make revoked links stop working for viewers who are already watching
+ */
+async function disconnectLiveViewers(env: Env, pollId: string): Promise<void> {
+  try {
+    await sendToVoteEngine(env, pollId, { action: 'settings', resetLiveViewers: true });
+  } catch (error) {
+    console.error('Failed to reset live viewers:', error);
+  }
+}
+
+// GET /api/polls/:id/invites - Active invite links, oldest first
+export async function handleGetInvites(
+  env: Env,
+  pollId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedPrivatePoll(env, pollId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  const invites = await getActivePollInvites(env.DB, pollId);
+  return jsonResponse({
+    data: await Promise.all(invites.map((invite) => toInvite(owned.secret, invite))),
+  });
+}
+
+// POST /api/polls/:id/invites - Issue another invite link
+export async function handleCreateInvite(
+  env: Env,
+  pollId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedPrivatePoll(env, pollId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  const invite = await createPollInvite(env.DB, pollId);
+  return jsonResponse({ data: await toInvite(owned.secret, invite) }, 201);
+}
+
+// POST /api/polls/:id/invites/:inviteId/rotate - Replace a link with a new one
+export async function handleRotateInvite(
+  env: Env,
+  pollId: string,
+  inviteId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedPrivatePoll(env, pollId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  if (!(await revokePollInvite(env.DB, pollId, inviteId))) {
+    return notFound('Invite not found');
+  }
+
+  const invite = await createPollInvite(env.DB, pollId);
+  await disconnectLiveViewers(env, pollId);
+  return jsonResponse({ data: await toInvite(owned.secret, invite) }, 201);
+}
+
+// DELETE /api/polls/:id/invites/:inviteId - Revoke a link
+export async function handleRevokeInvite(
+  env: Env,
+  pollId: string,
+  inviteId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedPrivatePoll(env, pollId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  if (!(await revokePollInvite(env.DB, pollId, inviteId))) {
+    return notFound('Invite not found');
+  }
+
+  await disconnectLiveViewers(env, pollId);
+  return jsonResponse({ data: { id: inviteId, revoked: true } });
+}
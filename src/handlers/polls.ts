@@ -1,6 +1,16 @@
 import { jsonResponse, errorResponse, notFound } from '../utils/response';
-import { getAllPollsWithOptions, getPollWithOptions, createPoll, getPollsByUserIdWithOptions, getPollById, updatePoll as updatePollDb, deletePoll as deletePollDb } from '../utils/db';
-import type { CreatePollInput, PollWithOptions, UpdatePollInput } from '../types';
+import { listPolls, searchPolls, encodePollCursor, decodePollCursor, getPollWithOptions, createPoll, getPollById, updatePoll as updatePollDb, deletePoll as deletePollDb, updatePollSchedule, updatePollSettings, updatePollOptions, updatePollMaxSelections, setPollTags, countVotesForOptions, getOptionsByPollId, closePoll as closePollDb, getPollStatus, getRankedBallots, getActivePollInvites, createPollInvite, setPollWorkspace, getWorkspaceRole, getUserWorkspaceRoles, generateId, now } from '../utils/db';
+import type { PollPage, PollListQuery, PollSort } from '../utils/db';
+import type { CreatePollInput, PollRow, PollSearchMatch, PollStatus, PollWithOptions, RankedResults, UpdatePollInput, WebhookEvent } from '../types';
+import { tallyInstantRunoff } from '../utils/ranked';
+import { applyResultsVisibility, canSeeResults, hideResults, type ResultsViewer } from '../utils/visibility';
+import { getClientIp } from '../utils/request';
+import { buildMatchQuery, formatSnippet } from '../utils/search';
+import { getOptionalUser } from '../middleware/auth';
+import { checkPollAccess } from '../middleware/pollAccess';
+import { checkPollPermission, hasWorkspacePermission } from '../utils/permissions';
+import { getVoteEngine, initializeVoteEngine } from './votes';
+import { invalidField } from '../utils/validation';
 import type { Env } from '../index';
 
 interface DOStateResponse {
@@ -8,10 +18,326 @@ interface DOStateResponse {
   error?: string;
   data?: {
     totalVotes: number;
+    totalSelections: number;
     options: Array<{ id: string; text: string; vote_count: number }>;
+    rankedResults?: RankedResults;
   };
 }
 
+const LIST_SORTS: PollSort[] = ['votes', 'newest', 'closing_soon'];
+const LIST_STATUSES: PollStatus[] = ['open', 'scheduled', 'closed'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_TAGS = 5;
+const MAX_TAG_LENGTH = 30;
+
+// Parsed list query string; owner is a user id or 'me'
+type ListQueryResult =
+  | { ok: true; query: PollListQuery; owner: string | null }
+  | { ok: false; error: string };
+
+interface OptionChanges {
+  renamed: Array<{ id: string; text: string }>;
+  added: Array<{ id: string; text: string }>;
+  removedIds: string[];
+  maxSelections: number | null; // Set when approval limits must shrink
+}
+
+type OptionChangesResult =
+  | { ok: true; changes: OptionChanges | null }
+  | { ok: false; response: Response };
+
+type TagsResult =
+  | { ok: true; value: string[] | undefined }
+  | { ok: false; response: Response };
+
+type WorkspaceResult =
+  | { ok: true; value: string | null | undefined }
+  | { ok: false; response: Response };
+
+/**
+ * Lowercase a tag and hyphenate its spaces, so "Sprint Planning" and
+ * "sprint-planning" are the same tag. Returns null if it isn't valid.
+ */
+function normalizeTag(tag: string): string | null {
+  const normalized = tag.trim().toLowerCase().replace(/\s+/g, '-');
+  if (normalized.length > MAX_TAG_LENGTH || !/^[\p{L}\p{N}][\p{L}\p{N}-]*$/u.test(normalized)) {
+    return null;
+  }
+  return normalized;
+}
+
+/**
+ * Normalize and deduplicate an optional tag list from a request body.
+ * undefined means the field was omitted.
+ */
+function parseTags(value: string[] | undefined): TagsResult {
+  if (value === undefined) {
+    return { ok: true, value };
+  }
+
+  const tags = new Set<string>();
+  for (const [i, tag] of value.entries()) {
+    const normalized = normalizeTag(tag);
+    if (!normalized) {
+      return {
+        ok: false,
+        response: invalidField(`tags[${i}]`, `must be 1-${MAX_TAG_LENGTH} letters, numbers, spaces or hyphens`),
+      };
+    }
+    tags.add(normalized);
+  }
+
+  if (tags.size > MAX_TAGS) {
+    return { ok: false, response: invalidField('tags', `must have at most ${MAX_TAGS} tags`) };
+  }
+  return { ok: true, value: [...tags] };
+}
+
+/**
+ * Validate an edited option list and diff it against the poll's current
+ * options. Returns null changes when nothing would change.
+ */
+async function planOptionChanges(
+  env: Env,
+  poll: PollRow,
+  body: UpdatePollInput
+): Promise<OptionChangesResult> {
+  const fail = (message: string, status = 400, code?: string): OptionChangesResult => ({
+    ok: false,
+    response: errorResponse(message, status, code),
+  });
+  const options = body.options ?? [];
+
+  const current = await getOptionsByPollId(env.DB, poll.id);
+  const currentById = new Map(current.map((o) => [o.id, o]));
+  const keptIds = new Set<string>();
+  const renamed: OptionChanges['renamed'] = [];
+  const added: OptionChanges['added'] = [];
+
+  for (const [i, option] of options.entries()) {
+    const text = option.text.trim();
+
+    if (option.id === undefined) {
+      added.push({ id: generateId(), text });
+      continue;
+    }
+
+    const existing = currentById.get(option.id);
+    if (!existing) {
+      return { ok: false, response: invalidField(`options[${i}].id`, 'is not an option of this poll') };
+    }
+    if (keptIds.has(option.id)) {
+      return { ok: false, response: invalidField(`options[${i}].id`, 'appears more than once') };
+    }
+    keptIds.add(option.id);
+
+    if (existing.text !== text) {
+      renamed.push({ id: option.id, text });
+    }
+  }
+
+  const removedIds = current.filter((o) => !keptIds.has(o.id)).map((o) => o.id);
+
+  if (renamed.length === 0 && added.length === 0 && removedIds.length === 0) {
+    return { ok: true, changes: null };
+  }
+
+  // Renaming fixes typos, but the option set is frozen once voting ends
+  if ((added.length > 0 || removedIds.length > 0) && getPollStatus(poll) === 'closed') {
+    return fail('Options cannot be added or removed once a poll is closed', 409, 'POLL_CLOSED');
+  }
+
+  let maxSelections: number | null = null;
+  if (poll.voting_mode === 'approval') {
+    const optionCount = options.length;
+    if ((poll.min_selections ?? 1) > optionCount) {
+      return fail(`This poll requires at least ${poll.min_selections} picks, so it needs that many options`);
+    }
+    if (poll.max_selections !== null && poll.max_selections > optionCount) {
+      maxSelections = optionCount;
+    }
+  }
+
+  // Removing an option discards its votes, so the owner has to say so
+  if (removedIds.length > 0 && body.confirm_remove_voted !== true) {
+    // The count reads the votes rows, which the engine writes after voting
+    const flushed = (await (await sendToVoteEngine(env, poll.id, { action: 'flushAudit' })).json()) as {
+      success: boolean;
+      error?: string;
+    };
+    if (!flushed.success) {
+      return fail(flushed.error || 'Recent votes are still being written', 503, 'AUDIT_PENDING');
+    }
+    const voteCounts = await countVotesForOptions(env.DB, poll.id, removedIds);
+    const voted = removedIds.filter((id) => (voteCounts.get(id) ?? 0) > 0);
+    if (voted.length > 0) {
+      const names = voted.map((id) => `"${currentById.get(id)!.text}"`).join(', ');
+      const votes = voted.reduce((sum, id) => sum + voteCounts.get(id)!, 0);
+      return fail(
+        `Removing ${names} will discard ${votes} vote${votes === 1 ? '' : 's'}. Set confirm_remove_voted to remove anyway.`,
+        409,
+        'OPTION_HAS_VOTES'
+      );
+    }
+  }
+
+  return { ok: true, changes: { renamed, added, removedIds, maxSelections } };
+}
+
+/**
+ * Validate an optional workspace_id from a request body. The caller must
+ * be allowed to create polls there; null means no workspace.
+ */
+async function parseWorkspaceId(
+  db: D1Database,
+  value: string | null | undefined,
+  userId: string
+): Promise<WorkspaceResult> {
+  if (value === undefined || value === null) {
+    return { ok: true, value };
+  }
+
+  const role = await getWorkspaceRole(db, value, userId);
+  if (role === null) {
+    return { ok: false, response: notFound('Workspace not found') };
+  }
+
+  if (!hasWorkspacePermission(role, 'create_polls')) {
+    return { ok: false, response: errorResponse('Viewers cannot add polls to a workspace', 403) };
+  }
+
+  return { ok: true, value };
+}
+
+/**
+ * Parse limit, cursor, sort and filter parameters for poll listings
+ */
+function parseListQuery(url: URL, defaultSort: PollSort): ListQueryResult {
+  const params = url.searchParams;
+
+  const sort = (params.get('sort') ?? defaultSort) as PollSort;
+  if (!LIST_SORTS.includes(sort)) {
+    return { ok: false, error: `sort must be one of: ${LIST_SORTS.join(', ')}` };
+  }
+
+  const limitParam = params.get('limit');
+  const limit = limitParam === null ? DEFAULT_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { ok: false, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const cursorParam = params.get('cursor');
+  const cursor = cursorParam ? decodePollCursor(cursorParam, sort) : null;
+  if (cursorParam && !cursor) {
+    return { ok: false, error: 'cursor is invalid for this sort' };
+  }
+
+  const tagParam = params.get('tag');
+  const tag = tagParam ? normalizeTag(tagParam) : null;
+  if (tagParam && !tag) {
+    return { ok: false, error: 'tag is invalid' };
+  }
+
+  const status = params.get('status') as PollStatus | null;
+  if (status !== null && !LIST_STATUSES.includes(status)) {
+    return { ok: false, error: `status must be one of: ${LIST_STATUSES.join(', ')}` };
+  }
+
+  const createdAfterParam = params.get('created_after');
+  const createdAfter = createdAfterParam === null ? null : Number(createdAfterParam);
+  if (createdAfter !== null && (!Number.isInteger(createdAfter) || createdAfter < 0)) {
+    return { ok: false, error: 'created_after must be a unix timestamp in seconds' };
+  }
+
+  return {
+    ok: true,
+    owner: params.get('owner'),
+    query: {
+      limit,
+      sort,
+      cursor,
+      tag,
+      status,
+      createdAfter,
+      // The total only changes the first page's header, skip it when paging
+      includeTotal: cursor === null,
+    },
+  };
+}
+
+function pageResponse(
+  page: PollPage,
+  polls: unknown[],
+  limit: number
+): Response {
+  return jsonResponse({
+    data: polls,
+    pagination: {
+      limit,
+      next_cursor: page.nextCursor ? encodePollCursor(page.nextCursor) : null,
+      ...(page.total !== undefined && { total: page.total }),
+    },
+  });
+}
+
+/**
+ * Work out who is asking, for result visibility checks on public routes
+ */
+export async function getResultsViewer(env: Env, request: Request): Promise<ResultsViewer> {
+  const url = new URL(request.url);
+
+  // Browsers can't set headers on a WebSocket handshake, so live
+  // connections pass their credentials as query parameters instead
+  const token = url.searchParams.get('token');
+  const authRequest = token
+    ? new Request(request.url, { headers: { Authorization: `Bearer ${token}` } })
+    : request;
+  const user = await getOptionalUser(authRequest, env.DB, env.FIREBASE_PROJECT_ID, 'polls:read');
+
+  return {
+    userId: user?.id ?? null,
+    ipAddress: getClientIp(request),
+    fingerprint: request.headers.get('X-Fingerprint') || url.searchParams.get('fingerprint'),
+    workspaceRoles: user ? await getUserWorkspaceRoles(env.DB, user.id) : new Map(),
+  };
+}
+
+/**
+ * Send an action to a poll's Durable Object
+ */
+export async function sendToVoteEngine(
+  env: Env,
+  pollId: string,
+  body: Record<string, unknown>
+): Promise<Response> {
+  const id = env.VOTE_ENGINE.idFromName(pollId);
+  const stub = env.VOTE_ENGINE.get(id);
+
+  return stub.fetch(`http://do/${body.action}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+}
+
+/**
+ * Hand a poll lifecycle event to the poll's Durable Object, which sends
+ * it to the matching webhooks. Failures are logged, never surfaced.
+ */
+async function notifyWebhooks(
+  env: Env,
+  pollId: string,
+  event: WebhookEvent,
+  eventData: Record<string, unknown>
+): Promise<void> {
+  try {
+    await sendToVoteEngine(env, pollId, { action: 'webhook', pollId, event, eventData });
+  } catch (error) {
+    console.error(`Failed to queue ${event} webhooks:`, error);
+  }
+}
+
 /**
  * Get live vote counts from Durable Object if available
  */
@@ -37,12 +363,14 @@ async function getLiveVoteCounts(
       return {
         ...fallbackPoll,
         total_votes: result.data.totalVotes,
+        total_selections: result.data.totalSelections,
         options: result.data.options.map((opt) => ({
           id: opt.id,
           poll_id: pollId,
           text: opt.text,
           vote_count: opt.vote_count,
         })),
+        ...(result.data.rankedResults && { ranked_results: result.data.rankedResults }),
       };
     }
   } catch (error) {
@@ -53,13 +381,61 @@ async function getLiveVoteCounts(
   return fallbackPoll;
 }
 
-export async function handleGetPolls(db: D1Database): Promise<Response> {
-  const polls = await getAllPollsWithOptions(db);
-  return jsonResponse({ data: polls });
+export async function handleGetPolls(env: Env, request: Request): Promise<Response> {
+  const parsed = parseListQuery(new URL(request.url), 'votes');
+  if (!parsed.ok) {
+    return errorResponse(parsed.error);
+  }
+
+  const viewer = await getResultsViewer(env, request);
+
+  let ownerId = parsed.owner;
+  if (ownerId === 'me') {
+    if (!viewer.userId) {
+      return errorResponse('Sign in to filter by your own polls', 401);
+    }
+    ownerId = viewer.userId;
+  }
+
+  // Unlisted and private polls are only listed for their owner
+  const publicOnly = !ownerId || ownerId !== viewer.userId;
+  const page = await listPolls(env.DB, { ...parsed.query, ownerId, publicOnly });
+  const polls = await applyResultsVisibility(env, page.polls, viewer);
+  return pageResponse(page, polls, parsed.query.limit);
+}
+
+export async function handleSearchPolls(env: Env, request: Request): Promise<Response> {
+  const params = new URL(request.url).searchParams;
+  const matchQuery = buildMatchQuery(params.get('q') ?? '');
+  if (!matchQuery) {
+    return errorResponse('q must contain at least one word to search for');
+  }
+
+  const limitParam = params.get('limit');
+  const limit = limitParam === null ? DEFAULT_PAGE_SIZE : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  const hits = await searchPolls(env.DB, matchQuery, limit);
+  const viewer = await getResultsViewer(env, request);
+  const polls = await applyResultsVisibility(env, hits.map((hit) => hit.poll), viewer);
+
+  return jsonResponse({
+    data: polls.map((poll, i) => {
+      const match: PollSearchMatch = {
+        title: formatSnippet(hits[i].title) ?? '',
+        description: formatSnippet(hits[i].description, true),
+        options: formatSnippet(hits[i].options, true),
+      };
+      return { ...poll, match };
+    }),
+  });
 }
 
 export async function handleGetPollById(
   env: Env,
+  request: Request,
   pollId: string
 ): Promise<Response> {
   // First get from D1 as baseline
@@ -68,43 +444,122 @@ export async function handleGetPollById(
     return notFound('Poll not found');
   }
 
-  // Try to get live vote counts from Durable Object
-  const liveData = await getLiveVoteCounts(env, pollId, poll);
+  const viewer = await getResultsViewer(env, request);
+  const accessError = await checkPollAccess(env, request, poll, viewer.userId);
+  if (accessError) {
+    return accessError;
+  }
 
-  return jsonResponse({ data: liveData });
+  // Skip the engine entirely when the caller can't see the counts
+  if (!(await canSeeResults(env, poll, viewer))) {
+    return jsonResponse({ data: hideResults(poll) });
+  }
+
+  return jsonResponse({ data: await getPollResults(env, poll) });
 }
 
-export async function handleCreatePoll(
+/**
+ * Current counts for a poll: live from the Durable Object when it's
+ * running, otherwise from D1 with the runoff tallied from the audit rows
+ */
+export async function getPollResults(
+  env: Env,
+  poll: PollWithOptions
+): Promise<PollWithOptions> {
+  const liveData = await getLiveVoteCounts(env, poll.id, poll);
+
+  if (liveData.voting_mode === 'ranked' && !liveData.ranked_results) {
+    const ballots = await getRankedBallots(env.DB, poll.id);
+    liveData.ranked_results = tallyInstantRunoff(
+      liveData.options.map((o) => o.id),
+      ballots
+    );
+  }
+
+  return liveData;
+}
+
+// GET /api/polls/:id/live - Subscribe to live vote updates over WebSocket
+export async function handlePollLive(
   env: Env,
   request: Request,
+  pollId: string
+): Promise<Response> {
+  if (request.headers.get('Upgrade') !== 'websocket') {
+    return errorResponse('Expected WebSocket upgrade', 426);
+  }
+
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const viewer = await getResultsViewer(env, request);
+  const accessError = await checkPollAccess(env, request, poll, viewer.userId);
+  if (accessError) {
+    return accessError;
+  }
+
+  // Viewers who can't see results yet only get the running totals
+  const headers = new Headers(request.headers);
+  headers.set('X-Results-Hidden', (await canSeeResults(env, poll, viewer)) ? '0' : '1');
+
+  // Hand the upgrade to the poll's Durable Object, which owns the sockets
+  const id = env.VOTE_ENGINE.idFromName(pollId);
+  const stub = env.VOTE_ENGINE.get(id);
+  return stub.fetch(new Request(request, { headers }));
+}
+
+export async function handleCreatePoll(
+  env: Env,
+  body: CreatePollInput,
   userId: string
 ): Promise<Response> {
-  let body: CreatePollInput;
+  const votingMode = body.voting_mode ?? 'single';
 
-  try {
-    body = await request.json() as CreatePollInput;
-  } catch {
-    return errorResponse('Invalid JSON body');
+  // Approval polls default to "pick at least one, up to all of them"
+  let minSelections: number | null = null;
+  let maxSelections: number | null = null;
+
+  if (votingMode === 'approval') {
+    minSelections = body.min_selections ?? 1;
+    maxSelections = body.max_selections ?? body.options.length;
+
+    if (maxSelections > body.options.length) {
+      return invalidField('max_selections', 'must be at most the number of options');
+    }
+
+    if (minSelections > maxSelections) {
+      return invalidField('min_selections', 'must be at most max_selections');
+    }
   }
 
-  // Validate required fields
-  if (!body.title || typeof body.title !== 'string') {
-    return errorResponse('Title is required and must be a string');
+  const resultsVisibility = body.results_visibility ?? 'always';
+  const visibility = body.visibility ?? 'public';
+
+  if (visibility === 'private' && !env.INVITE_SECRET) {
+    return errorResponse('Private polls need invite links, which are not configured on this server', 500);
   }
 
-  if (!body.options || !Array.isArray(body.options)) {
-    return errorResponse('Options must be an array');
+  const tags = parseTags(body.tags);
+  if (!tags.ok) {
+    return tags.response;
   }
 
-  if (body.options.length < 2) {
-    return errorResponse('At least 2 options are required');
+  const workspace = await parseWorkspaceId(env.DB, body.workspace_id, userId);
+  if (!workspace.ok) {
+    return workspace.response;
   }
 
-  // Validate each option is a non-empty string
-  for (const option of body.options) {
-    if (typeof option !== 'string' || option.trim().length === 0) {
-      return errorResponse('Each option must be a non-empty string');
-    }
+  const opensAt = body.opens_at;
+  const closesAt = body.closes_at;
+
+  if (closesAt != null && closesAt <= now()) {
+    return invalidField('closes_at', 'must be in the future');
+  }
+
+  if (opensAt != null && closesAt != null && closesAt <= opensAt) {
+    return invalidField('closes_at', 'must be after opens_at');
   }
 
   // Trim and clean inputs
@@ -112,32 +567,47 @@ export async function handleCreatePoll(
   const description = body.description?.trim() || null;
   const options = body.options.map((o) => o.trim());
 
-  if (title.length === 0) {
-    return errorResponse('Title cannot be empty');
-  }
-
   // Create poll in D1 (source of truth for metadata)
-  const poll = await createPoll(env.DB, title, description, options, userId);
+  const poll = await createPoll(env.DB, title, description, options, userId, {
+    opensAt,
+    closesAt,
+    votingMode,
+    minSelections,
+    maxSelections,
+    requireAuth: body.require_auth === true,
+    allowVoteChanges: body.allow_vote_changes === true,
+    resultsVisibility,
+    visibility,
+    workspaceId: workspace.value,
+    tags: tags.value,
+  });
+
+  // A private poll starts with one invite link for the owner to share
+  if (visibility === 'private') {
+    await createPollInvite(env.DB, poll.id);
+  }
 
   // Pre-initialize the Durable Object for this poll
+  // (this also arms the auto-close alarm when closes_at is set)
   try {
-    const id = env.VOTE_ENGINE.idFromName(poll.id);
-    const stub = env.VOTE_ENGINE.get(id);
-
-    await stub.fetch('http://do/init', {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        action: 'init',
-        pollId: poll.id,
-        options: poll.options.map((o) => ({
-          id: o.id,
-          text: o.text,
-          vote_count: 0,
-        })),
-        totalVotes: 0,
-        existingVoters: [],
-      }),
+    await sendToVoteEngine(env, poll.id, {
+      action: 'init',
+      pollId: poll.id,
+      options: poll.options.map((o) => ({
+        id: o.id,
+        text: o.text,
+        vote_count: 0,
+      })),
+      totalVotes: 0,
+      totalSelections: 0,
+      votingMode: poll.voting_mode,
+      minSelections: poll.min_selections,
+      maxSelections: poll.max_selections,
+      requireAuth: poll.require_auth === 1,
+      allowVoteChanges: poll.allow_vote_changes === 1,
+      opensAt: poll.opens_at,
+      closesAt: poll.closes_at,
+      closed: false,
     });
   } catch (error) {
     // Non-fatal - DO will be initialized on first vote
@@ -149,15 +619,33 @@ export async function handleCreatePoll(
 
 export async function handleGetUserPolls(
   db: D1Database,
+  request: Request,
   userId: string
 ): Promise<Response> {
-  const polls = await getPollsByUserIdWithOptions(db, userId);
-  return jsonResponse({ data: polls });
+  const url = new URL(request.url);
+  const parsed = parseListQuery(url, 'newest');
+  if (!parsed.ok) {
+    return errorResponse(parsed.error);
+  }
+
+  // Every member can view a workspace's polls, so counts are never hidden here
+  const workspaceId = url.searchParams.get('workspace');
+  if (workspaceId) {
+    if ((await getWorkspaceRole(db, workspaceId, userId)) === null) {
+      return notFound('Workspace not found');
+    }
+    const page = await listPolls(db, { ...parsed.query, workspaceId });
+    return pageResponse(page, page.polls, parsed.query.limit);
+  }
+
+  // Otherwise the caller's own polls
+  const page = await listPolls(db, { ...parsed.query, ownerId: userId });
+  return pageResponse(page, page.polls, parsed.query.limit);
 }
 
 export async function handleUpdatePoll(
   env: Env,
-  request: Request,
+  body: UpdatePollInput,
   pollId: string,
   userId: string
 ): Promise<Response> {
@@ -167,33 +655,190 @@ export async function handleUpdatePoll(
     return notFound('Poll not found');
   }
 
-  // Check ownership
-  if (poll.user_id !== userId) {
-    return errorResponse('You can only edit your own polls', 403);
+  const denied = await checkPollPermission(env.DB, poll, userId, 'manage', 'You can only edit polls you manage');
+  if (denied) {
+    return denied;
   }
 
-  let body: UpdatePollInput;
-  try {
-    body = await request.json() as UpdatePollInput;
-  } catch {
-    return errorResponse('Invalid JSON body');
+  if (body.visibility === 'private' && !env.INVITE_SECRET) {
+    return errorResponse('Private polls need invite links, which are not configured on this server', 500);
   }
 
-  // Validate required fields
-  if (!body.title || typeof body.title !== 'string') {
-    return errorResponse('Title is required and must be a string');
+  const tags = parseTags(body.tags);
+  if (!tags.ok) {
+    return tags.response;
+  }
+
+  // Moving a poll changes who manages it, so it takes full control of it
+  const workspaceChanged =
+    body.workspace_id !== undefined && (body.workspace_id ?? null) !== poll.workspace_id;
+  if (workspaceChanged) {
+    const moveDenied = await checkPollPermission(env.DB, poll, userId, 'delete', 'Only the poll creator or a workspace owner can move a poll');
+    if (moveDenied) {
+      return moveDenied;
+    }
+
+    const workspace = await parseWorkspaceId(env.DB, body.workspace_id, userId);
+    if (!workspace.ok) {
+      return workspace.response;
+    }
+  }
+
+  // Omitted fields keep their current value
+  const opensAt = body.opens_at === undefined ? poll.opens_at : body.opens_at;
+  const closesAt = body.closes_at === undefined ? poll.closes_at : body.closes_at;
+  const scheduleChanged = opensAt !== poll.opens_at || closesAt !== poll.closes_at;
+
+  if (scheduleChanged) {
+    if (getPollStatus(poll) === 'closed') {
+      return errorResponse('Closed polls cannot be rescheduled', 409, 'POLL_CLOSED');
+    }
+
+    if (closesAt !== null && closesAt <= now()) {
+      return invalidField('closes_at', 'must be in the future');
+    }
+
+    if (opensAt !== null && closesAt !== null && closesAt <= opensAt) {
+      return invalidField('closes_at', 'must be after opens_at');
+    }
   }
 
   const title = body.title.trim();
   const description = body.description?.trim() || null;
 
-  if (title.length === 0) {
-    return errorResponse('Title cannot be empty');
+  let optionChanges: OptionChanges | null = null;
+  if (body.options !== undefined) {
+    const planned = await planOptionChanges(env, poll, body);
+    if (!planned.ok) {
+      return planned.response;
+    }
+    optionChanges = planned.changes;
   }
 
   await updatePollDb(env.DB, pollId, title, description);
 
+  if (tags.value !== undefined) {
+    await setPollTags(env.DB, pollId, tags.value);
+  }
+
+  if (optionChanges) {
+    // The engine must hold every ballot before it can refund removed options
+    const stub = await getVoteEngine(env, pollId);
+    await initializeVoteEngine(env, stub, pollId);
+
+    await updatePollOptions(env.DB, pollId, optionChanges);
+    if (optionChanges.maxSelections !== null) {
+      await updatePollMaxSelections(env.DB, pollId, optionChanges.maxSelections);
+    }
+
+    try {
+      await sendToVoteEngine(env, pollId, {
+        action: 'options',
+        optionTexts: [...optionChanges.renamed, ...optionChanges.added],
+        removedOptionIds: optionChanges.removedIds,
+        maxSelections: optionChanges.maxSelections,
+      });
+    } catch (error) {
+      console.error('Failed to update DO options:', error);
+    }
+  }
+
+  if (scheduleChanged) {
+    await updatePollSchedule(env.DB, pollId, opensAt, closesAt);
+
+    try {
+      await sendToVoteEngine(env, pollId, { action: 'schedule', opensAt, closesAt });
+    } catch (error) {
+      // Non-fatal - DO re-reads the window from D1 when it initializes
+      console.error('Failed to update DO schedule:', error);
+    }
+  }
+
+  const allowVoteChangesChanged =
+    body.allow_vote_changes !== undefined &&
+    body.allow_vote_changes !== (poll.allow_vote_changes === 1);
+  const resultsVisibilityChanged =
+    body.results_visibility !== undefined &&
+    body.results_visibility !== poll.results_visibility;
+  const visibilityChanged =
+    body.visibility !== undefined && body.visibility !== poll.visibility;
+  const madePrivate = visibilityChanged && body.visibility === 'private';
+
+  if (allowVoteChangesChanged || resultsVisibilityChanged || visibilityChanged) {
+    await updatePollSettings(env.DB, pollId, {
+      allowVoteChanges: body.allow_vote_changes,
+      resultsVisibility: body.results_visibility,
+      visibility: body.visibility,
+    });
+
+    // Reuse links from an earlier private spell, otherwise issue a first one
+    if (madePrivate && (await getActivePollInvites(env.DB, pollId)).length === 0) {
+      await createPollInvite(env.DB, pollId);
+    }
+  }
+
+  if (workspaceChanged) {
+    await setPollWorkspace(env.DB, pollId, body.workspace_id ?? null);
+  }
+
+  if (allowVoteChangesChanged || resultsVisibilityChanged || visibilityChanged || workspaceChanged) {
+    try {
+      await sendToVoteEngine(env, pollId, {
+        action: 'settings',
+        allowVoteChanges: body.allow_vote_changes,
+        // Live viewers reconnect so their access is checked again
+        resetLiveViewers: resultsVisibilityChanged || madePrivate || workspaceChanged,
+      });
+    } catch (error) {
+      console.error('Failed to update DO settings:', error);
+    }
+  }
+
   // Return updated poll
+  const updatedPoll = await getPollWithOptions(env.DB, pollId);
+  await notifyWebhooks(env, pollId, 'poll.updated', { poll: updatedPoll });
+  return jsonResponse({ data: updatedPoll });
+}
+
+// POST /api/polls/:id/close - Close voting now (requires authentication + manage permission)
+export async function handleClosePoll(
+  env: Env,
+  pollId: string,
+  userId: string
+): Promise<Response> {
+  // Check if poll exists
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const denied = await checkPollPermission(env.DB, poll, userId, 'manage', 'You can only close polls you manage');
+  if (denied) {
+    return denied;
+  }
+
+  if (getPollStatus(poll) === 'closed') {
+    return errorResponse('Poll is already closed', 409, 'POLL_CLOSED');
+  }
+
+  // Stop the engine accepting votes, flush final counts to D1 and send
+  // poll.closed. It is initialized first, while D1 still says open, so it
+  // has the counts to send.
+  try {
+    const stub = await getVoteEngine(env, pollId);
+    await initializeVoteEngine(env, stub, pollId);
+  } catch (error) {
+    console.error('Failed to initialize DO before closing:', error);
+  }
+
+  await closePollDb(env.DB, pollId);
+
+  try {
+    await sendToVoteEngine(env, pollId, { action: 'close' });
+  } catch (error) {
+    console.error('Failed to close poll in DO:', error);
+  }
+
   const updatedPoll = await getPollWithOptions(env.DB, pollId);
   return jsonResponse({ data: updatedPoll });
 }
@@ -209,11 +854,14 @@ export async function handleDeletePoll(
     return notFound('Poll not found');
   }
 
-  // Check ownership
-  if (poll.user_id !== userId) {
-    return errorResponse('You can only delete your own polls', 403);
+  const denied = await checkPollPermission(env.DB, poll, userId, 'delete', 'Only the poll creator or a workspace owner can delete a poll');
+  if (denied) {
+    return denied;
   }
 
+  // Before the delete, so the poll's own webhooks are still there to match
+  await notifyWebhooks(env, pollId, 'poll.deleted', { poll_id: pollId, title: poll.title });
+
   await deletePollDb(env.DB, pollId);
 
   return jsonResponse({ data: { success: true, message: 'Poll deleted successfully' } });
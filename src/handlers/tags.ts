@@ -0,0 +1,22 @@
+import { jsonResponse, errorResponse } from '../utils/response';
+import { getTagCounts } from '../utils/db';
+
+const DEFAULT_TAG_LIMIT = 50;
+const MAX_TAG_LIMIT = 200;
+
+/**
+ * List tags in use with their poll counts, most used first
+ * GET /api/tags?limit=
+ */
+export async function handleGetTags(
+  db: D1Database,
+  request: Request
+): Promise<Response> {
+  const limitParam = new URL(request.url).searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_TAG_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_TAG_LIMIT) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_TAG_LIMIT}`);
+  }
+
+  return jsonResponse({ data: await getTagCounts(db, limit) });
+}
@@ -1,26 +1,35 @@
 import { jsonResponse, errorResponse, notFound } from '../utils/response';
-import { getPollById, getOptionById, getOptionsByPollId } from '../utils/db';
+import { getPollById, getOptionsByPollId } from '../utils/db';
+import { authenticate, type AuthenticatedUser } from '../middleware/auth';
+import { checkPollAccess } from '../middleware/pollAccess';
+import { getClientIp } from '../utils/request';
+import { canSeeResults } from '../utils/visibility';
+import { invalidField } from '../utils/validation';
+import type { PollRow, RetractVoteInput, VoteInput } from '../types';
 import type { Env } from '../index';
 
-export interface VoteInput {
-  option_id: string;
-  fingerprint: string;
-}
-
 interface DOVoteResponse {
   success: boolean;
   error?: string;
   data?: {
     optionVoteCount?: number;
+    optionVoteCounts?: Record<string, number>;
     totalVotes?: number;
+    totalSelections?: number;
     alreadyVoted?: boolean;
+    pollClosed?: boolean;
+    pollNotOpen?: boolean;
+    invalidSelection?: boolean;
+    authRequired?: boolean;
+    notVoted?: boolean;
+    changesNotAllowed?: boolean;
   };
 }
 
 /**
  * Get or initialize the Durable Object for a poll
  */
-async function getVoteEngine(
+export async function getVoteEngine(
   env: Env,
   pollId: string
 ): Promise<DurableObjectStub> {
@@ -32,7 +41,7 @@ async function getVoteEngine(
 /**
  * Initialize the Durable Object with poll data from D1
  */
-async function initializeVoteEngine(
+export async function initializeVoteEngine(
   env: Env,
   stub: DurableObjectStub,
   pollId: string
@@ -41,18 +50,8 @@ async function initializeVoteEngine(
   const options = await getOptionsByPollId(env.DB, pollId);
   const poll = await getPollById(env.DB, pollId);
 
-  // Get existing voters to prevent duplicates
-  const votersResult = await env.DB.prepare(
-    'SELECT ip_address, fingerprint FROM votes WHERE poll_id = ?'
-  )
-    .bind(pollId)
-    .all<{ ip_address: string; fingerprint: string }>();
-
-  const existingVoters = votersResult.results.map(
-    (v) => `${v.ip_address}:${v.fingerprint}`
-  );
-
-  // Initialize the Durable Object
+  // Initialize the Durable Object; it reads the existing voters from D1
+  // itself, a page at a time
   await stub.fetch('http://do/init', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
@@ -65,101 +64,351 @@ async function initializeVoteEngine(
         vote_count: o.vote_count,
       })),
       totalVotes: poll?.total_votes || 0,
-      existingVoters,
+      totalSelections: poll?.total_selections ?? poll?.total_votes ?? 0,
+      votingMode: poll?.voting_mode ?? 'single',
+      minSelections: poll?.min_selections ?? null,
+      maxSelections: poll?.max_selections ?? null,
+      requireAuth: poll?.require_auth === 1,
+      allowVoteChanges: poll?.allow_vote_changes === 1,
+      opensAt: poll?.opens_at ?? null,
+      closesAt: poll?.closes_at ?? null,
+      closed: poll?.closed_at != null,
     }),
   });
 }
 
-// POST /api/polls/:id/vote - Submit a vote
-export async function handleVote(
-  env: Env,
-  request: Request,
-  pollId: string
-): Promise<Response> {
-  // Extract IP address from Cloudflare header (falls back for local dev)
-  const ipAddress =
-    request.headers.get('CF-Connecting-IP') ||
-    request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
-    'unknown';
+type OptionIdsResult =
+  | { ok: true; optionIds: string[] }
+  | { ok: false; response: Response };
 
-  // Parse request body
-  let body: VoteInput;
-  try {
-    body = (await request.json()) as VoteInput;
-  } catch {
-    return errorResponse('Invalid JSON body');
+type VoterResult =
+  | { ok: true; userId: string | null }
+  | { ok: false; response: Response };
+
+/**
+ * The selected option ids (single-choice clients send option_id)
+ */
+function parseOptionIds(body: VoteInput): OptionIdsResult {
+  if (body.option_ids !== undefined) {
+    return { ok: true, optionIds: body.option_ids };
   }
 
-  // Validate option_id
-  if (!body.option_id || typeof body.option_id !== 'string') {
-    return errorResponse('option_id is required');
+  if (body.option_id !== undefined) {
+    return { ok: true, optionIds: [body.option_id] };
   }
 
-  // Validate fingerprint
-  if (!body.fingerprint || typeof body.fingerprint !== 'string') {
-    return errorResponse('fingerprint is required');
+  return { ok: false, response: invalidField('option_ids', 'is required when option_id is missing') };
+}
+
+/**
+ * Sign-in-only polls dedupe on the account rather than ip:fingerprint.
+ * user is the caller optionalAuth verified, if any.
+ */
+async function resolveVoter(
+  env: Env,
+  request: Request,
+  poll: PollRow,
+  user: AuthenticatedUser | null
+): Promise<VoterResult> {
+  if (!poll.require_auth) {
+    return { ok: true, userId: null };
   }
 
-  const fingerprint = body.fingerprint.trim();
-  if (fingerprint.length === 0) {
-    return errorResponse('fingerprint cannot be empty');
+  if (user) {
+    return { ok: true, userId: user.id };
   }
 
-  // Check if poll exists in D1
-  const poll = await getPollById(env.DB, pollId);
-  if (!poll) {
-    return notFound('Poll not found');
+  if (!request.headers.get('Authorization')) {
+    return {
+      ok: false,
+      response: errorResponse('Sign in to vote on this poll', 401, 'AUTH_REQUIRED'),
+    };
   }
 
-  // Check if option exists and belongs to this poll
-  const option = await getOptionById(env.DB, body.option_id);
-  if (!option) {
-    return notFound('Option not found');
+  // The credentials didn't verify; authenticate again to say why
+  const authResult = await authenticate(request, env.DB, env.FIREBASE_PROJECT_ID, 'votes:write');
+  if (!authResult.authenticated) {
+    return { ok: false, response: authResult.response };
   }
+  return { ok: true, userId: authResult.user.id };
+}
 
-  if (option.poll_id !== pollId) {
-    return errorResponse('Option does not belong to this poll', 400);
+/**
+ * Check every option belongs to this poll
+ */
+async function checkPollOptions(
+  env: Env,
+  pollId: string,
+  optionIds: string[]
+): Promise<Response | null> {
+  const pollOptionIds = new Set(
+    (await getOptionsByPollId(env.DB, pollId)).map((o) => o.id)
+  );
+  for (const optionId of optionIds) {
+    if (!pollOptionIds.has(optionId)) {
+      return errorResponse('Option does not belong to this poll', 400);
+    }
   }
+  return null;
+}
 
+/**
+ * Initialize the poll's engine if needed and forward a voter action to it
+ */
+async function sendVoterAction(
+  env: Env,
+  pollId: string,
+  body: Record<string, unknown>
+): Promise<DOVoteResponse> {
   // Get or initialize the Durable Object
   const stub = await getVoteEngine(env, pollId);
 
   // Initialize DO with D1 data (idempotent - will skip if already initialized)
   await initializeVoteEngine(env, stub, pollId);
 
-  // Submit vote to Durable Object
-  const doResponse = await stub.fetch('http://do/vote', {
+  const doResponse = await stub.fetch(`http://do/${body.action}`, {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      action: 'vote',
-      pollId,
-      optionId: body.option_id,
-      ipAddress,
-      fingerprint,
-      userId: null, // Could be extracted from auth if needed
-    }),
+    body: JSON.stringify({ pollId, ...body }),
   });
 
-  const result = (await doResponse.json()) as DOVoteResponse;
+  return (await doResponse.json()) as DOVoteResponse;
+}
+
+/**
+ * Map a failed engine response to the matching HTTP error
+ */
+function voteEngineError(result: DOVoteResponse, fallback: string): Response {
+  if (result.data?.alreadyVoted) {
+    return errorResponse('You have already voted on this poll', 409);
+  }
+  if (result.data?.pollClosed) {
+    return errorResponse('This poll is closed', 403, 'POLL_CLOSED');
+  }
+  if (result.data?.pollNotOpen) {
+    return errorResponse('This poll is not open for voting yet', 403, 'POLL_NOT_OPEN');
+  }
+  if (result.data?.authRequired) {
+    return errorResponse('Sign in to vote on this poll', 401, 'AUTH_REQUIRED');
+  }
+  if (result.data?.invalidSelection) {
+    return errorResponse(result.error || 'Invalid selection', 400, 'INVALID_SELECTION');
+  }
+  if (result.data?.notVoted) {
+    return errorResponse('You have not voted on this poll', 404, 'NOT_VOTED');
+  }
+  if (result.data?.changesNotAllowed) {
+    return errorResponse(
+      result.error || 'This poll does not allow changing votes',
+      403,
+      'VOTE_CHANGES_DISABLED'
+    );
+  }
+  return errorResponse(result.error || fallback, 500);
+}
+
+// POST /api/polls/:id/vote - Submit a vote
+export async function handleVote(
+  env: Env,
+  request: Request,
+  body: VoteInput,
+  pollId: string,
+  user: AuthenticatedUser | null
+): Promise<Response> {
+  const ipAddress = getClientIp(request);
+
+  const selection = parseOptionIds(body);
+  if (!selection.ok) {
+    return selection.response;
+  }
+  const { optionIds } = selection;
+  const fingerprint = body.fingerprint.trim();
+
+  // Check if poll exists in D1
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const accessError = await checkPollAccess(env, request, poll);
+  if (accessError) {
+    return accessError;
+  }
+
+  const voter = await resolveVoter(env, request, poll, user);
+  if (!voter.ok) {
+    return voter.response;
+  }
+
+  const optionsError = await checkPollOptions(env, pollId, optionIds);
+  if (optionsError) {
+    return optionsError;
+  }
+
+  // Submit vote to Durable Object
+  const result = await sendVoterAction(env, pollId, {
+    action: 'vote',
+    optionIds,
+    ipAddress,
+    fingerprint,
+    userId: voter.userId,
+  });
 
   if (!result.success) {
-    if (result.data?.alreadyVoted) {
-      return errorResponse('You have already voted on this poll', 409);
-    }
-    return errorResponse(result.error || 'Failed to record vote', 500);
+    return voteEngineError(result, 'Failed to record vote');
   }
 
+  const showResults = await canSeeResults(env, poll, {
+    userId: voter.userId,
+    ipAddress,
+    fingerprint,
+  }, true);
+
   return jsonResponse(
     {
       data: {
         message: 'Vote recorded successfully',
         poll_id: pollId,
-        option_id: body.option_id,
-        new_vote_count: result.data?.optionVoteCount,
+        option_id: optionIds[0],
+        option_ids: optionIds,
+        ...(showResults && {
+          new_vote_count: result.data?.optionVoteCount,
+          new_vote_counts: result.data?.optionVoteCounts,
+        }),
         new_total_votes: result.data?.totalVotes,
+        new_total_selections: result.data?.totalSelections,
       },
     },
     201
   );
 }
+
+// PUT /api/polls/:id/vote - Replace your vote (poll must allow vote changes)
+export async function handleChangeVote(
+  env: Env,
+  request: Request,
+  body: VoteInput,
+  pollId: string,
+  user: AuthenticatedUser | null
+): Promise<Response> {
+  const ipAddress = getClientIp(request);
+
+  const selection = parseOptionIds(body);
+  if (!selection.ok) {
+    return selection.response;
+  }
+  const { optionIds } = selection;
+  const fingerprint = body.fingerprint.trim();
+
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const accessError = await checkPollAccess(env, request, poll);
+  if (accessError) {
+    return accessError;
+  }
+
+  if (!poll.allow_vote_changes) {
+    return errorResponse('This poll does not allow changing votes', 403, 'VOTE_CHANGES_DISABLED');
+  }
+
+  const voter = await resolveVoter(env, request, poll, user);
+  if (!voter.ok) {
+    return voter.response;
+  }
+
+  const optionsError = await checkPollOptions(env, pollId, optionIds);
+  if (optionsError) {
+    return optionsError;
+  }
+
+  const result = await sendVoterAction(env, pollId, {
+    action: 'changeVote',
+    optionIds,
+    ipAddress,
+    fingerprint,
+    userId: voter.userId,
+  });
+
+  if (!result.success) {
+    return voteEngineError(result, 'Failed to change vote');
+  }
+
+  const showResults = await canSeeResults(env, poll, {
+    userId: voter.userId,
+    ipAddress,
+    fingerprint,
+  }, true);
+
+  return jsonResponse({
+    data: {
+      message: 'Vote changed successfully',
+      poll_id: pollId,
+      option_ids: optionIds,
+      ...(showResults && { new_vote_counts: result.data?.optionVoteCounts }),
+      new_total_votes: result.data?.totalVotes,
+      new_total_selections: result.data?.totalSelections,
+    },
+  });
+}
+
+// DELETE /api/polls/:id/vote - Retract your vote (poll must allow vote changes)
+export async function handleRetractVote(
+  env: Env,
+  request: Request,
+  body: RetractVoteInput,
+  pollId: string,
+  user: AuthenticatedUser | null
+): Promise<Response> {
+  const ipAddress = getClientIp(request);
+
+  const fingerprint = body.fingerprint.trim();
+
+  const poll = await getPollById(env.DB, pollId);
+  if (!poll) {
+    return notFound('Poll not found');
+  }
+
+  const accessError = await checkPollAccess(env, request, poll);
+  if (accessError) {
+    return accessError;
+  }
+
+  if (!poll.allow_vote_changes) {
+    return errorResponse('This poll does not allow changing votes', 403, 'VOTE_CHANGES_DISABLED');
+  }
+
+  const voter = await resolveVoter(env, request, poll, user);
+  if (!voter.ok) {
+    return voter.response;
+  }
+
+  const result = await sendVoterAction(env, pollId, {
+    action: 'retractVote',
+    ipAddress,
+    fingerprint,
+    userId: voter.userId,
+  });
+
+  if (!result.success) {
+    return voteEngineError(result, 'Failed to retract vote');
+  }
+
+  const showResults = await canSeeResults(env, poll, {
+    userId: voter.userId,
+    ipAddress,
+    fingerprint,
+  }, false);
+
+  return jsonResponse({
+    data: {
+      message: 'Vote retracted successfully',
+      poll_id: pollId,
+      ...(showResults && { new_vote_counts: result.data?.optionVoteCounts }),
+      new_total_votes: result.data?.totalVotes,
+      new_total_selections: result.data?.totalSelections,
+    },
+  });
+}
@@ -0,0 +1,120 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { getPollById, listUserWebhooks, countUserWebhooks, getWebhookById, createWebhook, deleteWebhook, getWebhookDeliveries } from '../utils/db';
+import { checkPollPermission } from '../utils/permissions';
+import { WEBHOOK_EVENTS, generateWebhookSecret, isAllowedWebhookUrl } from '../utils/webhooks';
+import { invalidField } from '../utils/validation';
+import type { CreateWebhookInput, Webhook, WebhookEvent, WebhookRow } from '../types';
+import type { Env } from '../index';
+
+const MAX_WEBHOOKS_PER_USER = 20;
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+type OwnedWebhookResult =
+  | { ok: true; webhook: WebhookRow }
+  | { ok: false; response: Response };
+
+function toWebhook(row: WebhookRow): Webhook {
+  return {
+    id: row.id,
+    poll_id: row.poll_id,
+    url: row.url,
+    events: JSON.parse(row.events) as WebhookEvent[],
+    created_at: row.created_at,
+  };
+}
+
+/**
+ * Load one of the caller's webhooks; other people's look missing
+ */
+async function getOwnedWebhook(env: Env, webhookId: string, userId: string): Promise<OwnedWebhookResult> {
+  const webhook = await getWebhookById(env.DB, webhookId);
+  if (!webhook || webhook.user_id !== userId) {
+    return { ok: false, response: notFound('Webhook not found') };
+  }
+  return { ok: true, webhook };
+}
+
+// GET /api/webhooks - The caller's webhooks, newest first
+export async function handleGetWebhooks(
+  env: Env,
+  userId: string
+): Promise<Response> {
+  const webhooks = await listUserWebhooks(env.DB, userId);
+  return jsonResponse({ data: webhooks.map(toWebhook) });
+}
+
+// POST /api/webhooks - Register a webhook
+// Body: { url, events?, poll_id? }. Without poll_id it covers every poll
+// the caller creates. The signing secret is only returned here.
+export async function handleCreateWebhook(
+  env: Env,
+  body: CreateWebhookInput,
+  userId: string
+): Promise<Response> {
+  const url = body.url.trim();
+  if (!isAllowedWebhookUrl(url)) {
+    return invalidField('url', 'must be an https URL (http is only allowed for localhost)');
+  }
+
+  // Omitted means every event
+  const events = [...new Set(body.events ?? WEBHOOK_EVENTS)];
+
+  let pollId: string | null = null;
+  if (body.poll_id !== undefined && body.poll_id !== null) {
+    const poll = await getPollById(env.DB, body.poll_id);
+    if (!poll) {
+      return notFound('Poll not found');
+    }
+
+    const denied = await checkPollPermission(env.DB, poll, userId, 'manage', 'You can only add webhooks to polls you manage');
+    if (denied) {
+      return denied;
+    }
+    pollId = poll.id;
+  }
+
+  if ((await countUserWebhooks(env.DB, userId)) >= MAX_WEBHOOKS_PER_USER) {
+    return errorResponse(`You can have at most ${MAX_WEBHOOKS_PER_USER} webhooks`, 409, 'WEBHOOK_LIMIT');
+  }
+
+  const webhook = await createWebhook(env.DB, userId, pollId, url, events, generateWebhookSecret());
+  return jsonResponse({ data: { ...toWebhook(webhook), secret: webhook.secret } }, 201);
+}
+
+// DELETE /api/webhooks/:id - Remove a webhook and its delivery log
+// Deliveries already queued are still sent.
+export async function handleDeleteWebhook(
+  env: Env,
+  webhookId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedWebhook(env, webhookId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  await deleteWebhook(env.DB, webhookId);
+  return jsonResponse({ data: { id: webhookId, deleted: true } });
+}
+
+// GET /api/webhooks/:id/deliveries?limit= - Recent deliveries, newest first
+export async function handleGetWebhookDeliveries(
+  env: Env,
+  request: Request,
+  webhookId: string,
+  userId: string
+): Promise<Response> {
+  const owned = await getOwnedWebhook(env, webhookId, userId);
+  if (!owned.ok) {
+    return owned.response;
+  }
+
+  const limitParam = new URL(request.url).searchParams.get('limit');
+  const limit = limitParam === null ? DEFAULT_DELIVERY_LIMIT : Number(limitParam);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_DELIVERY_LIMIT) {
+    return errorResponse(`limit must be an integer between 1 and ${MAX_DELIVERY_LIMIT}`);
+  }
+
+  return jsonResponse({ data: await getWebhookDeliveries(env.DB, webhookId, limit) });
+}
@@ -0,0 +1,173 @@
+import { jsonResponse, errorResponse, notFound } from '../utils/response';
+import { listUserWorkspaces, getWorkspaceById, getWorkspaceRole, createWorkspace, getWorkspaceMembers, getWorkspaceMember, addWorkspaceMember, updateWorkspaceMemberRole, removeWorkspaceMember, countWorkspaceOwners } from '../utils/db';
+import { hasWorkspacePermission, type WorkspacePermission } from '../utils/permissions';
+import type { AuthenticatedUser } from '../middleware/auth';
+import type { AddWorkspaceMemberInput, CreateWorkspaceInput, UpdateWorkspaceMemberInput, WorkspaceMemberRow, WorkspaceRole, WorkspaceRow } from '../types';
+import type { Env } from '../index';
+
+type WorkspaceAccessResult =
+  | { ok: true; workspace: WorkspaceRow; role: WorkspaceRole }
+  | { ok: false; response: Response };
+
+type MemberResult =
+  | { ok: true; member: WorkspaceMemberRow }
+  | { ok: false; response: Response };
+
+/**
+ * Load a workspace the caller belongs to. Non-members get a 404, so
+ * workspace ids don't leak; members without the permission get a 403.
+ */
+async function getWorkspaceForMember(
+  env: Env,
+  workspaceId: string,
+  userId: string,
+  permission: WorkspacePermission
+): Promise<WorkspaceAccessResult> {
+  const [workspace, role] = await Promise.all([
+    getWorkspaceById(env.DB, workspaceId),
+    getWorkspaceRole(env.DB, workspaceId, userId),
+  ]);
+  if (!workspace || role === null) {
+    return { ok: false, response: notFound('Workspace not found') };
+  }
+
+  if (!hasWorkspacePermission(role, permission)) {
+    return { ok: false, response: errorResponse('Only workspace owners can manage members', 403) };
+  }
+
+  return { ok: true, workspace, role };
+}
+
+async function getMember(env: Env, workspaceId: string, memberId: string): Promise<MemberResult> {
+  const member = await getWorkspaceMember(env.DB, workspaceId, memberId);
+  if (!member) {
+    return { ok: false, response: notFound('Member not found') };
+  }
+  return { ok: true, member };
+}
+
+/**
+ * Refuse a change that would leave the workspace without an owner
+ */
+async function checkKeepsOwner(env: Env, member: WorkspaceMemberRow): Promise<Response | null> {
+  if (member.role === 'owner' && (await countWorkspaceOwners(env.DB, member.workspace_id)) <= 1) {
+    return errorResponse('A workspace needs at least one owner; make someone else an owner first', 409, 'LAST_OWNER');
+  }
+  return null;
+}
+
+// GET /api/workspaces - Workspaces the caller belongs to, with their role
+export async function handleGetWorkspaces(
+  env: Env,
+  userId: string
+): Promise<Response> {
+  return jsonResponse({ data: await listUserWorkspaces(env.DB, userId) });
+}
+
+// POST /api/workspaces - Create a workspace, owned by the caller
+export async function handleCreateWorkspace(
+  env: Env,
+  body: CreateWorkspaceInput,
+  user: AuthenticatedUser
+): Promise<Response> {
+  const workspace = await createWorkspace(env.DB, body.name.trim(), user.id, user.email);
+  return jsonResponse({ data: workspace }, 201);
+}
+
+// GET /api/workspaces/:id/members - Members in the order they were added
+export async function handleGetWorkspaceMembers(
+  env: Env,
+  workspaceId: string,
+  userId: string
+): Promise<Response> {
+  const access = await getWorkspaceForMember(env, workspaceId, userId, 'view');
+  if (!access.ok) {
+    return access.response;
+  }
+
+  return jsonResponse({ data: await getWorkspaceMembers(env.DB, workspaceId) });
+}
+
+// POST /api/workspaces/:id/members - Add a member by email
+// Body: { email, role }. The account is matched when they sign in.
+export async function handleAddWorkspaceMember(
+  env: Env,
+  body: AddWorkspaceMemberInput,
+  workspaceId: string,
+  userId: string
+): Promise<Response> {
+  const email = body.email.trim();
+  const role = body.role ?? 'editor';
+
+  const access = await getWorkspaceForMember(env, workspaceId, userId, 'manage_members');
+  if (!access.ok) {
+    return access.response;
+  }
+
+  const member = await addWorkspaceMember(env.DB, workspaceId, email, role, userId);
+  if (!member) {
+    return errorResponse('That email is already a member of this workspace', 409, 'MEMBER_EXISTS');
+  }
+
+  return jsonResponse({ data: member }, 201);
+}
+
+// PUT /api/workspaces/:id/members/:memberId - Change a member's role
+// Body: { role }
+export async function handleUpdateWorkspaceMember(
+  env: Env,
+  body: UpdateWorkspaceMemberInput,
+  workspaceId: string,
+  memberId: string,
+  userId: string
+): Promise<Response> {
+  const { role } = body;
+
+  const access = await getWorkspaceForMember(env, workspaceId, userId, 'manage_members');
+  if (!access.ok) {
+    return access.response;
+  }
+
+  const found = await getMember(env, workspaceId, memberId);
+  if (!found.ok) {
+    return found.response;
+  }
+
+  if (role !== 'owner') {
+    const lastOwner = await checkKeepsOwner(env, found.member);
+    if (lastOwner) {
+      return lastOwner;
+    }
+  }
+
+  await updateWorkspaceMemberRole(env.DB, memberId, role);
+  return jsonResponse({ data: { ...found.member, role } });
+}
+
+// DELETE /api/workspaces/:id/members/:memberId - Remove a member
+// Owners can remove anyone; every member can remove themselves.
+export async function handleRemoveWorkspaceMember(
+  env: Env,
+  workspaceId: string,
+  memberId: string,
+  user: AuthenticatedUser
+): Promise<Response> {
+  const found = await getMember(env, workspaceId, memberId);
+  const leaving = found.ok && found.member.email === user.email.toLowerCase();
+
+  const access = await getWorkspaceForMember(env, workspaceId, user.id, leaving ? 'view' : 'manage_members');
+  if (!access.ok) {
+    return access.response;
+  }
+  if (!found.ok) {
+    return found.response;
+  }
+
+  const lastOwner = await checkKeepsOwner(env, found.member);
+  if (lastOwner) {
+    return lastOwner;
+  }
+
+  await removeWorkspaceMember(env.DB, memberId);
+  return jsonResponse({ data: { id: memberId, removed: true } });
+}
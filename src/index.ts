@@ -1,145 +1,230 @@
-import { createRoute, matchRoute } from './router';
-import { jsonResponse, errorResponse, notFound, corsHeaders } from './utils/response';
-import { handleGetPolls, handleGetPollById, handleCreatePoll, handleGetUserPolls, handleUpdatePoll, handleDeletePoll } from './handlers/polls';
-import { handleVote } from './handlers/votes';
+import { createRouter, errorBoundary, route } from './router';
+import { jsonResponse, notFound } from './utils/response';
+import { handleGetPolls, handleSearchPolls, handleGetPollById, handleCreatePoll, handleGetUserPolls, handleUpdatePoll, handleDeletePoll, handlePollLive, handleClosePoll } from './handlers/polls';
+import { handleVote, handleChangeVote, handleRetractVote } from './handlers/votes';
 import { handleGoogleAuth } from './handlers/auth';
-import { authenticate } from './middleware/auth';
-
-// Export the Durable Object class
+import { handleGetTags } from './handlers/tags';
+import { handleExportPoll } from './handlers/export';
+import { handleGetPollAnalytics } from './handlers/analytics';
+import { handleGetFlaggedVotes, handleReviewFlaggedVotes } from './handlers/flagged';
+import { handleGetInvites, handleCreateInvite, handleRotateInvite, handleRevokeInvite } from './handlers/invites';
+import { handleGetApiKeys, handleCreateApiKey, handleRevokeApiKey } from './handlers/apiKeys';
+import { handleGetWebhooks, handleCreateWebhook, handleDeleteWebhook, handleGetWebhookDeliveries } from './handlers/webhooks';
+import { handleGetWorkspaces, handleCreateWorkspace, handleGetWorkspaceMembers, handleAddWorkspaceMember, handleUpdateWorkspaceMember, handleRemoveWorkspaceMember } from './handlers/workspaces';
+import { handleGetMigrations, handleApplyMigrations, handleReconcile } from './handlers/admin';
+import { getPollsToReconcile, reconcilePolls } from './utils/reconcile';
+import { buildOpenApiDocument, listEndpoints } from './openapi';
+import { optionalAuth, requireAdmin, requireAuth } from './middleware/auth';
+import { rateLimit } from './middleware/rateLimit';
+import { validateBody } from './middleware/body';
+import { cors } from './middleware/cors';
+import type { ReconcileDirection } from './types';
+
+// Export the Durable Object classes
 export { VoteEngine } from './durable-objects/VoteEngine';
+export { RateLimiter } from './durable-objects/RateLimiter';
 
 export interface Env {
   DB: D1Database;
   FIREBASE_PROJECT_ID: string;
   VOTE_ENGINE: DurableObjectNamespace;
+  RATE_LIMITER: DurableObjectNamespace;
+  // Signs invite links for private polls (set with `wrangler secret put`)
+  INVITE_SECRET?: string;
+  // Optional "<requests>/<seconds>" limits, or "off" (see middleware/rateLimit.ts)
+  RATE_LIMIT_VOTE?: string;
+  RATE_LIMIT_CREATE_POLL?: string;
+  RATE_LIMIT_AUTH?: string;
+  // Bearer token for /api/admin routes; they're off when unset (a secret)
+  ADMIN_TOKEN?: string;
+  // "audit" or "engine" lets the scheduled reconciliation repair in that
+  // direction; unset, it only reports
+  RECONCILE_REPAIR?: string;
 }
 
-// Define routes
-const routes = {
-  // Auth routes
-  googleAuth: createRoute('POST', '/api/auth/google'),
-  // Poll routes
-  getPolls: createRoute('GET', '/api/polls'),
-  getUserPolls: createRoute('GET', '/api/polls/me'),
-  getPollById: createRoute('GET', '/api/polls/:id'),
-  createPoll: createRoute('POST', '/api/polls'),
-  updatePoll: createRoute('PUT', '/api/polls/:id'),
-  deletePoll: createRoute('DELETE', '/api/polls/:id'),
-  vote: createRoute('POST', '/api/polls/:id/vote'),
-};
+// Routes, in any order: the most specific path wins. Auth middleware
+// names the API key scope a route accepts; without one it's session only.
+const routes = [
+  route('GET', '/api/health', [], async () =>
+    jsonResponse({ status: 'ok', message: 'Vote System API is running' })),
 
-export default {
-  async fetch(request: Request, env: Env, ctx: ExecutionContext): Promise<Response> {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    const method = request.method;
-
-    // Handle preflight requests
-    if (method === 'OPTIONS') {
-      return new Response(null, { headers: corsHeaders });
-    }
+  route('GET', '/api/db-test', [], async ({ env }) =>
+    jsonResponse({ status: 'ok', db: await env.DB.prepare('SELECT 1 as test').first() })),
+
+  route('GET', '/api/openapi.json', [], async ({ url }) =>
+    jsonResponse(buildOpenApiDocument(url.origin))),
+
+  // Auth
+  route('POST', '/api/auth/google', [rateLimit('auth'), validateBody('GoogleAuthInput')], ({ env, body }) =>
+    handleGoogleAuth(env.DB, body, env.FIREBASE_PROJECT_ID)),
+
+  // Polls
+  route('GET', '/api/polls', [], ({ env, request }) =>
+    handleGetPolls(env, request)),
+
+  route('GET', '/api/polls/me', [requireAuth('polls:read')], ({ env, request, user }) =>
+    handleGetUserPolls(env.DB, request, user.id)),
+
+  route('GET', '/api/polls/search', [], ({ env, request }) =>
+    handleSearchPolls(env, request)),
+
+  route('POST', '/api/polls', [requireAuth('polls:write'), rateLimit('createPoll'), validateBody('CreatePollInput')], ({ env, body, user }) =>
+    handleCreatePoll(env, body, user.id)),
+
+  route('GET', '/api/polls/:id', [], ({ env, request, params }) =>
+    handleGetPollById(env, request, params.id)),
+
+  route('PUT', '/api/polls/:id', [requireAuth('polls:write'), validateBody('UpdatePollInput')], ({ env, body, params, user }) =>
+    handleUpdatePoll(env, body, params.id, user.id)),
+
+  route('DELETE', '/api/polls/:id', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleDeletePoll(env, params.id, user.id)),
+
+  route('POST', '/api/polls/:id/close', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleClosePoll(env, params.id, user.id)),
+
+  route('GET', '/api/polls/:id/export', [requireAuth('export')], ({ env, request, params, user }) =>
+    handleExportPoll(env, request, params.id, user.id)),
+
+  route('GET', '/api/polls/:id/analytics', [], ({ env, request, params }) =>
+    handleGetPollAnalytics(env, request, params.id)),
+
+  route('GET', '/api/polls/:id/live', [], ({ env, request, params }) =>
+    handlePollLive(env, request, params.id)),
+
+  // Votes: public, identified by IP and fingerprint or, on sign-in-only
+  // polls, by account. Signed-in voters are rate limited per account too.
+  route('POST', '/api/polls/:id/vote', [optionalAuth('votes:write'), rateLimit('vote'), validateBody('VoteInput')], ({ env, request, body, params, user }) =>
+    handleVote(env, request, body, params.id, user)),
+
+  route('PUT', '/api/polls/:id/vote', [optionalAuth('votes:write'), rateLimit('vote'), validateBody('VoteInput')], ({ env, request, body, params, user }) =>
+    handleChangeVote(env, request, body, params.id, user)),
+
+  route('DELETE', '/api/polls/:id/vote', [optionalAuth('votes:write'), rateLimit('vote'), validateBody('RetractVoteInput')], ({ env, request, body, params, user }) =>
+    handleRetractVote(env, request, body, params.id, user)),
+
+  // Flagged vote review
+  route('GET', '/api/polls/:id/flagged', [requireAuth('polls:read')], ({ env, request, params, user }) =>
+    handleGetFlaggedVotes(env, request, params.id, user.id)),
+
+  route('POST', '/api/polls/:id/flagged/discard', [requireAuth('polls:write'), validateBody('ReviewFlaggedInput')], ({ env, body, params, user }) =>
+    handleReviewFlaggedVotes(env, body, params.id, user.id, 'discard')),
+
+  route('POST', '/api/polls/:id/flagged/accept', [requireAuth('polls:write'), validateBody('ReviewFlaggedInput')], ({ env, body, params, user }) =>
+    handleReviewFlaggedVotes(env, body, params.id, user.id, 'accept')),
+
+  // Invite links of private polls
+  route('GET', '/api/polls/:id/invites', [requireAuth('polls:read')], ({ env, params, user }) =>
+    handleGetInvites(env, params.id, user.id)),
+
+  route('POST', '/api/polls/:id/invites', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleCreateInvite(env, params.id, user.id)),
+
+  route('POST', '/api/polls/:id/invites/:inviteId/rotate', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleRotateInvite(env, params.id, params.inviteId, user.id)),
 
-    try {
-      // Health check endpoint
-      if (path === '/api/health' && method === 'GET') {
-        return jsonResponse({ status: 'ok', message: 'Vote System API is running' });
-      }
-
-      // Test database connection
-      if (path === '/api/db-test' && method === 'GET') {
-        const result = await env.DB.prepare('SELECT 1 as test').first();
-        return jsonResponse({ status: 'ok', db: result });
-      }
-
-      let match;
-
-      // POST /api/auth/google - Google OAuth authentication
-      match = matchRoute(routes.googleAuth, method, path);
-      if (match) {
-        return await handleGoogleAuth(env.DB, request, env.FIREBASE_PROJECT_ID);
-      }
-
-      // GET /api/polls/me - Get user's polls (requires authentication)
-      match = matchRoute(routes.getUserPolls, method, path);
-      if (match) {
-        const authResult = await authenticate(request, env.DB, env.FIREBASE_PROJECT_ID);
-        if (!authResult.authenticated) {
-          return authResult.response;
-        }
-        return await handleGetUserPolls(env.DB, authResult.user.id);
-      }
-
-      // GET /api/polls - List all polls (public)
-      match = matchRoute(routes.getPolls, method, path);
-      if (match) {
-        return await handleGetPolls(env.DB);
-      }
-
-      // POST /api/polls - Create a poll (requires authentication)
-      match = matchRoute(routes.createPoll, method, path);
-      if (match) {
-        const authResult = await authenticate(request, env.DB, env.FIREBASE_PROJECT_ID);
-        if (!authResult.authenticated) {
-          return authResult.response;
-        }
-        return await handleCreatePoll(env, request, authResult.user.id);
-      }
-
-      // PUT /api/polls/:id - Update a poll (requires authentication + ownership)
-      match = matchRoute(routes.updatePoll, method, path);
-      if (match) {
-        const authResult = await authenticate(request, env.DB, env.FIREBASE_PROJECT_ID);
-        if (!authResult.authenticated) {
-          return authResult.response;
-        }
-        return await handleUpdatePoll(env, request, match.params.id, authResult.user.id);
-      }
-
-      // DELETE /api/polls/:id - Delete a poll (requires authentication + ownership)
-      match = matchRoute(routes.deletePoll, method, path);
-      if (match) {
-        const authResult = await authenticate(request, env.DB, env.FIREBASE_PROJECT_ID);
-        if (!authResult.authenticated) {
-          return authResult.response;
-        }
-        return await handleDeletePoll(env, match.params.id, authResult.user.id);
-      }
-
-      // POST /api/polls/:id/vote - Submit a vote (public, but tracked)
-      match = matchRoute(routes.vote, method, path);
-      if (match) {
-        return await handleVote(env, request, match.params.id);
-      }
-
-      // GET /api/polls/:id - Get single poll with options (public)
-      match = matchRoute(routes.getPollById, method, path);
-      if (match) {
-        return await handleGetPollById(env, match.params.id);
-      }
-
-      // 404 for unmatched API routes
-      if (path.startsWith('/api/')) {
-        return notFound('Endpoint not found');
-      }
-
-      // Default response - API info
-      return jsonResponse({
-        message: 'Vote System API',
-        version: '1.0.0',
-        endpoints: {
-          health: 'GET /api/health',
-          dbTest: 'GET /api/db-test',
-          googleAuth: 'POST /api/auth/google',
-          listPolls: 'GET /api/polls',
-          createPoll: 'POST /api/polls (auth required)',
-          getPoll: 'GET /api/polls/:id',
-          vote: 'POST /api/polls/:id/vote',
-        },
-      });
-    } catch (error) {
-      console.error('Error:', error);
-      const message = error instanceof Error ? error.message : 'Internal Server Error';
-      return errorResponse(message, 500);
+  route('DELETE', '/api/polls/:id/invites/:inviteId', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleRevokeInvite(env, params.id, params.inviteId, user.id)),
+
+  // Tags
+  route('GET', '/api/tags', [], ({ env, request }) =>
+    handleGetTags(env.DB, request)),
+
+  // Workspaces
+  route('GET', '/api/workspaces', [requireAuth()], ({ env, user }) =>
+    handleGetWorkspaces(env, user.id)),
+
+  route('POST', '/api/workspaces', [requireAuth(), validateBody('CreateWorkspaceInput')], ({ env, body, user }) =>
+    handleCreateWorkspace(env, body, user)),
+
+  route('GET', '/api/workspaces/:id/members', [requireAuth()], ({ env, params, user }) =>
+    handleGetWorkspaceMembers(env, params.id, user.id)),
+
+  route('POST', '/api/workspaces/:id/members', [requireAuth(), validateBody('AddWorkspaceMemberInput')], ({ env, body, params, user }) =>
+    handleAddWorkspaceMember(env, body, params.id, user.id)),
+
+  route('PUT', '/api/workspaces/:id/members/:memberId', [requireAuth(), validateBody('UpdateWorkspaceMemberInput')], ({ env, body, params, user }) =>
+    handleUpdateWorkspaceMember(env, body, params.id, params.memberId, user.id)),
+
+  route('DELETE', '/api/workspaces/:id/members/:memberId', [requireAuth()], ({ env, params, user }) =>
+    handleRemoveWorkspaceMember(env, params.id, params.memberId, user)),
+
+  // API keys
+  route('GET', '/api/keys', [requireAuth()], ({ env, user }) =>
+    handleGetApiKeys(env, user.id)),
+
+  route('POST', '/api/keys', [requireAuth(), validateBody('CreateApiKeyInput')], ({ env, body, user }) =>
+    handleCreateApiKey(env, body, user.id)),
+
+  route('DELETE', '/api/keys/:id', [requireAuth()], ({ env, params, user }) =>
+    handleRevokeApiKey(env, params.id, user.id)),
+
+  // Webhooks
+  route('GET', '/api/webhooks', [requireAuth('polls:read')], ({ env, user }) =>
+    handleGetWebhooks(env, user.id)),
+
+  route('POST', '/api/webhooks', [requireAuth('polls:write'), validateBody('CreateWebhookInput')], ({ env, body, user }) =>
+    handleCreateWebhook(env, body, user.id)),
+
+  route('DELETE', '/api/webhooks/:id', [requireAuth('polls:write')], ({ env, params, user }) =>
+    handleDeleteWebhook(env, params.id, user.id)),
+
+  route('GET', '/api/webhooks/:id/deliveries', [requireAuth('polls:read')], ({ env, request, params, user }) =>
+    handleGetWebhookDeliveries(env, request, params.id, user.id)),
+
+  // Operator endpoints, behind ADMIN_TOKEN
+  route('GET', '/api/admin/migrations', [requireAdmin], ({ env }) =>
+    handleGetMigrations(env.DB)),
+
+  route('POST', '/api/admin/migrations', [requireAdmin], ({ env }) =>
+    handleApplyMigrations(env.DB)),
+
+  route('POST', '/api/admin/reconcile', [requireAdmin, validateBody('ReconcileInput')], ({ env, body }) =>
+    handleReconcile(env, body)),
+];
+
+const router = createRouter(routes, {
+  middleware: [cors, errorBoundary],
+  fallback: async ({ url }) => {
+    if (url.pathname.startsWith('/api/')) {
+      return notFound('Endpoint not found');
     }
+
+    // API info
+    return jsonResponse({
+      message: 'Vote System API',
+      version: '1.0.0',
+      openapi: '/api/openapi.json',
+      endpoints: listEndpoints(),
+    });
+  },
+});
+
+/**
+ * Cron trigger: reconcile recently active polls and log the ones whose
+ * counts disagree
+ */
+async function reconcileScheduled(env: Env): Promise<void> {
+  const repair = env.RECONCILE_REPAIR;
+  const direction: ReconcileDirection = repair === 'engine' ? 'engine' : 'audit';
+  const dryRun = repair !== 'audit' && repair !== 'engine';
+  const report = await reconcilePolls(env, await getPollsToReconcile(env.DB), direction, dryRun);
+
+  for (const poll of report.polls) {
+    console.warn('Vote counts disagree:', JSON.stringify(poll));
+  }
+  console.log(
+    `Reconciled ${report.checked} polls: ${report.polls.length} inconsistent, ${report.failed.length} failed` +
+      (report.dry_run ? ' (report only)' : `, repaired from ${direction}`)
+  );
+}
+
+export default {
+  fetch(request: Request, env: Env): Promise<Response> {
+    return router(request, env);
+  },
+
+  scheduled(_controller: ScheduledController, env: Env, ctx: ExecutionContext): void {
+    ctx.waitUntil(reconcileScheduled(env));
   },
 };
@@ -1,5 +1,9 @@
 import { verifyFirebaseToken } from '../utils/firebase';
 import { errorResponse } from '../utils/response';
+import { getApiKeyByHash, touchApiKey } from '../utils/db';
+import { hashApiKey, isApiKey } from '../utils/apiKeys';
+import type { ApiKeyScope, UserRow } from '../types';
+import type { Middleware } from '../router';
 
 export interface AuthenticatedUser {
   id: string;
@@ -7,28 +11,96 @@ export interface AuthenticatedUser {
   googleUid: string;
   displayName: string | null;
   photoUrl: string | null;
+  apiKeyId: string | null; // Set when the request used an API key instead of a session
 }
 
 export type AuthResult =
   | { authenticated: true; user: AuthenticatedUser }
   | { authenticated: false; response: Response };
 
-interface UserRow {
-  id: string;
-  email: string;
-  google_uid: string;
-  display_name: string | null;
-  photo_url: string | null;
+function toAuthenticatedUser(user: UserRow, apiKeyId: string | null): AuthenticatedUser {
+  return {
+    id: user.id,
+    email: user.email,
+    googleUid: user.google_uid,
+    displayName: user.display_name,
+    photoUrl: user.photo_url,
+    apiKeyId,
+  };
+}
+
+/**
+ * Authenticate with a personal API key. The route must name the scope it
+ * needs; routes that name none are for signed-in sessions only.
+ */
+async function authenticateApiKey(
+  db: D1Database,
+  key: string,
+  scope: ApiKeyScope | undefined
+): Promise<AuthResult> {
+  const apiKey = await getApiKeyByHash(db, await hashApiKey(key));
+
+  if (!apiKey) {
+    return {
+      authenticated: false,
+      response: errorResponse('Invalid or revoked API key', 401),
+    };
+  }
+
+  if (apiKey.expires_at !== null && apiKey.expires_at <= Math.floor(Date.now() / 1000)) {
+    return {
+      authenticated: false,
+      response: errorResponse('API key has expired', 401, 'API_KEY_EXPIRED'),
+    };
+  }
+
+  if (!scope) {
+    return {
+      authenticated: false,
+      response: errorResponse('API keys cannot be used here, sign in instead', 403, 'SESSION_REQUIRED'),
+    };
+  }
+
+  if (!(JSON.parse(apiKey.scopes) as ApiKeyScope[]).includes(scope)) {
+    return {
+      authenticated: false,
+      response: errorResponse(`This API key needs the ${scope} scope`, 403, 'INSUFFICIENT_SCOPE'),
+    };
+  }
+
+  const user = await db
+    .prepare('SELECT * FROM users WHERE id = ?')
+    .bind(apiKey.user_id)
+    .first<UserRow>();
+
+  if (!user) {
+    return {
+      authenticated: false,
+      response: errorResponse('Invalid or revoked API key', 401),
+    };
+  }
+
+  try {
+    await touchApiKey(db, apiKey.id);
+  } catch (error) {
+    console.error('Failed to record API key use:', error);
+  }
+
+  return { authenticated: true, user: toAuthenticatedUser(user, apiKey.id) };
 }
 
 /**
- * Authenticate a request using Firebase ID token
- * Expects Authorization header with "Bearer <firebase-id-token>"
+ * Authenticate a request using a Firebase ID token or a personal API key
+ * Expects Authorization header with "Bearer <firebase-id-token>" or "Bearer vk_..."
+ *
+ * scope is what an API key must carry for this route. Leave it out on
+ * routes API keys shouldn't reach, like managing the keys themselves.
  */
 export async function authenticate(
   request: Request,
   db: D1Database,
-  projectId: string
+  projectId: string,
+  scope?: ApiKeyScope
 ): Promise<AuthResult> {
   const authHeader = request.headers.get('Authorization');
 
@@ -47,6 +119,10 @@ export async function authenticate(
   }
 
   const token = authHeader.slice(7);
+  if (isApiKey(token)) {
+    return authenticateApiKey(db, token, scope);
+  }
+
   const payload = await verifyFirebaseToken(token, projectId);
 
   if (!payload) {
@@ -69,14 +145,76 @@ export async function authenticate(
     };
   }
 
-  return {
-    authenticated: true,
-    user: {
-      id: user.id,
-      email: user.email,
-      googleUid: user.google_uid,
-      displayName: user.display_name,
-      photoUrl: user.photo_url,
-    },
+  return { authenticated: true, user: toAuthenticatedUser(user, null) };
+}
+
+/**
+ * Identify the caller on a public route. Missing or invalid credentials,
+ * or an API key without the scope, mean an anonymous caller rather than
+ * an error.
+ */
+export async function getOptionalUser(
+  request: Request,
+  db: D1Database,
+  projectId: string,
+  scope: ApiKeyScope
+): Promise<AuthenticatedUser | null> {
+  if (!request.headers.get('Authorization')) {
+    return null;
+  }
+
+  const authResult = await authenticate(request, db, projectId, scope);
+  return authResult.authenticated ? authResult.user : null;
+}
+
+/**
+ * Route middleware that turns away unauthenticated requests and puts the
+ * caller on the context as user. scope is as for authenticate().
+ */
+export function requireAuth(scope?: ApiKeyScope): Middleware<{ user: AuthenticatedUser }> {
+  return async (ctx, next) => {
+    const authResult = await authenticate(ctx.request, ctx.env.DB, ctx.env.FIREBASE_PROJECT_ID, scope);
+    if (!authResult.authenticated) {
+      return authResult.response;
+    }
+    Object.assign(ctx, { user: authResult.user });
+    return next();
+  };
+}
+
+/**
+ * Route middleware for public routes that also serve signed-in callers:
+ * puts the caller on the context as user, or null when the request has no
+ * valid credentials. scope is as for getOptionalUser().
+ */
+export function optionalAuth(scope: ApiKeyScope): Middleware<{ user: AuthenticatedUser | null }> {
+  return async (ctx, next) => {
+    const user = await getOptionalUser(ctx.request, ctx.env.DB, ctx.env.FIREBASE_PROJECT_ID, scope);
+    Object.assign(ctx, { user });
+    return next();
   };
 }
+
+async function digest(value: string): Promise<ArrayBuffer> {
+  return crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+}
+
+/**
+ * Route middleware for operator endpoints: the bearer token must be the
+ * ADMIN_TOKEN secret. Without the secret they're turned off entirely.
+ */
+export const requireAdmin: Middleware = async (ctx, next) => {
+  const adminToken = ctx.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return errorResponse('Admin endpoints are disabled, set ADMIN_TOKEN to use them', 403, 'ADMIN_DISABLED');
+  }
+
+  const authHeader = ctx.request.headers.get('Authorization') ?? '';
+  const token = authHeader.startsWith('Bearer ') ? authHeader.slice(7) : '';
+  // Compare digests, which are equal length, so timing doesn't give the token away
+  const valid = crypto.subtle.timingSafeEqual(await digest(token), await digest(adminToken));
+  if (!valid) {
+    return errorResponse('Invalid admin token', 401);
+  }
+  return next();
+};
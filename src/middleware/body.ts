@@ -0,0 +1,18 @@
+import { parseBody, type RequestBodies } from '../schemas';
+import type { Middleware } from '../router';
+
+/**
+ * Route middleware that parses the JSON body and checks it against its
+ * schema, answering 400 with the field errors when it doesn't fit. The
+ * handler gets it as body.
+ */
+export function validateBody<K extends keyof RequestBodies>(name: K): Middleware<{ body: RequestBodies[K] }> {
+  return async (ctx, next) => {
+    const parsed = await parseBody(ctx.request, name);
+    if (!parsed.ok) {
+      return parsed.response;
+    }
+    Object.assign(ctx, { body: parsed.body });
+    return next();
+  };
+}
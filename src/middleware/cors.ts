@@ -0,0 +1,20 @@
+import { corsHeaders } from '../utils/response';
+import type { Middleware } from '../router';
+
+/**
+ * Adds the CORS headers to every response. WebSocket upgrades (101) go
+ * out untouched: their headers can't be changed and browsers don't check
+ * CORS on them.
+ */
+export const cors: Middleware = async (_ctx, next) => {
+  const response = await next();
+  if (response.status === 101) {
+    return response;
+  }
+
+  const withCors = new Response(response.body, response);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    withCors.headers.set(name, value);
+  }
+  return withCors;
+};
@@ -0,0 +1,60 @@
+import { errorResponse, notFound } from '../utils/response';
+import { isPollInviteActive } from '../utils/db';
+import { verifyInviteToken } from '../utils/invites';
+import { canOnPoll } from '../utils/permissions';
+import { getOptionalUser } from './auth';
+import type { PollRow } from '../types';
+import type { Env } from '../index';
+
+/**
+ * The invite token a request carries, from the X-Invite-Token header or,
+ * for WebSockets and shared links, the invite query parameter
+ */
+export function getInviteToken(request: Request): string | null {
+  return request.headers.get('X-Invite-Token') || new URL(request.url).searchParams.get('invite');
+}
+
+async function isInviteValid(env: Env, pollId: string, token: string): Promise<boolean> {
+  if (!env.INVITE_SECRET) {
+    return false;
+  }
+  const inviteId = await verifyInviteToken(env.INVITE_SECRET, pollId, token);
+  return inviteId !== null && (await isPollInviteActive(env.DB, pollId, inviteId));
+}
+
+/**
+ * Check the caller may open a poll. Public and unlisted polls are open to
+ * anyone with the link; private ones need an active invite token, unless
+ * the caller can view the poll as its creator or a member of its
+ * workspace. Returns the error response to send, or null.
+ *
+ * Pass userId when the route has already identified the caller; leave it
+ * undefined to look them up only when the poll turns out to need it.
+ */
+export async function checkPollAccess(
+  env: Env,
+  request: Request,
+  poll: PollRow,
+  userId?: string | null
+): Promise<Response | null> {
+  if (poll.visibility !== 'private') {
+    return null;
+  }
+
+  const token = getInviteToken(request);
+  if (token && (await isInviteValid(env, poll.id, token))) {
+    return null;
+  }
+
+  const callerId = userId !== undefined
+    ? userId
+    : (await getOptionalUser(request, env.DB, env.FIREBASE_PROJECT_ID, 'polls:read'))?.id ?? null;
+  if (await canOnPoll(env.DB, poll, callerId, 'view')) {
+    return null;
+  }
+
+  // Without a token a private poll looks the same as a missing one
+  return token
+    ? errorResponse('This invite link is invalid or has been revoked', 403, 'INVITE_INVALID')
+    : notFound('Poll not found');
+}
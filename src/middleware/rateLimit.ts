@@ -0,0 +1,154 @@
+import { errorResponse } from '../utils/response';
+import { getClientIp } from '../utils/request';
+import type { RateLimitResult } from '../durable-objects/RateLimiter';
+import type { AuthenticatedUser } from './auth';
+import type { Middleware, RouteContext } from '../router';
+import type { Env } from '../index';
+
+// Groups of routes that share a limit
+export type RateLimitClass = 'vote' | 'createPoll' | 'auth';
+
+interface RateLimitRule {
+  limit: number;
+  windowSeconds: number;
+}
+
+// "<requests>/<seconds>", overridable per class through Env vars
+const DEFAULT_RULES: Record<RateLimitClass, string> = {
+  vote: '30/60',
+  createPoll: '10/3600',
+  auth: '20/300',
+};
+
+const RULE_VARS: Record<RateLimitClass, 'RATE_LIMIT_VOTE' | 'RATE_LIMIT_CREATE_POLL' | 'RATE_LIMIT_AUTH'> = {
+  vote: 'RATE_LIMIT_VOTE',
+  createPoll: 'RATE_LIMIT_CREATE_POLL',
+  auth: 'RATE_LIMIT_AUTH',
+};
+
+export type RateLimitCheck =
+  | { ok: true; headers: Record<string, string> }
+  | { ok: false; response: Response };
+
+function parseRule(value: string): RateLimitRule | null {
+  const match = /^(\d+)\s*\/\s*(\d+)$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const limit = Number(match[1]);
+  const windowSeconds = Number(match[2]);
+  return limit >= 1 && windowSeconds >= 1 ? { limit, windowSeconds } : null;
+}
+
+/**
+ * The rule for a route class. "off" or "0" disables the limit; a value
+ * that doesn't parse falls back to the default rather than disabling it.
+ */
+function getRule(env: Env, routeClass: RateLimitClass): RateLimitRule | null {
+  const configured = env[RULE_VARS[routeClass]];
+  if (configured !== undefined) {
+    if (configured.trim() === 'off' || configured.trim() === '0') {
+      return null;
+    }
+    const rule = parseRule(configured);
+    if (rule) {
+      return rule;
+    }
+    console.error(`Ignoring invalid ${RULE_VARS[routeClass]}: ${configured}`);
+  }
+  return parseRule(DEFAULT_RULES[routeClass]);
+}
+
+async function hitLimiter(env: Env, key: string, rule: RateLimitRule): Promise<RateLimitResult> {
+  const stub = env.RATE_LIMITER.get(env.RATE_LIMITER.idFromName(key));
+  const response = await stub.fetch('http://do/hit', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(rule),
+  });
+  return await response.json() as RateLimitResult;
+}
+
+/**
+ * Count a request against its route class, keyed by client IP and, once
+ * the request has been authenticated, by account as well: the API key it
+ * used, or the signed-in user. A script on one key then can't use up its
+ * owner's limit in the browser. The most restrictive result wins.
+ */
+export async function checkRateLimit(
+  env: Env,
+  request: Request,
+  routeClass: RateLimitClass,
+  user: AuthenticatedUser | null
+): Promise<RateLimitCheck> {
+  const rule = getRule(env, routeClass);
+  if (!rule) {
+    return { ok: true, headers: {} };
+  }
+
+  const keys = [`${routeClass}:ip:${getClientIp(request)}`];
+  if (user?.apiKeyId) {
+    keys.push(`${routeClass}:key:${user.apiKeyId}`);
+  } else if (user) {
+    keys.push(`${routeClass}:user:${user.id}`);
+  }
+
+  let results: RateLimitResult[];
+  try {
+    results = await Promise.all(keys.map((key) => hitLimiter(env, key, rule)));
+  } catch (error) {
+    // Fail open - a limiter outage shouldn't take the API down with it
+    console.error('Rate limiter unavailable:', error);
+    return { ok: true, headers: {} };
+  }
+
+  const denied = results.filter((result) => !result.allowed);
+  const result = denied.length > 0
+    ? denied.reduce((a, b) => (b.retryAfter > a.retryAfter ? b : a))
+    : results.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+
+  const headers: Record<string, string> = {
+    'X-RateLimit-Limit': String(result.limit),
+    'X-RateLimit-Remaining': String(result.remaining),
+    'X-RateLimit-Reset': String(result.reset),
+  };
+
+  if (!result.allowed) {
+    const response = errorResponse(
+      `Too many requests, try again in ${result.retryAfter} seconds`,
+      429,
+      'RATE_LIMITED'
+    );
+    response.headers.set('Retry-After', String(result.retryAfter));
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return { ok: false, response };
+  }
+
+  return { ok: true, headers };
+}
+
+/**
+ * Route middleware that counts the request against routeClass, answering
+ * 429 once it's over the limit and adding the limit headers otherwise.
+ * After requireAuth or optionalAuth it limits the account too, when there
+ * is one. Unverified credentials are
+ * never used for that, or anyone could use up someone else's limit by
+ * naming their account.
+ */
+export function rateLimit(routeClass: RateLimitClass): Middleware {
+  return async (ctx, next) => {
+    const { user } = ctx as RouteContext & { user?: AuthenticatedUser | null };
+    const check = await checkRateLimit(ctx.env, ctx.request, routeClass, user ?? null);
+    if (!check.ok) {
+      return check.response;
+    }
+
+    const response = await next();
+    for (const [name, value] of Object.entries(check.headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  };
+}
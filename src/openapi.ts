@@ -0,0 +1,374 @@
+/**
+ * OpenAPI 3 document for the API, served at GET /api/openapi.json
+ *
+ * Each operation names its request and response schemas from schemas.ts,
+ * so the document can't drift from what the handlers validate. Keep this
+ * list in step with the routes in index.ts.
+ */
+
+import { ref, type Schema } from './utils/validation';
+import { schemas, type RequestBodies } from './schemas';
+import type { ApiKeyScope } from './types';
+
+type Method = 'get' | 'post' | 'put' | 'delete';
+
+// none = public; optional = public, a signed-in caller may see more;
+// required = session or API key; session = signed-in session only;
+// admin = the ADMIN_TOKEN secret
+type Auth = 'none' | 'optional' | 'required' | 'session' | 'admin';
+
+interface QueryParameter {
+  name: string;
+  description: string;
+  schema: Schema;
+  required?: boolean;
+}
+
+interface Operation {
+  id: string;
+  method: Method;
+  path: string; // OpenAPI style, e.g. /api/polls/{id}
+  summary: string;
+  tag: string;
+  auth: Auth;
+  scope?: ApiKeyScope; // API key scope that grants access
+  query?: QueryParameter[];
+  body?: keyof RequestBodies;
+  status?: number; // Success status, 200 by default
+  response?: Schema; // Success body; wrapped in { data } unless raw
+  raw?: boolean;
+  content?: string[]; // Media types other than JSON, for downloads
+}
+
+const limit = (max: number, fallback: number): QueryParameter => ({
+  name: 'limit',
+  description: `Results to return, default ${fallback}`,
+  schema: { type: 'integer', minimum: 1, maximum: max },
+});
+
+const listQuery: QueryParameter[] = [
+  limit(50, 20),
+  { name: 'cursor', description: 'next_cursor from the previous page', schema: { type: 'string' } },
+  { name: 'sort', description: 'Default votes (newest for /api/polls/me)', schema: { type: 'string', enum: ['votes', 'newest', 'closing_soon'] } },
+  { name: 'status', description: 'Only polls in this state', schema: { type: 'string', enum: ['open', 'scheduled', 'closed'] } },
+  { name: 'tag', description: 'Only polls with this tag', schema: { type: 'string' } },
+  { name: 'created_after', description: 'Unix timestamp in seconds', schema: { type: 'integer', minimum: 0 } },
+];
+
+const invite: QueryParameter = {
+  name: 'invite',
+  description: 'Invite token for a private poll; the X-Invite-Token header also works',
+  schema: { type: 'string' },
+};
+
+const list = (name: string): Schema => ({ type: 'array', items: ref(name) });
+
+const removed = (flag: string): Schema => ({
+  type: 'object',
+  required: ['id', flag],
+  properties: { id: { type: 'string' }, [flag]: { type: 'boolean' } },
+});
+
+export const operations: Operation[] = [
+  { id: 'health', method: 'get', path: '/api/health', summary: 'Health check', tag: 'Meta', auth: 'none', raw: true },
+  { id: 'dbTest', method: 'get', path: '/api/db-test', summary: 'Database connection check', tag: 'Meta', auth: 'none', raw: true },
+  { id: 'openApi', method: 'get', path: '/api/openapi.json', summary: 'This document', tag: 'Meta', auth: 'none', raw: true },
+  {
+    id: 'googleAuth', method: 'post', path: '/api/auth/google', summary: 'Sign in with a Firebase ID token from Google',
+    tag: 'Auth', auth: 'none', body: 'GoogleAuthInput',
+    response: { type: 'object', required: ['user'], properties: { user: ref('AuthUser') } },
+  },
+  {
+    id: 'getPolls', method: 'get', path: '/api/polls', summary: 'List public polls', tag: 'Polls', auth: 'optional',
+    scope: 'polls:read',
+    query: [...listQuery, { name: 'owner', description: 'A user id, or "me" (requires authentication)', schema: { type: 'string' } }],
+    response: ref('PollPage'), raw: true,
+  },
+  {
+    id: 'getUserPolls', method: 'get', path: '/api/polls/me', summary: 'Your polls, or a workspace\'s', tag: 'Polls',
+    auth: 'required', scope: 'polls:read',
+    query: [...listQuery, { name: 'workspace', description: 'A workspace id you belong to', schema: { type: 'string' } }],
+    response: ref('PollPage'), raw: true,
+  },
+  {
+    id: 'searchPolls', method: 'get', path: '/api/polls/search', summary: 'Full-text search of public polls', tag: 'Polls',
+    auth: 'optional', scope: 'polls:read',
+    query: [{ name: 'q', description: 'Words to search for', schema: { type: 'string' }, required: true }, limit(50, 20)],
+    response: list('PollSearchHit'),
+  },
+  {
+    id: 'createPoll', method: 'post', path: '/api/polls', summary: 'Create a poll', tag: 'Polls', auth: 'required',
+    scope: 'polls:write', body: 'CreatePollInput', status: 201, response: ref('Poll'),
+  },
+  {
+    id: 'getPoll', method: 'get', path: '/api/polls/{id}', summary: 'A poll with its options', tag: 'Polls',
+    auth: 'optional', scope: 'polls:read', query: [invite], response: ref('PollView'),
+  },
+  {
+    id: 'updatePoll', method: 'put', path: '/api/polls/{id}', summary: 'Edit a poll', tag: 'Polls', auth: 'required',
+    scope: 'polls:write', body: 'UpdatePollInput', response: ref('Poll'),
+  },
+  {
+    id: 'deletePoll', method: 'delete', path: '/api/polls/{id}', summary: 'Delete a poll', tag: 'Polls', auth: 'required',
+    scope: 'polls:write',
+    response: { type: 'object', properties: { success: { type: 'boolean' }, message: { type: 'string' } } },
+  },
+  {
+    id: 'closePoll', method: 'post', path: '/api/polls/{id}/close', summary: 'Close voting now', tag: 'Polls',
+    auth: 'required', scope: 'polls:write', response: ref('Poll'),
+  },
+  {
+    id: 'vote', method: 'post', path: '/api/polls/{id}/vote', summary: 'Vote', tag: 'Votes', auth: 'optional',
+    scope: 'votes:write', query: [invite], body: 'VoteInput', status: 201, response: ref('VoteResult'),
+  },
+  {
+    id: 'changeVote', method: 'put', path: '/api/polls/{id}/vote', summary: 'Replace your vote', tag: 'Votes',
+    auth: 'optional', scope: 'votes:write', query: [invite], body: 'VoteInput', response: ref('VoteResult'),
+  },
+  {
+    id: 'retractVote', method: 'delete', path: '/api/polls/{id}/vote', summary: 'Retract your vote', tag: 'Votes',
+    auth: 'optional', scope: 'votes:write', query: [invite], body: 'RetractVoteInput', response: ref('VoteResult'),
+  },
+  {
+    id: 'pollLive', method: 'get', path: '/api/polls/{id}/live', summary: 'WebSocket of live vote counts', tag: 'Votes',
+    auth: 'optional', scope: 'polls:read', query: [invite], status: 101,
+  },
+  {
+    id: 'pollAnalytics', method: 'get', path: '/api/polls/{id}/analytics', summary: 'Vote timeline', tag: 'Votes',
+    auth: 'optional', scope: 'polls:read',
+    query: [invite, { name: 'interval', description: 'Bucket size; picked from the span of the votes when omitted', schema: { type: 'string', enum: ['minute', 'hour', 'day'] } }],
+    response: ref('VoteTimeline'),
+  },
+  {
+    id: 'exportPoll', method: 'get', path: '/api/polls/{id}/export', summary: 'Download results or the vote log', tag: 'Polls',
+    auth: 'required', scope: 'export',
+    query: [
+      { name: 'format', description: 'Default csv', schema: { type: 'string', enum: ['csv', 'json'] } },
+      { name: 'type', description: 'Default results', schema: { type: 'string', enum: ['results', 'votes'] } },
+    ],
+    content: ['text/csv', 'application/json'],
+  },
+  {
+    id: 'getFlaggedVotes', method: 'get', path: '/api/polls/{id}/flagged', summary: 'Flagged ballots awaiting review',
+    tag: 'Moderation', auth: 'required', scope: 'polls:read', query: [limit(500, 100)],
+    response: {
+      type: 'object',
+      required: ['data', 'total'],
+      properties: { data: list('FlaggedBallot'), total: { type: 'integer' } },
+    },
+    raw: true,
+  },
+  {
+    id: 'discardFlaggedVotes', method: 'post', path: '/api/polls/{id}/flagged/discard', summary: 'Remove flagged ballots from the counts',
+    tag: 'Moderation', auth: 'required', scope: 'polls:write', body: 'ReviewFlaggedInput', response: ref('ReviewResult'),
+  },
+  {
+    id: 'acceptFlaggedVotes', method: 'post', path: '/api/polls/{id}/flagged/accept', summary: 'Keep flagged ballots and clear the flag',
+    tag: 'Moderation', auth: 'required', scope: 'polls:write', body: 'ReviewFlaggedInput', response: ref('ReviewResult'),
+  },
+  {
+    id: 'getInvites', method: 'get', path: '/api/polls/{id}/invites', summary: 'Invite links of a private poll', tag: 'Invites',
+    auth: 'required', scope: 'polls:read', response: list('PollInvite'),
+  },
+  {
+    id: 'createInvite', method: 'post', path: '/api/polls/{id}/invites', summary: 'Issue an invite link', tag: 'Invites',
+    auth: 'required', scope: 'polls:write', status: 201, response: ref('PollInvite'),
+  },
+  {
+    id: 'rotateInvite', method: 'post', path: '/api/polls/{id}/invites/{inviteId}/rotate', summary: 'Replace an invite link',
+    tag: 'Invites', auth: 'required', scope: 'polls:write', status: 201, response: ref('PollInvite'),
+  },
+  {
+    id: 'revokeInvite', method: 'delete', path: '/api/polls/{id}/invites/{inviteId}', summary: 'Revoke an invite link',
+    tag: 'Invites', auth: 'required', scope: 'polls:write', response: removed('revoked'),
+  },
+  {
+    id: 'getTags', method: 'get', path: '/api/tags', summary: 'Tags with poll counts', tag: 'Polls', auth: 'none',
+    query: [limit(200, 50)], response: list('TagCount'),
+  },
+  {
+    id: 'getWorkspaces', method: 'get', path: '/api/workspaces', summary: 'Your workspaces', tag: 'Workspaces',
+    auth: 'session', response: list('WorkspaceSummary'),
+  },
+  {
+    id: 'createWorkspace', method: 'post', path: '/api/workspaces', summary: 'Create a workspace', tag: 'Workspaces',
+    auth: 'session', body: 'CreateWorkspaceInput', status: 201, response: ref('Workspace'),
+  },
+  {
+    id: 'getWorkspaceMembers', method: 'get', path: '/api/workspaces/{id}/members', summary: 'Workspace members',
+    tag: 'Workspaces', auth: 'session', response: list('WorkspaceMember'),
+  },
+  {
+    id: 'addWorkspaceMember', method: 'post', path: '/api/workspaces/{id}/members', summary: 'Add a member by email',
+    tag: 'Workspaces', auth: 'session', body: 'AddWorkspaceMemberInput', status: 201, response: ref('WorkspaceMember'),
+  },
+  {
+    id: 'updateWorkspaceMember', method: 'put', path: '/api/workspaces/{id}/members/{memberId}', summary: 'Change a member\'s role',
+    tag: 'Workspaces', auth: 'session', body: 'UpdateWorkspaceMemberInput', response: ref('WorkspaceMember'),
+  },
+  {
+    id: 'removeWorkspaceMember', method: 'delete', path: '/api/workspaces/{id}/members/{memberId}', summary: 'Remove a member, or leave',
+    tag: 'Workspaces', auth: 'session', response: removed('removed'),
+  },
+  {
+    id: 'getApiKeys', method: 'get', path: '/api/keys', summary: 'Your API keys', tag: 'API keys', auth: 'session',
+    response: list('ApiKey'),
+  },
+  {
+    id: 'createApiKey', method: 'post', path: '/api/keys', summary: 'Mint an API key', tag: 'API keys', auth: 'session',
+    body: 'CreateApiKeyInput', status: 201, response: ref('ApiKey'),
+  },
+  {
+    id: 'revokeApiKey', method: 'delete', path: '/api/keys/{id}', summary: 'Revoke an API key', tag: 'API keys',
+    auth: 'session', response: removed('revoked'),
+  },
+  {
+    id: 'getWebhooks', method: 'get', path: '/api/webhooks', summary: 'Your webhooks', tag: 'Webhooks', auth: 'required',
+    scope: 'polls:read', response: list('Webhook'),
+  },
+  {
+    id: 'createWebhook', method: 'post', path: '/api/webhooks', summary: 'Register a webhook', tag: 'Webhooks',
+    auth: 'required', scope: 'polls:write', body: 'CreateWebhookInput', status: 201, response: ref('Webhook'),
+  },
+  {
+    id: 'deleteWebhook', method: 'delete', path: '/api/webhooks/{id}', summary: 'Remove a webhook', tag: 'Webhooks',
+    auth: 'required', scope: 'polls:write', response: removed('deleted'),
+  },
+  {
+    id: 'getWebhookDeliveries', method: 'get', path: '/api/webhooks/{id}/deliveries', summary: 'Recent deliveries',
+    tag: 'Webhooks', auth: 'required', scope: 'polls:read', query: [limit(200, 50)], response: list('WebhookDelivery'),
+  },
+  {
+    id: 'getMigrations', method: 'get', path: '/api/admin/migrations', summary: 'Schema version and pending migrations',
+    tag: 'Admin', auth: 'admin', response: ref('MigrationStatus'),
+  },
+  {
+    id: 'applyMigrations', method: 'post', path: '/api/admin/migrations', summary: 'Apply pending migrations',
+    tag: 'Admin', auth: 'admin', response: ref('MigrationRun'),
+  },
+  {
+    id: 'reconcile', method: 'post', path: '/api/admin/reconcile',
+    summary: 'Compare vote engines, votes rows and D1 counters, and repair them', tag: 'Admin', auth: 'admin',
+    body: 'ReconcileInput', response: ref('ReconcileReport'),
+  },
+];
+
+const jsonContent = (schema: Schema) => ({ 'application/json': { schema } });
+
+const errorReply = (description: string) => ({ description, content: jsonContent(ref('ApiError')) });
+
+function describeAuth(op: Operation): string | undefined {
+  if (op.auth === 'session') {
+    return 'Requires a signed-in session; API keys are refused.';
+  }
+  if (op.auth === 'admin') {
+    return 'Requires the ADMIN_TOKEN secret as bearer token; off when it is unset.';
+  }
+  if (op.scope && op.auth !== 'none') {
+    return `API keys need the ${op.scope} scope.`;
+  }
+  return undefined;
+}
+
+function buildOperation(op: Operation) {
+  const pathParameters = [...op.path.matchAll(/\{(\w+)\}/g)].map(([, name]) => ({
+    name,
+    in: 'path',
+    required: true,
+    schema: { type: 'string' },
+  }));
+  const queryParameters = (op.query ?? []).map(({ name, description, schema, required }) => ({
+    name,
+    in: 'query',
+    required: required === true,
+    description,
+    schema,
+  }));
+
+  const status = op.status ?? 200;
+  let success: Record<string, unknown> = { description: status === 101 ? 'Switching to a WebSocket' : 'OK' };
+  if (op.content) {
+    success = {
+      description: 'A file download',
+      content: Object.fromEntries(op.content.map((type) => [type, { schema: { type: 'string', format: 'binary' } }])),
+    };
+  } else if (op.response) {
+    const body: Schema = op.raw
+      ? op.response
+      : { type: 'object', required: ['data'], properties: { data: op.response } };
+    success = { description: 'OK', content: jsonContent(body) };
+  }
+
+  const responses: Record<string, unknown> = { [status]: success };
+  if (op.body) {
+    responses['400'] = errorReply('Invalid body; fields lists each problem (code VALIDATION_FAILED)');
+  }
+  if (op.auth === 'required' || op.auth === 'session' || op.auth === 'admin') {
+    responses['401'] = errorReply('Missing or invalid credentials');
+  }
+  responses.default = errorReply('Error');
+
+  const security =
+    op.auth === 'none'
+      ? []
+      : op.auth === 'optional'
+        ? [{}, { bearerAuth: [] }]
+        : op.auth === 'admin'
+          ? [{ adminToken: [] }]
+          : [{ bearerAuth: [] }];
+
+  return {
+    operationId: op.id,
+    summary: op.summary,
+    description: describeAuth(op),
+    tags: [op.tag],
+    security,
+    parameters: [...pathParameters, ...queryParameters],
+    ...(op.body && {
+      requestBody: { required: true, content: jsonContent(ref(op.body)) },
+    }),
+    responses,
+  };
+}
+
+/**
+ * The OpenAPI document, with the requesting origin as its server
+ */
+export function buildOpenApiDocument(origin: string): Record<string, unknown> {
+  const paths: Record<string, Record<string, unknown>> = {};
+  for (const op of operations) {
+    paths[op.path] = { ...paths[op.path], [op.method]: buildOperation(op) };
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Vote System API',
+      version: '1.0.0',
+    },
+    servers: [{ url: origin }],
+    paths,
+    components: {
+      schemas,
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'A Firebase ID token from Google sign-in, or a personal API key (vk_...)',
+        },
+        adminToken: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The ADMIN_TOKEN secret, for operator endpoints',
+        },
+      },
+    },
+  };
+}
+
+/**
+ * "METHOD /path" for every operation, keyed by operation id
+ */
+export function listEndpoints(): Record<string, string> {
+  return Object.fromEntries(operations.map((op) => [op.id, `${op.method.toUpperCase()} ${op.path}`]));
+}
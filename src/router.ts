@@ -1,40 +1,191 @@
-export interface RouteMatch {
-  params: Record<string, string>;
+/**
+ * Request routing
+ *
+ * Routes are declared in one table, each with its method, path, middleware
+ * and handler. Paths take :name parameters, which are typed from the path
+ * string. When several routes match a path the most specific one wins (a
+ * fixed segment beats a parameter in the same place), so /api/polls/me is
+ * never read as a poll id, whatever the table's order.
+ *
+ * The method is only looked up among the routes of that most specific
+ * path: one served under other methods answers 405 with Allow, so DELETE
+ * /api/polls/me is refused rather than deleting a poll called "me". HEAD
+ * runs the GET route and drops the body; OPTIONS answers with Allow.
+ */
+
+import { errorResponse } from './utils/response';
+import type { Env } from './index';
+
+export type Method = 'GET' | 'POST' | 'PUT' | 'DELETE';
+
+// 'a' | 'b' for '/x/:a/y/:b'
+type ParamNames<P extends string> =
+  P extends `${string}:${infer Name}/${infer Rest}`
+    ? Name | ParamNames<`/${Rest}`>
+    : P extends `${string}:${infer Name}`
+      ? Name
+      : never;
+
+export type RouteParams<P extends string> = { [K in ParamNames<P>]: string };
+
+export interface RouteContext<P extends string = string> {
+  request: Request;
+  env: Env;
+  url: URL;
+  params: RouteParams<P>;
 }
 
+export type Next = () => Promise<Response>;
+
+/**
+ * Runs before a route's handler and may answer instead of it. Adds names
+ * what it sets on the context (an authenticated user, a parsed body) so
+ * handlers behind it see those fields typed.
+ */
+export type Middleware<Adds extends object = object> = ((ctx: RouteContext, next: Next) => Promise<Response>) & {
+  readonly adds?: Adds;
+};
+
+type Added<M> = M extends Middleware<infer Adds> ? Adds : never;
+
+type Intersect<U> = [U] extends [never]
+  ? unknown
+  : (U extends unknown ? (x: U) => void : never) extends (x: infer I) => void
+    ? I
+    : never;
+
+export type Handler<P extends string, M extends Middleware[]> = (
+  ctx: RouteContext<P> & Intersect<Added<M[number]>>
+) => Promise<Response>;
+
 export interface Route {
-  method: string;
+  method: Method;
+  path: string;
+  middleware: Middleware[];
+  handler: (ctx: RouteContext) => Promise<Response>;
+}
+
+interface CompiledRoute extends Route {
   pattern: RegExp;
   paramNames: string[];
+  rank: number[]; // Per segment: 0 for fixed text, 1 for a parameter
 }
 
-export function createRoute(method: string, path: string): Route {
+export interface RouterOptions {
+  // Run for every request, outermost first
+  middleware?: Middleware[];
+  // Answers paths no route serves
+  fallback: (ctx: RouteContext) => Promise<Response>;
+}
+
+export function route<P extends string, M extends Middleware[]>(
+  method: Method,
+  path: P,
+  middleware: [...M],
+  handler: Handler<P, M>
+): Route {
+  return { method, path, middleware, handler: handler as Route['handler'] };
+}
+
+function compile(route: Route): CompiledRoute {
   const paramNames: string[] = [];
-  const patternStr = path.replace(/:([^/]+)/g, (_, name) => {
+  const patternStr = route.path.replace(/:([^/]+)/g, (_, name) => {
     paramNames.push(name);
     return '([^/]+)';
   });
   return {
-    method,
+    ...route,
     pattern: new RegExp(`^${patternStr}$`),
     paramNames,
+    rank: route.path.split('/').filter(Boolean).map((segment) => (segment.startsWith(':') ? 1 : 0)),
   };
 }
 
-export function matchRoute(
-  route: Route,
-  method: string,
-  path: string
-): RouteMatch | null {
-  if (route.method !== method) return null;
+function bySpecificity(a: CompiledRoute, b: CompiledRoute): number {
+  for (let i = 0; i < Math.min(a.rank.length, b.rank.length); i++) {
+    if (a.rank[i] !== b.rank[i]) {
+      return a.rank[i] - b.rank[i];
+    }
+  }
+  return 0;
+}
 
-  const match = path.match(route.pattern);
-  if (!match) return null;
+function runPipeline(
+  middleware: Middleware[],
+  ctx: RouteContext,
+  handler: (ctx: RouteContext) => Promise<Response>
+): Promise<Response> {
+  const dispatch = (i: number): Promise<Response> =>
+    i < middleware.length ? middleware[i](ctx, () => dispatch(i + 1)) : handler(ctx);
+  return dispatch(0);
+}
 
-  const params: Record<string, string> = {};
-  route.paramNames.forEach((name, i) => {
-    params[name] = match[i + 1];
-  });
+function allowedMethods(routes: CompiledRoute[]): string {
+  const methods = new Set<string>(routes.map((r) => r.method));
+  if (methods.has('GET')) {
+    methods.add('HEAD');
+  }
+  methods.add('OPTIONS');
+  return [...methods].join(', ');
+}
+
+/**
+ * Answers 500 for anything a handler throws, so one bug can't take down
+ * the worker's response
+ */
+export const errorBoundary: Middleware = async (_ctx, next) => {
+  try {
+    return await next();
+  } catch (error) {
+    console.error('Error:', error);
+    const message = error instanceof Error ? error.message : 'Internal Server Error';
+    return errorResponse(message, 500);
+  }
+};
+
+export function createRouter(
+  routes: Route[],
+  options: RouterOptions
+): (request: Request, env: Env) => Promise<Response> {
+  const compiled = routes.map(compile).sort(bySpecificity);
 
-  return { params };
+  const dispatch = async (ctx: RouteContext): Promise<Response> => {
+    const method = ctx.request.method;
+    const path = ctx.url.pathname;
+    const matching = compiled.filter((r) => r.pattern.test(path));
+    if (matching.length === 0) {
+      return options.fallback(ctx);
+    }
+
+    // Routes of the most specific path only; less specific ones never
+    // answer for it, whatever their method
+    const routes = matching.filter((r) => bySpecificity(r, matching[0]) === 0);
+    const target =
+      routes.find((r) => r.method === method) ??
+      (method === 'HEAD' ? routes.find((r) => r.method === 'GET') : undefined);
+
+    if (!target) {
+      const allow = allowedMethods(routes);
+      if (method === 'OPTIONS') {
+        return new Response(null, { status: 204, headers: { Allow: allow } });
+      }
+      const response = errorResponse(`${method} is not allowed here`, 405, 'METHOD_NOT_ALLOWED');
+      response.headers.set('Allow', allow);
+      return response;
+    }
+
+    const values = target.pattern.exec(path)!;
+    ctx.params = Object.fromEntries(target.paramNames.map((name, i) => [name, values[i + 1]]));
+
+    const response = await runPipeline(target.middleware, ctx, target.handler);
+    if (method === 'HEAD') {
+      return new Response(null, { status: response.status, headers: response.headers });
+    }
+    return response;
+  };
+
+  return (request, env) => {
+    const ctx: RouteContext = { request, env, url: new URL(request.url), params: {} };
+    return runPipeline(options.middleware ?? [], ctx, dispatch);
+  };
 }
@@ -0,0 +1,599 @@
+/**
+ * Request and response schemas
+ *
+ * One schema per request and response type in types.ts. Handlers check
+ * bodies against them with parseBody, and openapi.ts publishes them as the
+ * document's components, so what is validated is what is documented.
+ * Checks that need the database or other fields (an option belongs to the
+ * poll, closes_at is after opens_at) stay in the handlers.
+ */
+
+import { errorResponse } from './utils/response';
+import { validate, validationError, ref, NON_BLANK, EMAIL, type Schema, type SchemaRegistry } from './utils/validation';
+import { API_KEY_SCOPES } from './utils/apiKeys';
+import { WEBHOOK_EVENTS } from './utils/webhooks';
+import type {
+  AddWorkspaceMemberInput,
+  CreateApiKeyInput,
+  CreatePollInput,
+  CreateWebhookInput,
+  CreateWorkspaceInput,
+  GoogleAuthInput,
+  ReconcileInput,
+  RetractVoteInput,
+  ReviewFlaggedInput,
+  UpdatePollInput,
+  UpdateWorkspaceMemberInput,
+  VoteInput,
+} from './types';
+
+export const MAX_TITLE_LENGTH = 200;
+export const MAX_DESCRIPTION_LENGTH = 500;
+export const MAX_OPTION_LENGTH = 100;
+export const MAX_OPTIONS = 50;
+export const MAX_REVIEW_BATCH = 500;
+export const MAX_RECONCILE_BATCH = 100;
+
+// Request body types by schema name
+export interface RequestBodies {
+  CreatePollInput: CreatePollInput;
+  UpdatePollInput: UpdatePollInput;
+  VoteInput: VoteInput;
+  RetractVoteInput: RetractVoteInput;
+  ReviewFlaggedInput: ReviewFlaggedInput;
+  CreateWorkspaceInput: CreateWorkspaceInput;
+  AddWorkspaceMemberInput: AddWorkspaceMemberInput;
+  UpdateWorkspaceMemberInput: UpdateWorkspaceMemberInput;
+  CreateApiKeyInput: CreateApiKeyInput;
+  CreateWebhookInput: CreateWebhookInput;
+  GoogleAuthInput: GoogleAuthInput;
+  ReconcileInput: ReconcileInput;
+}
+
+export type BodyResult<T> =
+  | { ok: true; body: T }
+  | { ok: false; response: Response };
+
+const id: Schema = { type: 'string', minLength: 1 };
+const timestamp: Schema = { type: 'integer', minimum: 0, description: 'Unix timestamp in seconds' };
+const nullableTimestamp: Schema = { ...timestamp, nullable: true };
+const counts: Schema = {
+  type: 'object',
+  additionalProperties: { type: 'integer' },
+  description: 'Keyed by option id',
+};
+
+const title: Schema = { type: 'string', pattern: NON_BLANK, maxLength: MAX_TITLE_LENGTH };
+const description: Schema = { type: 'string', maxLength: MAX_DESCRIPTION_LENGTH };
+const optionText: Schema = { type: 'string', pattern: NON_BLANK, maxLength: MAX_OPTION_LENGTH };
+const tags: Schema = {
+  type: 'array',
+  items: { type: 'string' },
+  description: 'Up to 5 tags of letters, numbers, spaces or hyphens; stored lowercased and hyphenated',
+};
+const workspaceId: Schema = { ...id, nullable: true };
+const fingerprint: Schema = {
+  type: 'string',
+  pattern: NON_BLANK,
+  description: 'Browser fingerprint; with the IP address it identifies an anonymous voter',
+};
+
+const requestSchemas: { [K in keyof RequestBodies]: Schema } = {
+  CreatePollInput: {
+    type: 'object',
+    required: ['title', 'options'],
+    properties: {
+      title,
+      description,
+      options: { type: 'array', items: optionText, minItems: 2, maxItems: MAX_OPTIONS },
+      opens_at: nullableTimestamp,
+      closes_at: nullableTimestamp,
+      voting_mode: ref('VotingMode'),
+      min_selections: { type: 'integer', minimum: 1, description: 'Approval polls only; defaults to 1' },
+      max_selections: { type: 'integer', minimum: 1, description: 'Approval polls only; defaults to the number of options' },
+      require_auth: { type: 'boolean' },
+      allow_vote_changes: { type: 'boolean' },
+      results_visibility: ref('ResultsVisibility'),
+      visibility: ref('PollVisibility'),
+      workspace_id: { ...workspaceId, description: 'Requires the editor role or above there' },
+      tags,
+    },
+  },
+  UpdatePollInput: {
+    type: 'object',
+    required: ['title'],
+    properties: {
+      title,
+      description,
+      options: {
+        type: 'array',
+        items: ref('OptionUpdateInput'),
+        minItems: 2,
+        maxItems: MAX_OPTIONS,
+        description: 'The full option list; existing options left out are removed',
+      },
+      confirm_remove_voted: { type: 'boolean', description: 'Required to remove options that have votes' },
+      opens_at: nullableTimestamp,
+      closes_at: nullableTimestamp,
+      allow_vote_changes: { type: 'boolean' },
+      results_visibility: ref('ResultsVisibility'),
+      visibility: ref('PollVisibility'),
+      tags: { ...tags, description: 'Replaces the poll\'s tags when present' },
+      workspace_id: { ...workspaceId, description: 'Moves the poll; null takes it out of its workspace' },
+    },
+  },
+  VoteInput: {
+    type: 'object',
+    required: ['fingerprint'],
+    description: 'Send option_id or option_ids',
+    properties: {
+      option_id: id,
+      option_ids: { type: 'array', items: id, minItems: 1, description: 'In preference order for ranked polls' },
+      fingerprint,
+    },
+  },
+  RetractVoteInput: {
+    type: 'object',
+    required: ['fingerprint'],
+    properties: { fingerprint },
+  },
+  ReviewFlaggedInput: {
+    type: 'object',
+    required: ['ballot_ids'],
+    properties: {
+      ballot_ids: { type: 'array', items: id, minItems: 1, maxItems: MAX_REVIEW_BATCH },
+    },
+  },
+  CreateWorkspaceInput: {
+    type: 'object',
+    required: ['name'],
+    properties: { name: { type: 'string', pattern: NON_BLANK, maxLength: 60 } },
+  },
+  AddWorkspaceMemberInput: {
+    type: 'object',
+    required: ['email'],
+    properties: {
+      email: { type: 'string', format: 'email', pattern: EMAIL },
+      role: { ...ref('WorkspaceRole'), description: 'Defaults to editor' },
+    },
+  },
+  UpdateWorkspaceMemberInput: {
+    type: 'object',
+    required: ['role'],
+    properties: { role: ref('WorkspaceRole') },
+  },
+  CreateApiKeyInput: {
+    type: 'object',
+    required: ['name', 'scopes'],
+    properties: {
+      name: { type: 'string', pattern: NON_BLANK, maxLength: 60 },
+      scopes: { type: 'array', items: ref('ApiKeyScope'), minItems: 1 },
+      expires_in_days: { type: 'integer', minimum: 1, maximum: 365, nullable: true, description: 'Omitted or null never expires' },
+    },
+  },
+  CreateWebhookInput: {
+    type: 'object',
+    required: ['url'],
+    properties: {
+      url: { type: 'string', format: 'uri', maxLength: 2048, description: 'https, or http for localhost' },
+      events: { type: 'array', items: ref('WebhookEvent'), minItems: 1, description: 'Defaults to every event' },
+      poll_id: { ...id, nullable: true, description: 'Omitted or null covers every poll you create' },
+    },
+  },
+  GoogleAuthInput: {
+    type: 'object',
+    required: ['idToken'],
+    properties: { idToken: { ...id, description: 'Firebase ID token from the Google sign-in' } },
+  },
+  ReconcileInput: {
+    type: 'object',
+    properties: {
+      poll_ids: {
+        type: 'array',
+        items: id,
+        minItems: 1,
+        maxItems: MAX_RECONCILE_BATCH,
+        description: 'Defaults to polls open or closed within the last day that have votes',
+      },
+      direction: { ...ref('ReconcileDirection'), description: 'Defaults to audit' },
+      dry_run: { type: 'boolean', description: 'Defaults to true; send false to repair' },
+    },
+  },
+};
+
+const pollFields: Record<string, Schema> = {
+  id,
+  user_id: id,
+  title: { type: 'string' },
+  description: { type: 'string', nullable: true },
+  created_at: timestamp,
+  total_votes: { type: 'integer', description: 'Ballots cast' },
+  total_selections: { type: 'integer', description: 'Options picked across all ballots' },
+  voting_mode: ref('VotingMode'),
+  min_selections: { type: 'integer', nullable: true },
+  max_selections: { type: 'integer', nullable: true },
+  require_auth: { type: 'integer', enum: [0, 1] },
+  allow_vote_changes: { type: 'integer', enum: [0, 1] },
+  results_visibility: ref('ResultsVisibility'),
+  visibility: ref('PollVisibility'),
+  opens_at: nullableTimestamp,
+  closes_at: nullableTimestamp,
+  closed_at: nullableTimestamp,
+  workspace_id: { type: 'string', nullable: true },
+  tags: { type: 'array', items: { type: 'string' } },
+};
+
+const responseSchemas: SchemaRegistry = {
+  VotingMode: { type: 'string', enum: ['single', 'approval', 'ranked'] },
+  ResultsVisibility: { type: 'string', enum: ['always', 'after_vote', 'after_close', 'owner'] },
+  PollVisibility: { type: 'string', enum: ['public', 'unlisted', 'private'] },
+  WorkspaceRole: { type: 'string', enum: ['owner', 'editor', 'viewer'] },
+  ApiKeyScope: { type: 'string', enum: API_KEY_SCOPES },
+  WebhookEvent: { type: 'string', enum: WEBHOOK_EVENTS },
+  OptionUpdateInput: {
+    type: 'object',
+    required: ['text'],
+    description: 'With an id it keeps (and may rename) that option, without one it is added',
+    properties: { id, text: optionText },
+  },
+  Option: {
+    type: 'object',
+    required: ['id', 'poll_id', 'text', 'vote_count'],
+    properties: { id, poll_id: id, text: { type: 'string' }, vote_count: { type: 'integer' } },
+  },
+  RankedRound: {
+    type: 'object',
+    required: ['round', 'tallies', 'exhausted', 'eliminated'],
+    properties: {
+      round: { type: 'integer' },
+      tallies: counts,
+      exhausted: { type: 'integer', description: 'Ballots with no remaining preferences' },
+      eliminated: { type: 'array', items: id },
+    },
+  },
+  RankedResults: {
+    type: 'object',
+    required: ['rounds', 'winner', 'tied'],
+    properties: {
+      rounds: { type: 'array', items: ref('RankedRound') },
+      winner: { type: 'string', nullable: true },
+      tied: { type: 'array', items: id, description: 'Set when the last options can\'t be separated' },
+    },
+  },
+  Poll: {
+    type: 'object',
+    required: Object.keys(pollFields).concat('options'),
+    properties: {
+      ...pollFields,
+      options: { type: 'array', items: ref('Option') },
+      ranked_results: ref('RankedResults'),
+    },
+  },
+  HiddenResultsPoll: {
+    type: 'object',
+    description: 'A poll whose results the caller can\'t see yet',
+    required: Object.keys(pollFields).concat('options', 'results_hidden'),
+    properties: {
+      ...pollFields,
+      options: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['id', 'poll_id', 'text'],
+          properties: { id, poll_id: id, text: { type: 'string' } },
+        },
+      },
+      results_hidden: { type: 'boolean', enum: [true] },
+    },
+  },
+  PollView: { oneOf: [ref('Poll'), ref('HiddenResultsPoll')] },
+  PollSearchMatch: {
+    type: 'object',
+    required: ['title', 'description', 'options'],
+    description: 'HTML-escaped fragments with matched words in <mark>; null where a field didn\'t match',
+    properties: {
+      title: { type: 'string' },
+      description: { type: 'string', nullable: true },
+      options: { type: 'string', nullable: true },
+    },
+  },
+  PollSearchHit: {
+    allOf: [
+      ref('PollView'),
+      { type: 'object', required: ['match'], properties: { match: ref('PollSearchMatch') } },
+    ],
+  },
+  Pagination: {
+    type: 'object',
+    required: ['limit', 'next_cursor'],
+    properties: {
+      limit: { type: 'integer' },
+      next_cursor: { type: 'string', nullable: true, description: 'Pass as cursor for the next page; null on the last one' },
+      total: { type: 'integer', description: 'Only on the first page' },
+    },
+  },
+  PollPage: {
+    type: 'object',
+    required: ['data', 'pagination'],
+    properties: {
+      data: { type: 'array', items: ref('PollView') },
+      pagination: ref('Pagination'),
+    },
+  },
+  VoteResult: {
+    type: 'object',
+    required: ['message', 'poll_id', 'new_total_votes', 'new_total_selections'],
+    description: 'new_vote_count(s) are left out while the caller can\'t see results',
+    properties: {
+      message: { type: 'string' },
+      poll_id: id,
+      option_id: id,
+      option_ids: { type: 'array', items: id },
+      new_vote_count: { type: 'integer' },
+      new_vote_counts: counts,
+      new_total_votes: { type: 'integer' },
+      new_total_selections: { type: 'integer' },
+    },
+  },
+  TimelineBucket: {
+    type: 'object',
+    required: ['start', 'ballots', 'total_ballots', 'votes', 'totals'],
+    properties: {
+      start: timestamp,
+      ballots: { type: 'integer' },
+      total_ballots: { type: 'integer', description: 'Cumulative up to the end of the bucket' },
+      votes: counts,
+      totals: { ...counts, description: 'Cumulative, keyed by option id' },
+    },
+  },
+  VoteTimeline: {
+    type: 'object',
+    required: ['interval', 'bucket_seconds', 'buckets'],
+    properties: {
+      interval: { type: 'string', enum: ['minute', 'hour', 'day'] },
+      bucket_seconds: { type: 'integer' },
+      buckets: { type: 'array', items: ref('TimelineBucket'), description: 'Only intervals in which votes arrived' },
+    },
+  },
+  FlaggedBallot: {
+    type: 'object',
+    required: ['ballot_id', 'option_ids', 'voted_at', 'suspicion_score', 'reasons', 'signed_in', 'ip', 'subnet', 'fingerprint'],
+    properties: {
+      ballot_id: id,
+      option_ids: { type: 'array', items: id },
+      voted_at: timestamp,
+      suspicion_score: { type: 'integer', minimum: 0, maximum: 100 },
+      reasons: {
+        type: 'array',
+        items: { type: 'string', enum: ['ip_burst', 'subnet_burst', 'fingerprint_rotation', 'rapid_repeat', 'regular_interval'] },
+      },
+      signed_in: { type: 'boolean' },
+      ip: { type: 'string', description: 'Pseudonym, consistent within one response' },
+      subnet: { type: 'string', description: 'Pseudonym, consistent within one response' },
+      fingerprint: { type: 'string', description: 'Pseudonym, consistent within one response' },
+    },
+  },
+  ReviewResult: {
+    type: 'object',
+    required: ['decision', 'reviewed'],
+    properties: {
+      decision: { type: 'string', enum: ['discard', 'accept'] },
+      reviewed: { type: 'integer' },
+      total_votes: { type: 'integer' },
+      total_selections: { type: 'integer' },
+    },
+  },
+  PollInvite: {
+    type: 'object',
+    required: ['id', 'token', 'created_at'],
+    properties: { id, token: { type: 'string' }, created_at: timestamp },
+  },
+  TagCount: {
+    type: 'object',
+    required: ['tag', 'poll_count'],
+    properties: { tag: { type: 'string' }, poll_count: { type: 'integer' } },
+  },
+  Workspace: {
+    type: 'object',
+    required: ['id', 'name', 'created_by', 'created_at'],
+    properties: { id, name: { type: 'string' }, created_by: id, created_at: timestamp },
+  },
+  WorkspaceSummary: {
+    allOf: [
+      ref('Workspace'),
+      {
+        type: 'object',
+        required: ['role', 'member_count'],
+        properties: { role: ref('WorkspaceRole'), member_count: { type: 'integer' } },
+      },
+    ],
+  },
+  WorkspaceMember: {
+    type: 'object',
+    required: ['id', 'workspace_id', 'email', 'role', 'invited_by', 'created_at', 'user_id', 'display_name', 'photo_url'],
+    properties: {
+      id,
+      workspace_id: id,
+      email: { type: 'string', format: 'email' },
+      role: ref('WorkspaceRole'),
+      invited_by: { type: 'string', nullable: true },
+      created_at: timestamp,
+      user_id: { type: 'string', nullable: true, description: 'Null until they first sign in' },
+      display_name: { type: 'string', nullable: true },
+      photo_url: { type: 'string', nullable: true },
+    },
+  },
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'prefix', 'scopes', 'created_at', 'last_used_at', 'expires_at'],
+    properties: {
+      id,
+      name: { type: 'string' },
+      prefix: { type: 'string' },
+      scopes: { type: 'array', items: ref('ApiKeyScope') },
+      created_at: timestamp,
+      last_used_at: nullableTimestamp,
+      expires_at: nullableTimestamp,
+      key: { type: 'string', description: 'Only returned when the key is created' },
+    },
+  },
+  Webhook: {
+    type: 'object',
+    required: ['id', 'poll_id', 'url', 'events', 'created_at'],
+    properties: {
+      id,
+      poll_id: { type: 'string', nullable: true },
+      url: { type: 'string', format: 'uri' },
+      events: { type: 'array', items: ref('WebhookEvent') },
+      created_at: timestamp,
+      secret: { type: 'string', description: 'Only returned when the webhook is created' },
+    },
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['id', 'webhook_id', 'poll_id', 'event', 'status', 'attempts', 'response_status', 'error', 'next_attempt_at', 'created_at', 'delivered_at'],
+    properties: {
+      id,
+      webhook_id: id,
+      poll_id: id,
+      event: ref('WebhookEvent'),
+      status: { type: 'string', enum: ['pending', 'delivered', 'failed'] },
+      attempts: { type: 'integer' },
+      response_status: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      next_attempt_at: nullableTimestamp,
+      created_at: timestamp,
+      delivered_at: nullableTimestamp,
+    },
+  },
+  ReconcileDirection: {
+    type: 'string',
+    enum: ['audit', 'engine'],
+    description: 'audit rebuilds the vote engine and counters from the votes rows; engine rewrites the counters from the vote engine',
+  },
+  ReconcileCount: {
+    type: 'object',
+    required: ['audit', 'engine', 'counter'],
+    properties: {
+      audit: { type: 'integer', description: 'Recounted from the votes rows' },
+      engine: { type: 'integer', nullable: true, description: 'Null while the vote engine has never been initialized' },
+      counter: { type: 'integer', description: 'The D1 counter column' },
+    },
+  },
+  PollReconciliation: {
+    type: 'object',
+    required: ['poll_id', 'consistent', 'sync_pending', 'audit_dead_letters', 'ballots', 'selections', 'options', 'repair'],
+    properties: {
+      poll_id: id,
+      consistent: { type: 'boolean' },
+      sync_pending: { type: 'boolean', description: 'A D1 sync is queued, so counters aren\'t held to the vote engine' },
+      audit_dead_letters: { type: 'integer', description: 'Votes whose rows the vote engine gave up writing to D1; the poll isn\'t consistent while there are any' },
+      ballots: ref('ReconcileCount'),
+      selections: ref('ReconcileCount'),
+      options: {
+        type: 'array',
+        items: { allOf: [ref('ReconcileCount'), { type: 'object', required: ['id'], properties: { id } }] },
+        description: 'Only options whose counts disagree',
+      },
+      repair: { type: 'string', enum: ['none', 'dry_run', 'applied', 'unavailable'] },
+    },
+  },
+  ReconcileReport: {
+    type: 'object',
+    required: ['direction', 'dry_run', 'checked', 'polls', 'failed'],
+    properties: {
+      direction: ref('ReconcileDirection'),
+      dry_run: { type: 'boolean' },
+      checked: { type: 'integer' },
+      polls: { type: 'array', items: ref('PollReconciliation'), description: 'Only polls whose counts disagree, as found before any repair' },
+      failed: {
+        type: 'array',
+        items: { type: 'object', required: ['poll_id', 'error'], properties: { poll_id: id, error: { type: 'string' } } },
+      },
+    },
+  },
+  Migration: {
+    type: 'object',
+    required: ['version', 'name'],
+    properties: {
+      version: { type: 'integer', minimum: 1 },
+      name: { type: 'string' },
+    },
+  },
+  AppliedMigration: {
+    allOf: [
+      ref('Migration'),
+      { type: 'object', required: ['applied_at'], properties: { applied_at: timestamp } },
+    ],
+  },
+  MigrationStatus: {
+    type: 'object',
+    required: ['version', 'applied', 'pending'],
+    properties: {
+      version: { type: 'integer', description: 'Highest applied version, 0 before the first migration' },
+      applied: { type: 'array', items: ref('AppliedMigration') },
+      pending: { type: 'array', items: ref('Migration') },
+    },
+  },
+  MigrationRun: {
+    type: 'object',
+    required: ['version', 'applied'],
+    properties: {
+      version: { type: 'integer' },
+      applied: { type: 'array', items: ref('Migration'), description: 'Migrations this run applied, in order' },
+    },
+  },
+  AuthUser: {
+    type: 'object',
+    required: ['id', 'email', 'displayName', 'photoUrl'],
+    properties: {
+      id,
+      email: { type: 'string' },
+      displayName: { type: 'string', nullable: true },
+      photoUrl: { type: 'string', nullable: true },
+    },
+  },
+  FieldError: {
+    type: 'object',
+    required: ['field', 'message'],
+    properties: {
+      field: { type: 'string', description: 'Path into the body such as options[2].text; empty for the body itself' },
+      message: { type: 'string' },
+    },
+  },
+  ApiError: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      code: { type: 'string' },
+      details: { type: 'string' },
+      fields: { type: 'array', items: ref('FieldError'), description: 'Set with code VALIDATION_FAILED' },
+      applied: { type: 'array', items: ref('Migration'), description: 'Set with code MIGRATION_FAILED' },
+    },
+  },
+};
+
+export const schemas: SchemaRegistry = { ...requestSchemas, ...responseSchemas };
+
+/**
+ * Read a JSON body and check it against its schema. Every invalid field is
+ * reported at once, as a 400 with code VALIDATION_FAILED.
+ */
+export async function parseBody<K extends keyof RequestBodies>(
+  request: Request,
+  name: K
+): Promise<BodyResult<RequestBodies[K]>> {
+  let body: unknown;
+  try {
+    body = await request.json();
+  } catch {
+    return { ok: false, response: errorResponse('Invalid JSON body') };
+  }
+
+  const errors = validate(schemas[name], body, schemas);
+  if (errors.length > 0) {
+    return { ok: false, response: validationError(errors) };
+  }
+  return { ok: true, body: body as RequestBodies[K] };
+}
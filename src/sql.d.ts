@@ -0,0 +1,5 @@
+// Wrangler bundles imported .sql files as text (its default Text rule)
+declare module '*.sql' {
+  const sql: string;
+  export default sql;
+}
@@ -1,9 +1,27 @@
+// 'single' = pick one option, 'approval' = pick any number within min/max,
+// 'ranked' = order options by preference, tallied by instant runoff
+export type VotingMode = 'single' | 'approval' | 'ranked';
+
+// Who may see vote counts; the poll owner always can
+export type ResultsVisibility = 'always' | 'after_vote' | 'after_close' | 'owner';
+
+// Who can find and open a poll: 'unlisted' polls are left out of listings
+// and search, 'private' ones also need an invite token (never the owner)
+export type PollVisibility = 'public' | 'unlisted' | 'private';
+
+// Workspace roles: owners manage members and have full control of the
+// workspace's polls, editors can change and close polls, viewers can look
+export type WorkspaceRole = 'owner' | 'editor' | 'viewer';
+
 // Database row types
 export interface UserRow {
   id: string;
   email: string;
-  password_hash: string;
+  google_uid: string;
+  display_name: string | null;
+  photo_url: string | null;
   created_at: number;
+  updated_at: number;
 }
 
 export interface PollRow {
@@ -13,6 +31,25 @@ export interface PollRow {
   description: string | null;
   created_at: number;
   total_votes: number;
+  total_selections: number;
+  voting_mode: VotingMode;
+  min_selections: number | null;
+  max_selections: number | null;
+  require_auth: number; // SQLite boolean, 1 = only signed-in users may vote
+  allow_vote_changes: number; // SQLite boolean, 1 = voters may change or retract
+  results_visibility: ResultsVisibility;
+  visibility: PollVisibility;
+  opens_at: number | null;
+  closes_at: number | null;
+  closed_at: number | null;
+  workspace_id: string | null;
+}
+
+export interface PollInviteRow {
+  id: string;
+  poll_id: string;
+  created_at: number;
+  revoked_at: number | null;
 }
 
 export interface OptionRow {
@@ -24,61 +61,355 @@ export interface OptionRow {
 
 export interface VoteRow {
   id: string;
+  ballot_id: string | null;
   poll_id: string;
   option_id: string;
+  rank: number | null;
   user_id: string | null;
   ip_address: string;
   fingerprint: string;
   created_at: number;
+  suspicion_score: number; // 0-100, see utils/suspicion.ts
+  flag_reasons: string | null; // Comma-separated SuspicionReason values
+  flagged: number; // SQLite boolean, 1 = awaiting owner review
 }
 
 // API response types
+export interface RankedRound {
+  round: number;
+  tallies: Record<string, number>; // option id -> ballots counted this round
+  exhausted: number; // ballots with no remaining preferences
+  eliminated: string[];
+}
+
+export interface RankedResults {
+  rounds: RankedRound[];
+  winner: string | null;
+  tied: string[]; // set when the last options can't be separated
+}
+
 export interface PollWithOptions extends PollRow {
   options: OptionRow[];
+  tags: string[];
+  ranked_results?: RankedResults;
+}
+
+// A poll as seen by a caller who isn't entitled to its results yet
+export interface HiddenResultsPoll extends Omit<PollWithOptions, 'options' | 'ranked_results'> {
+  options: Omit<OptionRow, 'vote_count'>[];
+  results_hidden: true;
 }
 
+// Highlighted fragments for a search hit: HTML-escaped text with the
+// matched words wrapped in <mark>. Null where that field didn't match.
+export interface PollSearchMatch {
+  title: string;
+  description: string | null;
+  options: string | null;
+}
+
+export type PollStatus = 'scheduled' | 'open' | 'closed';
+
 export interface CreatePollInput {
   title: string;
   description?: string;
   options: string[];
+  opens_at?: number | null;
+  closes_at?: number | null;
+  voting_mode?: VotingMode;
+  min_selections?: number;
+  max_selections?: number;
+  require_auth?: boolean;
+  allow_vote_changes?: boolean;
+  results_visibility?: ResultsVisibility;
+  visibility?: PollVisibility;
+  workspace_id?: string | null; // Requires the editor role or above there
+  tags?: string[];
+}
+
+// An option in an edit: with an id it keeps (and may rename) that option,
+// without one it's added. Existing options left out are removed.
+export interface OptionUpdateInput {
+  id?: string;
+  text: string;
 }
 
 export interface UpdatePollInput {
   title: string;
   description?: string;
+  options?: OptionUpdateInput[];
+  confirm_remove_voted?: boolean; // Required to remove options that have votes
+  opens_at?: number | null;
+  closes_at?: number | null;
+  allow_vote_changes?: boolean;
+  results_visibility?: ResultsVisibility;
+  visibility?: PollVisibility;
+  tags?: string[]; // Replaces the poll's tags when present
+  workspace_id?: string | null; // Moves the poll; null takes it out of its workspace
 }
 
-export interface ApiError {
-  error: string;
-  details?: string;
+// Single-choice clients send option_id; the rest send option_ids, in
+// preference order for ranked polls
+export interface VoteInput {
+  option_id?: string;
+  option_ids?: string[];
+  fingerprint: string;
 }
 
-export interface ApiSuccess<T> {
-  data: T;
+export interface RetractVoteInput {
+  fingerprint: string;
 }
 
-// Auth types
-export interface RegisterInput {
+export type TimelineInterval = 'minute' | 'hour' | 'day';
+
+// One interval of the vote timeline. votes/totals are keyed by option id;
+// totals and total_ballots are cumulative up to the end of the bucket.
+export interface TimelineBucket {
+  start: number;
+  ballots: number;
+  total_ballots: number;
+  votes: Record<string, number>;
+  totals: Record<string, number>;
+}
+
+export interface VoteTimeline {
+  interval: TimelineInterval;
+  bucket_seconds: number;
+  buckets: TimelineBucket[]; // Only intervals in which votes arrived
+}
+
+// Signals that raise a vote's suspicion score
+export type SuspicionReason =
+  | 'ip_burst'
+  | 'subnet_burst'
+  | 'fingerprint_rotation'
+  | 'rapid_repeat'
+  | 'regular_interval';
+
+// A flagged ballot in the owner's review queue. Addresses and fingerprints
+// are pseudonyms, consistent within one response so clusters stand out.
+export interface FlaggedBallot {
+  ballot_id: string;
+  option_ids: string[]; // In rank order for ranked polls
+  voted_at: number;
+  suspicion_score: number;
+  reasons: SuspicionReason[];
+  signed_in: boolean;
+  ip: string;
+  subnet: string;
+  fingerprint: string;
+}
+
+export type FlaggedReviewDecision = 'discard' | 'accept';
+
+export interface ReviewFlaggedInput {
+  ballot_ids: string[];
+}
+
+// An active invite link, as shown to the poll owner
+export interface PollInvite {
+  id: string;
+  token: string;
+  created_at: number;
+}
+
+export type ApiKeyScope = 'polls:read' | 'polls:write' | 'votes:write' | 'export';
+
+// scopes is the JSON-encoded list of ApiKeyScope values
+export interface ApiKeyRow {
+  id: string;
+  user_id: string;
+  name: string;
+  prefix: string;
+  key_hash: string;
+  scopes: string;
+  created_at: number;
+  last_used_at: number | null;
+  expires_at: number | null;
+  revoked_at: number | null;
+}
+
+// An API key as shown to its owner; the key itself is only returned on creation
+export interface ApiKey {
+  id: string;
+  name: string;
+  prefix: string;
+  scopes: ApiKeyScope[];
+  created_at: number;
+  last_used_at: number | null;
+  expires_at: number | null;
+  key?: string;
+}
+
+export interface CreateApiKeyInput {
+  name: string;
+  scopes: ApiKeyScope[];
+  expires_in_days?: number | null; // Omitted or null never expires
+}
+
+export type WebhookEvent = 'vote.created' | 'poll.updated' | 'poll.closed' | 'poll.deleted';
+
+export type WebhookDeliveryStatus = 'pending' | 'delivered' | 'failed';
+
+// events is the JSON-encoded list of WebhookEvent names
+export interface WebhookRow {
+  id: string;
+  user_id: string;
+  poll_id: string | null;
+  url: string;
+  events: string;
+  secret: string;
+  created_at: number;
+}
+
+// A webhook as shown to its owner; the secret is only returned on creation
+export interface Webhook {
+  id: string;
+  poll_id: string | null;
+  url: string;
+  events: WebhookEvent[];
+  created_at: number;
+  secret?: string;
+}
+
+export interface CreateWebhookInput {
+  url: string;
+  events?: WebhookEvent[]; // Defaults to every event
+  poll_id?: string | null; // Omitted or null covers every poll the caller creates
+}
+
+export interface WebhookDeliveryRow {
+  id: string;
+  webhook_id: string;
+  poll_id: string;
+  event: WebhookEvent;
+  status: WebhookDeliveryStatus;
+  attempts: number;
+  response_status: number | null;
+  error: string | null;
+  next_attempt_at: number | null;
+  created_at: number;
+  delivered_at: number | null;
+}
+
+export interface WorkspaceRow {
+  id: string;
+  name: string;
+  created_by: string;
+  created_at: number;
+}
+
+export interface WorkspaceMemberRow {
+  id: string;
+  workspace_id: string;
   email: string;
-  password: string;
+  role: WorkspaceRole;
+  invited_by: string | null;
+  created_at: number;
 }
 
-export interface LoginInput {
+// A workspace as listed for one of its members
+export interface WorkspaceSummary extends WorkspaceRow {
+  role: WorkspaceRole;
+  member_count: number;
+}
+
+// A member with their account, which is null until they first sign in
+export interface WorkspaceMember extends WorkspaceMemberRow {
+  user_id: string | null;
+  display_name: string | null;
+  photo_url: string | null;
+}
+
+export interface CreateWorkspaceInput {
+  name: string;
+}
+
+export interface AddWorkspaceMemberInput {
   email: string;
-  password: string;
+  role?: WorkspaceRole; // Defaults to editor
 }
 
-export interface AuthResponse {
-  user: {
-    id: string;
-    email: string;
-  };
-  token: string;
+export interface UpdateWorkspaceMemberInput {
+  role: WorkspaceRole;
 }
 
-export interface JwtPayload {
-  sub: string;
+export interface TagCount {
+  tag: string;
+  poll_count: number;
+}
+
+// Which store a reconciliation repair trusts: 'audit' rebuilds the vote
+// engine and the D1 counters from the votes rows, 'engine' rewrites the
+// counters from the engine (audit rows that never landed can't be remade)
+export type ReconcileDirection = 'audit' | 'engine';
+
+export interface ReconcileInput {
+  poll_ids?: string[]; // Omitted checks recently active polls
+  direction?: ReconcileDirection; // Defaults to audit
+  dry_run?: boolean; // Defaults to true: report what would change, change nothing
+}
+
+// One count as the three stores have it. engine is null when the poll's
+// vote engine has never been initialized.
+export interface ReconcileCount {
+  audit: number; // Recounted from the votes rows
+  engine: number | null;
+  counter: number; // polls.total_* or options.vote_count
+}
+
+export interface OptionReconcileCount extends ReconcileCount {
+  id: string;
+}
+
+export interface PollReconciliation {
+  poll_id: string;
+  consistent: boolean;
+  sync_pending: boolean; // The engine has a D1 sync queued, so counters may lag it
+  audit_dead_letters: number; // Audit writes the engine gave up writing to D1
+  ballots: ReconcileCount;
+  selections: ReconcileCount;
+  options: OptionReconcileCount[]; // Only options whose counts disagree
+  // applied = repaired; dry_run = would have been; unavailable = the
+  // direction can't repair it (engine direction with the engine never
+  // initialized, or audit direction with dead letters)
+  repair: 'none' | 'dry_run' | 'applied' | 'unavailable';
+}
+
+export interface ReconcileReport {
+  direction: ReconcileDirection;
+  dry_run: boolean;
+  checked: number;
+  polls: PollReconciliation[]; // Only polls that aren't consistent
+  failed: Array<{ poll_id: string; error: string }>;
+}
+
+// One problem with a request body. field is a path into the body such as
+// "options[2].text", or "" when the body itself is wrong.
+export interface FieldError {
+  field: string;
+  message: string;
+}
+
+export interface ApiError {
+  error: string;
+  code?: string;
+  details?: string;
+  fields?: FieldError[]; // Set with code VALIDATION_FAILED
+}
+
+export interface ApiSuccess<T> {
+  data: T;
+}
+
+// Auth types
+export interface GoogleAuthInput {
+  idToken: string; // Firebase ID token from the Google sign-in
+}
+
+export interface AuthUser {
+  id: string;
   email: string;
-  iat: number;
-  exp: number;
+  displayName: string | null;
+  photoUrl: string | null;
 }
@@ -0,0 +1,35 @@
+/**
+ * Personal API keys
+ *
+ * A key is "vk_" followed by 40 random hex characters. Only its SHA-256
+ * hash is stored: keys are random enough that a plain hash can't be
+ * brute-forced, and it lets a key be looked up in one query. The first
+ * characters are kept as a prefix so owners can tell their keys apart.
+ */
+
+import type { ApiKeyScope } from '../types';
+
+export const API_KEY_SCOPES: ApiKeyScope[] = ['polls:read', 'polls:write', 'votes:write', 'export'];
+
+const KEY_MARKER = 'vk_';
+const PREFIX_LENGTH = KEY_MARKER.length + 8;
+
+function toHex(bytes: ArrayBuffer): string {
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function isApiKey(token: string): boolean {
+  return token.startsWith(KEY_MARKER);
+}
+
+export function getApiKeyPrefix(key: string): string {
+  return key.slice(0, PREFIX_LENGTH);
+}
+
+export function generateApiKey(): string {
+  return `${KEY_MARKER}${toHex(crypto.getRandomValues(new Uint8Array(20)).buffer)}`;
+}
+
+export async function hashApiKey(key: string): Promise<string> {
+  return toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(key)));
+}
@@ -1,4 +1,37 @@
-import type { PollRow, OptionRow, PollWithOptions, VoteRow } from '../types';
+import type { ApiKeyRow, PollRow, OptionRow, PollInviteRow, PollWithOptions, PollStatus, PollVisibility, ResultsVisibility, TagCount, VoteRow, VotingMode, WebhookDeliveryRow, WebhookDeliveryStatus, WebhookEvent, WebhookRow, WorkspaceMember, WorkspaceMemberRow, WorkspaceRole, WorkspaceRow, WorkspaceSummary } from '../types';
+import { MATCH_START, MATCH_END } from './search';
+
+// Optional settings for a new poll; omitted values use the column defaults
+export interface NewPollSettings {
+  opensAt?: number | null;
+  closesAt?: number | null;
+  votingMode?: VotingMode;
+  minSelections?: number | null;
+  maxSelections?: number | null;
+  requireAuth?: boolean;
+  allowVoteChanges?: boolean;
+  resultsVisibility?: ResultsVisibility;
+  visibility?: PollVisibility;
+  workspaceId?: string | null;
+  tags?: string[];
+}
+
+// Voter-facing settings the owner can change after creation
+export interface PollSettingsUpdate {
+  allowVoteChanges?: boolean;
+  resultsVisibility?: ResultsVisibility;
+  visibility?: PollVisibility;
+}
+
+// Key used to dedupe voters: the account on sign-in-only polls,
+// otherwise the "ip:fingerprint" pair
+export function getVoterKey(
+  userId: string | null | undefined,
+  ipAddress: string,
+  fingerprint: string
+): string {
+  return userId ? `user:${userId}` : `${ipAddress}:${fingerprint}`;
+}
 
 export function generateId(): string {
   return crypto.randomUUID();
@@ -8,27 +41,176 @@ export function now(): number {
   return Math.floor(Date.now() / 1000);
 }
 
-export async function getAllPolls(db: D1Database): Promise<PollRow[]> {
+// Derive a poll's lifecycle state from its schedule and manual close
+export function getPollStatus(
+  poll: Pick<PollRow, 'opens_at' | 'closes_at' | 'closed_at'>,
+  at: number = now()
+): PollStatus {
+  if (poll.closed_at !== null || (poll.closes_at !== null && at >= poll.closes_at)) {
+    return 'closed';
+  }
+  if (poll.opens_at !== null && at < poll.opens_at) {
+    return 'scheduled';
+  }
+  return 'open';
+}
+
+export type PollSort = 'votes' | 'newest' | 'closing_soon';
+
+// Sort columns, most significant first. The trailing id makes every key
+// unique so a cursor always points at exactly one row.
+const POLL_SORTS: Record<PollSort, { columns: Array<keyof PollRow>; direction: 'ASC' | 'DESC'; where?: string }> = {
+  votes: { columns: ['total_votes', 'created_at', 'id'], direction: 'DESC' },
+  newest: { columns: ['created_at', 'id'], direction: 'DESC' },
+  // Only polls with a closing time can be "closing soon"
+  closing_soon: { columns: ['closes_at', 'id'], direction: 'ASC', where: 'closes_at IS NOT NULL' },
+};
+
+// Values of the sort columns for the last poll on a page
+export type PollCursor = Array<string | number>;
+
+export interface PollListQuery {
+  limit: number;
+  sort: PollSort;
+  cursor?: PollCursor | null;
+  ownerId?: string | null;
+  workspaceId?: string | null;
+  publicOnly?: boolean; // Leave out unlisted and private polls
+  tag?: string | null;
+  status?: PollStatus | null;
+  createdAfter?: number | null;
+  includeTotal?: boolean;
+}
+
+export interface PollPage {
+  polls: PollWithOptions[];
+  nextCursor: PollCursor | null;
+  total?: number; // Matching polls across all pages, when includeTotal is set
+}
+
+// SQL twin of getPollStatus
+const POLL_STATUS_SQL: Record<PollStatus, string> = {
+  closed: '(closed_at IS NOT NULL OR (closes_at IS NOT NULL AND closes_at <= ?))',
+  scheduled: '(closed_at IS NULL AND (closes_at IS NULL OR closes_at > ?) AND opens_at IS NOT NULL AND opens_at > ?)',
+  open: '(closed_at IS NULL AND (closes_at IS NULL OR closes_at > ?) AND (opens_at IS NULL OR opens_at <= ?))',
+};
+
+export function encodePollCursor(cursor: PollCursor): string {
+  return btoa(JSON.stringify(cursor)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// Returns null for a cursor that wasn't produced for this sort
+export function decodePollCursor(value: string, sort: PollSort): PollCursor | null {
+  try {
+    const cursor = JSON.parse(atob(value.replace(/-/g, '+').replace(/_/g, '/'))) as unknown;
+    if (
+      Array.isArray(cursor) &&
+      cursor.length === POLL_SORTS[sort].columns.length &&
+      cursor.every((v) => typeof v === 'string' || typeof v === 'number')
+    ) {
+      return cursor;
+    }
+  } catch {
+    // Fall through to the invalid cursor result
+  }
+  return null;
+}
+
+// List one page of polls using keyset pagination, so deep pages cost the
+// same as the first one. Cursors on 'votes' can skip or repeat a poll whose
+// total changes between requests, which is fine for a browse list.
+export async function listPolls(db: D1Database, query: PollListQuery): Promise<PollPage> {
+  const sort = POLL_SORTS[query.sort];
+  const conditions: string[] = [];
+  const params: Array<string | number> = [];
+
+  if (sort.where) {
+    conditions.push(sort.where);
+  }
+
+  if (query.ownerId) {
+    conditions.push('user_id = ?');
+    params.push(query.ownerId);
+  }
+
+  if (query.workspaceId) {
+    conditions.push('workspace_id = ?');
+    params.push(query.workspaceId);
+  }
+
+  if (query.publicOnly) {
+    conditions.push("visibility = 'public'");
+  }
+
+  if (query.tag) {
+    conditions.push('id IN (SELECT poll_id FROM poll_tags WHERE tag = ?)');
+    params.push(query.tag);
+  }
+
+  if (query.status) {
+    // Every placeholder in the status clause is the current time
+    const statusSql = POLL_STATUS_SQL[query.status];
+    conditions.push(statusSql);
+    params.push(...Array<number>(statusSql.split('?').length - 1).fill(now()));
+  }
+
+  if (query.createdAfter != null) {
+    conditions.push('created_at > ?');
+    params.push(query.createdAfter);
+  }
+
+  const filterSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const filterParams = [...params];
+
+  if (query.cursor) {
+    const comparison = sort.direction === 'DESC' ? '<' : '>';
+    const placeholders = sort.columns.map(() => '?').join(', ');
+    conditions.push(`(${sort.columns.join(', ')}) ${comparison} (${placeholders})`);
+    params.push(...query.cursor);
+  }
+
+  const pageSql = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const orderBy = sort.columns.map((column) => `${column} ${sort.direction}`).join(', ');
+
+  // Fetch one extra row to find out whether there is another page
   const result = await db
-    .prepare('SELECT * FROM polls ORDER BY total_votes DESC, created_at DESC')
+    .prepare(`SELECT * FROM polls ${pageSql} ORDER BY ${orderBy} LIMIT ?`)
+    .bind(...params, query.limit + 1)
     .all<PollRow>();
-  return result.results;
-}
 
-export async function getAllPollsWithOptions(db: D1Database): Promise<PollWithOptions[]> {
-  const polls = await getAllPolls(db);
+  const rows = result.results.slice(0, query.limit);
+  const last = rows[rows.length - 1];
+  const nextCursor =
+    result.results.length > query.limit && last
+      ? sort.columns.map((column) => last[column] as string | number)
+      : null;
+
+  const page: PollPage = { polls: await attachOptions(db, rows), nextCursor };
+
+  if (query.includeTotal) {
+    const count = await db
+      .prepare(`SELECT COUNT(*) AS total FROM polls ${filterSql}`)
+      .bind(...filterParams)
+      .first<{ total: number }>();
+    page.total = count?.total ?? 0;
+  }
+
+  return page;
+}
 
+// Load the options and tags for a page of polls, one query each
+async function attachOptions(db: D1Database, polls: PollRow[]): Promise<PollWithOptions[]> {
   if (polls.length === 0) {
     return [];
   }
 
-  // Get all options for all polls in one query
   const pollIds = polls.map(p => p.id);
   const placeholders = pollIds.map(() => '?').join(',');
   const options = await db
     .prepare(`SELECT * FROM options WHERE poll_id IN (${placeholders}) ORDER BY id`)
     .bind(...pollIds)
     .all<OptionRow>();
+  const tagsByPollId = await getTagsByPollIds(db, pollIds);
 
   // Group options by poll_id
   const optionsByPollId = new Map<string, OptionRow[]>();
@@ -42,9 +224,126 @@ export async function getAllPollsWithOptions(db: D1Database): Promise<PollWithOp
   return polls.map(poll => ({
     ...poll,
     options: optionsByPollId.get(poll.id) || [],
+    tags: tagsByPollId.get(poll.id) || [],
   }));
 }
 
+// Tags for each of the given polls, alphabetical
+async function getTagsByPollIds(
+  db: D1Database,
+  pollIds: string[]
+): Promise<Map<string, string[]>> {
+  const tagsByPollId = new Map<string, string[]>();
+  if (pollIds.length === 0) {
+    return tagsByPollId;
+  }
+
+  const placeholders = pollIds.map(() => '?').join(',');
+  const rows = await db
+    .prepare(`SELECT poll_id, tag FROM poll_tags WHERE poll_id IN (${placeholders}) ORDER BY tag`)
+    .bind(...pollIds)
+    .all<{ poll_id: string; tag: string }>();
+
+  for (const row of rows.results) {
+    const existing = tagsByPollId.get(row.poll_id) || [];
+    existing.push(row.tag);
+    tagsByPollId.set(row.poll_id, existing);
+  }
+  return tagsByPollId;
+}
+
+// Replace a poll's tags with the given (already normalized) list
+export async function setPollTags(
+  db: D1Database,
+  pollId: string,
+  tags: string[]
+): Promise<void> {
+  await db.batch([
+    db.prepare('DELETE FROM poll_tags WHERE poll_id = ?').bind(pollId),
+    ...tags.map((tag) =>
+      db.prepare('INSERT INTO poll_tags (poll_id, tag) VALUES (?, ?)').bind(pollId, tag)
+    ),
+  ]);
+}
+
+// Tags in use on public polls with how many carry each, most used first
+export async function getTagCounts(
+  db: D1Database,
+  limit: number
+): Promise<TagCount[]> {
+  const result = await db
+    .prepare(
+      `SELECT tag, COUNT(*) AS poll_count FROM poll_tags
+       WHERE poll_id IN (SELECT id FROM polls WHERE visibility = 'public')
+       GROUP BY tag ORDER BY poll_count DESC, tag LIMIT ?`
+    )
+    .bind(limit)
+    .all<TagCount>();
+  return result.results;
+}
+
+// A search result with raw snippets; see formatSnippet in ./search
+export interface PollSearchHit {
+  poll: PollWithOptions;
+  title: string;
+  description: string;
+  options: string;
+}
+
+// Rebuild a poll's search row from its current title, description and
+// options. Run in the same batch as the change it reflects.
+function reindexPollStatements(db: D1Database, pollId: string): D1PreparedStatement[] {
+  return [
+    db.prepare('DELETE FROM polls_fts WHERE poll_id = ?').bind(pollId),
+    db.prepare(
+      `INSERT INTO polls_fts (poll_id, title, description, options)
+       SELECT id, title, COALESCE(description, ''),
+         COALESCE((SELECT group_concat(text, char(10)) FROM options WHERE poll_id = polls.id), '')
+       FROM polls WHERE id = ?`
+    ).bind(pollId),
+  ];
+}
+
+// Rank public polls against an FTS5 MATCH expression (see buildMatchQuery).
+// Title hits weigh most, then the description, then option text.
+export async function searchPolls(
+  db: D1Database,
+  matchQuery: string,
+  limit: number
+): Promise<PollSearchHit[]> {
+  const hits = await db
+    .prepare(
+      `SELECT poll_id,
+         highlight(polls_fts, 1, ?1, ?2) AS title,
+         snippet(polls_fts, 2, ?1, ?2, '…', 16) AS description,
+         snippet(polls_fts, 3, ?1, ?2, '…', 12) AS options
+       FROM polls_fts
+       WHERE polls_fts MATCH ?3
+         AND poll_id IN (SELECT id FROM polls WHERE visibility = 'public')
+       ORDER BY bm25(polls_fts, 0.0, 10.0, 4.0, 2.0)
+       LIMIT ?4`
+    )
+    .bind(MATCH_START, MATCH_END, matchQuery, limit)
+    .all<{ poll_id: string; title: string; description: string; options: string }>();
+
+  if (hits.results.length === 0) {
+    return [];
+  }
+
+  const pollIds = hits.results.map((hit) => hit.poll_id);
+  const placeholders = pollIds.map(() => '?').join(',');
+  const rows = await db
+    .prepare(`SELECT * FROM polls WHERE id IN (${placeholders})`)
+    .bind(...pollIds)
+    .all<PollRow>();
+  const polls = new Map((await attachOptions(db, rows.results)).map((poll) => [poll.id, poll]));
+
+  return hits.results.flatMap(({ poll_id, ...snippets }) => {
+    const poll = polls.get(poll_id);
+    return poll ? [{ poll, ...snippets }] : [];
+  });
+}
+
 export async function getPollById(
   db: D1Database,
   pollId: string
@@ -74,7 +373,8 @@ export async function getPollWithOptions(
   if (!poll) return null;
 
   const options = await getOptionsByPollId(db, pollId);
-  return { ...poll, options };
+  const tags = await getTagsByPollIds(db, [pollId]);
+  return { ...poll, options, tags: tags.get(pollId) || [] };
 }
 
 export async function createPoll(
@@ -82,17 +382,29 @@ export async function createPoll(
   title: string,
   description: string | null,
   options: string[],
-  userId: string
+  userId: string,
+  settings: NewPollSettings = {}
 ): Promise<PollWithOptions> {
   const pollId = generateId();
   const timestamp = now();
+  const opensAt = settings.opensAt ?? null;
+  const closesAt = settings.closesAt ?? null;
+  const votingMode = settings.votingMode ?? 'single';
+  const minSelections = settings.minSelections ?? null;
+  const maxSelections = settings.maxSelections ?? null;
+  const requireAuth = settings.requireAuth ? 1 : 0;
+  const allowVoteChanges = settings.allowVoteChanges ? 1 : 0;
+  const resultsVisibility = settings.resultsVisibility ?? 'always';
+  const visibility = settings.visibility ?? 'public';
+  const workspaceId = settings.workspaceId ?? null;
+  const tags = settings.tags ?? [];
 
   // Insert poll
   await db
     .prepare(
-      'INSERT INTO polls (id, user_id, title, description, created_at, total_votes) VALUES (?, ?, ?, ?, ?, 0)'
+      'INSERT INTO polls (id, user_id, title, description, created_at, total_votes, total_selections, voting_mode, min_selections, max_selections, require_auth, allow_vote_changes, results_visibility, visibility, opens_at, closes_at, workspace_id) VALUES (?, ?, ?, ?, ?, 0, 0, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)'
     )
-    .bind(pollId, userId, title, description, timestamp)
+    .bind(pollId, userId, title, description, timestamp, votingMode, minSelections, maxSelections, requireAuth, allowVoteChanges, resultsVisibility, visibility, opensAt, closesAt, workspaceId)
     .run();
 
   // Insert options
@@ -113,6 +425,12 @@ export async function createPoll(
     });
   }
 
+  if (tags.length > 0) {
+    await setPollTags(db, pollId, tags);
+  }
+
+  await db.batch(reindexPollStatements(db, pollId));
+
   return {
     id: pollId,
     user_id: userId,
@@ -120,10 +438,173 @@ export async function createPoll(
     description,
     created_at: timestamp,
     total_votes: 0,
+    total_selections: 0,
+    voting_mode: votingMode,
+    min_selections: minSelections,
+    max_selections: maxSelections,
+    require_auth: requireAuth,
+    allow_vote_changes: allowVoteChanges,
+    results_visibility: resultsVisibility,
+    visibility,
+    opens_at: opensAt,
+    closes_at: closesAt,
+    closed_at: null,
+    workspace_id: workspaceId,
     options: optionRows,
+    tags,
+  };
+}
+
+// Vote rows per option and ballots cast, per time bucket
+export interface VoteTimelineRows {
+  options: Array<{ bucket: number; option_id: string; votes: number }>;
+  ballots: Array<{ bucket: number; ballots: number }>;
+}
+
+// When the first and last recorded votes were cast, or null with no votes
+export async function getVoteTimeRange(
+  db: D1Database,
+  pollId: string
+): Promise<{ first: number; last: number } | null> {
+  const row = await db
+    .prepare('SELECT MIN(created_at) AS first, MAX(created_at) AS last FROM votes WHERE poll_id = ?')
+    .bind(pollId)
+    .first<{ first: number | null; last: number | null }>();
+  return row && row.first !== null && row.last !== null ? { first: row.first, last: row.last } : null;
+}
+
+// Bucket a poll's votes into bucketSeconds-wide intervals aligned to the
+// unix epoch (so day buckets are UTC days). Ranked ballots count toward
+// their first preference; legacy rows without a ballot_id are one ballot each.
+export async function getVoteTimeline(
+  db: D1Database,
+  pollId: string,
+  bucketSeconds: number
+): Promise<VoteTimelineRows> {
+  const [options, ballots] = await db.batch([
+    db.prepare(
+      `SELECT (created_at / ?1) * ?1 AS bucket, option_id, COUNT(*) AS votes
+       FROM votes WHERE poll_id = ?2 AND (rank IS NULL OR rank = 1)
+       GROUP BY bucket, option_id ORDER BY bucket`
+    ).bind(bucketSeconds, pollId),
+    db.prepare(
+      `SELECT (created_at / ?1) * ?1 AS bucket, COUNT(DISTINCT COALESCE(ballot_id, id)) AS ballots
+       FROM votes WHERE poll_id = ?2
+       GROUP BY bucket ORDER BY bucket`
+    ).bind(bucketSeconds, pollId),
+  ]);
+
+  return {
+    options: options.results as VoteTimelineRows['options'],
+    ballots: ballots.results as VoteTimelineRows['ballots'],
   };
 }
 
+// One page of a poll's vote rows in (created_at, id) order. Pass the last
+// row of the previous page as `after` to continue; used to stream exports.
+export async function getVotesPage(
+  db: D1Database,
+  pollId: string,
+  after: Pick<VoteRow, 'created_at' | 'id'> | null,
+  limit: number
+): Promise<VoteRow[]> {
+  const result = after
+    ? await db
+        .prepare(
+          'SELECT * FROM votes WHERE poll_id = ? AND (created_at, id) > (?, ?) ORDER BY created_at, id LIMIT ?'
+        )
+        .bind(pollId, after.created_at, after.id, limit)
+        .all<VoteRow>()
+    : await db
+        .prepare('SELECT * FROM votes WHERE poll_id = ? ORDER BY created_at, id LIMIT ?')
+        .bind(pollId, limit)
+        .all<VoteRow>();
+  return result.results;
+}
+
+// Rows of a poll's flagged ballots, oldest ballots first and at most
+// `limit` of them, plus how many flagged ballots there are in total
+export async function getFlaggedVotes(
+  db: D1Database,
+  pollId: string,
+  limit: number
+): Promise<{ rows: VoteRow[]; total: number }> {
+  const [rows, total] = await db.batch([
+    db.prepare(
+      `SELECT * FROM votes WHERE poll_id = ?1 AND flagged = 1 AND ballot_id IN (
+         SELECT ballot_id FROM votes WHERE poll_id = ?1 AND flagged = 1
+         GROUP BY ballot_id ORDER BY MIN(created_at), ballot_id LIMIT ?2
+       ) ORDER BY created_at, ballot_id, rank`
+    ).bind(pollId, limit),
+    db.prepare(
+      'SELECT COUNT(DISTINCT ballot_id) AS total FROM votes WHERE poll_id = ? AND flagged = 1'
+    ).bind(pollId),
+  ]);
+
+  return {
+    rows: rows.results as VoteRow[],
+    total: (total.results[0] as { total: number } | undefined)?.total ?? 0,
+  };
+}
+
+const RANKED_BALLOT_PAGE_SIZE = 1000; // votes rows read at a time
+
+// Get every ranked ballot for a poll as option ids in preference order,
+// reading the rows a page at a time
+export async function getRankedBallots(
+  db: D1Database,
+  pollId: string
+): Promise<string[][]> {
+  const ballots = new Map<string, Array<{ optionId: string; rank: number }>>();
+  let after = 0;
+
+  for (;;) {
+    const result = await db
+      .prepare(
+        'SELECT rowid, ballot_id, option_id, rank FROM votes WHERE poll_id = ? AND ballot_id IS NOT NULL AND rowid > ? ORDER BY rowid LIMIT ?'
+      )
+      .bind(pollId, after, RANKED_BALLOT_PAGE_SIZE)
+      .all<{ rowid: number; ballot_id: string; option_id: string; rank: number | null }>();
+
+    for (const row of result.results) {
+      const ballot = ballots.get(row.ballot_id) || [];
+      ballot.push({ optionId: row.option_id, rank: row.rank ?? 0 });
+      ballots.set(row.ballot_id, ballot);
+    }
+
+    if (result.results.length < RANKED_BALLOT_PAGE_SIZE) {
+      break;
+    }
+    after = result.results[result.results.length - 1].rowid;
+  }
+
+  return Array.from(ballots.values(), (ballot) =>
+    ballot.sort((a, b) => a.rank - b.rank).map((choice) => choice.optionId)
+  );
+}
+
+// Which of the given polls this voter has a ballot on, matched by
+// account or by ip:fingerprint
+export async function getVotedPollIds(
+  db: D1Database,
+  pollIds: string[],
+  voter: { userId: string | null; ipAddress: string; fingerprint: string | null }
+): Promise<Set<string>> {
+  if (pollIds.length === 0 || (!voter.userId && !voter.fingerprint)) {
+    return new Set();
+  }
+
+  const placeholders = pollIds.map(() => '?').join(',');
+  const result = await db
+    .prepare(
+      `SELECT DISTINCT poll_id FROM votes WHERE poll_id IN (${placeholders}) AND (user_id = ? OR (ip_address = ? AND fingerprint = ?))`
+    )
+    .bind(...pollIds, voter.userId, voter.ipAddress, voter.fingerprint)
+    .all<{ poll_id: string }>();
+
+  return new Set(result.results.map((row) => row.poll_id));
+}
+
 // Get option by ID
 export async function getOptionById(
   db: D1Database,
@@ -151,61 +632,551 @@ export async function checkDuplicateVote(
   return existing !== null;
 }
 
-// Get polls by user ID
-export async function getPollsByUserId(
+// Update poll title and description
+export async function updatePoll(
+  db: D1Database,
+  pollId: string,
+  title: string,
+  description: string | null
+): Promise<void> {
+  await db.batch([
+    db.prepare('UPDATE polls SET title = ?, description = ? WHERE id = ?')
+      .bind(title, description, pollId),
+    ...reindexPollStatements(db, pollId),
+  ]);
+}
+
+// Update poll open/close window
+export async function updatePollSchedule(
+  db: D1Database,
+  pollId: string,
+  opensAt: number | null,
+  closesAt: number | null
+): Promise<void> {
+  await db
+    .prepare('UPDATE polls SET opens_at = ?, closes_at = ? WHERE id = ?')
+    .bind(opensAt, closesAt, pollId)
+    .run();
+}
+
+// Rename, add and remove options in one batch. Votes for removed
+// options are deleted with them; VoteEngine refunds the counts.
+export async function updatePollOptions(
+  db: D1Database,
+  pollId: string,
+  changes: {
+    renamed: Array<{ id: string; text: string }>;
+    added: Array<{ id: string; text: string }>;
+    removedIds: string[];
+  }
+): Promise<void> {
+  const statements = [
+    ...changes.renamed.map((option) =>
+      db.prepare('UPDATE options SET text = ? WHERE id = ? AND poll_id = ?')
+        .bind(option.text, option.id, pollId)
+    ),
+    ...changes.added.map((option) =>
+      db.prepare('INSERT INTO options (id, poll_id, text, vote_count) VALUES (?, ?, ?, 0)')
+        .bind(option.id, pollId, option.text)
+    ),
+    ...changes.removedIds.flatMap((optionId) => [
+      db.prepare('DELETE FROM votes WHERE poll_id = ? AND option_id = ?').bind(pollId, optionId),
+      db.prepare('DELETE FROM options WHERE id = ? AND poll_id = ?').bind(optionId, pollId),
+    ]),
+  ];
+
+  if (statements.length > 0) {
+    await db.batch([...statements, ...reindexPollStatements(db, pollId)]);
+  }
+}
+
+// Count vote rows per option, including lower preferences on ranked ballots
+export async function countVotesForOptions(
+  db: D1Database,
+  pollId: string,
+  optionIds: string[]
+): Promise<Map<string, number>> {
+  if (optionIds.length === 0) {
+    return new Map();
+  }
+
+  const placeholders = optionIds.map(() => '?').join(',');
+  const result = await db
+    .prepare(
+      `SELECT option_id, COUNT(*) AS votes FROM votes WHERE poll_id = ? AND option_id IN (${placeholders}) GROUP BY option_id`
+    )
+    .bind(pollId, ...optionIds)
+    .all<{ option_id: string; votes: number }>();
+
+  return new Map(result.results.map((row) => [row.option_id, row.votes]));
+}
+
+// Clamp an approval poll's maximum picks after options change
+export async function updatePollMaxSelections(
+  db: D1Database,
+  pollId: string,
+  maxSelections: number
+): Promise<void> {
+  await db
+    .prepare('UPDATE polls SET max_selections = ? WHERE id = ?')
+    .bind(maxSelections, pollId)
+    .run();
+}
+
+// Update voter-facing settings, leaving omitted ones unchanged
+export async function updatePollSettings(
+  db: D1Database,
+  pollId: string,
+  settings: PollSettingsUpdate
+): Promise<void> {
+  await db
+    .prepare(
+      'UPDATE polls SET allow_vote_changes = COALESCE(?, allow_vote_changes), results_visibility = COALESCE(?, results_visibility), visibility = COALESCE(?, visibility) WHERE id = ?'
+    )
+    .bind(
+      settings.allowVoteChanges === undefined ? null : settings.allowVoteChanges ? 1 : 0,
+      settings.resultsVisibility ?? null,
+      settings.visibility ?? null,
+      pollId
+    )
+    .run();
+}
+
+// Move a poll into a workspace, or out of one with null
+export async function setPollWorkspace(
+  db: D1Database,
+  pollId: string,
+  workspaceId: string | null
+): Promise<void> {
+  await db
+    .prepare('UPDATE polls SET workspace_id = ? WHERE id = ?')
+    .bind(workspaceId, pollId)
+    .run();
+}
+
+// A poll's invites that haven't been revoked, oldest first
+export async function getActivePollInvites(
+  db: D1Database,
+  pollId: string
+): Promise<PollInviteRow[]> {
+  const result = await db
+    .prepare('SELECT * FROM poll_invites WHERE poll_id = ? AND revoked_at IS NULL ORDER BY created_at, id')
+    .bind(pollId)
+    .all<PollInviteRow>();
+  return result.results;
+}
+
+export async function isPollInviteActive(
+  db: D1Database,
+  pollId: string,
+  inviteId: string
+): Promise<boolean> {
+  const row = await db
+    .prepare('SELECT 1 AS active FROM poll_invites WHERE id = ? AND poll_id = ? AND revoked_at IS NULL')
+    .bind(inviteId, pollId)
+    .first<{ active: number }>();
+  return row !== null;
+}
+
+export async function createPollInvite(
+  db: D1Database,
+  pollId: string
+): Promise<PollInviteRow> {
+  const invite: PollInviteRow = { id: generateId(), poll_id: pollId, created_at: now(), revoked_at: null };
+  await db
+    .prepare('INSERT INTO poll_invites (id, poll_id, created_at) VALUES (?, ?, ?)')
+    .bind(invite.id, invite.poll_id, invite.created_at)
+    .run();
+  return invite;
+}
+
+// Revoke one of a poll's invites; false if it doesn't exist or already was
+export async function revokePollInvite(
+  db: D1Database,
+  pollId: string,
+  inviteId: string
+): Promise<boolean> {
+  const result = await db
+    .prepare('UPDATE poll_invites SET revoked_at = ? WHERE id = ? AND poll_id = ? AND revoked_at IS NULL')
+    .bind(now(), inviteId, pollId)
+    .run();
+  return result.meta.changes > 0;
+}
+
+// A user's API keys that haven't been revoked, newest first (expired ones included)
+export async function listUserApiKeys(
   db: D1Database,
   userId: string
-): Promise<PollRow[]> {
+): Promise<ApiKeyRow[]> {
   const result = await db
-    .prepare('SELECT * FROM polls WHERE user_id = ? ORDER BY created_at DESC')
+    .prepare('SELECT * FROM api_keys WHERE user_id = ? AND revoked_at IS NULL ORDER BY created_at DESC, id DESC')
     .bind(userId)
-    .all<PollRow>();
+    .all<ApiKeyRow>();
   return result.results;
 }
 
-export async function getPollsByUserIdWithOptions(
+export async function countUserApiKeys(
   db: D1Database,
   userId: string
-): Promise<PollWithOptions[]> {
-  const polls = await getPollsByUserId(db, userId);
+): Promise<number> {
+  const row = await db
+    .prepare('SELECT COUNT(*) AS count FROM api_keys WHERE user_id = ? AND revoked_at IS NULL')
+    .bind(userId)
+    .first<{ count: number }>();
+  return row?.count ?? 0;
+}
 
-  if (polls.length === 0) {
-    return [];
-  }
+export async function createApiKey(
+  db: D1Database,
+  key: Omit<ApiKeyRow, 'last_used_at' | 'revoked_at'>
+): Promise<ApiKeyRow> {
+  await db
+    .prepare('INSERT INTO api_keys (id, user_id, name, prefix, key_hash, scopes, created_at, expires_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)')
+    .bind(key.id, key.user_id, key.name, key.prefix, key.key_hash, key.scopes, key.created_at, key.expires_at)
+    .run();
+  return { ...key, last_used_at: null, revoked_at: null };
+}
 
-  // Get all options for user's polls in one query
-  const pollIds = polls.map(p => p.id);
-  const placeholders = pollIds.map(() => '?').join(',');
-  const options = await db
-    .prepare(`SELECT * FROM options WHERE poll_id IN (${placeholders}) ORDER BY id`)
-    .bind(...pollIds)
-    .all<OptionRow>();
+// Revoke one of a user's keys; false if it doesn't exist or already was
+export async function revokeApiKey(
+  db: D1Database,
+  userId: string,
+  keyId: string
+): Promise<boolean> {
+  const result = await db
+    .prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND user_id = ? AND revoked_at IS NULL')
+    .bind(now(), keyId, userId)
+    .run();
+  return result.meta.changes > 0;
+}
 
-  // Group options by poll_id
-  const optionsByPollId = new Map<string, OptionRow[]>();
-  for (const option of options.results) {
-    const existing = optionsByPollId.get(option.poll_id) || [];
-    existing.push(option);
-    optionsByPollId.set(option.poll_id, existing);
+// An unrevoked key by its hash; the caller checks the expiry
+export async function getApiKeyByHash(
+  db: D1Database,
+  keyHash: string
+): Promise<ApiKeyRow | null> {
+  return db
+    .prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL')
+    .bind(keyHash)
+    .first<ApiKeyRow>();
+}
+
+// Record a key's use, at most once a minute so busy keys don't write on every request
+export async function touchApiKey(
+  db: D1Database,
+  keyId: string
+): Promise<void> {
+  const timestamp = now();
+  await db
+    .prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ? AND (last_used_at IS NULL OR last_used_at < ?)')
+    .bind(timestamp, keyId, timestamp - 60)
+    .run();
+}
+
+// A user's webhooks, account-wide and per poll, newest first
+export async function listUserWebhooks(
+  db: D1Database,
+  userId: string
+): Promise<WebhookRow[]> {
+  const result = await db
+    .prepare('SELECT * FROM webhooks WHERE user_id = ? ORDER BY created_at DESC, id DESC')
+    .bind(userId)
+    .all<WebhookRow>();
+  return result.results;
+}
+
+export async function countUserWebhooks(
+  db: D1Database,
+  userId: string
+): Promise<number> {
+  const row = await db
+    .prepare('SELECT COUNT(*) AS count FROM webhooks WHERE user_id = ?')
+    .bind(userId)
+    .first<{ count: number }>();
+  return row?.count ?? 0;
+}
+
+export async function getWebhookById(
+  db: D1Database,
+  webhookId: string
+): Promise<WebhookRow | null> {
+  return db
+    .prepare('SELECT * FROM webhooks WHERE id = ?')
+    .bind(webhookId)
+    .first<WebhookRow>();
+}
+
+export async function createWebhook(
+  db: D1Database,
+  userId: string,
+  pollId: string | null,
+  url: string,
+  events: WebhookEvent[],
+  secret: string
+): Promise<WebhookRow> {
+  const webhook: WebhookRow = {
+    id: generateId(),
+    user_id: userId,
+    poll_id: pollId,
+    url,
+    events: JSON.stringify(events),
+    secret,
+    created_at: now(),
+  };
+  await db
+    .prepare('INSERT INTO webhooks (id, user_id, poll_id, url, events, secret, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)')
+    .bind(webhook.id, webhook.user_id, webhook.poll_id, webhook.url, webhook.events, webhook.secret, webhook.created_at)
+    .run();
+  return webhook;
+}
+
+export async function deleteWebhook(
+  db: D1Database,
+  webhookId: string
+): Promise<void> {
+  await db.batch([
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id = ?').bind(webhookId),
+    db.prepare('DELETE FROM webhooks WHERE id = ?').bind(webhookId),
+  ]);
+}
+
+// A webhook's most recent deliveries, newest first
+export async function getWebhookDeliveries(
+  db: D1Database,
+  webhookId: string,
+  limit: number
+): Promise<WebhookDeliveryRow[]> {
+  const result = await db
+    .prepare('SELECT * FROM webhook_deliveries WHERE webhook_id = ? ORDER BY created_at DESC, id DESC LIMIT ?')
+    .bind(webhookId, limit)
+    .all<WebhookDeliveryRow>();
+  return result.results;
+}
+
+// Webhooks to notify of an event on a poll: the poll's own and its creator's account-wide ones
+export async function getWebhooksForEvent(
+  db: D1Database,
+  pollId: string,
+  event: WebhookEvent
+): Promise<WebhookRow[]> {
+  const result = await db
+    .prepare(
+      `SELECT * FROM webhooks
+       WHERE (poll_id = ? OR (poll_id IS NULL AND user_id = (SELECT user_id FROM polls WHERE id = ?)))
+         AND EXISTS (SELECT 1 FROM json_each(webhooks.events) WHERE value = ?)`
+    )
+    .bind(pollId, pollId, event)
+    .all<WebhookRow>();
+  return result.results;
+}
+
+export async function createWebhookDeliveries(
+  db: D1Database,
+  deliveries: Array<Pick<WebhookDeliveryRow, 'id' | 'webhook_id' | 'poll_id' | 'event' | 'created_at'>>
+): Promise<void> {
+  if (deliveries.length === 0) {
+    return;
   }
+  await db.batch(
+    deliveries.map((delivery) =>
+      db
+        .prepare('INSERT INTO webhook_deliveries (id, webhook_id, poll_id, event, next_attempt_at, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+        .bind(delivery.id, delivery.webhook_id, delivery.poll_id, delivery.event, delivery.created_at, delivery.created_at)
+    )
+  );
+}
 
-  // Combine polls with their options
-  return polls.map(poll => ({
-    ...poll,
-    options: optionsByPollId.get(poll.id) || [],
-  }));
+// Record one delivery attempt; nextAttemptAt is null once it has delivered or given up
+export async function recordWebhookAttempt(
+  db: D1Database,
+  deliveryId: string,
+  attempt: {
+    status: WebhookDeliveryStatus;
+    attempts: number;
+    responseStatus: number | null;
+    error: string | null;
+    nextAttemptAt: number | null;
+  }
+): Promise<void> {
+  await db
+    .prepare(
+      'UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, error = ?, next_attempt_at = ?, delivered_at = ? WHERE id = ?'
+    )
+    .bind(
+      attempt.status,
+      attempt.attempts,
+      attempt.responseStatus,
+      attempt.error,
+      attempt.nextAttemptAt,
+      attempt.status === 'delivered' ? now() : null,
+      deliveryId
+    )
+    .run();
 }
 
-// Update poll title and description
-export async function updatePoll(
+// Members are matched to accounts on lowercased email
+const MEMBER_EMAIL_SQL = '(SELECT lower(email) FROM users WHERE id = ?)';
+
+// Every workspace the user belongs to, with their role in it
+export async function getUserWorkspaceRoles(
+  db: D1Database,
+  userId: string
+): Promise<Map<string, WorkspaceRole>> {
+  const result = await db
+    .prepare(`SELECT workspace_id, role FROM workspace_members WHERE email = ${MEMBER_EMAIL_SQL}`)
+    .bind(userId)
+    .all<{ workspace_id: string; role: WorkspaceRole }>();
+  return new Map(result.results.map((row) => [row.workspace_id, row.role]));
+}
+
+// The user's role in one workspace, or null if they aren't a member
+export async function getWorkspaceRole(
+  db: D1Database,
+  workspaceId: string,
+  userId: string
+): Promise<WorkspaceRole | null> {
+  const row = await db
+    .prepare(`SELECT role FROM workspace_members WHERE workspace_id = ? AND email = ${MEMBER_EMAIL_SQL}`)
+    .bind(workspaceId, userId)
+    .first<{ role: WorkspaceRole }>();
+  return row?.role ?? null;
+}
+
+export async function listUserWorkspaces(
+  db: D1Database,
+  userId: string
+): Promise<WorkspaceSummary[]> {
+  const result = await db
+    .prepare(
+      `SELECT w.*, m.role, (SELECT COUNT(*) FROM workspace_members WHERE workspace_id = w.id) AS member_count
+       FROM workspace_members m JOIN workspaces w ON w.id = m.workspace_id
+       WHERE m.email = ${MEMBER_EMAIL_SQL}
+       ORDER BY w.name COLLATE NOCASE, w.id`
+    )
+    .bind(userId)
+    .all<WorkspaceSummary>();
+  return result.results;
+}
+
+export async function getWorkspaceById(
+  db: D1Database,
+  workspaceId: string
+): Promise<WorkspaceRow | null> {
+  return db
+    .prepare('SELECT * FROM workspaces WHERE id = ?')
+    .bind(workspaceId)
+    .first<WorkspaceRow>();
+}
+
+// Create a workspace with its creator as the first owner
+export async function createWorkspace(
+  db: D1Database,
+  name: string,
+  userId: string,
+  email: string
+): Promise<WorkspaceSummary> {
+  const workspace: WorkspaceRow = { id: generateId(), name, created_by: userId, created_at: now() };
+  await db.batch([
+    db.prepare('INSERT INTO workspaces (id, name, created_by, created_at) VALUES (?, ?, ?, ?)')
+      .bind(workspace.id, workspace.name, workspace.created_by, workspace.created_at),
+    db.prepare('INSERT INTO workspace_members (id, workspace_id, email, role, invited_by, created_at) VALUES (?, ?, ?, ?, NULL, ?)')
+      .bind(generateId(), workspace.id, email.toLowerCase(), 'owner', workspace.created_at),
+  ]);
+  return { ...workspace, role: 'owner', member_count: 1 };
+}
+
+// Members in the order they were added
+export async function getWorkspaceMembers(
+  db: D1Database,
+  workspaceId: string
+): Promise<WorkspaceMember[]> {
+  const result = await db
+    .prepare(
+      `SELECT m.*, u.id AS user_id, u.display_name, u.photo_url
+       FROM workspace_members m LEFT JOIN users u ON lower(u.email) = m.email
+       WHERE m.workspace_id = ?
+       ORDER BY m.created_at, m.id`
+    )
+    .bind(workspaceId)
+    .all<WorkspaceMember>();
+  return result.results;
+}
+
+export async function getWorkspaceMember(
+  db: D1Database,
+  workspaceId: string,
+  memberId: string
+): Promise<WorkspaceMemberRow | null> {
+  return db
+    .prepare('SELECT * FROM workspace_members WHERE id = ? AND workspace_id = ?')
+    .bind(memberId, workspaceId)
+    .first<WorkspaceMemberRow>();
+}
+
+// Add a member by email; null if that email is already a member
+export async function addWorkspaceMember(
+  db: D1Database,
+  workspaceId: string,
+  email: string,
+  role: WorkspaceRole,
+  invitedBy: string
+): Promise<WorkspaceMemberRow | null> {
+  const member: WorkspaceMemberRow = {
+    id: generateId(),
+    workspace_id: workspaceId,
+    email: email.toLowerCase(),
+    role,
+    invited_by: invitedBy,
+    created_at: now(),
+  };
+  const result = await db
+    .prepare('INSERT OR IGNORE INTO workspace_members (id, workspace_id, email, role, invited_by, created_at) VALUES (?, ?, ?, ?, ?, ?)')
+    .bind(member.id, member.workspace_id, member.email, member.role, member.invited_by, member.created_at)
+    .run();
+  return result.meta.changes > 0 ? member : null;
+}
+
+export async function updateWorkspaceMemberRole(
+  db: D1Database,
+  memberId: string,
+  role: WorkspaceRole
+): Promise<void> {
+  await db
+    .prepare('UPDATE workspace_members SET role = ? WHERE id = ?')
+    .bind(role, memberId)
+    .run();
+}
+
+export async function removeWorkspaceMember(
+  db: D1Database,
+  memberId: string
+): Promise<void> {
+  await db
+    .prepare('DELETE FROM workspace_members WHERE id = ?')
+    .bind(memberId)
+    .run();
+}
+
+export async function countWorkspaceOwners(
+  db: D1Database,
+  workspaceId: string
+): Promise<number> {
+  const row = await db
+    .prepare("SELECT COUNT(*) AS owners FROM workspace_members WHERE workspace_id = ? AND role = 'owner'")
+    .bind(workspaceId)
+    .first<{ owners: number }>();
+  return row?.owners ?? 0;
+}
+
+// Mark a poll as closed (no-op if it already is)
+export async function closePoll(
   db: D1Database,
   pollId: string,
-  title: string,
-  description: string | null
+  closedAt: number = now()
 ): Promise<void> {
   await db
-    .prepare('UPDATE polls SET title = ?, description = ? WHERE id = ?')
-    .bind(title, description, pollId)
+    .prepare('UPDATE polls SET closed_at = ? WHERE id = ? AND closed_at IS NULL')
+    .bind(closedAt, pollId)
     .run();
 }
 
@@ -216,6 +1187,11 @@ export async function deletePoll(
 ): Promise<void> {
   // Delete in order: votes -> options -> poll
   await db.batch([
+    db.prepare('DELETE FROM polls_fts WHERE poll_id = ?').bind(pollId),
+    db.prepare('DELETE FROM poll_tags WHERE poll_id = ?').bind(pollId),
+    db.prepare('DELETE FROM poll_invites WHERE poll_id = ?').bind(pollId),
+    db.prepare('DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT id FROM webhooks WHERE poll_id = ?)').bind(pollId),
+    db.prepare('DELETE FROM webhooks WHERE poll_id = ?').bind(pollId),
     db.prepare('DELETE FROM votes WHERE poll_id = ?').bind(pollId),
     db.prepare('DELETE FROM options WHERE poll_id = ?').bind(pollId),
     db.prepare('DELETE FROM polls WHERE id = ?').bind(pollId),
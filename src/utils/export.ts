@@ -0,0 +1,73 @@
+/**
+ * Helpers for poll exports: CSV encoding, voter pseudonyms and streaming
+ */
+
+/**
+ * Encode one CSV line. Cells that a spreadsheet would run as a formula
+ * are prefixed with a quote so exported option text can't execute.
+ */
+export function csvRow(values: Array<string | number | null>): string {
+  return values
+    .map((value) => {
+      if (value === null) {
+        return '';
+      }
+      let text = String(value);
+      if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+      }
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    })
+    .join(',') + '\r\n';
+}
+
+/**
+ * Returns a function mapping identifiers (IPs, fingerprints, user ids) to
+ * stable pseudonyms. The HMAC key is random and never leaves this export,
+ * so the same voter can be followed through one file but the values can't
+ * be reversed or matched against another export.
+ */
+export async function createPseudonymizer(): Promise<(value: string) => Promise<string>> {
+  const key = (await crypto.subtle.generateKey(
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  )) as CryptoKey;
+  const encoder = new TextEncoder();
+  const cache = new Map<string, string>();
+
+  return async (value: string) => {
+    const cached = cache.get(value);
+    if (cached) {
+      return cached;
+    }
+    const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(value));
+    const pseudonym = Array.from(new Uint8Array(signature).slice(0, 8))
+      .map((byte) => byte.toString(16).padStart(2, '0'))
+      .join('');
+    cache.set(value, pseudonym);
+    return pseudonym;
+  };
+}
+
+/**
+ * Run a producer that writes text chunks into a stream. The response can
+ * start while the producer is still paging through rows; an error aborts
+ * the stream, which the client sees as a failed download.
+ */
+export function streamText(
+  produce: (write: (chunk: string) => Promise<void>) => Promise<void>
+): ReadableStream {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const encoder = new TextEncoder();
+
+  produce((chunk) => writer.write(encoder.encode(chunk)))
+    .then(() => writer.close())
+    .catch((error) => {
+      console.error('Export stream failed:', error);
+      return writer.abort(error);
+    });
+
+  return readable;
+}
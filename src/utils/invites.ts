@@ -0,0 +1,76 @@
+/**
+ * Signed invite tokens for private polls
+ *
+ * A token is "<invite id>.<signature>", where the signature is an HMAC of
+ * the poll and invite ids under INVITE_SECRET. Forged or mangled tokens
+ * fail the signature check without touching the database; revocation is a
+ * flag on the invite's row, checked once the signature holds. Tokens are
+ * derived rather than stored, so the owner can be shown them again.
+ */
+
+const encoder = new TextEncoder();
+
+async function importKey(secret: string): Promise<CryptoKey> {
+  return crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign', 'verify']
+  );
+}
+
+function base64UrlEncode(bytes: ArrayBuffer): string {
+  return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+function base64UrlDecode(str: string): Uint8Array | null {
+  if (!/^[A-Za-z0-9_-]+$/.test(str)) {
+    return null;
+  }
+  const padded = str + '==='.slice(0, (4 - (str.length % 4)) % 4);
+  try {
+    return Uint8Array.from(atob(padded.replace(/-/g, '+').replace(/_/g, '/')), (c) => c.charCodeAt(0));
+  } catch {
+    return null;
+  }
+}
+
+export async function signInviteToken(
+  secret: string,
+  pollId: string,
+  inviteId: string
+): Promise<string> {
+  const key = await importKey(secret);
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${pollId}:${inviteId}`));
+  return `${inviteId}.${base64UrlEncode(signature)}`;
+}
+
+/**
+ * The invite id a token was signed for, or null if the signature doesn't
+ * match this poll. The caller still has to check the invite isn't revoked.
+ */
+export async function verifyInviteToken(
+  secret: string,
+  pollId: string,
+  token: string
+): Promise<string | null> {
+  const separator = token.lastIndexOf('.');
+  if (separator <= 0) {
+    return null;
+  }
+
+  const inviteId = token.slice(0, separator);
+  const signature = base64UrlDecode(token.slice(separator + 1));
+  if (!signature) {
+    return null;
+  }
+
+  // subtle.verify compares in constant time
+  const key = await importKey(secret);
+  const valid = await crypto.subtle.verify('HMAC', key, signature, encoder.encode(`${pollId}:${inviteId}`));
+  return valid ? inviteId : null;
+}
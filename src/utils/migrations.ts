@@ -0,0 +1,156 @@
+/**
+ * Versioned D1 migrations
+ *
+ * Each file in migrations/ is numbered and listed below in order. Applied
+ * versions are recorded in schema_migrations, and each migration runs as
+ * one D1 batch together with its record, so it applies completely or not
+ * at all. Never edit a migration once it's deployed; add the next one.
+ *
+ * D1 runs batches in a transaction of its own, so migrations must not
+ * contain BEGIN or COMMIT.
+ */
+
+import { now } from './db';
+import initial from '../../migrations/0001_initial.sql';
+import votesBallots from '../../migrations/0002_votes_ballots.sql';
+import workspaces from '../../migrations/0003_workspaces.sql';
+import pollSettings from '../../migrations/0004_poll_settings.sql';
+import pollTagsAndInvites from '../../migrations/0005_poll_tags_and_invites.sql';
+import apiKeys from '../../migrations/0006_api_keys.sql';
+import webhooks from '../../migrations/0007_webhooks.sql';
+import search from '../../migrations/0008_search.sql';
+
+export interface Migration {
+  version: number;
+  name: string;
+  sql: string;
+}
+
+export interface AppliedMigration {
+  version: number;
+  name: string;
+  applied_at: number;
+}
+
+// Numbered as the files are: migrations/0001_initial.sql is version 1
+export const migrations: Migration[] = [
+  { version: 1, name: 'initial', sql: initial },
+  { version: 2, name: 'votes_ballots', sql: votesBallots },
+  { version: 3, name: 'workspaces', sql: workspaces },
+  { version: 4, name: 'poll_settings', sql: pollSettings },
+  { version: 5, name: 'poll_tags_and_invites', sql: pollTagsAndInvites },
+  { version: 6, name: 'api_keys', sql: apiKeys },
+  { version: 7, name: 'webhooks', sql: webhooks },
+  { version: 8, name: 'search', sql: search },
+];
+
+const CREATE_MIGRATIONS_TABLE = `CREATE TABLE IF NOT EXISTS schema_migrations (
+  version INTEGER PRIMARY KEY,
+  name TEXT NOT NULL,
+  applied_at INTEGER NOT NULL
+)`;
+
+/**
+ * Split a migration into statements on the semicolons that end them,
+ * skipping those inside quotes, comments and trigger bodies
+ */
+export function splitStatements(sql: string): string[] {
+  const statements: string[] = [];
+  let current = '';
+  let i = 0;
+
+  while (i < sql.length) {
+    const char = sql[i];
+
+    if (char === '-' && sql[i + 1] === '-') {
+      const end = sql.indexOf('\n', i);
+      i = end === -1 ? sql.length : end;
+      continue;
+    }
+
+    if (char === '/' && sql[i + 1] === '*') {
+      const end = sql.indexOf('*/', i + 2);
+      i = end === -1 ? sql.length : end + 2;
+      continue;
+    }
+
+    if (char === "'" || char === '"' || char === '`') {
+      let end = i + 1;
+      while (end < sql.length && (sql[end] !== char || sql[end + 1] === char)) {
+        end += sql[end] === char ? 2 : 1;
+      }
+      current += sql.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === ';') {
+      const inTrigger = /^\s*CREATE\s+(TEMP\s+|TEMPORARY\s+)?TRIGGER\b/i.test(current);
+      if (!inTrigger || /\bEND\s*$/i.test(current)) {
+        if (current.trim()) {
+          statements.push(current.trim());
+        }
+        current = '';
+        i++;
+        continue;
+      }
+    }
+
+    current += char;
+    i++;
+  }
+
+  if (current.trim()) {
+    statements.push(current.trim());
+  }
+  return statements;
+}
+
+export async function getAppliedMigrations(db: D1Database): Promise<AppliedMigration[]> {
+  await db.prepare(CREATE_MIGRATIONS_TABLE).run();
+  const result = await db
+    .prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version')
+    .all<AppliedMigration>();
+  return result.results;
+}
+
+// The highest version applied, 0 for a database never migrated
+export function schemaVersion(applied: AppliedMigration[]): number {
+  return applied.reduce((version, m) => Math.max(version, m.version), 0);
+}
+
+export function pendingMigrations(applied: AppliedMigration[]): Migration[] {
+  const done = new Set(applied.map((m) => m.version));
+  return migrations.filter((m) => !done.has(m.version));
+}
+
+export type MigrationRun =
+  | { ok: true; applied: Migration[] }
+  | { ok: false; applied: Migration[]; failed: Migration; error: string };
+
+/**
+ * Apply every pending migration in order, stopping at the first failure.
+ * Migrations already applied stay applied.
+ */
+export async function applyMigrations(db: D1Database): Promise<MigrationRun> {
+  const pending = pendingMigrations(await getAppliedMigrations(db));
+  const applied: Migration[] = [];
+
+  for (const migration of pending) {
+    const statements = splitStatements(migration.sql).map((sql) => db.prepare(sql));
+    const record = db
+      .prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)')
+      .bind(migration.version, migration.name, now());
+
+    try {
+      await db.batch([...statements, record]);
+    } catch (error) {
+      console.error(`Migration ${migration.version} (${migration.name}) failed:`, error);
+      const message = error instanceof Error ? error.message : String(error);
+      return { ok: false, applied, failed: migration, error: message };
+    }
+    applied.push(migration);
+  }
+
+  return { ok: true, applied };
+}
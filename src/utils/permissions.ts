@@ -0,0 +1,99 @@
+/**
+ * Who may do what with a poll or workspace
+ *
+ * A poll's creator can do anything with it. A poll in a workspace is also
+ * shared with the workspace's members, by role: owners have the same rights
+ * as the creator, editors can manage the poll but not delete or move it,
+ * and viewers can see everything about it without changing anything.
+ * Every ownership check goes through here.
+ */
+
+import type { PollRow, WorkspaceRole } from '../types';
+import { getWorkspaceRole } from './db';
+import { errorResponse } from './response';
+
+export type PollRole = 'creator' | WorkspaceRole;
+
+// view: open private polls, see hidden results and export
+// manage: edit, close, review flagged votes and handle invite links
+// delete: delete the poll or move it to another workspace
+export type PollPermission = 'view' | 'manage' | 'delete';
+
+// view: list the workspace's polls and members
+// create_polls: create polls in the workspace, or move polls into it
+// manage_members: add and remove members and change their roles
+export type WorkspacePermission = 'view' | 'create_polls' | 'manage_members';
+
+const POLL_PERMISSIONS: Record<PollRole, PollPermission[]> = {
+  creator: ['view', 'manage', 'delete'],
+  owner: ['view', 'manage', 'delete'],
+  editor: ['view', 'manage'],
+  viewer: ['view'],
+};
+
+const WORKSPACE_PERMISSIONS: Record<WorkspaceRole, WorkspacePermission[]> = {
+  owner: ['view', 'create_polls', 'manage_members'],
+  editor: ['view', 'create_polls'],
+  viewer: ['view'],
+};
+
+/**
+ * The caller's role on a poll, given the workspaces they belong to
+ */
+export function getPollRole(
+  poll: PollRow,
+  userId: string | null,
+  workspaceRoles: Map<string, WorkspaceRole>
+): PollRole | null {
+  if (userId === null) {
+    return null;
+  }
+  if (poll.user_id === userId) {
+    return 'creator';
+  }
+  return poll.workspace_id ? workspaceRoles.get(poll.workspace_id) ?? null : null;
+}
+
+export function hasPollPermission(role: PollRole | null, permission: PollPermission): boolean {
+  return role !== null && POLL_PERMISSIONS[role].includes(permission);
+}
+
+export function hasWorkspacePermission(role: WorkspaceRole | null, permission: WorkspacePermission): boolean {
+  return role !== null && WORKSPACE_PERMISSIONS[role].includes(permission);
+}
+
+/**
+ * getPollRole for a single poll, looking up only the workspace it is in
+ */
+export async function loadPollRole(
+  db: D1Database,
+  poll: PollRow,
+  userId: string | null
+): Promise<PollRole | null> {
+  if (userId === null || poll.user_id === userId || !poll.workspace_id) {
+    return getPollRole(poll, userId, new Map());
+  }
+  return getWorkspaceRole(db, poll.workspace_id, userId);
+}
+
+export async function canOnPoll(
+  db: D1Database,
+  poll: PollRow,
+  userId: string | null,
+  permission: PollPermission
+): Promise<boolean> {
+  return hasPollPermission(await loadPollRole(db, poll, userId), permission);
+}
+
+/**
+ * Check the caller may act on a poll. Returns the 403 to send, or null.
+ */
+export async function checkPollPermission(
+  db: D1Database,
+  poll: PollRow,
+  userId: string,
+  permission: PollPermission,
+  deniedMessage: string
+): Promise<Response | null> {
+  return (await canOnPoll(db, poll, userId, permission)) ? null : errorResponse(deniedMessage, 403);
+}
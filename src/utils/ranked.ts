@@ -0,0 +1,81 @@
+/**
+ * Instant-runoff tallying for ranked-choice polls
+ *
+ * Each round counts every ballot for its highest-ranked option that is
+ * still in the running. If an option holds a majority of the continuing
+ * ballots it wins; otherwise the lowest option is eliminated and its
+ * ballots move to their next preference in the following round.
+ * Identical ballots can be passed once, with how many voters cast them.
+ */
+
+import type { RankedResults, RankedRound } from '../types';
+
+export function tallyInstantRunoff(
+  optionIds: string[],
+  ballots: string[][],
+  voters?: number[] // Per ballot; one each when left out
+): RankedResults {
+  const rounds: RankedRound[] = [];
+  const active = new Set(optionIds);
+
+  const cast = voters ? voters.reduce((sum, n) => sum + n, 0) : ballots.length;
+  if (cast === 0 || active.size === 0) {
+    return { rounds, winner: null, tied: [] };
+  }
+
+  while (active.size > 0) {
+    const tallies: Record<string, number> = {};
+    for (const id of active) {
+      tallies[id] = 0;
+    }
+
+    // Ballots with no remaining preferences are exhausted
+    let exhausted = 0;
+    for (const [i, ballot] of ballots.entries()) {
+      const count = voters?.[i] ?? 1;
+      const choice = ballot.find((id) => active.has(id));
+      if (choice) {
+        tallies[choice] += count;
+      } else {
+        exhausted += count;
+      }
+    }
+
+    const continuing = cast - exhausted;
+    const counts = Object.values(tallies);
+    const highest = Math.max(...counts);
+    const lowest = Math.min(...counts);
+    const round: RankedRound = {
+      round: rounds.length + 1,
+      tallies,
+      exhausted,
+      eliminated: [],
+    };
+
+    if (continuing === 0) {
+      rounds.push(round);
+      return { rounds, winner: null, tied: [] };
+    }
+
+    if (highest * 2 > continuing || active.size === 1) {
+      rounds.push(round);
+      const winner = Object.keys(tallies).find((id) => tallies[id] === highest) ?? null;
+      return { rounds, winner, tied: [] };
+    }
+
+    // Everyone left is level, so eliminating the lowest would eliminate all
+    if (highest === lowest) {
+      rounds.push(round);
+      return { rounds, winner: null, tied: Array.from(active) };
+    }
+
+    // Drop every option tied for last place at once
+    round.eliminated = Object.keys(tallies).filter((id) => tallies[id] === lowest);
+    for (const id of round.eliminated) {
+      active.delete(id);
+    }
+    rounds.push(round);
+  }
+
+  return { rounds, winner: null, tied: [] };
+}
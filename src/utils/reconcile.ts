@@ -0,0 +1,88 @@
+/**
+ * Vote count reconciliation
+ *
+ * A poll's counts live in three places: its VoteEngine, the votes audit
+ * rows in D1, and the counters on polls and options that the engine syncs.
+ * Each VoteEngine compares them for its own poll (see its 'reconcile'
+ * action); this runs that over many polls, for the admin endpoint and the
+ * scheduled job.
+ */
+
+import type { PollReconciliation, ReconcileDirection, ReconcileReport } from '../types';
+import type { Env } from '../index';
+
+// Polls checked per scheduled run, most recently created first
+export const RECONCILE_BATCH = 200;
+
+// How long after closing a poll is still checked
+const RECENTLY_CLOSED_SECONDS = 24 * 60 * 60;
+
+/**
+ * Polls worth checking: open or closed within the last day, with votes
+ * in either the counters or the audit rows
+ */
+export async function getPollsToReconcile(db: D1Database, limit = RECONCILE_BATCH): Promise<string[]> {
+  const since = Math.floor(Date.now() / 1000) - RECENTLY_CLOSED_SECONDS;
+  const result = await db
+    .prepare(
+      `SELECT id FROM polls
+       WHERE (closed_at IS NULL OR closed_at >= ?)
+         AND (total_votes > 0 OR EXISTS (SELECT 1 FROM votes WHERE votes.poll_id = polls.id))
+       ORDER BY created_at DESC
+       LIMIT ?`
+    )
+    .bind(since, limit)
+    .all<{ id: string }>();
+  return result.results.map((row) => row.id);
+}
+
+async function reconcilePoll(
+  env: Env,
+  pollId: string,
+  direction: ReconcileDirection,
+  dryRun: boolean
+): Promise<PollReconciliation> {
+  const stub = env.VOTE_ENGINE.get(env.VOTE_ENGINE.idFromName(pollId));
+  const response = await stub.fetch('http://do/reconcile', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ action: 'reconcile', pollId, direction, dryRun }),
+  });
+  const result = (await response.json()) as {
+    success: boolean;
+    error?: string;
+    data?: { reconciliation?: PollReconciliation };
+  };
+  if (!result.success || !result.data?.reconciliation) {
+    throw new Error(result.error || 'Vote engine did not reconcile');
+  }
+  return result.data.reconciliation;
+}
+
+/**
+ * Reconcile each poll in turn. One poll failing is reported and doesn't
+ * stop the others.
+ */
+export async function reconcilePolls(
+  env: Env,
+  pollIds: string[],
+  direction: ReconcileDirection,
+  dryRun: boolean
+): Promise<ReconcileReport> {
+  const report: ReconcileReport = { direction, dry_run: dryRun, checked: 0, polls: [], failed: [] };
+
+  for (const pollId of pollIds) {
+    try {
+      const reconciliation = await reconcilePoll(env, pollId, direction, dryRun);
+      report.checked++;
+      if (!reconciliation.consistent) {
+        report.polls.push(reconciliation);
+      }
+    } catch (error) {
+      console.error(`Failed to reconcile poll ${pollId}:`, error);
+      report.failed.push({ poll_id: pollId, error: error instanceof Error ? error.message : String(error) });
+    }
+  }
+
+  return report;
+}
@@ -0,0 +1,10 @@
+/**
+ * Extract IP address from Cloudflare header (falls back for local dev)
+ */
+export function getClientIp(request: Request): string {
+  return (
+    request.headers.get('CF-Connecting-IP') ||
+    request.headers.get('X-Forwarded-For')?.split(',')[0]?.trim() ||
+    'unknown'
+  );
+}
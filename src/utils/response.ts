@@ -1,7 +1,10 @@
+// Added to every response by middleware/cors.ts
 export const corsHeaders = {
   'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, HEAD, POST, PUT, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-Fingerprint, X-Invite-Token',
+  'Access-Control-Expose-Headers':
+    'Content-Disposition, Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset',
 };
 
 export function jsonResponse(
@@ -10,15 +13,27 @@ export function jsonResponse(
 ): Response {
   return new Response(JSON.stringify(data), {
     status,
+    headers: { 'Content-Type': 'application/json' },
+  });
+}
+
+// A file download; body may be a stream so large exports aren't buffered
+export function fileResponse(
+  body: BodyInit,
+  contentType: string,
+  filename: string
+): Response {
+  return new Response(body, {
     headers: {
-      'Content-Type': 'application/json',
-      ...corsHeaders,
+      'Content-Type': contentType,
+      'Content-Disposition': `attachment; filename="${filename}"`,
+      'Cache-Control': 'no-store',
     },
   });
 }
 
-export function errorResponse(message: string, status = 400): Response {
-  return jsonResponse({ error: message }, status);
+export function errorResponse(message: string, status = 400, code?: string): Response {
+  return jsonResponse(code ? { error: message, code } : { error: message }, status);
 }
 
 export function notFound(message = 'Not Found'): Response {
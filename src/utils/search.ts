@@ -0,0 +1,51 @@
+/**
+ * Full-text search helpers
+ *
+ * Searches run against the polls_fts FTS5 table. User input never reaches
+ * MATCH as-is: each word is quoted so FTS5 syntax is treated as plain text,
+ * and the last word matches as a prefix so results appear while typing.
+ */
+
+// Snippet markers; control characters can't appear in titles or options
+export const MATCH_START = '\u0002';
+export const MATCH_END = '\u0003';
+
+const MAX_QUERY_WORDS = 10;
+
+/**
+ * Turn a search box query into an FTS5 MATCH expression.
+ * Returns null when there is nothing searchable in it.
+ */
+export function buildMatchQuery(input: string): string | null {
+  const words = (input.match(/[\p{L}\p{N}]+/gu) ?? []).slice(0, MAX_QUERY_WORDS);
+  if (words.length === 0) {
+    return null;
+  }
+
+  return words
+    .map((word, i) => (i === words.length - 1 ? `"${word}"*` : `"${word}"`))
+    .join(' ');
+}
+
+function escapeHtml(text: string): string {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * HTML-escape a snippet and turn its match markers into <mark> tags.
+ * With onlyIfMatched, snippets that don't contain a match become null.
+ */
+export function formatSnippet(snippet: string | null, onlyIfMatched = false): string | null {
+  if (!snippet || (onlyIfMatched && !snippet.includes(MATCH_START))) {
+    return null;
+  }
+
+  return escapeHtml(snippet)
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
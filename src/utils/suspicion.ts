@@ -0,0 +1,181 @@
+/**
+ * Suspicion scoring for incoming votes
+ *
+ * Dedupe on ip:fingerprint stops honest repeat votes, but a script can
+ * rotate its fingerprint and vote again from the same address. Each new
+ * ballot is scored against the poll's recent activity: bursts from one IP
+ * or subnet, many fingerprints behind one IP, and timing too fast or too
+ * regular for a person. Ballots at or over FLAG_THRESHOLD are flagged for
+ * the owner to review; nothing is rejected outright, since offices and
+ * households legitimately share an address.
+ *
+ * Activity is kept in memory only. An engine evicted between votes starts
+ * over, which only happens when votes are far apart anyway.
+ */
+
+import type { SuspicionReason } from '../types';
+
+export const FLAG_THRESHOLD = 50;
+
+const BURST_WINDOW_MS = 10 * 60 * 1000;
+const FINGERPRINT_WINDOW_MS = 60 * 60 * 1000;
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// Earlier ballots from the same IP / subnet inside the burst window
+const IP_BURST_VOTES = 2;
+const SUBNET_BURST_VOTES = 8;
+// Distinct fingerprints behind one IP, this ballot included
+const FINGERPRINTS_PER_IP = 3;
+// Gap to the subnet's previous ballot that no person filling the form manages
+const RAPID_REPEAT_MS = 3000;
+// Intervals checked for machine-like regularity, and how close they must be
+const REGULAR_INTERVALS = 4;
+const REGULAR_MAX_VARIATION = 0.1;
+const REGULAR_MAX_MEAN_MS = 2 * 60 * 1000;
+
+const WEIGHTS: Record<SuspicionReason, number> = {
+  ip_burst: 35,
+  subnet_burst: 25,
+  fingerprint_rotation: 40,
+  rapid_repeat: 25,
+  regular_interval: 30,
+};
+
+export interface SuspicionScore {
+  score: number; // 0-100
+  reasons: SuspicionReason[];
+  flagged: boolean;
+}
+
+/**
+ * The network a voter's address belongs to: the /24 for IPv4, the /64
+ * (one customer's allocation, usually) for IPv6
+ */
+export function getSubnet(ipAddress: string): string {
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(ipAddress)) {
+    return `${ipAddress.split('.').slice(0, 3).join('.')}.0/24`;
+  }
+
+  if (ipAddress.includes(':')) {
+    const [head, tail = ''] = ipAddress.split('::');
+    const headGroups = head ? head.split(':') : [];
+    const tailGroups = tail ? tail.split(':') : [];
+    const groups = ipAddress.includes('::')
+      ? [...headGroups, ...Array(Math.max(0, 8 - headGroups.length - tailGroups.length)).fill('0'), ...tailGroups]
+      : headGroups;
+    return `${groups.slice(0, 4).map((group) => parseInt(group, 16).toString(16)).join(':')}::/64`;
+  }
+
+  return ipAddress;
+}
+
+/**
+ * Drop timestamps older than the cutoff from the front of a sorted list
+ */
+function prune(times: number[], cutoff: number): number[] {
+  const firstKept = times.findIndex((time) => time >= cutoff);
+  return firstKept === -1 ? [] : firstKept === 0 ? times : times.slice(firstKept);
+}
+
+/**
+ * Whether the gaps between the most recent timestamps are near-identical
+ */
+function isRegular(times: number[]): boolean {
+  if (times.length < REGULAR_INTERVALS + 1) {
+    return false;
+  }
+
+  const recent = times.slice(-(REGULAR_INTERVALS + 1));
+  const gaps = recent.slice(1).map((time, i) => time - recent[i]);
+  const mean = gaps.reduce((sum, gap) => sum + gap, 0) / gaps.length;
+  if (mean <= 0 || mean > REGULAR_MAX_MEAN_MS) {
+    return false;
+  }
+
+  const variance = gaps.reduce((sum, gap) => sum + (gap - mean) ** 2, 0) / gaps.length;
+  return Math.sqrt(variance) / mean < REGULAR_MAX_VARIATION;
+}
+
+/**
+ * Recent voting activity for one poll
+ */
+export class VoteSignals {
+  private byIp = new Map<string, number[]>();
+  private bySubnet = new Map<string, number[]>();
+  private fingerprints = new Map<string, Map<string, number>>(); // IP -> fingerprint -> last seen
+  private lastSweep = 0;
+
+  /**
+   * Score a ballot about to be recorded, then add it to the activity
+   */
+  record(ipAddress: string, fingerprint: string, nowMs = Date.now()): SuspicionScore {
+    this.sweep(nowMs);
+
+    const burstCutoff = nowMs - BURST_WINDOW_MS;
+    const subnet = getSubnet(ipAddress);
+    const ipTimes = prune(this.byIp.get(ipAddress) ?? [], burstCutoff);
+    const subnetTimes = prune(this.bySubnet.get(subnet) ?? [], burstCutoff);
+
+    const seen = this.fingerprints.get(ipAddress) ?? new Map<string, number>();
+    for (const [known, lastSeen] of seen) {
+      if (lastSeen < nowMs - FINGERPRINT_WINDOW_MS) {
+        seen.delete(known);
+      }
+    }
+    seen.set(fingerprint, nowMs);
+
+    const reasons: SuspicionReason[] = [];
+    if (ipTimes.length >= IP_BURST_VOTES) {
+      reasons.push('ip_burst');
+    }
+    if (subnetTimes.length >= SUBNET_BURST_VOTES) {
+      reasons.push('subnet_burst');
+    }
+    if (seen.size >= FINGERPRINTS_PER_IP) {
+      reasons.push('fingerprint_rotation');
+    }
+    if (subnetTimes.length > 0 && nowMs - subnetTimes[subnetTimes.length - 1] < RAPID_REPEAT_MS) {
+      reasons.push('rapid_repeat');
+    }
+
+    ipTimes.push(nowMs);
+    subnetTimes.push(nowMs);
+    if (isRegular(subnetTimes)) {
+      reasons.push('regular_interval');
+    }
+
+    this.byIp.set(ipAddress, ipTimes);
+    this.bySubnet.set(subnet, subnetTimes);
+    this.fingerprints.set(ipAddress, seen);
+
+    const score = Math.min(100, reasons.reduce((sum, reason) => sum + WEIGHTS[reason], 0));
+    return { score, reasons, flagged: score >= FLAG_THRESHOLD };
+  }
+
+  /**
+   * Forget addresses with no activity left in their windows, so a long
+   * running poll doesn't keep every voter it has ever seen
+   */
+  private sweep(nowMs: number): void {
+    if (nowMs - this.lastSweep < SWEEP_INTERVAL_MS) {
+      return;
+    }
+    this.lastSweep = nowMs;
+
+    const burstCutoff = nowMs - BURST_WINDOW_MS;
+    for (const times of [this.byIp, this.bySubnet]) {
+      for (const [key, list] of times) {
+        if (list[list.length - 1] < burstCutoff) {
+          times.delete(key);
+        }
+      }
+    }
+
+    const fingerprintCutoff = nowMs - FINGERPRINT_WINDOW_MS;
+    for (const [ip, seen] of this.fingerprints) {
+      if (Math.max(...seen.values()) < fingerprintCutoff) {
+        this.fingerprints.delete(ip);
+      }
+    }
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * Request validation against declarative schemas
+ *
+ * Schemas are plain OpenAPI 3.0 Schema Objects (the JSON Schema subset
+ * below), so the same objects validate request bodies and describe them in
+ * /api/openapi.json. $ref points at '#/components/schemas/<name>' and is
+ * resolved against the registry passed in.
+ */
+
+import { jsonResponse } from './response';
+import type { FieldError } from '../types';
+
+export interface Schema {
+  type?: 'string' | 'integer' | 'number' | 'boolean' | 'array' | 'object';
+  nullable?: boolean;
+  description?: string;
+  example?: unknown;
+  enum?: readonly (string | number | boolean)[];
+  format?: string;
+  pattern?: string;
+  minLength?: number;
+  maxLength?: number;
+  minimum?: number;
+  maximum?: number;
+  items?: Schema;
+  minItems?: number;
+  maxItems?: number;
+  properties?: Record<string, Schema>;
+  required?: readonly string[];
+  additionalProperties?: boolean | Schema;
+  allOf?: Schema[];
+  oneOf?: Schema[];
+  $ref?: string;
+}
+
+export type SchemaRegistry = Record<string, Schema>;
+
+// A string with at least one non-space character
+export const NON_BLANK = '\\S';
+
+// Loose email check; surrounding spaces are trimmed by the handler
+export const EMAIL = '^\\s*[^\\s@]+@[^\\s@]+\\.[^\\s@]+\\s*$';
+
+const PATTERN_MESSAGES: Record<string, string> = {
+  [NON_BLANK]: 'must not be blank',
+  [EMAIL]: 'must be an email address',
+};
+
+const REF_PREFIX = '#/components/schemas/';
+
+export function ref(name: string): Schema {
+  return { $ref: `${REF_PREFIX}${name}` };
+}
+
+function join(path: string, key: string | number): string {
+  return typeof key === 'number' ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+function typeOf(value: unknown): string {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(type: NonNullable<Schema['type']>, value: unknown): boolean {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+const TYPE_NAMES: Record<NonNullable<Schema['type']>, string> = {
+  string: 'a string',
+  integer: 'an integer',
+  number: 'a number',
+  boolean: 'a boolean',
+  array: 'an array',
+  object: 'an object',
+};
+
+/**
+ * Every way value fails schema, each at the path where it goes wrong
+ */
+export function validate(
+  schema: Schema,
+  value: unknown,
+  registry: SchemaRegistry,
+  path = ''
+): FieldError[] {
+  if (schema.$ref) {
+    const target = registry[schema.$ref.slice(REF_PREFIX.length)];
+    if (!target) {
+      throw new Error(`Unknown schema ${schema.$ref}`);
+    }
+    return validate(target, value, registry, path);
+  }
+
+  if (value === null) {
+    return schema.nullable ? [] : [{ field: path, message: 'must not be null' }];
+  }
+
+  const errors: FieldError[] = [];
+  const fail = (message: string) => errors.push({ field: path, message });
+
+  for (const part of schema.allOf ?? []) {
+    errors.push(...validate(part, value, registry, path));
+  }
+
+  if (schema.oneOf && !schema.oneOf.some((option) => validate(option, value, registry, path).length === 0)) {
+    fail('does not match any of the allowed forms');
+  }
+
+  if (schema.type && !matchesType(schema.type, value)) {
+    fail(`must be ${TYPE_NAMES[schema.type]}`);
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value as string | number | boolean)) {
+    fail(`must be one of: ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    } else if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      fail(PATTERN_MESSAGES[schema.pattern] ?? `must match ${schema.pattern}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be at most ${schema.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items!, item, registry, join(path, i))));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const record = value as Record<string, unknown>;
+    for (const key of schema.required ?? []) {
+      if (record[key] === undefined) {
+        errors.push({ field: join(path, key), message: 'is required' });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties ?? {})) {
+      if (record[key] !== undefined) {
+        errors.push(...validate(propertySchema, record[key], registry, join(path, key)));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * 400 listing every invalid field. error repeats the first one, so
+ * clients that only show error still say something useful.
+ */
+export function validationError(fields: FieldError[]): Response {
+  const [first] = fields;
+  const summary = `${first.field ? `${first.field} ` : 'Body '}${first.message}`;
+  return jsonResponse(
+    {
+      error: fields.length > 1 ? `${summary} (and ${fields.length - 1} more)` : summary,
+      code: 'VALIDATION_FAILED',
+      fields,
+    },
+    400
+  );
+}
+
+export function invalidField(field: string, message: string): Response {
+  return validationError([{ field, message }]);
+}
@@ -0,0 +1,133 @@
+/**
+ * Result visibility policies
+ *
+ * Polls can hide their vote counts until the caller has voted, until
+ * voting ends, or from everyone but the people who manage the poll. Callers who aren't
+ * entitled get the poll with per-option counts and the runoff stripped;
+ * the ballot total stays so people can see how many have voted.
+ *
+ * Whether the caller has voted is asked of the poll's vote engine, which
+ * records a ballot before its audit rows reach D1.
+ */
+
+import type { HiddenResultsPoll, PollRow, PollWithOptions, WorkspaceRole } from '../types';
+import type { Env } from '../index';
+import { getPollStatus, getVotedPollIds } from './db';
+import { getPollRole, hasPollPermission } from './permissions';
+
+export interface ResultsViewer {
+  userId: string | null;
+  ipAddress: string;
+  fingerprint: string | null;
+  // Workspaces the viewer belongs to; when left out, of the people who
+  // manage a poll only its creator is recognised
+  workspaceRoles?: Map<string, WorkspaceRole>;
+}
+
+/**
+ * Whether the caller can see results without checking for a ballot.
+ * Returns null when it depends on whether they have voted.
+ */
+function resultsVisibleWithoutBallot(poll: PollRow, viewer: ResultsViewer): boolean | null {
+  if (hasPollPermission(getPollRole(poll, viewer.userId, viewer.workspaceRoles ?? new Map()), 'view')) {
+    return true;
+  }
+
+  const closed = getPollStatus(poll) === 'closed';
+  switch (poll.results_visibility) {
+    case 'after_vote':
+      return closed ? true : null;
+    case 'after_close':
+      return closed;
+    case 'owner':
+      return false;
+    default:
+      return true;
+  }
+}
+
+export function hideResults(poll: PollWithOptions): HiddenResultsPoll {
+  const { ranked_results: _ranked, options, ...rest } = poll;
+  return {
+    ...rest,
+    options: options.map(({ vote_count: _count, ...option }) => option),
+    results_hidden: true,
+  };
+}
+
+/**
+ * Whether the viewer has a ballot on the poll, by its vote engine. Null
+ * when the engine has never started (so every ballot is in D1) or can't
+ * be reached.
+ */
+async function hasVotedInEngine(env: Env, pollId: string, viewer: ResultsViewer): Promise<boolean | null> {
+  try {
+    const stub = env.VOTE_ENGINE.get(env.VOTE_ENGINE.idFromName(pollId));
+    const response = await stub.fetch('http://do/hasVoted', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        action: 'hasVoted',
+        pollId,
+        userId: viewer.userId,
+        ipAddress: viewer.ipAddress,
+        fingerprint: viewer.fingerprint,
+      }),
+    });
+    const result = (await response.json()) as { success: boolean; data?: { voted?: boolean } };
+    return result.success && result.data?.voted !== undefined ? result.data.voted : null;
+  } catch (error) {
+    console.error(`Failed to ask the vote engine of poll ${pollId} for a ballot:`, error);
+    return null;
+  }
+}
+
+/**
+ * Which of the polls the viewer has a ballot on: from each poll's engine,
+ * or from the votes rows for those whose engine can't say
+ */
+async function getVotedPolls(env: Env, pollIds: string[], viewer: ResultsViewer): Promise<Set<string>> {
+  const answers = await Promise.all(pollIds.map((pollId) => hasVotedInEngine(env, pollId, viewer)));
+  const voted = new Set(pollIds.filter((_, i) => answers[i] === true));
+  const unknown = pollIds.filter((_, i) => answers[i] === null);
+  for (const pollId of await getVotedPollIds(env.DB, unknown, viewer)) {
+    voted.add(pollId);
+  }
+  return voted;
+}
+
+/**
+ * Strip counts from every poll the viewer isn't entitled to see results for
+ */
+export async function applyResultsVisibility(
+  env: Env,
+  polls: PollWithOptions[],
+  viewer: ResultsViewer
+): Promise<Array<PollWithOptions | HiddenResultsPoll>> {
+  const visible = polls.map((poll) => resultsVisibleWithoutBallot(poll, viewer));
+
+  // Only open "after_vote" polls need a ballot lookup
+  const pending = polls.filter((_, i) => visible[i] === null).map((poll) => poll.id);
+  const voted = await getVotedPolls(env, pending, viewer);
+
+  return polls.map((poll, i) =>
+    visible[i] === true || (visible[i] === null && voted.has(poll.id)) ? poll : hideResults(poll)
+  );
+}
+
+/**
+ * Single-poll form of applyResultsVisibility. Pass voted when the caller
+ * already knows, as a vote handler does from the engine's answer.
+ */
+export async function canSeeResults(
+  env: Env,
+  poll: PollRow,
+  viewer: ResultsViewer,
+  voted?: boolean
+): Promise<boolean> {
+  const visible = resultsVisibleWithoutBallot(poll, viewer);
+  if (visible !== null) {
+    return visible;
+  }
+  return voted ?? (await getVotedPolls(env, [poll.id], viewer)).has(poll.id);
+}
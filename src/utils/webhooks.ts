@@ -0,0 +1,67 @@
+/**
+ * Outbound webhook signing and delivery rules
+ *
+ * Every request carries X-Webhook-Timestamp and X-Webhook-Signature,
+ * "sha256=<hex>", an HMAC-SHA256 of "<timestamp>.<body>" under the
+ * webhook's secret. Receivers recompute it and reject stale timestamps
+ * to stop replays. Failed deliveries are retried with exponential backoff
+ * by the poll's VoteEngine until MAX_DELIVERY_ATTEMPTS is reached.
+ */
+
+import type { WebhookEvent } from '../types';
+
+export const WEBHOOK_EVENTS: WebhookEvent[] = ['vote.created', 'poll.updated', 'poll.closed', 'poll.deleted'];
+
+export const MAX_DELIVERY_ATTEMPTS = 8;
+const RETRY_BASE_MS = 30_000;
+const RETRY_MAX_MS = 60 * 60 * 1000;
+
+const encoder = new TextEncoder();
+
+function toHex(bytes: ArrayBuffer): string {
+  return Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function generateWebhookSecret(): string {
+  return `whsec_${toHex(crypto.getRandomValues(new Uint8Array(24)).buffer)}`;
+}
+
+export async function signWebhookPayload(
+  secret: string,
+  timestamp: number,
+  body: string
+): Promise<string> {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(`${timestamp}.${body}`));
+  return `sha256=${toHex(signature)}`;
+}
+
+/**
+ * Webhooks must use https; plain http is allowed for a receiver on this
+ * machine, so deliveries can be tried out against `wrangler dev`
+ */
+export function isAllowedWebhookUrl(value: string): boolean {
+  let url: URL;
+  try {
+    url = new URL(value);
+  } catch {
+    return false;
+  }
+  if (url.protocol === 'https:') {
+    return true;
+  }
+  return url.protocol === 'http:' && ['localhost', '127.0.0.1', '[::1]'].includes(url.hostname);
+}
+
+/**
+ * Delay before the next try after `attempts` failed ones: 30s, 1m, 2m, ... capped at an hour
+ */
+export function retryDelayMs(attempts: number): number {
+  return Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+}